@@ -4,77 +4,1404 @@
  */
 
 declare module 'ultra-compact-crypto' {
+    import { Transform } from 'stream';
+
+    /**
+     * Crypto backend. Every backend produces identical tokens.
+     * - node: node:crypto (Node.js, synchronous)
+     * - webcrypto: crypto.subtle (browsers, workers, edge runtimes; async functions only)
+     * - cryptojs: crypto-js, if installed or loaded (synchronous fallback)
+     */
+    export type CryptoBackend = 'node' | 'webcrypto' | 'cryptojs';
+
+    /**
+     * Compression applied before encryption. 'auto' compresses only when it
+     * makes the token shorter.
+     */
+    export type Compression = 'none' | 'gzip' | 'deflate-raw' | 'brotli' | 'auto';
+
+    /**
+     * Token encryption mode
+     */
+    export type TokenMode = 'randomized' | 'deterministic';
+
+    /**
+     * Text encoding of tokens
+     * - base62: 0-9a-zA-Z (default)
+     * - base58: base62 without the look-alikes 0, O, I and l
+     * - base32: Crockford base32, case-insensitive, with a check symbol that
+     *   catches typos before decryption
+     * - base64url: RFC 4648 without padding
+     */
+    export type Encoding = 'base62' | 'base58' | 'base32' | 'base64url';
+
+    /**
+     * Token options for encryption
+     */
+    export interface EncryptOptions {
+        /**
+         * Token format version (default 3, authenticated with a compression
+         * header). Version 2 is authenticated without compression, version 1
+         * is unauthenticated; version 0 is the legacy format with a
+         * fixed key and IV derived from the password.
+         */
+        version?: 0 | 1 | 2 | 3;
+        /** Key derivation function (default 'pbkdf2') */
+        kdf?: 'pbkdf2';
+        /** log2 of the KDF work factor, 10 to 24 (default 16) */
+        cost?: number;
+        /**
+         * Compression (version 3 only, default 'none'). Decryption undoes it
+         * automatically. Outside Node.js brotli is unavailable and the other
+         * algorithms need the async functions.
+         */
+        compression?: Compression;
+        /** Data bound to the token but not stored in it (version 2 and 3) */
+        associatedData?: string;
+        /** Lifetime in seconds; the issue time is recorded in the token (version 3 only) */
+        expiresIn?: number;
+        /** Purpose or audience the token is bound to, e.g. 'password-reset' (version 3 only) */
+        purpose?: string;
+        /** Issue time to use instead of the clock (Date or milliseconds) */
+        now?: Date | number;
+        /**
+         * 'randomized' (default): a fresh salt and IV for every token.
+         * 'deterministic': AES-SIV, so the same plaintext, password, context
+         * and associated data always give the same token, for lookups by
+         * encrypted value (version 3 only; not with compression, expiresIn
+         * or purpose).
+         */
+        mode?: TokenMode;
+        /**
+         * Name of the application or data set, e.g. 'acme/users.email'.
+         * Required in deterministic mode: the key is derived from it, since
+         * the token has no random salt. Decryption needs the same.
+         */
+        context?: string;
+        /** Token encoding (version 1 and later, default 'base62'); decryption needs the same */
+        encoding?: Encoding;
+        /**
+         * Characters per hyphen-separated group, for display (not base64url).
+         * Decryption ignores the hyphens.
+         */
+        group?: number;
+        /** Crypto backend for this call (default: see setBackend) */
+        backend?: CryptoBackend;
+    }
+
+    /**
+     * Options for file and stream encryption
+     */
+    export interface EncryptFileOptions extends EncryptOptions {
+        /**
+         * Output format (default 'chunked'). 'chunked' streams the file with
+         * constant memory; 'token' writes a single base62 token.
+         */
+        format?: 'chunked' | 'token';
+        /** Plaintext bytes per chunk, a power of two from 1 KiB to 16 MiB (default 64 KiB) */
+        chunkSize?: number;
+    }
+
+    /**
+     * Options for decryption
+     */
+    export interface DecryptOptions {
+        /** Associated data the token was bound to when encrypted */
+        associatedData?: string;
+        /**
+         * Purpose the token must be bound to. Purpose-bound tokens need it,
+         * and other tokens are rejected when it is given (WRONG_PURPOSE).
+         */
+        purpose?: string;
+        /** Seconds of clock difference accepted for expiring tokens (default 30) */
+        clockTolerance?: number;
+        /** Time to check expiry against instead of the clock (Date or milliseconds) */
+        now?: Date | number;
+        /** Encoding the token was written in (default 'base62') */
+        encoding?: Encoding;
+        /** Context a deterministic token was encrypted with */
+        context?: string;
+        /**
+         * Highest KDF cost accepted from a token or file header (default 16).
+         * Higher costs are MALFORMED before any key is derived, so a forged
+         * header cannot make decryption run for seconds.
+         */
+        maxCost?: number;
+        /** Crypto backend for this call (default: see setBackend) */
+        backend?: CryptoBackend;
+    }
+
+    /** Options of decryptAsync and decryptBytesAsync */
+    export interface AsyncDecryptOptions extends DecryptOptions {
+        /**
+         * Run on the shared worker pool (worker_threads in Node.js, Web
+         * Workers in browsers) instead of this thread. Default: true on the
+         * main thread of Node.js, false elsewhere. Falls back to this thread
+         * where workers are not available (see configureWorkers).
+         */
+        worker?: boolean;
+        /** Rejects the call with signal.reason when aborted */
+        signal?: AbortSignal;
+        /** Called with token characters processed and the token length, when decryption starts and ends */
+        onProgress?: (progress: { processed: number; total: number }) => void;
+    }
+
+    /** Options of decryptFileAsync */
+    export interface FileDecryptOptions extends AsyncDecryptOptions {
+        /** Called as a chunked file is decrypted, with input bytes read and the file size; at start and end for a token file */
+        onProgress?: (progress: { processed: number; total: number }) => void;
+    }
+
+    /**
+     * Keyring from createKeyring. Accepted anywhere a password is: the
+     * primary key encrypts, and every key can decrypt.
+     */
+    export interface Keyring {
+        /** Name of the key used for encryption */
+        readonly primary: string;
+        /** Key names and the key ids recorded in tokens (8 hex digits) */
+        readonly keys: ReadonlyArray<{ readonly name: string; readonly id: string }>;
+    }
+
+    /**
+     * X25519 public key from generateKeyPair or importKey. Accepted where a
+     * password is when encrypting tokens; pass an array to encrypt to
+     * several recipients.
+     */
+    export interface PublicKey {
+        readonly type: 'public';
+        readonly curve: 'x25519';
+        /** Key id (8 hex digits) recorded for each recipient of a token */
+        readonly id: string;
+    }
+
+    /**
+     * X25519 private key from generateKeyPair or importKey. Accepted where a
+     * password is when decrypting tokens encrypted to its public key.
+     */
+    export interface PrivateKey {
+        readonly type: 'private';
+        readonly curve: 'x25519';
+        /** Key id of the public key */
+        readonly id: string;
+        readonly publicKey: PublicKey;
+    }
+
+    /** X25519 key as a JSON Web Key (d only for private keys) */
+    export interface X25519Jwk {
+        kty: 'OKP';
+        crv: 'X25519';
+        x: string;
+        d?: string;
+    }
+
+    /** What encrypts a token: password, keyring or recipient public keys */
+    export type EncryptionKey = string | Keyring | PublicKey | PublicKey[];
+
+    /** What decrypts a token: password, keyring or private key */
+    export type DecryptionKey = string | Keyring | PrivateKey;
+
+    /**
+     * Options for decryptFields and decryptFieldsAsync
+     */
+    export interface DecryptFieldsOptions extends DecryptOptions {
+        /**
+         * Fail with MALFORMED on selected values that are not tokens instead
+         * of leaving them as they are (default false). Tokens that cannot be
+         * decrypted fail either way.
+         */
+        strict?: boolean;
+    }
+
+    /**
+     * A JSON object or array
+     */
+    export type JsonDocument = { [key: string]: any } | any[];
+
+    /**
+     * Options for rekey, rekeyAsync and rekeyFile
+     */
+    export interface RekeyOptions extends EncryptFileOptions {
+        /** Re-encrypt tokens that already use the primary key (default false) */
+        force?: boolean;
+        /** Highest KDF cost accepted from the old token or file (default 16) */
+        maxCost?: number;
+    }
+
+    /**
+     * Code set on decryption errors
+     * - MALFORMED: the token is not a valid token
+     * - WRONG_KEY: wrong password or key
+     * - TAMPERED: the token was modified or associated data does not match
+     * - UNSUPPORTED_VERSION: the token format version is unknown
+     * - EXPIRED: the token lifetime is over (the error has issuedAt and expiresAt)
+     * - NOT_YET_VALID: the token was issued in the future (beyond clockTolerance)
+     * - WRONG_PURPOSE: the token is bound to another purpose, or to none
+     */
+    export type DecryptErrorCode =
+        | 'MALFORMED'
+        | 'WRONG_KEY'
+        | 'TAMPERED'
+        | 'UNSUPPORTED_VERSION'
+        | 'EXPIRED'
+        | 'NOT_YET_VALID'
+        | 'WRONG_PURPOSE';
+
+    /**
+     * Code of any coded error: a DecryptErrorCode, or FILE_NOT_FOUND when
+     * an input file or directory does not exist
+     */
+    export type ErrorCode = DecryptErrorCode | 'FILE_NOT_FOUND';
+
+    /** Error codes by name */
+    export const ERROR_CODES: Readonly<{ [C in ErrorCode]: C }>;
+
+    /**
+     * Base class of the errors thrown with an ErrorCode. Details such as the
+     * field or offset of a malformed token are own properties of the error.
+     */
+    export class CryptoError extends Error {
+        constructor(message: string, details?: object);
+        readonly code: ErrorCode;
+        /** Field at fault: a header field, or the path of a document field */
+        field?: string;
+        /** Byte offset of the field */
+        offset?: number;
+        /** HTTP status the middleware answers with */
+        status?: number;
+        /** name, message, code and details, for logging or --json output */
+        toJSON(): { name: string; message: string; code: ErrorCode; [detail: string]: unknown };
+    }
+
+    /** The token or file is not valid (MALFORMED) */
+    export class MalformedTokenError extends CryptoError {
+        readonly code: 'MALFORMED';
+    }
+
+    /** The token has a character outside the base62 alphabet (MALFORMED) */
+    export class InvalidCharacterError extends MalformedTokenError {
+        /** Index of the character in the token */
+        position: number;
+        character: string;
+    }
+
+    /** Wrong password or key (WRONG_KEY) */
+    export class WrongKeyError extends CryptoError {
+        readonly code: 'WRONG_KEY';
+    }
+
+    /** The data was modified or associated data does not match (TAMPERED) */
+    export class TamperedError extends CryptoError {
+        readonly code: 'TAMPERED';
+    }
+
+    /** The token or file format version is unknown (UNSUPPORTED_VERSION) */
+    export class UnsupportedVersionError extends CryptoError {
+        readonly code: 'UNSUPPORTED_VERSION';
+    }
+
+    /** The token lifetime is over (EXPIRED) */
+    export class ExpiredError extends CryptoError {
+        readonly code: 'EXPIRED';
+        issuedAt: Date;
+        expiresAt: Date;
+    }
+
+    /** The token was issued in the future, beyond clockTolerance (NOT_YET_VALID) */
+    export class NotYetValidError extends CryptoError {
+        readonly code: 'NOT_YET_VALID';
+        issuedAt: Date;
+        expiresAt: Date;
+    }
+
+    /** The token is bound to another purpose, or to none (WRONG_PURPOSE) */
+    export class WrongPurposeError extends CryptoError {
+        readonly code: 'WRONG_PURPOSE';
+    }
+
+    /** An input file or directory does not exist (FILE_NOT_FOUND) */
+    export class FileNotFoundError extends CryptoError {
+        readonly code: 'FILE_NOT_FOUND';
+        path: string;
+    }
+
+    /**
+     * Result of inspect. Header fields are present once the token decodes;
+     * on a malformed token they hold the raw values read from it.
+     */
+    export interface TokenReport {
+        /** True if decrypt would get as far as checking the password */
+        valid: boolean;
+        format: 'token';
+        encoding: Encoding;
+        /** Token length in characters */
+        length: number;
+        /**
+         * block: block codec (base62, base58); legacy: one base62 number;
+         * bits: a fixed number of bits per character (base32, base64url)
+         */
+        codec?: 'block' | 'legacy' | 'bits';
+        /** Decoded length in bytes */
+        bytes?: number;
+        /** Token format version (0: legacy fixed-IV token) */
+        version?: number;
+        /**
+         * KDF name ('legacy' for v0 tokens, whose key and IV are hashes of
+         * the password), or the raw id if unknown
+         */
+        kdf?: 'pbkdf2' | 'x25519' | 'legacy' | number;
+        /** log2 of the KDF work factor (null for public-key and v0 tokens) */
+        cost?: number | null;
+        /** Number of recipients of a public-key token, or null */
+        recipients?: number | null;
+        /** Encryption mode (null for v0) */
+        mode?: TokenMode | null;
+        cipher?: 'aes-256-cbc' | 'aes-256-siv';
+        authenticated?: boolean;
+        /** Compression recorded in the header (null for v0, raw value if unknown) */
+        compression?: Exclude<Compression, 'auto'> | number | null;
+        /** Keyring key id (8 hex digits), or null */
+        keyId?: string | null;
+        /** True if the token is bound to a purpose (the purpose is not stored) */
+        purposeBound?: boolean;
+        /** Issue time of an expiring token (ISO 8601) */
+        issuedAt?: string;
+        /** End of the lifetime of an expiring token (ISO 8601) */
+        expiresAt?: string;
+        /** True if an expiring token has expired */
+        expired?: boolean;
+        ciphertextBytes?: number;
+        /** True if the ciphertext is a whole number of AES blocks (null for deterministic tokens) */
+        blockAligned?: boolean | null;
+        /** Byte layout of the decoded token */
+        fields?: Array<{ name: string; offset: number; bytes: number }>;
+        /** Why the token is invalid, or null */
+        error: {
+            code: DecryptErrorCode;
+            message: string;
+            /**
+             * alphabet, checksum (base32), or the header field at fault
+             * (magic, version, kdf, cost, options, ciphertext)
+             */
+            field?: string;
+            /** Byte offset of the field */
+            offset?: number;
+            /**
+             * Position of the offending character, or of the first character
+             * of the base62 block holding the field (null for other codecs
+             * and grouped tokens)
+             */
+            position?: number | null;
+            /** The offending character */
+            character?: string;
+        } | null;
+    }
+
+    /**
+     * Options for loadEncryptedEnv
+     */
+    export interface LoadEncryptedEnvOptions {
+        /** File path (default '.env') */
+        path?: string;
+        /** Password, keyring or private key; needed if the file has encrypted values */
+        password?: DecryptionKey;
+        /** Object to set the variables on (default process.env), or null to only return them */
+        processEnv?: Record<string, string | undefined> | null;
+        /** Replace variables that are already set (default false) */
+        override?: boolean;
+        /** Crypto backend */
+        backend?: CryptoBackend;
+    }
+
+    /**
+     * Options for setEncryptedEnv
+     */
+    export interface SetEncryptedEnvOptions {
+        /** Variable name */
+        key: string;
+        /** New value; without it the current plain value is encrypted */
+        value?: string;
+        /** Password, keyring or public keys */
+        password: EncryptionKey;
+        /** File path (default '.env', created if missing) */
+        path?: string;
+        /** Token options; the key is always the associated data */
+        encryptOptions?: EncryptOptions;
+    }
+
+    /**
+     * Where a field being encrypted or decrypted by a server integration
+     * comes from, passed to password and associatedData lookup functions
+     */
+    export interface FieldContext {
+        /** body, query or headers (middleware), the Nest parameter type (pipe), response or service */
+        source: string;
+        /** Field path or header name */
+        field?: string;
+        /** Incoming request (not set in DecryptPipe) */
+        request?: any;
+    }
+
+    /** A value, or an async lookup of it for a field */
+    export type FieldOption<T> = T | ((context: FieldContext) => T | Promise<T>);
+
+    /**
+     * Options shared by the server integrations
+     */
+    export interface IntegrationOptions {
+        /** Password or keyring, or a lookup function */
+        password: FieldOption<string | Keyring>;
+        /** Associated data the tokens are bound to */
+        associatedData?: FieldOption<string | undefined>;
+        /** Purpose the tokens must be bound to */
+        purpose?: FieldOption<string | undefined>;
+        /** Seconds of clock difference accepted for expiring tokens */
+        clockTolerance?: number;
+        /**
+         * Highest KDF cost accepted from a token (default 16). Tokens come
+         * from clients, so keep it at the cost the server encrypts with.
+         */
+        maxCost?: number;
+        /** Crypto backend for decryption */
+        backend?: CryptoBackend;
+    }
+
+    /**
+     * Options for createDecryptMiddleware
+     */
+    export interface DecryptMiddlewareOptions extends IntegrationOptions {
+        /** Body field paths, e.g. 'card.number' */
+        body?: string[];
+        /** Query parameter paths */
+        query?: string[];
+        /** Header names */
+        headers?: string[];
+        /** Answer failures yourself instead of the default 400/422 JSON response */
+        onError?: (error: FieldError, req: any, res: any, next: (error?: unknown) => void) => void;
+    }
+
+    /**
+     * Options for createEncryptMiddleware and EncryptInterceptor
+     */
+    export interface EncryptMiddlewareOptions extends IntegrationOptions {
+        /** Response field paths; values that are not strings are encrypted as JSON */
+        fields: string[];
+        /** Token options */
+        encryptOptions?: EncryptOptions;
+    }
+
+    /**
+     * Options for DecryptPipe
+     */
+    export interface DecryptPipeOptions extends Partial<IntegrationOptions> {
+        /** Field paths to decrypt; without them the whole parameter is a token */
+        fields?: string[];
+    }
+
+    /**
+     * Options for CryptoModule.forRoot
+     */
+    export interface CryptoModuleOptions extends IntegrationOptions {
+        /** Response fields for EncryptInterceptor */
+        fields?: string[];
+        /** Token options for EncryptInterceptor and CryptoService */
+        encryptOptions?: EncryptOptions;
+        /** Register as a global module (default true) */
+        global?: boolean;
+    }
+
+    /**
+     * Error for a request field that could not be decrypted
+     */
+    export interface FieldError extends CryptoError {
+        code: DecryptErrorCode;
+        /** Field, such as 'body.card.number' */
+        field: string;
+        /** 400 for MALFORMED, 422 otherwise */
+        status: 400 | 422;
+    }
+
+    /**
+     * Encrypt text to a base62 string
+     * @param text - Text to encrypt
+     * @param password - Encryption password
+     * @param options - Token options
+     * @returns Base62 encrypted string
+     * @throws Error if encryption fails
+     */
+    export function encrypt(text: string, password: EncryptionKey, options?: EncryptOptions): string;
+
+    /**
+     * Encrypt binary data to a base62 string
+     * @param data - Bytes to encrypt (a Buffer on Node.js)
+     * @param password - Encryption password
+     * @param options - Token options
+     * @returns Base62 encrypted string
+     * @throws Error if encryption fails
+     */
+    export function encryptBytes(data: Uint8Array, password: EncryptionKey, options?: EncryptOptions): string;
+
+    /**
+     * Encrypt file (Node.js only)
+     * @param inputFile - Path to file to encrypt
+     * @param outputFile - Path to output file
+     * @param password - Encryption password
+     * @param options - Encryption options
+     * @returns Base62 encrypted string for format 'token', otherwise undefined
+     * @throws Error if encryption fails or not in Node.js environment
+     */
+    export function encryptFile(
+        inputFile: string,
+        outputFile: string,
+        password: string | Keyring,
+        options?: EncryptFileOptions
+    ): string | undefined;
+
+    /**
+     * Async version of encrypt
+     * @param text - Text to encrypt
+     * @param password - Encryption password
+     * @param options - Token options
+     * @returns Promise resolving to base62 encrypted string
+     */
+    export function encryptAsync(
+        text: string,
+        password: EncryptionKey,
+        options?: EncryptOptions
+    ): Promise<string>;
+
+    /**
+     * Async version of encryptBytes
+     * @param data - Bytes to encrypt
+     * @param password - Encryption password
+     * @param options - Token options
+     * @returns Promise resolving to base62 encrypted string
+     */
+    export function encryptBytesAsync(
+        data: Uint8Array,
+        password: EncryptionKey,
+        options?: EncryptOptions
+    ): Promise<string>;
+
+    /**
+     * Async version of encryptFile (Node.js only), streaming chunked files
+     * @param inputFile - Path to file to encrypt
+     * @param outputFile - Path to output file
+     * @param password - Encryption password
+     * @param options - Encryption options
+     * @returns Promise resolving to base62 encrypted string for format 'token'
+     */
+    export function encryptFileAsync(
+        inputFile: string,
+        outputFile: string,
+        password: string | Keyring,
+        options?: EncryptFileOptions
+    ): Promise<string | undefined>;
+
     /**
      * Decrypt base62 encoded text
      * @param encryptedBase62 - Encrypted base62 string
      * @param password - Decryption password
+     * @param options - Decryption options
      * @returns Decrypted text
-     * @throws Error if decryption fails
+     * @throws CryptoError subclass for the failure, such as WrongKeyError
+     */
+    export function decrypt(
+        encryptedBase62: string,
+        password: DecryptionKey,
+        options?: DecryptOptions
+    ): string;
+
+    /**
+     * Decrypt base62 encoded binary data, without text decoding
+     * @param encryptedBase62 - Encrypted base62 string
+     * @param password - Decryption password
+     * @param options - Decryption options
+     * @returns Decrypted bytes (a Buffer on Node.js)
+     * @throws CryptoError subclass for the failure, such as WrongKeyError
+     */
+    export function decryptBytes(
+        encryptedBase62: string,
+        password: DecryptionKey,
+        options?: DecryptOptions
+    ): Uint8Array;
+
+    /** Options of createCipher: a password or a key, and default options for every call */
+    export interface CipherOptions extends EncryptOptions, DecryptOptions {
+        /** Password (give either password or key) */
+        password?: string;
+        /** Keyring, or a public key to encrypt or private key to decrypt */
+        key?: Keyring | PublicKey | PrivateKey;
+        /** Most derived keys kept (default 100) */
+        cacheSize?: number;
+    }
+
+    /** Result of Cipher.decryptMany for one token */
+    export type DecryptResult = { ok: true; text: string } | { ok: false; error: Error };
+
+    /** Cipher from createCipher, bound to one password or key */
+    export interface Cipher {
+        encrypt(text: string, options?: EncryptOptions): string;
+        decrypt(token: string, options?: DecryptOptions): string;
+        encryptBytes(data: Uint8Array, options?: EncryptOptions): string;
+        decryptBytes(token: string, options?: DecryptOptions): Uint8Array;
+        /** Decrypt tokens to text, one result per token in the same order */
+        decryptMany(tokens: string[], options?: DecryptOptions): DecryptResult[];
+        /** Zero the derived keys and drop the password; later calls throw */
+        destroy(): void;
+    }
+
+    /**
+     * Create a cipher that derives its keys once, for code that encrypts or
+     * decrypts many tokens with one password. It encrypts with one salt of
+     * its own and keeps the keys of the salts it decrypts.
+     * @param options - password or key, cacheSize, and token options for every call
+     * @returns Cipher
+     * @throws Error unless exactly one of password and key is given
      */
-    export function decrypt(encryptedBase62: string, password: string): string;
+    export function createCipher(options: CipherOptions): Cipher;
 
     /**
-     * Decrypt file (Node.js only)
+     * Decrypt file (Node.js only), writing the raw decrypted bytes
      * @param inputFile - Path to encrypted file
-     * @param outputFile - Path to output file
+     * @param outputFile - Path to output file, or null to return the bytes
      * @param password - Decryption password
-     * @returns Decrypted data
+     * @param options - Decryption options
+     * @returns Decrypted bytes when outputFile is null, otherwise undefined
      * @throws Error if decryption fails or not in Node.js environment
      */
     export function decryptFile(
         inputFile: string,
         outputFile: string,
-        password: string
-    ): string;
+        password: string | Keyring,
+        options?: DecryptOptions
+    ): undefined;
+    export function decryptFile(
+        inputFile: string,
+        outputFile: null,
+        password: string | Keyring,
+        options?: DecryptOptions
+    ): Buffer;
 
     /**
      * Async version of decrypt
      * @param encryptedBase62 - Encrypted base62 string
      * @param password - Decryption password
+     * @param options - Decryption options
      * @returns Promise resolving to decrypted text
      */
     export function decryptAsync(
         encryptedBase62: string,
-        password: string
+        password: DecryptionKey,
+        options?: AsyncDecryptOptions
     ): Promise<string>;
 
     /**
-     * Async version of decryptFile (Node.js only)
+     * Async version of decryptBytes
+     * @param encryptedBase62 - Encrypted base62 string
+     * @param password - Decryption password
+     * @param options - Decryption options
+     * @returns Promise resolving to decrypted bytes (a Buffer on Node.js)
+     */
+    export function decryptBytesAsync(
+        encryptedBase62: string,
+        password: DecryptionKey,
+        options?: AsyncDecryptOptions
+    ): Promise<Uint8Array>;
+
+    /**
+     * Encrypt selected fields of a JSON document, replacing each value with a
+     * token that keeps its JSON type. Paths that match nothing are skipped.
+     * @param document - JSON document (not modified)
+     * @param paths - Field paths: dotted keys, [n] or [*] for array items, * and ?
+     *   in keys, ** for any number of levels (e.g. 'cards[*].number', '**.password')
+     * @param password - Encryption password or keyring
+     * @param options - Token options
+     * @returns Copy of the document with the fields encrypted
+     */
+    export function encryptFields(
+        document: JsonDocument,
+        paths: string | string[],
+        password: EncryptionKey,
+        options?: EncryptOptions
+    ): JsonDocument;
+
+    /**
+     * Decrypt selected fields of a JSON document, restoring their JSON values
+     * @param document - JSON document (not modified)
+     * @param paths - Field paths (see encryptFields)
+     * @param password - Decryption password or keyring
+     * @param options - Decryption options and strict
+     * @returns Copy of the document with the fields decrypted
+     * @throws CryptoError subclass for the failure, with the path as `field`
+     */
+    export function decryptFields<T extends JsonDocument = JsonDocument>(
+        document: JsonDocument,
+        paths: string | string[],
+        password: DecryptionKey,
+        options?: DecryptFieldsOptions
+    ): T;
+
+    /**
+     * Async version of encryptFields. Works with every backend.
+     */
+    export function encryptFieldsAsync(
+        document: JsonDocument,
+        paths: string | string[],
+        password: EncryptionKey,
+        options?: EncryptOptions
+    ): Promise<JsonDocument>;
+
+    /**
+     * Async version of decryptFields. Works with every backend.
+     */
+    export function decryptFieldsAsync<T extends JsonDocument = JsonDocument>(
+        document: JsonDocument,
+        paths: string | string[],
+        password: DecryptionKey,
+        options?: DecryptFieldsOptions
+    ): Promise<T>;
+
+    /**
+     * Key derivation of the OpenSSL enc format. The file does not record it,
+     * so decryption needs the options used to encrypt.
+     */
+    export interface OpenSSLOptions {
+        /** 'pbkdf2' (openssl -pbkdf2, default) or 'evp' (EVP_BytesToKey, openssl without -pbkdf2) */
+        kdf?: 'pbkdf2' | 'evp';
+        /** Digest (openssl -md): 'sha256' (default for pbkdf2) or 'md5' (default for evp; evp only) */
+        digest?: 'sha256' | 'md5';
+        /** PBKDF2 iterations (openssl -iter, default 10000) */
+        iterations?: number;
+        /** Crypto backend for this call (default: see setBackend) */
+        backend?: CryptoBackend;
+    }
+
+    /**
+     * Options for encryptOpenSSL and encryptOpenSSLAsync
+     */
+    export interface EncryptOpenSSLOptions extends OpenSSLOptions {
+        /** 'binary' (default) or 'base64' in 64-character lines, like openssl -a */
+        encoding?: 'binary' | 'base64';
+    }
+
+    /**
+     * Encrypt in the format of `openssl enc -aes-256-cbc -salt` ("Salted__" header)
+     * @param data - Text (encoded as UTF-8) or bytes
+     * @param password - Password
+     * @param options - KDF options and output encoding
+     * @returns Encrypted bytes (a Buffer on Node.js), or base64 text
+     */
+    export function encryptOpenSSL(data: string | Uint8Array, password: string, options: EncryptOpenSSLOptions & { encoding: 'base64' }): string;
+    export function encryptOpenSSL(data: string | Uint8Array, password: string, options?: EncryptOpenSSLOptions): Uint8Array;
+
+    /**
+     * Decrypt the format of `openssl enc -aes-256-cbc -salt`, binary or base64 (-a)
+     * @param data - File content
+     * @param password - Password
+     * @param options - KDF options used to encrypt
+     * @returns Decrypted bytes; a Buffer on Node.js
+     * @throws Error with a `code` of MALFORMED or WRONG_KEY (also for wrong KDF options)
+     */
+    export function decryptOpenSSL(data: string | Uint8Array, password: string, options?: OpenSSLOptions): Uint8Array;
+
+    /**
+     * Async version of encryptOpenSSL. Works with every backend.
+     */
+    export function encryptOpenSSLAsync(
+        data: string | Uint8Array,
+        password: string,
+        options: EncryptOpenSSLOptions & { encoding: 'base64' }
+    ): Promise<string>;
+    export function encryptOpenSSLAsync(
+        data: string | Uint8Array,
+        password: string,
+        options?: EncryptOpenSSLOptions
+    ): Promise<Uint8Array>;
+
+    /**
+     * Async version of decryptOpenSSL. Works with every backend.
+     */
+    export function decryptOpenSSLAsync(data: string | Uint8Array, password: string, options?: OpenSSLOptions): Promise<Uint8Array>;
+
+    /**
+     * Async version of decryptFile (Node.js only), streaming chunked files
      * @param inputFile - Path to encrypted file
-     * @param outputFile - Path to output file
+     * @param outputFile - Path to output file, or null to return the bytes
      * @param password - Decryption password
-     * @returns Promise resolving to decrypted data
+     * @param options - Decryption options
+     * @returns Promise resolving to decrypted bytes when outputFile is null, otherwise undefined;
+     *   an aborted call removes the partial outputFile
      */
     export function decryptFileAsync(
         inputFile: string,
         outputFile: string,
-        password: string
-    ): Promise<string>;
+        password: string | Keyring,
+        options?: FileDecryptOptions
+    ): Promise<undefined>;
+    export function decryptFileAsync(
+        inputFile: string,
+        outputFile: null,
+        password: string | Keyring,
+        options?: FileDecryptOptions
+    ): Promise<Buffer>;
+
+    /**
+     * Create a Transform stream that encrypts into the chunked file format (Node.js only)
+     * @param password - Encryption password
+     * @param options - Encryption options
+     * @returns Transform stream
+     */
+    export function createEncryptStream(
+        password: string | Keyring,
+        options?: Omit<EncryptFileOptions, 'format' | 'version' | 'associatedData' | 'compression'>
+    ): Transform;
+
+    /**
+     * Create a Transform stream that decrypts the chunked file format (Node.js only)
+     * @param password - Decryption password
+     * @param options - Decryption options
+     * @returns Transform stream; errors carry a DecryptErrorCode
+     */
+    export function createDecryptStream(password: string | Keyring, options?: Pick<DecryptOptions, 'backend' | 'maxCost'>): Transform;
+
+    /**
+     * Encode bytes to base62. Every 8 bytes become 11 characters, so the
+     * byte length (including leading zero bytes) is preserved.
+     * @param bytes - Bytes to encode
+     * @returns Base62 encoded string
+     */
+    export function base62Encode(bytes: Uint8Array): string;
+
+    /**
+     * Decode base62 string to bytes
+     * @param str - Base62 encoded string
+     * @returns Decoded bytes
+     * @throws Error if the string is not valid block base62
+     */
+    export function base62Decode(str: string): Uint8Array;
+
+    /**
+     * Encode bytes as text in one of the token encodings
+     * @param bytes - Bytes to encode
+     * @param options - encoding (default 'base62') and group: characters per
+     *   hyphen-separated group (not base64url)
+     * @returns Encoded text
+     */
+    export function encodeBytes(bytes: Uint8Array, options?: { encoding?: Encoding; group?: number }): string;
 
     /**
-     * Decode base62 string to hex
+     * Decode text written by encodeBytes, ignoring group hyphens
+     * @param text - Encoded text
+     * @param options - encoding (default 'base62')
+     * @returns Decoded bytes
+     * @throws MalformedTokenError (InvalidCharacterError for a character
+     *   outside the alphabet, field 'checksum' for a base32 typo)
+     */
+    export function decodeBytes(text: string, options?: { encoding?: Encoding }): Uint8Array;
+
+    /**
+     * Encode hex string to base62 as one number (legacy codec of legacy v0
+     * tokens, as from ucc-encrypt --token-version 0). Leading zero bytes are
+     * dropped.
+     * @param hex - Hex string
+     * @returns Base62 encoded string
+     */
+    export function legacyBase62Encode(hex: string): string;
+
+    /**
+     * Decode base62 string to hex as one number (legacy codec)
      * @param str - Base62 encoded string
      * @returns Hex string
      */
-    export function base62Decode(str: string): string;
+    export function legacyBase62Decode(str: string): string;
 
     /**
-     * Derive encryption key and IV from password
+     * Derive the fixed encryption key and IV of legacy v0 tokens from password
      * @param password - Password string
-     * @returns Object with key and iv
+     * @param options - Backend selection (a synchronous backend is required)
+     * @returns Object with key (32 bytes) and iv (16 bytes)
      */
-    export function deriveKeyAndIV(password: string): {
-        key: any;
-        iv: any;
+    export function deriveKeyAndIV(password: string, options?: { backend?: CryptoBackend }): {
+        key: Uint8Array;
+        iv: Uint8Array;
     };
+
+    /**
+     * Describe a token without the password: checks the alphabet and decodes
+     * the structure, reporting the offending character or field if the token
+     * is malformed
+     * @param token - Token text
+     * @param options - now: time for the expired field instead of the clock;
+     *   encoding: encoding the token was written in
+     * @returns Report (malformed tokens are reported, not thrown)
+     * @throws TypeError if token is not a string
+     */
+    export function inspect(token: string, options?: { now?: Date | number; encoding?: Encoding }): TokenReport;
+
+    /**
+     * Select the crypto backend used when a call does not name one. Calls
+     * that run on the worker pool use it too.
+     * @param name - Backend name, or null to pick automatically
+     *   (node, then crypto-js for synchronous calls; node, then webcrypto,
+     *   then crypto-js for async calls)
+     * @throws Error if the backend is not available in this environment
+     */
+    export function setBackend(name: CryptoBackend | null): void;
+
+    /**
+     * Create a keyring of named passwords
+     * @param keys - Passwords by key name
+     * @param options - primary: key used for encryption (default: the first key)
+     * @returns Keyring
+     * @throws Error if the keyring is empty, a password is missing or the primary key is unknown
+     */
+    export function createKeyring(keys: Record<string, string>, options?: { primary?: string }): Keyring;
+
+    /**
+     * Split a password into shares, any threshold of which rebuild it
+     * (Shamir's secret sharing over GF(256))
+     * @param secret - Password to split
+     * @param options - shares: 2 to 255; threshold: shares needed, 2 to
+     *   shares; group: characters per hyphen-separated group; backend:
+     *   synchronous backend for randomness
+     * @returns Base62 shares, with share index and checksum
+     * @throws Error if the counts are out of range
+     */
+    export function splitSecret(
+        secret: string,
+        options: { shares: number; threshold: number; group?: number; backend?: CryptoBackend }
+    ): string[];
+
+    /**
+     * Rebuild a password from shares made by splitSecret
+     * @param shares - At least threshold shares, in any order
+     * @returns The password, ready for decrypt
+     * @throws MalformedTokenError if a share is damaged (field 'checksum'
+     *   when mistyped) or disagrees with the others, if there are too few
+     *   shares or if they come from different splits
+     */
+    export function combineShares(shares: string[]): string;
+
+    /**
+     * Generate an X25519 key pair for public-key tokens
+     * @returns Public and private key; privateKey.publicKey is publicKey
+     */
+    export function generateKeyPair(): { publicKey: PublicKey; privateKey: PrivateKey };
+
+    /**
+     * Import an X25519 key
+     * @param data - PEM text (SPKI public or PKCS8 private key), a JWK (object
+     *   or JSON text) or a raw key in base62
+     * @param options - type of a base62 key (default 'public')
+     * @returns Public or private key
+     * @throws Error if data is not an X25519 key
+     */
+    export function importKey(data: string | X25519Jwk, options?: { type?: 'public' | 'private' }): PublicKey | PrivateKey;
+
+    /**
+     * Export a key from generateKeyPair or importKey
+     * @param key - Public or private key
+     * @param format - 'pem' (default), 'jwk' or 'base62' (raw key)
+     * @returns PEM text, JWK or base62 string
+     */
+    export function exportKey(key: PublicKey | PrivateKey, format?: 'pem' | 'base62'): string;
+    export function exportKey(key: PublicKey | PrivateKey, format: 'jwk'): X25519Jwk;
+
+    /**
+     * Re-encrypt a token under the primary key of a keyring
+     * @param encryptedBase62 - Encrypted base62 string
+     * @param keyring - Keyring holding the old key and the new primary key
+     * @param options - Token options for the new token
+     * @returns New token, or the same token if it already uses the primary key
+     * @throws CryptoError subclass if the token cannot be decrypted
+     */
+    export function rekey(encryptedBase62: string, keyring: Keyring, options?: RekeyOptions): string;
+
+    /**
+     * Async version of rekey
+     * @param encryptedBase62 - Encrypted base62 string
+     * @param keyring - Keyring holding the old key and the new primary key
+     * @param options - Token options for the new token
+     * @returns Promise resolving to the new token
+     */
+    export function rekeyAsync(encryptedBase62: string, keyring: Keyring, options?: RekeyOptions): Promise<string>;
+
+    /**
+     * Re-encrypt a file under the primary key of a keyring (Node.js only)
+     * @param inputFile - Path to encrypted file
+     * @param outputFile - Path to output file, or null to replace inputFile
+     * @param keyring - Keyring holding the old key and the new primary key
+     * @param options - Encryption options for the new file
+     * @throws Error if decryption fails or not in Node.js environment
+     */
+    export function rekeyFile(
+        inputFile: string,
+        outputFile: string | null,
+        keyring: Keyring,
+        options?: RekeyOptions
+    ): void;
+
+    /**
+     * Options for encryptDirectory and decryptDirectory
+     */
+    export interface DirectoryOptions {
+        /**
+         * Globs of files to process (default all). * and ? do not cross
+         * directories, ** does, and a glob without / matches at any depth.
+         */
+        include?: string | string[];
+        /** Globs of files and directories to leave out */
+        exclude?: string | string[];
+        /** Worker threads (default: one per CPU); 0 processes files in this thread */
+        workers?: number;
+        /** Manifest path relative to the output directory (default '.ucc-manifest.json'), or false for none */
+        manifest?: string | false;
+        /** Process files that are unchanged since the last run (default false) */
+        force?: boolean;
+        /** Called with each file result as it completes */
+        onFile?: (file: DirectoryFileResult) => void;
+    }
+
+    /**
+     * Outcome for one file of a directory run
+     */
+    export interface DirectoryFileResult {
+        /** Input path relative to the input directory */
+        input: string;
+        /** Output path relative to the output directory */
+        output: string;
+        /** skipped: input, output, key and options unchanged since the manifest was written */
+        status: 'processed' | 'skipped' | 'failed';
+        /** Input size in bytes */
+        size?: number;
+        inputSha256?: string;
+        outputSha256?: string;
+        error?: { code: ErrorCode | 'ERROR'; message: string };
+    }
+
+    /**
+     * Summary of a directory run
+     */
+    export interface DirectoryReport {
+        operation: 'encrypt' | 'decrypt';
+        /** Absolute input directory */
+        input: string;
+        /** Absolute output directory */
+        output: string;
+        /** Absolute manifest path, or null */
+        manifest: string | null;
+        total: number;
+        processed: number;
+        skipped: number;
+        failed: number;
+        durationMs: number;
+        files: DirectoryFileResult[];
+    }
+
+    /**
+     * Encrypt a directory tree into another directory (Node.js only). Every
+     * file becomes FILE.enc at the same relative path, on worker threads.
+     * Failed files are reported instead of stopping the run.
+     * @param inputDir - Directory to encrypt
+     * @param outputDir - Output directory, created if missing (not the input directory)
+     * @param password - Encryption password or keyring
+     * @param options - Directory and file options
+     * @returns Promise resolving to the report
+     */
+    export function encryptDirectory(
+        inputDir: string,
+        outputDir: string,
+        password: string | Keyring,
+        options?: DirectoryOptions & EncryptFileOptions
+    ): Promise<DirectoryReport>;
+
+    /**
+     * Decrypt a directory tree into another directory (Node.js only). FILE.enc
+     * becomes FILE; other files get a .dec suffix.
+     * @param inputDir - Directory to decrypt
+     * @param outputDir - Output directory, created if missing (not the input directory)
+     * @param password - Decryption password or keyring
+     * @param options - Directory and decryption options
+     * @returns Promise resolving to the report
+     */
+    export function decryptDirectory(
+        inputDir: string,
+        outputDir: string,
+        password: string | Keyring,
+        options?: DirectoryOptions & DecryptOptions
+    ): Promise<DirectoryReport>;
+
+    /**
+     * File in an encrypted archive
+     */
+    export interface ArchiveEntry {
+        /** Path relative to the archived directory, with / separators */
+        path: string;
+        /** Size in bytes */
+        size: number;
+        /** Mode bits of the original file */
+        mode: number;
+        /** Modification time of the original file */
+        mtime: Date;
+    }
+
+    /**
+     * Options for encryptArchive and decryptArchive
+     */
+    export interface ArchiveOptions {
+        /** Globs of files to archive or extract (default all), as in DirectoryOptions */
+        include?: string | string[];
+        /** Globs of files and directories to leave out */
+        exclude?: string | string[];
+        /** Highest KDF cost accepted from the archive header when reading (default 16) */
+        maxCost?: number;
+        /** Synchronous crypto backend */
+        backend?: 'node' | 'cryptojs';
+    }
+
+    /**
+     * Encrypt a directory tree into one archive file (Node.js only). Paths,
+     * modes and modification times are kept; paths are encrypted too.
+     * @param inputDir - Directory to archive
+     * @param outputFile - Archive path (replaced if it exists)
+     * @param password - Encryption password or keyring
+     * @param options - Archive options, KDF and chunk size
+     * @returns Entries written
+     */
+    export function encryptArchive(
+        inputDir: string,
+        outputFile: string,
+        password: string | Keyring,
+        options?: ArchiveOptions & Pick<EncryptOptions, 'kdf' | 'cost'> & { chunkSize?: number }
+    ): ArchiveEntry[];
+
+    /**
+     * Extract an archive into a directory (Node.js only). Paths that would
+     * leave the output directory are refused before anything is written.
+     * @param archiveFile - Path to the archive
+     * @param outputDir - Output directory, created if missing
+     * @param password - Decryption password or keyring
+     * @param options - Archive options; files that are not selected are not decrypted
+     * @returns Entries extracted
+     * @throws CryptoError subclass if the archive cannot be decrypted or has an unsafe path (MALFORMED)
+     */
+    export function decryptArchive(
+        archiveFile: string,
+        outputDir: string,
+        password: string | Keyring,
+        options?: ArchiveOptions
+    ): ArchiveEntry[];
+
+    /**
+     * List the files in an archive (Node.js only). Only the index is decrypted.
+     * @param archiveFile - Path to the archive
+     * @param password - Decryption password or keyring
+     * @param options - Options
+     * @returns Entries in archive order
+     */
+    export function listArchive(
+        archiveFile: string,
+        password: string | Keyring,
+        options?: Pick<ArchiveOptions, 'backend' | 'maxCost'>
+    ): ArchiveEntry[];
+
+    /**
+     * Decrypt one file of an archive without decrypting the others (Node.js only)
+     * @param archiveFile - Path to the archive
+     * @param file - Path of the file in the archive
+     * @param password - Decryption password or keyring
+     * @param options - Options
+     * @returns File contents
+     * @throws FileNotFoundError if the archive has no such file
+     */
+    export function readArchiveEntry(
+        archiveFile: string,
+        file: string,
+        password: string | Keyring,
+        options?: Pick<ArchiveOptions, 'backend' | 'maxCost'>
+    ): Buffer;
+
+    /**
+     * Load a .env file with encrypted values (Node.js only). Values written as
+     * ucc:<token> are decrypted, others are used as they are. Variables that
+     * are already set are kept unless override is set.
+     * @param options - File, password and target
+     * @returns Variables from the file, decrypted
+     * @throws Error naming the file and key if a value cannot be decrypted
+     */
+    export function loadEncryptedEnv(options?: LoadEncryptedEnvOptions): Record<string, string>;
+
+    /**
+     * Encrypt one value of a .env file in place (Node.js only), keeping the
+     * other lines, comments and order
+     * @param options - Key, value, password and file
+     * @returns The value as written (ucc:<token>)
+     * @throws Error if the key is invalid, or missing when no value is given
+     */
+    export function setEncryptedEnv(options: SetEncryptedEnvOptions): string;
+
+    /**
+     * Create Express/Connect middleware that decrypts request fields in
+     * place. Register it after the body parser. Failures are answered with
+     * 400 (MALFORMED) or 422 and a JSON body { error, message, field }.
+     * @param options - Fields to decrypt and the password or key lookup
+     * @returns Middleware
+     */
+    export function createDecryptMiddleware(
+        options: DecryptMiddlewareOptions
+    ): (req: any, res: any, next: (error?: unknown) => void) => void;
+
+    /**
+     * Create Express middleware that encrypts fields of bodies sent with res.json
+     * @param options - Fields to encrypt and the password or key lookup
+     * @returns Middleware
+     */
+    export function createEncryptMiddleware(
+        options: EncryptMiddlewareOptions
+    ): (req: any, res: any, next: (error?: unknown) => void) => void;
+
+    /**
+     * NestJS pipe that decrypts a parameter or fields of it. Nest creates the
+     * class with the CryptoModule.forRoot options. Failures become a 400 or
+     * 422 HttpException.
+     */
+    export class DecryptPipe {
+        /** @param options - Pipe options (the CryptoModule.forRoot options when Nest creates it) */
+        constructor(options?: DecryptPipeOptions);
+        /**
+         * Pipe class for Nest to create, with these options on top of the CryptoModule.forRoot ones
+         * @param options - Pipe options, such as fields
+         */
+        static withOptions(options: DecryptPipeOptions): typeof DecryptPipe;
+        transform(value: any, metadata?: { type?: string; data?: string }): Promise<any>;
+    }
+
+    /**
+     * NestJS interceptor that encrypts fields of the response body. Nest
+     * creates the class with the CryptoModule.forRoot options.
+     */
+    export class EncryptInterceptor {
+        /** @param options - Interceptor options (the CryptoModule.forRoot options when Nest creates it) */
+        constructor(options?: Partial<EncryptMiddlewareOptions>);
+        /**
+         * Interceptor class for Nest to create, with these options on top of the CryptoModule.forRoot ones
+         * @param options - Interceptor options, such as fields
+         */
+        static withOptions(options: Partial<EncryptMiddlewareOptions>): typeof EncryptInterceptor;
+        intercept(context: any, next: { handle(): any }): any;
+    }
+
+    /**
+     * Injectable NestJS service using the password or keyring of
+     * CryptoModule.forRoot, which Nest passes to the constructor
+     */
+    export class CryptoService {
+        constructor(options?: CryptoModuleOptions);
+        encrypt(text: string, options?: EncryptOptions): Promise<string>;
+        decrypt(token: string, options?: DecryptOptions): Promise<string>;
+    }
+
+    /**
+     * NestJS module providing CryptoService, DecryptPipe and EncryptInterceptor
+     */
+    export class CryptoModule {
+        static forRoot(options: CryptoModuleOptions): {
+            module: typeof CryptoModule;
+            global: boolean;
+            providers: any[];
+            exports: any[];
+        };
+    }
+
+    /**
+     * List the crypto backends available in this environment
+     * @returns Backend names, in order of preference
+     */
+    export function getBackends(): CryptoBackend[];
+
+    /**
+     * Configure the worker pool used by the async decrypt functions (by
+     * default on the main thread of Node.js, or with options.worker). Jobs
+     * wait in one queue and run in order.
+     * @param options - size: most workers at once (default: CPUs minus one,
+     *   at least 1); url: URL of this script for Web Workers (default: the
+     *   src of the script tag that loaded it)
+     */
+    export function configureWorkers(options?: { size?: number; url?: string }): void;
+
+    /**
+     * Stop the idle workers of the pool. Idle Node.js workers do not keep
+     * the process alive, so this is only needed for a clean shutdown.
+     */
+    export function terminateWorkers(): Promise<void>;
 }
 
 declare global {
     interface Window {
         UltraCompactCrypto: {
-            decrypt(encryptedBase62: string, password: string): string;
-            decryptAsync(encryptedBase62: string, password: string): Promise<string>;
-            base62Decode(str: string): string;
+            encrypt(text: string, password: string, options?: import('ultra-compact-crypto').EncryptOptions): string;
+            encryptAsync(text: string, password: string, options?: import('ultra-compact-crypto').EncryptOptions): Promise<string>;
+            decrypt(encryptedBase62: string, password: string, options?: import('ultra-compact-crypto').DecryptOptions): string;
+            decryptAsync(
+                encryptedBase62: string,
+                password: string,
+                options?: import('ultra-compact-crypto').AsyncDecryptOptions
+            ): Promise<string>;
+            encryptBytesAsync(data: Uint8Array, password: string, options?: import('ultra-compact-crypto').EncryptOptions): Promise<string>;
+            decryptBytesAsync(
+                encryptedBase62: string,
+                password: string,
+                options?: import('ultra-compact-crypto').AsyncDecryptOptions
+            ): Promise<Uint8Array>;
+            encryptFieldsAsync(
+                document: import('ultra-compact-crypto').JsonDocument,
+                paths: string | string[],
+                password: string,
+                options?: import('ultra-compact-crypto').EncryptOptions
+            ): Promise<import('ultra-compact-crypto').JsonDocument>;
+            decryptFieldsAsync(
+                document: import('ultra-compact-crypto').JsonDocument,
+                paths: string | string[],
+                password: string,
+                options?: import('ultra-compact-crypto').DecryptFieldsOptions
+            ): Promise<import('ultra-compact-crypto').JsonDocument>;
+            encryptOpenSSLAsync(
+                data: string | Uint8Array,
+                password: string,
+                options?: import('ultra-compact-crypto').EncryptOpenSSLOptions
+            ): Promise<Uint8Array | string>;
+            decryptOpenSSLAsync(
+                data: string | Uint8Array,
+                password: string,
+                options?: import('ultra-compact-crypto').OpenSSLOptions
+            ): Promise<Uint8Array>;
+            base62Encode(bytes: Uint8Array): string;
+            base62Decode(str: string): Uint8Array;
+            encodeBytes: typeof import('ultra-compact-crypto').encodeBytes;
+            decodeBytes: typeof import('ultra-compact-crypto').decodeBytes;
+            inspect: typeof import('ultra-compact-crypto').inspect;
+            setBackend(name: import('ultra-compact-crypto').CryptoBackend | null): void;
+            getBackends(): import('ultra-compact-crypto').CryptoBackend[];
+            configureWorkers: typeof import('ultra-compact-crypto').configureWorkers;
+            terminateWorkers: typeof import('ultra-compact-crypto').terminateWorkers;
+            generateKeyPair: typeof import('ultra-compact-crypto').generateKeyPair;
+            importKey: typeof import('ultra-compact-crypto').importKey;
+            exportKey: typeof import('ultra-compact-crypto').exportKey;
+            createCipher: typeof import('ultra-compact-crypto').createCipher;
+            splitSecret: typeof import('ultra-compact-crypto').splitSecret;
+            combineShares: typeof import('ultra-compact-crypto').combineShares;
+            ERROR_CODES: typeof import('ultra-compact-crypto').ERROR_CODES;
+            CryptoError: typeof import('ultra-compact-crypto').CryptoError;
+            MalformedTokenError: typeof import('ultra-compact-crypto').MalformedTokenError;
+            InvalidCharacterError: typeof import('ultra-compact-crypto').InvalidCharacterError;
+            WrongKeyError: typeof import('ultra-compact-crypto').WrongKeyError;
+            TamperedError: typeof import('ultra-compact-crypto').TamperedError;
+            UnsupportedVersionError: typeof import('ultra-compact-crypto').UnsupportedVersionError;
+            ExpiredError: typeof import('ultra-compact-crypto').ExpiredError;
+            NotYetValidError: typeof import('ultra-compact-crypto').NotYetValidError;
+            WrongPurposeError: typeof import('ultra-compact-crypto').WrongPurposeError;
+            FileNotFoundError: typeof import('ultra-compact-crypto').FileNotFoundError;
         };
     }
 }
\ No newline at end of file
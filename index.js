@@ -1,32 +1,35 @@
 #!/usr/bin/env node
 
 /**
- * Ultra-Compact Decryption Module
+ * Ultra-Compact Encryption/Decryption Module
  * Universal package for all JavaScript frameworks and environments
  * Works with: Next.js, React, Vue, Nuxt, Express, NestJS, Vite, and more
  *
- * Dependencies: crypto-js (automatically installed)
+ * Crypto backends: node:crypto (Node.js), WebCrypto (browsers and workers),
+ * crypto-js (optional fallback)
  *
- * CLI Usage: node decrypt.js -t "jsdf9rej4i" -p mypass
- * ESM Import: import { decrypt } from 'ultra-compact-crypto';
- * CommonJS: const { decrypt } = require('ultra-compact-crypto');
- * Browser: <script src="decrypt.js"></script> then UltraCompactCrypto.decrypt(...)
+ * CLI Usage: ucc decrypt jsdf9rej4i (see ucc --help)
+ * ESM Import: import { encrypt, decrypt } from 'ultra-compact-crypto';
+ * CommonJS: const { encrypt, decrypt } = require('ultra-compact-crypto');
+ * Browser: <script src="decrypt.js"></script> then UltraCompactCrypto.decryptAsync(...)
  */
 
 // Universal module loader
 (function (root, factory) {
     if (typeof define === 'function' && define.amd) {
         // AMD
-        define(['crypto-js'], factory);
+        define([], function () {
+            return factory(root.CryptoJS);
+        });
     } else if (typeof module === 'object' && module.exports) {
-        // Node.js/CommonJS
+        // Node.js/CommonJS: crypto-js is only a fallback backend
+        let CryptoJS = null;
         try {
-            const CryptoJS = require('crypto-js');
-            module.exports = factory(CryptoJS);
+            CryptoJS = require('crypto-js');
         } catch (e) {
-            console.error('crypto-js not found. Install it: npm install crypto-js');
-            throw e;
+            // node:crypto is used instead
         }
+        module.exports = factory(CryptoJS);
     } else {
         // Browser globals
         root.UltraCompactCrypto = factory(root.CryptoJS);
@@ -40,15 +43,25 @@
         process.versions.node != null;
 
     // Node.js specific imports
-    let fs;
+    let fs, path, stream, nodeCrypto, zlib, tty, os, workerThreads;
     if (isNode) {
         try {
             fs = require('fs');
+            path = require('path');
+            stream = require('stream');
+            nodeCrypto = require('crypto');
+            zlib = require('zlib');
+            tty = require('tty');
+            os = require('os');
+            workerThreads = require('worker_threads');
         } catch (e) {
             // fs not available
         }
     }
 
+    // WebCrypto (browsers, workers, Deno and recent Node.js)
+    const webCrypto = typeof crypto !== 'undefined' && crypto && crypto.subtle ? crypto : null;
+
     // Colors for CLI
     const colors = {
         green: '\x1b[32m',
@@ -57,274 +70,7789 @@
         reset: '\x1b[0m'
     };
 
+    const BASE62_CHARS = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const BASE58_CHARS = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    const BASE32_CHARS = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    const BASE32_CHECK_CHARS = BASE32_CHARS + '*~$=U';
+    const BASE64URL_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    const BIG_62 = BigInt(62);
+    const BIG_8 = BigInt(8);
+
+    // Block base62: every 8 bytes become 11 characters and a trailing block of
+    // 1-7 bytes becomes the fewest characters that can hold it. The encoded
+    // length therefore fixes the byte length exactly (leading zero bytes
+    // survive) and the cost is linear in the input. Base58 needs the same
+    // number of characters per block and uses the same layout.
+    const BLOCK_BYTES = 8;
+    const BLOCK_CHARS = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+
+    /**
+     * Look up the value of a character in an alphabet
+     * @param {string} str - Encoded string
+     * @param {number} position - Character position
+     * @param {string} [alphabet=BASE62_CHARS] - Alphabet
+     * @param {number[]} [positions] - Positions in the text as given, when
+     *   str is that text with the group separators removed
+     * @returns {number} Value from 0 to the alphabet length - 1
+     * @throws InvalidCharacterError naming the character and its position
+     *   (also set as its character and position properties) if it is not in the alphabet
+     */
+    function base62Value(str, position, alphabet = BASE62_CHARS, positions) {
+        const value = alphabet.indexOf(str[position]);
+        if (value === -1) {
+            const at = positions ? positions[position] : position;
+            throw new InvalidCharacterError(`Invalid character in encrypted text: ${str[position]} at position ${at}`,
+                { position: at, character: str[position] });
+        }
+        return value;
+    }
+
+    /**
+     * Encode bytes with the block codec
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @param {string} alphabet - BASE62_CHARS or BASE58_CHARS
+     * @returns {string} Encoded string
+     */
+    function blockEncode(bytes, alphabet) {
+        const radix = BigInt(alphabet.length);
+        const blocks = [];
+        for (let offset = 0; offset < bytes.length; offset += BLOCK_BYTES) {
+            const block = bytes.subarray(offset, offset + BLOCK_BYTES);
+
+            let value = BigInt(0);
+            for (let i = 0; i < block.length; i++) {
+                value = (value << BIG_8) | BigInt(block[i]);
+            }
+
+            const chars = new Array(BLOCK_CHARS[block.length]);
+            for (let i = chars.length - 1; i >= 0; i--) {
+                chars[i] = alphabet[Number(value % radix)];
+                value /= radix;
+            }
+            blocks.push(chars.join(''));
+        }
+
+        return blocks.join('');
+    }
+
+    /**
+     * Decode a string written with the block codec
+     * @param {string} str - Encoded string
+     * @param {string} alphabet - BASE62_CHARS or BASE58_CHARS
+     * @param {string} name - Encoding name for error messages
+     * @param {number[]} [positions] - Positions in the text as given (see base62Value)
+     * @returns {Uint8Array} Decoded bytes
+     * @throws MalformedTokenError (InvalidCharacterError for a character
+     *   outside the alphabet) if the string is not valid
+     */
+    function blockDecode(str, alphabet, name, positions) {
+        const radix = BigInt(alphabet.length);
+        const fullBlocks = Math.floor(str.length / BLOCK_CHARS[BLOCK_BYTES]);
+        const tailBytes = BLOCK_CHARS.indexOf(str.length % BLOCK_CHARS[BLOCK_BYTES]);
+        if (tailBytes === -1) {
+            throw new MalformedTokenError(`Invalid ${name} length: ${str.length}`);
+        }
+
+        const bytes = new Uint8Array(fullBlocks * BLOCK_BYTES + tailBytes);
+        let position = 0;
+
+        for (let offset = 0; offset < bytes.length; offset += BLOCK_BYTES) {
+            const blockBytes = Math.min(BLOCK_BYTES, bytes.length - offset);
+            const start = positions ? positions[position] : position;
+
+            let value = BigInt(0);
+            for (let i = 0; i < BLOCK_CHARS[blockBytes]; i++) {
+                value = value * radix + BigInt(base62Value(str, position++, alphabet, positions));
+            }
+
+            if (value >> BigInt(blockBytes * 8) !== BigInt(0)) {
+                throw new MalformedTokenError(`Invalid ${name} block at position ${start}`, { position: start });
+            }
+
+            for (let i = blockBytes - 1; i >= 0; i--) {
+                bytes[offset + i] = Number(value & BigInt(0xff));
+                value >>= BIG_8;
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Encode bytes to base62 (block codec)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base62 encoded string
+     */
+    function base62Encode(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new TypeError('base62Encode expects a Uint8Array');
+        }
+        return blockEncode(bytes, BASE62_CHARS);
+    }
+
     /**
-     * Decode base62 string to hex
+     * Decode base62 string to bytes (block codec)
      * @param {string} str - Base62 encoded string
-     * @returns {string} Hex string
+     * @returns {Uint8Array} Decoded bytes
+     * @throws MalformedTokenError (InvalidCharacterError for a character
+     *   outside the alphabet) if the string is not valid block base62
      */
     function base62Decode(str) {
-        const chars = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        let result = BigInt(0);
+        if (typeof str !== 'string') {
+            throw new TypeError('base62Decode expects a string');
+        }
+        return blockDecode(str, BASE62_CHARS, 'base62');
+    }
+
+    /**
+     * Encode bytes a fixed number of bits per character (RFC 4648 order, no padding)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @param {string} alphabet - Alphabet of 2^bits characters
+     * @param {number} bits - Bits per character
+     * @returns {string} Encoded string
+     */
+    function bitsEncode(bytes, alphabet, bits) {
+        const mask = (1 << bits) - 1;
+        let chars = '';
+        let buffer = 0;
+        let count = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            buffer = (buffer << 8) | bytes[i];
+            count += 8;
+            while (count >= bits) {
+                count -= bits;
+                chars += alphabet[(buffer >> count) & mask];
+            }
+            buffer &= (1 << count) - 1;
+        }
+        return count > 0 ? chars + alphabet[(buffer << (bits - count)) & mask] : chars;
+    }
+
+    /**
+     * Decode a string written by bitsEncode
+     * @param {string} str - Encoded string
+     * @param {string} alphabet - Alphabet of 2^bits characters
+     * @param {number} bits - Bits per character
+     * @param {string} name - Encoding name for error messages
+     * @param {number[]} [positions] - Positions in the text as given (see base62Value)
+     * @returns {Uint8Array} Decoded bytes
+     * @throws MalformedTokenError (InvalidCharacterError for a character
+     *   outside the alphabet) if the string is not valid
+     */
+    function bitsDecode(str, alphabet, bits, name, positions) {
+        const bytes = new Uint8Array(Math.floor(str.length * bits / 8));
+        if (Math.ceil(bytes.length * 8 / bits) !== str.length) {
+            throw new MalformedTokenError(`Invalid ${name} length: ${str.length}`);
+        }
 
+        let buffer = 0;
+        let count = 0;
+        let offset = 0;
         for (let i = 0; i < str.length; i++) {
-            const char = str[i];
-            const value = chars.indexOf(char);
-            if (value === -1) {
-                throw new Error(`Invalid character in encrypted text: ${char}`);
+            buffer = (buffer << bits) | base62Value(str, i, alphabet, positions);
+            count += bits;
+            if (count >= 8) {
+                count -= 8;
+                bytes[offset++] = (buffer >> count) & 0xff;
             }
-            result = result * BigInt(62) + BigInt(value);
+            buffer &= (1 << count) - 1;
         }
 
-        let hex = result.toString(16);
-        if (hex.length % 2 !== 0) {
-            hex = '0' + hex;
+        // Unused bits of the last character must be zero, so each byte
+        // string has one encoding
+        if (buffer !== 0) {
+            const position = positions ? positions[str.length - 1] : str.length - 1;
+            throw new MalformedTokenError(`Invalid ${name} character at position ${position}`, { position });
         }
+        return bytes;
+    }
 
-        return hex;
+    /**
+     * Crockford base32 check symbol: the bytes as one number, mod 37
+     * @param {Uint8Array} bytes - Encoded bytes
+     * @returns {string} Check symbol
+     */
+    function base32Check(bytes) {
+        let remainder = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            remainder = (remainder * 256 + bytes[i]) % 37;
+        }
+        return BASE32_CHECK_CHARS[remainder];
     }
 
     /**
-     * Derive encryption key and IV from password using crypto-js
-     * @param {string} password - Password string
-     * @returns {Object} Object with key and iv
+     * Decode Crockford base32 with a check symbol. Letters may be in either
+     * case, and O, I and L are read as 0, 1 and 1.
+     * @param {string} str - Encoded string, check symbol last
+     * @param {number[]} [positions] - Positions in the text as given (see base62Value)
+     * @returns {Uint8Array} Decoded bytes
+     * @throws MalformedTokenError with field 'checksum' if the check symbol
+     *   does not match, or as bitsDecode
      */
-    function deriveKeyAndIV(password) {
-        // Use SHA256 for key (32 bytes)
-        const key = CryptoJS.SHA256(password);
+    function base32Decode(str, positions) {
+        const normal = str.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+        if (normal.length === 0) {
+            throw new MalformedTokenError('Invalid base32 length: 0');
+        }
 
-        // Use MD5 for IV (16 bytes) - compatible with bash script
-        const iv = CryptoJS.MD5(password);
+        const check = normal[normal.length - 1];
+        base62Value(normal, normal.length - 1, BASE32_CHECK_CHARS, positions);
+        const bytes = bitsDecode(normal.slice(0, -1), BASE32_CHARS, 5, 'base32', positions);
+        if (base32Check(bytes) !== check) {
+            throw new MalformedTokenError('Checksum mismatch: the text was mistyped or changed', { field: 'checksum' });
+        }
+        return bytes;
+    }
 
-        return { key, iv };
+    // Token encodings. base62 is the default. base58 leaves out the
+    // look-alikes 0, O, I and l. base32 is Crockford's, for text people read
+    // and type: case-insensitive, with a check symbol that catches a typo
+    // before anything is decrypted. base64url is RFC 4648 without padding.
+    // Text can be grouped with hyphens for display, except base64url, whose
+    // alphabet has the hyphen; decoding ignores them.
+    const ENCODINGS = {
+        base62: {
+            codec: 'block',
+            grouping: true,
+            encode: (bytes) => blockEncode(bytes, BASE62_CHARS),
+            decode: (str, positions) => blockDecode(str, BASE62_CHARS, 'base62', positions)
+        },
+        base58: {
+            codec: 'block',
+            grouping: true,
+            encode: (bytes) => blockEncode(bytes, BASE58_CHARS),
+            decode: (str, positions) => blockDecode(str, BASE58_CHARS, 'base58', positions)
+        },
+        base32: {
+            codec: 'bits',
+            grouping: true,
+            encode: (bytes) => bitsEncode(bytes, BASE32_CHARS, 5) + base32Check(bytes),
+            decode: base32Decode
+        },
+        base64url: {
+            codec: 'bits',
+            grouping: false,
+            encode: (bytes) => bitsEncode(bytes, BASE64URL_CHARS, 6),
+            decode: (str, positions) => bitsDecode(str, BASE64URL_CHARS, 6, 'base64url', positions)
+        }
+    };
+
+    /**
+     * Look up an encoding by name
+     * @param {string} [name='base62'] - Encoding name
+     * @returns {Object} Encoding from ENCODINGS
+     */
+    function findEncoding(name) {
+        const key = name === undefined ? 'base62' : name;
+        if (!Object.prototype.hasOwnProperty.call(ENCODINGS, key)) {
+            throw new Error(`Unknown encoding: ${name}. Use ${Object.keys(ENCODINGS).join(', ')}`);
+        }
+        return ENCODINGS[key];
     }
 
     /**
-     * Decrypt base62 encoded text
-     * @param {string} encryptedBase62 - Encrypted base62 string
-     * @param {string} password - Decryption password
-     * @returns {string} Decrypted text
+     * Encode bytes as text in one of the token encodings
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @param {Object} [options] - Options
+     * @param {string} [options.encoding='base62'] - base62, base58, base32 or base64url
+     * @param {number} [options.group] - Characters per hyphen-separated group
+     * @returns {string} Encoded text
      */
-    function decrypt(encryptedBase62, password) {
-        try {
-            if (!CryptoJS) {
-                throw new Error('crypto-js is required. Install it: npm install crypto-js');
+    function encodeBytes(bytes, options = {}) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new TypeError('encodeBytes expects a Uint8Array');
+        }
+
+        const encoding = findEncoding(options.encoding);
+        const text = encoding.encode(bytes);
+        if (options.group === undefined) {
+            return text;
+        }
+        if (!Number.isInteger(options.group) || options.group < 1) {
+            throw new Error('group must be a positive number of characters');
+        }
+        if (!encoding.grouping) {
+            throw new Error(`${options.encoding} text cannot be grouped: its alphabet has the hyphen`);
+        }
+        return text.replace(new RegExp(`(.{${options.group}})(?=.)`, 'g'), '$1-');
+    }
+
+    /**
+     * Decode text written by encodeBytes. Group hyphens are ignored, and
+     * error positions count them.
+     * @param {string} text - Encoded text
+     * @param {Object} [options] - Options
+     * @param {string} [options.encoding='base62'] - base62, base58, base32 or base64url
+     * @returns {Uint8Array} Decoded bytes
+     * @throws MalformedTokenError (InvalidCharacterError for a character
+     *   outside the alphabet) if the text is not valid
+     */
+    function decodeBytes(text, options = {}) {
+        if (typeof text !== 'string') {
+            throw new TypeError('decodeBytes expects a string');
+        }
+
+        const encoding = findEncoding(options.encoding);
+        if (!encoding.grouping || !text.includes('-')) {
+            return encoding.decode(text);
+        }
+
+        const positions = [];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] !== '-') {
+                positions.push(i);
             }
+        }
+        return encoding.decode(text.replace(/-/g, ''), positions);
+    }
 
-            // Decode base62 to hex
-            const hex = base62Decode(encryptedBase62);
+    /**
+     * Encode hex string to base62 as one number (legacy codec of v0 tokens,
+     * as written by ucc-encrypt --token-version 0). Drops leading zero bytes.
+     * @param {string} hex - Hex string
+     * @returns {string} Base62 encoded string
+     */
+    function legacyBase62Encode(hex) {
+        if (!/^[0-9a-fA-F]*$/.test(hex)) {
+            throw new Error('Invalid hex string');
+        }
 
-            // Derive key and IV
-            const { key, iv } = deriveKeyAndIV(password);
+        let value = BigInt('0x' + (hex || '0'));
+        let result = '';
 
-            // Convert hex to CryptoJS format
-            const ciphertext = CryptoJS.enc.Hex.parse(hex);
+        while (value > BigInt(0)) {
+            result = BASE62_CHARS[Number(value % BIG_62)] + result;
+            value /= BIG_62;
+        }
 
-            // Decrypt using AES-256-CBC
-            const decrypted = CryptoJS.AES.decrypt(
-                { ciphertext: ciphertext },
-                key,
-                {
-                    iv: iv,
-                    mode: CryptoJS.mode.CBC,
-                    padding: CryptoJS.pad.Pkcs7
-                }
-            );
+        return result || '0';
+    }
 
-            // Convert to UTF8 string
-            const plaintext = decrypted.toString(CryptoJS.enc.Utf8);
+    // Digits converted one at a time; longer runs are split in halves so
+    // that decoding untrusted input is not quadratic in its length
+    const LEGACY_DIGITS_PER_STEP = 64;
 
-            if (!plaintext) {
-                throw new Error('Decryption produced empty result. Check password.');
+    /**
+     * Value of a run of base62 digits
+     * @param {string} str - Base62 encoded string
+     * @param {number} start - Index of the first digit
+     * @param {number} end - Index after the last digit
+     * @param {Map<number, bigint>} powers - Cache of 62 to the power of a run length
+     * @returns {bigint} Value of str.slice(start, end)
+     */
+    function legacyBase62Value(str, start, end, powers) {
+        if (end - start <= LEGACY_DIGITS_PER_STEP) {
+            let result = BigInt(0);
+            for (let i = start; i < end; i++) {
+                result = result * BIG_62 + BigInt(base62Value(str, i));
             }
+            return result;
+        }
 
-            return plaintext;
-        } catch (error) {
-            throw new Error(`Decryption failed: ${error.message}`);
+        const middle = start + Math.ceil((end - start) / 2);
+        const lowDigits = end - middle;
+        if (!powers.has(lowDigits)) {
+            powers.set(lowDigits, BIG_62 ** BigInt(lowDigits));
         }
+        return legacyBase62Value(str, start, middle, powers) * powers.get(lowDigits) +
+            legacyBase62Value(str, middle, end, powers);
     }
 
     /**
-     * Decrypt file (Node.js only)
-     * @param {string} inputFile - Path to encrypted file
-     * @param {string} outputFile - Path to output file
-     * @param {string} password - Decryption password
-     * @returns {string} Decrypted data
+     * Decode base62 string to hex as one number (legacy codec)
+     * @param {string} str - Base62 encoded string
+     * @returns {string} Hex string
      */
-    function decryptFile(inputFile, outputFile, password) {
-        if (!isNode || !fs) {
-            throw new Error('decryptFile is only available in Node.js environment');
+    function legacyBase62Decode(str) {
+        let hex = legacyBase62Value(str, 0, str.length, new Map()).toString(16);
+        if (hex.length % 2 !== 0) {
+            hex = '0' + hex;
         }
 
-        try {
-            const base62String = fs.readFileSync(inputFile, 'utf8').trim();
-            const decrypted = decrypt(base62String, password);
+        return hex;
+    }
 
-            if (outputFile) {
-                fs.writeFileSync(outputFile, decrypted);
+    /**
+     * Convert hex to bytes
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} Bytes
+     */
+    function hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convert bytes to hex
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Hex string
+     */
+    function bytesToHex(bytes) {
+        return Array.from(bytes)
+            .map((b) => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {...Uint8Array} arrays - Byte arrays
+     * @returns {Uint8Array} Concatenated bytes
+     */
+    function concatBytes(...arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+        let offset = 0;
+        for (const array of arrays) {
+            result.set(array, offset);
+            offset += array.length;
+        }
+        return result;
+    }
+
+    /**
+     * Encode text as UTF-8 bytes
+     * @param {string} text - Text
+     * @returns {Uint8Array} UTF-8 bytes
+     */
+    function utf8Encode(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Decode UTF-8 bytes, rejecting malformed input
+     * @param {Uint8Array} bytes - UTF-8 bytes
+     * @returns {string} Text
+     */
+    function utf8Decode(bytes) {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    }
+
+    // MD5 per-round shift amounts and sine-derived constants
+    const MD5_SHIFTS = [[7, 12, 17, 22], [5, 9, 14, 20], [4, 11, 16, 23], [6, 10, 15, 21]];
+    const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+    /**
+     * MD5 digest (RFC 1321). Only needed for the IV of legacy v0 tokens,
+     * which WebCrypto cannot compute.
+     * @param {Uint8Array} data - Data to hash
+     * @returns {Uint8Array} 16-byte digest
+     */
+    function md5(data) {
+        const padded = new Uint8Array((((data.length + 8) >>> 6) + 1) << 6);
+        padded.set(data);
+        padded[data.length] = 0x80;
+
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, (data.length * 8) >>> 0, true);
+        view.setUint32(padded.length - 4, Math.floor(data.length / 0x20000000), true);
+
+        const state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476];
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            let [a, b, c, d] = state;
+
+            for (let i = 0; i < 64; i++) {
+                let f, g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const shift = MD5_SHIFTS[i >> 4][i & 3];
+                const sum = (a + f + MD5_K[i] + view.getUint32(offset + g * 4, true)) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
             }
 
-            return decrypted;
-        } catch (error) {
-            throw new Error(`File decryption failed: ${error.message}`);
+            state[0] = (state[0] + a) | 0;
+            state[1] = (state[1] + b) | 0;
+            state[2] = (state[2] + c) | 0;
+            state[3] = (state[3] + d) | 0;
         }
+
+        const digest = new Uint8Array(16);
+        const digestView = new DataView(digest.buffer);
+        state.forEach((word, i) => digestView.setUint32(i * 4, word, true));
+        return digest;
     }
 
+    // Crypto backends. Each one offers the same primitives on Uint8Array:
+    //   randomBytes(length)
+    //   sha256(data), md5(data), hmacSha256(key, data)
+    //   pbkdf2Sha256(password, salt, iterations, length)
+    //   aesCbcEncrypt(key, iv, plaintext)  - AES-256-CBC with PKCS7 padding
+    //   aesCbcDecrypt(key, iv, ciphertext) - plaintext, or null if the padding is invalid
+    //   aesCtr(key, counter, data)         - AES-256-CTR (encrypts and decrypts)
+    // Synchronous backends return values, asynchronous ones return promises.
+
     /**
-     * Async version of decrypt (for consistency across environments)
-     * @param {string} encryptedBase62 - Encrypted base62 string
-     * @param {string} password - Decryption password
-     * @returns {Promise<string>} Decrypted text
+     * Create the node:crypto backend
+     * @param {Object} nodeCrypto - Node.js crypto module
+     * @returns {Object} Synchronous backend
      */
-    async function decryptAsync(encryptedBase62, password) {
-        return decrypt(encryptedBase62, password);
+    function createNodeBackend(nodeCrypto) {
+        const digest = (algorithm, data) => nodeCrypto.createHash(algorithm).update(data).digest();
+
+        return {
+            name: 'node',
+            sync: true,
+            randomBytes: (length) => nodeCrypto.randomBytes(length),
+            sha256: (data) => digest('sha256', data),
+            md5: (data) => digest('md5', data),
+            hmacSha256: (key, data) => nodeCrypto.createHmac('sha256', key).update(data).digest(),
+            pbkdf2Sha256: (password, salt, iterations, length) =>
+                nodeCrypto.pbkdf2Sync(password, salt, iterations, length, 'sha256'),
+            aesCbcEncrypt(key, iv, plaintext) {
+                const cipher = nodeCrypto.createCipheriv('aes-256-cbc', key, iv);
+                return Buffer.concat([cipher.update(plaintext), cipher.final()]);
+            },
+            aesCbcDecrypt(key, iv, ciphertext) {
+                const decipher = nodeCrypto.createDecipheriv('aes-256-cbc', key, iv);
+                try {
+                    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+                } catch (error) {
+                    return null;
+                }
+            },
+            aesCtr(key, counter, data) {
+                const cipher = nodeCrypto.createCipheriv('aes-256-ctr', key, counter);
+                return Buffer.concat([cipher.update(data), cipher.final()]);
+            }
+        };
     }
 
     /**
-     * Async version of decryptFile (Node.js only)
-     * @param {string} inputFile - Path to encrypted file
-     * @param {string} outputFile - Path to output file
-     * @param {string} password - Decryption password
-     * @returns {Promise<string>} Decrypted data
+     * Create the WebCrypto backend
+     * @param {Crypto} webCrypto - WebCrypto implementation
+     * @returns {Object} Asynchronous backend
      */
-    async function decryptFileAsync(inputFile, outputFile, password) {
-        return decryptFile(inputFile, outputFile, password);
+    function createWebCryptoBackend(webCrypto) {
+        const subtle = webCrypto.subtle;
+        const importKey = (key, algorithm, usages) => subtle.importKey('raw', key, algorithm, false, usages);
+        const hmacAlgorithm = { name: 'HMAC', hash: 'SHA-256' };
+
+        return {
+            name: 'webcrypto',
+            sync: false,
+            randomBytes(length) {
+                // getRandomValues is limited to 64 KiB per call
+                const bytes = new Uint8Array(length);
+                for (let offset = 0; offset < length; offset += 65536) {
+                    webCrypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+                }
+                return bytes;
+            },
+            sha256: async (data) => new Uint8Array(await subtle.digest('SHA-256', data)),
+            md5: async (data) => md5(data),
+            async hmacSha256(key, data) {
+                const hmacKey = await importKey(key, hmacAlgorithm, ['sign']);
+                return new Uint8Array(await subtle.sign('HMAC', hmacKey, data));
+            },
+            async pbkdf2Sha256(password, salt, iterations, length) {
+                const baseKey = await importKey(password, 'PBKDF2', ['deriveBits']);
+                const bits = await subtle.deriveBits(
+                    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+                    baseKey,
+                    length * 8
+                );
+                return new Uint8Array(bits);
+            },
+            async aesCbcEncrypt(key, iv, plaintext) {
+                const aesKey = await importKey(key, 'AES-CBC', ['encrypt']);
+                return new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv }, aesKey, plaintext));
+            },
+            async aesCbcDecrypt(key, iv, ciphertext) {
+                const aesKey = await importKey(key, 'AES-CBC', ['decrypt']);
+                try {
+                    return new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, aesKey, ciphertext));
+                } catch (error) {
+                    return null;
+                }
+            },
+            async aesCtr(key, counter, data) {
+                const aesKey = await importKey(key, 'AES-CTR', ['encrypt']);
+                return new Uint8Array(await subtle.encrypt({ name: 'AES-CTR', counter, length: 128 }, aesKey, data));
+            }
+        };
     }
 
-    // CLI functions (Node.js only)
-    function printUsage() {
-        console.log('Usage: node decrypt.js [OPTIONS]');
-        console.log('');
-        console.log('Options:');
-        console.log('  -t, --text TEXT        Encrypted text to decrypt');
-        console.log('  -f, --file FILE        Encrypted file to decrypt');
-        console.log('  -p, --password PASS    Decryption password (required)');
-        console.log('  -o, --output FILE      Output file (optional)');
-        console.log('  -h, --help             Show help');
-        console.log('');
-        console.log('Examples:');
-        console.log('  node decrypt.js -t "jsdf9rej4i" -p mypass');
-        console.log('  node decrypt.js -f encrypted.enc -p mypass -o decrypted.txt');
-    }
-
-    function parseArgs() {
-        if (!isNode) return {};
+    /**
+     * Create the crypto-js backend
+     * @param {Object} CryptoJS - crypto-js library
+     * @returns {Object} Synchronous backend
+     */
+    function createCryptoJSBackend(CryptoJS) {
+        const toWordArray = (bytes) => {
+            const words = [];
+            for (let i = 0; i < bytes.length; i += 4) {
+                words.push(
+                    ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0
+                );
+            }
+            return CryptoJS.lib.WordArray.create(words, bytes.length);
+        };
+        const toBytes = (wordArray) => {
+            const bytes = new Uint8Array(wordArray.sigBytes);
+            for (let i = 0; i < wordArray.sigBytes; i++) {
+                bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+            }
+            return bytes;
+        };
+        const aes = (key, iv, mode, padding) => [toWordArray(key), {
+            iv: toWordArray(iv),
+            mode: mode,
+            padding: padding
+        }];
 
-        const args = {
-            text: null,
-            file: null,
-            password: null,
-            output: null
+        return {
+            name: 'cryptojs',
+            sync: true,
+            randomBytes: (length) => toBytes(CryptoJS.lib.WordArray.random(length)),
+            sha256: (data) => toBytes(CryptoJS.SHA256(toWordArray(data))),
+            md5: (data) => toBytes(CryptoJS.MD5(toWordArray(data))),
+            hmacSha256: (key, data) => toBytes(CryptoJS.HmacSHA256(toWordArray(data), toWordArray(key))),
+            pbkdf2Sha256: (password, salt, iterations, length) => toBytes(CryptoJS.PBKDF2(
+                toWordArray(password),
+                toWordArray(salt),
+                { keySize: length / 4, iterations: iterations, hasher: CryptoJS.algo.SHA256 }
+            )),
+            aesCbcEncrypt(key, iv, plaintext) {
+                const encrypted = CryptoJS.AES.encrypt(toWordArray(plaintext), ...aes(key, iv, CryptoJS.mode.CBC, CryptoJS.pad.Pkcs7));
+                return toBytes(encrypted.ciphertext);
+            },
+            aesCbcDecrypt(key, iv, ciphertext) {
+                const decrypted = toBytes(CryptoJS.AES.decrypt(
+                    { ciphertext: toWordArray(ciphertext) },
+                    ...aes(key, iv, CryptoJS.mode.CBC, CryptoJS.pad.NoPadding)
+                ));
+                return unpadPkcs7(decrypted);
+            },
+            aesCtr(key, counter, data) {
+                // crypto-js only increments the last 32 bits of the counter;
+                // SIV counters leave room for that (see sivCounter)
+                const encrypted = CryptoJS.AES.encrypt(
+                    toWordArray(data),
+                    ...aes(key, counter, CryptoJS.mode.CTR, CryptoJS.pad.NoPadding)
+                );
+                return toBytes(encrypted.ciphertext);
+            }
         };
+    }
 
-        for (let i = 2; i < process.argv.length; i++) {
-            switch (process.argv[i]) {
-                case '-t':
-                case '--text':
-                    args.text = process.argv[++i];
-                    break;
-                case '-f':
-                case '--file':
-                    args.file = process.argv[++i];
-                    break;
-                case '-p':
-                case '--password':
-                    args.password = process.argv[++i];
-                    break;
-                case '-o':
-                case '--output':
-                    args.output = process.argv[++i];
-                    break;
-                case '-h':
-                case '--help':
-                    printUsage();
-                    process.exit(0);
-                    break;
-                default:
-                    console.error(`${colors.red}Unknown option: ${process.argv[i]}${colors.reset}`);
-                    printUsage();
-                    process.exit(1);
+    /**
+     * Remove and validate PKCS7 padding
+     * @param {Uint8Array} bytes - Padded plaintext
+     * @returns {Uint8Array|null} Plaintext, or null if the padding is invalid
+     */
+    function unpadPkcs7(bytes) {
+        const padding = bytes[bytes.length - 1];
+
+        if (!(padding >= 1 && padding <= 16) || padding > bytes.length) {
+            return null;
+        }
+        for (let i = 1; i <= padding; i++) {
+            if (bytes[bytes.length - i] !== padding) {
+                return null;
             }
         }
 
-        return args;
+        return bytes.subarray(0, bytes.length - padding);
     }
 
-    function runCLI() {
-        if (!isNode) {
-            console.error('CLI mode is only available in Node.js environment');
-            return;
+    // Available backends, in order of preference
+    const backends = {};
+    if (nodeCrypto) {
+        backends.node = createNodeBackend(nodeCrypto);
+    }
+    if (webCrypto) {
+        backends.webcrypto = createWebCryptoBackend(webCrypto);
+    }
+    if (CryptoJS) {
+        backends.cryptojs = createCryptoJSBackend(CryptoJS);
+    }
+
+    let defaultBackend = null;
+
+    /**
+     * List the crypto backends available in this environment
+     * @returns {string[]} Backend names, in order of preference
+     */
+    function getBackends() {
+        return Object.keys(backends);
+    }
+
+    /**
+     * Select the crypto backend used when a call does not name one
+     * @param {string|null} name - 'node', 'webcrypto', 'cryptojs', or null for automatic selection
+     */
+    function setBackend(name) {
+        if (name !== null && !backends[name]) {
+            throw new Error(`Crypto backend not available: ${name}`);
         }
+        defaultBackend = name;
+    }
 
-        const args = parseArgs();
+    /**
+     * Pick the backend for a call
+     * @param {string} [name] - Backend requested by the caller
+     * @param {boolean} sync - Whether the caller needs a synchronous backend
+     * @returns {Object} Backend
+     */
+    function resolveBackend(name, sync) {
+        const requested = name || defaultBackend;
 
-        if (!args.password) {
-            console.error(`${colors.red}Error: Password required${colors.reset}`);
-            printUsage();
-            process.exit(1);
+        if (requested) {
+            const backend = backends[requested];
+            if (!backend) {
+                throw new Error(`Crypto backend not available: ${requested}`);
+            }
+            if (sync && !backend.sync) {
+                throw new Error(`The ${requested} backend is asynchronous. Use the Async variant of this function`);
+            }
+            return backend;
         }
 
-        if (!args.text && !args.file) {
-            console.error(`${colors.red}Error: Provide text (-t) or file (-f)${colors.reset}`);
-            printUsage();
-            process.exit(1);
+        const backend = getBackends()
+            .map((key) => backends[key])
+            .find((candidate) => candidate.sync || !sync);
+        if (!backend) {
+            throw new Error(sync
+                ? 'No synchronous crypto backend available. Use the Async variant of this function or load crypto-js'
+                : 'No crypto backend available. Install crypto-js: npm install crypto-js');
         }
+        return backend;
+    }
 
-        try {
-            if (args.text) {
-                console.log(`${colors.green}Decrypting text...${colors.reset}`);
-                const decrypted = decrypt(args.text, args.password);
+    // Token routines are generators that yield backend results, so the same
+    // code runs synchronously (runSync) or on promises (runAsync).
 
-                if (args.output) {
-                    fs.writeFileSync(args.output, decrypted);
-                    console.log(`${colors.green}Decrypted text saved to: ${args.output}${colors.reset}`);
-                } else {
-                    console.log('');
-                    console.log(`${colors.yellow}Decrypted text:${colors.reset}`);
-                    console.log(decrypted);
-                }
+    /**
+     * Run a token routine with a synchronous backend
+     * @param {Iterator} routine - Generator yielding backend results
+     * @returns {*} Routine result
+     */
+    function runSync(routine) {
+        let step = routine.next();
+        while (!step.done) {
+            if (step.value && typeof step.value.then === 'function') {
+                step.value.catch(() => {});
+                throw new Error('Backend returned a promise. Use the Async variant of this function');
             }
+            step = routine.next(step.value);
+        }
+        return step.value;
+    }
 
-            if (args.file) {
-                if (!fs.existsSync(args.file)) {
-                    console.error(`${colors.red}Error: File '${args.file}' not found${colors.reset}`);
-                    process.exit(1);
-                }
+    /**
+     * Run a token routine, awaiting backend results
+     * @param {Iterator} routine - Generator yielding backend results or promises
+     * @returns {Promise<*>} Routine result
+     */
+    async function runAsync(routine) {
+        let step = routine.next();
+        while (!step.done) {
+            let value;
+            try {
+                value = await step.value;
+            } catch (error) {
+                step = routine.throw(error);
+                continue;
+            }
+            step = routine.next(value);
+        }
+        return step.value;
+    }
 
-                console.log(`${colors.green}Decrypting file...${colors.reset}`);
+    // Compression applied to the plaintext before encryption. zlib provides all
+    // algorithms on Node.js; elsewhere CompressionStream provides gzip and
+    // deflate-raw, asynchronously.
+    const COMPRESSIONS = {
+        none: 0,
+        gzip: 1,
+        'deflate-raw': 2,
+        brotli: 3
+    };
 
-                const outputFile = args.output || args.file.replace(/\.enc$/, '.dec');
-                decryptFile(args.file, outputFile, args.password);
+    // Candidates for compression 'auto'. gzip is left out: it is deflate-raw
+    // plus an 18-byte header and trailer, so it never wins.
+    const AUTO_COMPRESSIONS = ['deflate-raw', 'brotli'];
 
-                console.log(`${colors.green}File decrypted: ${outputFile}${colors.reset}`);
-                const stats = fs.statSync(outputFile);
-                console.log(`Size: ${(stats.size / 1024).toFixed(2)} KB`);
-            }
+    /**
+     * Look up a compression algorithm by name or id
+     * @param {string|number} compression - Algorithm name or header id
+     * @returns {string|null} Algorithm name, or null
+     */
+    function findCompression(compression) {
+        return Object.keys(COMPRESSIONS).find((name) =>
+            name === compression || COMPRESSIONS[name] === compression) || null;
+    }
 
-            console.log('');
-            console.log(`${colors.green}Decryption successful!${colors.reset}`);
+    /**
+     * Check whether an algorithm can be used in this environment
+     * @param {string} algorithm - 'gzip', 'deflate-raw' or 'brotli'
+     * @returns {boolean} True if compressBytes and decompressBytes support it
+     */
+    function hasCompression(algorithm) {
+        return Boolean(zlib) || (typeof CompressionStream !== 'undefined' && algorithm !== 'brotli');
+    }
 
-        } catch (error) {
-            console.error(`${colors.red}${error.message}${colors.reset}`);
-            console.error('Possible causes:');
-            console.error('  - Incorrect password');
-            console.error('  - Invalid encrypted data');
-            console.error('  - Corrupted data');
-            process.exit(1);
-        }
+    /**
+     * Run bytes through a CompressionStream or DecompressionStream
+     * @param {TransformStream} transform - Stream to run the bytes through
+     * @param {Uint8Array} data - Input bytes
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    async function pipeBytes(transform, data) {
+        const output = new Response(new Blob([data]).stream().pipeThrough(transform));
+        return new Uint8Array(await output.arrayBuffer());
     }
 
-    // Run as CLI if executed directly in Node.js
-    if (isNode && require.main === module) {
-        runCLI();
+    /**
+     * Compress bytes
+     * @param {string} algorithm - 'gzip', 'deflate-raw' or 'brotli'
+     * @param {Uint8Array} data - Bytes to compress
+     * @returns {Uint8Array|Promise<Uint8Array>} Compressed bytes; a promise without zlib
+     */
+    function compressBytes(algorithm, data) {
+        if (!hasCompression(algorithm)) {
+            throw new Error(`${algorithm} compression is not available in this environment`);
+        }
+        if (zlib) {
+            switch (algorithm) {
+                case 'gzip':
+                    return zlib.gzipSync(data, { level: zlib.constants.Z_BEST_COMPRESSION });
+                case 'deflate-raw':
+                    return zlib.deflateRawSync(data, { level: zlib.constants.Z_BEST_COMPRESSION });
+                case 'brotli':
+                    return zlib.brotliCompressSync(data, {
+                        params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length }
+                    });
+            }
+        }
+        return pipeBytes(new CompressionStream(algorithm), data);
+    }
+
+    /**
+     * Decompress bytes
+     * @param {string} algorithm - 'gzip', 'deflate-raw' or 'brotli'
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Uint8Array|Promise<Uint8Array>} Decompressed bytes; a promise without zlib
+     */
+    function decompressBytes(algorithm, data) {
+        if (!hasCompression(algorithm)) {
+            throw new Error(`${algorithm} decompression is not available in this environment`);
+        }
+        if (zlib) {
+            switch (algorithm) {
+                case 'gzip':
+                    return zlib.gunzipSync(data);
+                case 'deflate-raw':
+                    return zlib.inflateRawSync(data);
+                case 'brotli':
+                    return zlib.brotliDecompressSync(data);
+            }
+        }
+        return pipeBytes(new DecompressionStream(algorithm), data);
+    }
+
+    /**
+     * Number of AES-CBC ciphertext bytes for a plaintext length
+     * @param {number} length - Plaintext length
+     * @returns {number} Ciphertext length including PKCS7 padding
+     */
+    function paddedLength(length) {
+        return (Math.floor(length / 16) + 1) * 16;
+    }
+
+    /**
+     * Apply the compression encryption option
+     * @param {Uint8Array} data - Plaintext bytes
+     * @param {string} [compression='none'] - Algorithm name, or 'auto' for the
+     *   shortest output (uncompressed unless compression saves a cipher block)
+     * @returns {Object} Object with compression (algorithm name) and data
+     */
+    function* compressPlaintext(data, compression = 'none') {
+        if (compression === 'auto') {
+            let best = { compression: 'none', data };
+            for (const candidate of AUTO_COMPRESSIONS.filter(hasCompression)) {
+                const compressed = yield compressBytes(candidate, data);
+                if (paddedLength(compressed.length) < paddedLength(best.data.length)) {
+                    best = { compression: candidate, data: compressed };
+                }
+            }
+            return best;
+        }
+
+        if (findCompression(compression) === null) {
+            throw new Error(`Unsupported compression: ${compression}`);
+        }
+        if (compression === 'none') {
+            return { compression, data };
+        }
+        return { compression, data: yield compressBytes(compression, data) };
+    }
+
+    /**
+     * Undo the compression recorded in a token header
+     * @param {string} compression - Algorithm name
+     * @param {Uint8Array} data - Decrypted bytes
+     * @returns {Uint8Array} Plaintext bytes
+     */
+    function* decompressPlaintext(compression, data) {
+        if (compression === 'none') {
+            return data;
+        }
+        if (!hasCompression(compression)) {
+            throw new Error(`${compression} decompression is not available in this environment`);
+        }
+
+        try {
+            return yield decompressBytes(compression, data);
+        } catch (error) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed token: invalid ${compression} data`);
+        }
+    }
+
+    // Versioned token envelope:
+    //   v1: magic (1) | version (1) | kdf (1) | cost (1) | salt (16) | iv (16) | ciphertext
+    //   v2: magic (1) | version (1) | kdf (1) | cost (1) | salt (16) | iv (16) | check (2)
+    //       | ciphertext | tag (16)
+    //   v3: magic (1) | version (1) | kdf (1) | cost (1) | options (1) | [key id (4)]
+    //       | [issued at (4) | ttl (4)] | [purpose check (2)]
+    //       | salt (16) | iv (16) | check (2) | ciphertext | tag (16)
+    //   v3 deterministic: magic (1) | version (1) | kdf (1) | cost (1) | options (1)
+    //       | [key id (4)] | check (2) | siv (16) | ciphertext
+    //   v3 public key: magic (1) | version (1) | kdf (1) | recipients (1) | options (1)
+    //       | [issued at (4) | ttl (4)] | [purpose check (2)] | ephemeral key (32)
+    //       | [recipient id (4) | wrapped key (32)] per recipient if there are several
+    //       | iv (16) | check (2) | ciphertext | tag (16)
+    // v2 and v3 are encrypt-then-MAC: the tag is a truncated HMAC-SHA256 over
+    // the whole envelope and any associated data, and the check value lets
+    // decrypt tell a wrong password apart from a modified token. The v3
+    // options byte holds the compression applied before encryption (see
+    // COMPRESSIONS) in its low bits and flags for the optional fields:
+    // TOKEN_FLAG_KEY_ID marks a keyring key id (see createKeyring),
+    // TOKEN_FLAG_EXPIRY the issue time and lifetime in seconds, and
+    // TOKEN_FLAG_PURPOSE a token bound to a purpose. The purpose itself is not
+    // stored; it is authenticated like associated data, and the purpose check
+    // (a keyed hash of it) tells a wrong purpose apart from a modified token.
+    // TOKEN_FLAG_SIV marks a deterministic token: AES-SIV (RFC 5297) with a
+    // key derived from the password and the caller's context (see
+    // deterministicSalt), so equal plaintexts under the same password and
+    // context give equal tokens. Its synthetic IV authenticates the header, any
+    // associated data and the plaintext; the ciphertext is not padded.
+    // Public-key tokens (kdf KDF_X25519) take the master key from an X25519
+    // key agreement between a fresh ephemeral key and the recipient key; with
+    // several recipients the master key is random and wrapped for each one.
+    // Versioned tokens are written with the block base62 codec. Tokens without
+    // this header are legacy v0 tokens (fixed key and IV from the password, as
+    // produced by ucc-encrypt --token-version 0) and use the legacy codec, as
+    // do versioned tokens from releases before the block codec. Legacy
+    // ciphertext is whole AES blocks, so a token whose length is not a
+    // multiple of 16 bytes and that starts with the magic byte is always
+    // versioned; deterministic tokens, which can be any length, are only read
+    // with the block codec.
+    const TOKEN_MAGIC = 0x75;
+    const TOKEN_VERSION = 3;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 16;
+    const CHECK_BYTES = 2;
+    const TAG_BYTES = 16;
+    const KEY_ID_BYTES = 4;
+    const COMPRESSION_MASK = 0x0f;
+    const TOKEN_FLAG_KEY_ID = 0x10;
+    const TOKEN_FLAG_EXPIRY = 0x20;
+    const TOKEN_FLAG_PURPOSE = 0x40;
+    const TOKEN_FLAG_SIV = 0x80;
+    const TOKEN_FLAGS = TOKEN_FLAG_KEY_ID | TOKEN_FLAG_EXPIRY | TOKEN_FLAG_PURPOSE | TOKEN_FLAG_SIV;
+    const EXPIRY_BYTES = 8;
+    const PURPOSE_CHECK_BYTES = 2;
+    const MAX_TTL = 0xffffffff;
+    const SIV_BYTES = 16;
+    const DETERMINISTIC_SALT = utf8Encode('ultra-compact-crypto deterministic');
+    const MODES = ['randomized', 'deterministic'];
+    const X25519_KEY_BYTES = 32;
+    const RECIPIENT_SLOT_BYTES = KEY_ID_BYTES + 32;
+    const PARAMS_BYTES = { 1: 4, 2: 4, 3: 5 };
+    const HEADER_BYTES = {
+        1: PARAMS_BYTES[1] + SALT_BYTES + IV_BYTES,
+        2: PARAMS_BYTES[2] + SALT_BYTES + IV_BYTES + CHECK_BYTES,
+        3: PARAMS_BYTES[3] + SALT_BYTES + IV_BYTES + CHECK_BYTES
+    };
+    const TRAILER_BYTES = { 1: 0, 2: TAG_BYTES, 3: TAG_BYTES };
+
+    // Seconds of clock difference accepted when checking token expiry
+    const DEFAULT_CLOCK_TOLERANCE = 30;
+
+    // Key derivation functions; cost is log2 of the work factor
+    const KDF_PBKDF2 = 1;
+    const KDFS = {
+        pbkdf2: { id: KDF_PBKDF2, defaultCost: 16, minCost: 10, maxCost: 24 }
+    };
+
+    // Public-key tokens derive no key from a password: this KDF id marks an
+    // X25519 key agreement (see sealRecipients), and their cost byte holds
+    // the number of recipients. It is kept out of KDFS so that passwords
+    // and chunked files cannot name it.
+    const KDF_X25519 = 2;
+    const X25519_KDF = { name: 'x25519', id: KDF_X25519, minCost: 1, maxCost: 255 };
+
+    // Error codes of failures the caller can act on; every error thrown
+    // with one of them is an instance of the matching class below
+    const ERROR_CODES = Object.freeze({
+        MALFORMED: 'MALFORMED',
+        WRONG_KEY: 'WRONG_KEY',
+        TAMPERED: 'TAMPERED',
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+        EXPIRED: 'EXPIRED',
+        NOT_YET_VALID: 'NOT_YET_VALID',
+        WRONG_PURPOSE: 'WRONG_PURPOSE',
+        FILE_NOT_FOUND: 'FILE_NOT_FOUND'
+    });
+
+    /**
+     * Base class of the errors carrying a code. Details such as the
+     * position of an invalid character, the field and byte offset of a
+     * malformed header or the expiry time of an expired token are own
+     * properties, next to code.
+     */
+    class CryptoError extends Error {
+        /**
+         * @param {string} message - Error message
+         * @param {Object} [details] - Extra properties (and code, for the base class)
+         */
+        constructor(message, details) {
+            super(message);
+            // The code of the class becomes an own property, so that it
+            // survives Object.assign and JSON like the details
+            Object.assign(this, { code: this.code }, details);
+        }
+
+        /**
+         * @returns {Object} name, code, message and details, for logging
+         *   and --json output
+         */
+        toJSON() {
+            return Object.assign({ name: this.name, message: this.message }, this);
+        }
+    }
+
+    /** Token or file that is not in any supported format (MALFORMED) */
+    class MalformedTokenError extends CryptoError {}
+
+    /** Character outside the base62 alphabet (MALFORMED; position, character) */
+    class InvalidCharacterError extends MalformedTokenError {}
+
+    /** Wrong password, key or private key (WRONG_KEY) */
+    class WrongKeyError extends CryptoError {}
+
+    /** Data or associated data that fails authentication (TAMPERED) */
+    class TamperedError extends CryptoError {}
+
+    /** Format version this release cannot read (UNSUPPORTED_VERSION) */
+    class UnsupportedVersionError extends CryptoError {}
+
+    /** Token past its lifetime (EXPIRED; issuedAt, expiresAt) */
+    class ExpiredError extends CryptoError {}
+
+    /** Token issued in the future (NOT_YET_VALID; issuedAt, expiresAt) */
+    class NotYetValidError extends CryptoError {}
+
+    /** Token bound to another purpose, or to one that was not given (WRONG_PURPOSE) */
+    class WrongPurposeError extends CryptoError {}
+
+    /** Input file or directory that does not exist (FILE_NOT_FOUND; path) */
+    class FileNotFoundError extends CryptoError {}
+
+    // Error classes by code, with their names kept on the prototype so that
+    // minifiers cannot change them
+    const ERROR_CLASSES = {};
+    [
+        [CryptoError, 'CryptoError', undefined],
+        [MalformedTokenError, 'MalformedTokenError', ERROR_CODES.MALFORMED],
+        [InvalidCharacterError, 'InvalidCharacterError', ERROR_CODES.MALFORMED],
+        [WrongKeyError, 'WrongKeyError', ERROR_CODES.WRONG_KEY],
+        [TamperedError, 'TamperedError', ERROR_CODES.TAMPERED],
+        [UnsupportedVersionError, 'UnsupportedVersionError', ERROR_CODES.UNSUPPORTED_VERSION],
+        [ExpiredError, 'ExpiredError', ERROR_CODES.EXPIRED],
+        [NotYetValidError, 'NotYetValidError', ERROR_CODES.NOT_YET_VALID],
+        [WrongPurposeError, 'WrongPurposeError', ERROR_CODES.WRONG_PURPOSE],
+        [FileNotFoundError, 'FileNotFoundError', ERROR_CODES.FILE_NOT_FOUND]
+    ].forEach(([ErrorClass, name, code]) => {
+        Object.defineProperty(ErrorClass.prototype, 'name', { value: name, writable: true, configurable: true });
+        Object.defineProperty(ErrorClass.prototype, 'code', { value: code, writable: true, configurable: true });
+        if (code && !ERROR_CLASSES[code]) {
+            ERROR_CLASSES[code] = ErrorClass;
+        }
+    });
+
+    /**
+     * Create an error carrying one of ERROR_CODES
+     * @param {string} code - Error code (codes outside ERROR_CODES, such as
+     *   the USAGE code of the CLI, give a plain CryptoError)
+     * @param {string} message - Error message
+     * @param {Object} [details] - Extra properties, such as the field and
+     *   byte offset of a malformed token
+     * @returns {CryptoError} Error of the class for code
+     */
+    function codedError(code, message, details) {
+        const ErrorClass = ERROR_CLASSES[code] || CryptoError;
+        return new ErrorClass(message, Object.assign({ code }, details));
+    }
+
+    /**
+     * Prefix an error message, keeping its class, code and other properties
+     * (such as the expiry time of an EXPIRED error)
+     * @param {string} prefix - Message prefix
+     * @param {Error} error - Original error
+     * @returns {Error} Wrapped error
+     */
+    function wrapError(prefix, error) {
+        const message = `${prefix}: ${error.message}`;
+        return error instanceof CryptoError
+            ? new error.constructor(message, error)
+            : Object.assign(new Error(message), error);
+    }
+
+    /**
+     * Turn a missing file error of node:fs into a FileNotFoundError
+     * @param {Error} error - Any error
+     * @returns {Error} FileNotFoundError for ENOENT, otherwise error
+     */
+    function fileSystemError(error) {
+        if (error && error.code === 'ENOENT' && typeof error.path === 'string') {
+            return new FileNotFoundError(`File not found: ${error.path}`, { path: error.path });
+        }
+        return error;
+    }
+
+    /**
+     * Derive the fixed key and IV of legacy v0 tokens
+     * @param {Object} backend - Crypto backend
+     * @param {string} password - Password string
+     * @returns {Object} Object with key and iv
+     */
+    function* legacyKeyAndIV(backend, password) {
+        // Use SHA256 for key (32 bytes)
+        const key = yield backend.sha256(utf8Encode(password));
+
+        // Use MD5 for IV (16 bytes) - compatible with bash script
+        const iv = yield backend.md5(utf8Encode(password));
+
+        return { key, iv };
+    }
+
+    /**
+     * Derive encryption key and IV from password (legacy v0 tokens)
+     * @param {string} password - Password string
+     * @param {Object} [options] - Options
+     * @param {string} [options.backend] - Crypto backend
+     * @returns {Object} Object with key (32 bytes) and iv (16 bytes) as Uint8Array
+     */
+    function deriveKeyAndIV(password, options = {}) {
+        return runSync(legacyKeyAndIV(resolveBackend(options.backend, true), password));
+    }
+
+    /**
+     * Look up a KDF by name or id
+     * @param {string|number} kdf - KDF name or header id
+     * @returns {Object|null} KDF descriptor with its name, or null
+     */
+    function findKdf(kdf) {
+        for (const name of Object.keys(KDFS)) {
+            if (name === kdf || KDFS[name].id === kdf) {
+                return Object.assign({ name }, KDFS[name]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve and validate the kdf and cost encryption options
+     * @param {Object} options - Encryption options
+     * @returns {Object} Object with kdf (descriptor) and cost
+     */
+    function resolveKdfOptions(options) {
+        const kdf = findKdf(options.kdf || 'pbkdf2');
+        if (!kdf) {
+            throw new Error(`Unsupported KDF: ${options.kdf}`);
+        }
+
+        const cost = options.cost === undefined ? kdf.defaultCost : options.cost;
+        if (!Number.isInteger(cost) || cost < kdf.minCost || cost > kdf.maxCost) {
+            throw new Error(`KDF cost must be an integer from ${kdf.minCost} to ${kdf.maxCost}`);
+        }
+
+        return { kdf, cost };
+    }
+
+    /**
+     * Reject a token or file whose header asks for more key derivation work
+     * than the caller accepts. The cost byte is not authenticated until the
+     * key is derived, so without this limit a forged header could make one
+     * decryption run for seconds.
+     * @param {Object} kdf - KDF descriptor from findKdf
+     * @param {number} cost - Cost from the header
+     * @param {Object} options - Decryption options
+     * @param {number} [options.maxCost] - Highest cost accepted (default: the
+     *   default cost of the KDF)
+     * @param {string} kind - 'token', 'file' or 'archive', for error messages
+     * @throws CryptoError with code MALFORMED if cost is above the limit
+     */
+    function checkMaxCost(kdf, cost, options, kind) {
+        const maxCost = options.maxCost === undefined ? kdf.defaultCost : options.maxCost;
+        if (!Number.isInteger(maxCost) || maxCost < kdf.minCost || maxCost > kdf.maxCost) {
+            throw new Error(`maxCost must be an integer from ${kdf.minCost} to ${kdf.maxCost}`);
+        }
+        if (cost > maxCost) {
+            throw codedError(ERROR_CODES.MALFORMED,
+                `Malformed ${kind}: KDF cost ${cost} is above the accepted maximum of ${maxCost} (see maxCost)`,
+                { field: 'cost' });
+        }
+    }
+
+    // Key caches of ciphers from createCipher, by the options object of a
+    // call. Calls without one derive every key from scratch.
+    const keyCaches = new WeakMap();
+
+    /**
+     * Derive a 256-bit key from password and salt
+     * @param {Object} backend - Crypto backend
+     * @param {string} password - Password string
+     * @param {Uint8Array} salt - Salt
+     * @param {Object} kdf - KDF descriptor from findKdf
+     * @param {number} cost - log2 of the work factor
+     * @param {Object} [cache] - Key cache of a cipher
+     * @returns {Uint8Array} Key
+     */
+    function* deriveKey(backend, password, salt, kdf, cost, cache) {
+        if (!cache) {
+            return yield backend.pbkdf2Sha256(utf8Encode(password), salt, Math.pow(2, cost), 32);
+        }
+
+        const id = `${kdf.id}.${cost}.${bytesToHex(salt)}.${password}`;
+        let key = cache.keys.get(id);
+        if (key) {
+            // Most recently used last, so the oldest key is evicted first
+            cache.keys.delete(id);
+        } else {
+            key = yield backend.pbkdf2Sha256(utf8Encode(password), salt, Math.pow(2, cost), 32);
+            if (cache.keys.size >= cache.size) {
+                const [oldest, oldestKey] = cache.keys.entries().next().value;
+                oldestKey.fill(0);
+                cache.keys.delete(oldest);
+            }
+        }
+        cache.keys.set(id, key);
+        return key;
+    }
+
+    /**
+     * Split a derived key into the encryption key, MAC key and check value
+     * used by authenticated (v2) tokens
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} masterKey - Key from deriveKey
+     * @returns {Object} Object with encKey, macKey and check
+     */
+    function* deriveSubkeys(backend, masterKey) {
+        const check = yield backend.hmacSha256(masterKey, utf8Encode('check'));
+
+        return {
+            encKey: yield backend.hmacSha256(masterKey, utf8Encode('enc')),
+            macKey: yield backend.hmacSha256(masterKey, utf8Encode('mac')),
+            check: check.subarray(0, CHECK_BYTES)
+        };
+    }
+
+    /**
+     * Truncated HMAC-SHA256
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} macKey - MAC key
+     * @param {Uint8Array} data - Data to authenticate
+     * @returns {Uint8Array} Tag
+     */
+    function* hmacTag(backend, macKey, data) {
+        const mac = yield backend.hmacSha256(macKey, data);
+        return mac.subarray(0, TAG_BYTES);
+    }
+
+    /**
+     * Compute the v2 authentication tag
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} macKey - MAC key
+     * @param {Uint8Array} envelope - Envelope bytes before the tag
+     * @param {string} [associatedData] - Caller-supplied associated data
+     * @param {string} [purpose] - Purpose of a purpose-bound token
+     * @returns {Uint8Array} Tag
+     */
+    function* computeTag(backend, macKey, envelope, associatedData, purpose) {
+        const parts = purpose === undefined ? [associatedData || ''] : [associatedData || '', purpose];
+        const prefix = [];
+        for (const part of parts) {
+            const bytes = utf8Encode(part);
+            const length = new Uint8Array(4);
+            new DataView(length.buffer).setUint32(0, bytes.length);
+            prefix.push(length, bytes);
+        }
+
+        return yield* hmacTag(backend, macKey, concatBytes(...prefix, envelope));
+    }
+
+    /**
+     * Multiply a block by x in GF(2^128), as CMAC and S2V do
+     * @param {Uint8Array} block - 16 bytes
+     * @returns {Uint8Array} Doubled block
+     */
+    function doubleBlock(block) {
+        const result = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) {
+            result[i] = (block[i] << 1) | (i < 15 ? block[i + 1] >>> 7 : 0);
+        }
+        if (block[0] & 0x80) {
+            result[15] ^= 0x87;
+        }
+        return result;
+    }
+
+    /**
+     * XOR two byte arrays of the same length
+     * @param {Uint8Array} a - Bytes
+     * @param {Uint8Array} b - Bytes
+     * @returns {Uint8Array} a XOR b
+     */
+    function xorBytes(a, b) {
+        return a.map((byte, i) => byte ^ b[i]);
+    }
+
+    /**
+     * AES-CMAC (RFC 4493), computed with CBC encryption under a zero IV
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} key - AES key
+     * @param {Object} subkeys - CMAC subkeys k1 and k2 (see s2v)
+     * @param {Uint8Array} message - Message
+     * @returns {Uint8Array} 16-byte MAC
+     */
+    function* cmac(backend, key, subkeys, message) {
+        const complete = message.length > 0 && message.length % 16 === 0;
+        const lastOffset = complete ? message.length - 16 : message.length - (message.length % 16);
+
+        const last = new Uint8Array(16);
+        last.set(message.subarray(lastOffset));
+        if (!complete) {
+            last[message.length - lastOffset] = 0x80;
+        }
+
+        const input = concatBytes(message.subarray(0, lastOffset), xorBytes(last, complete ? subkeys.k1 : subkeys.k2));
+        const encrypted = yield backend.aesCbcEncrypt(key, new Uint8Array(16), input);
+        return encrypted.subarray(lastOffset, lastOffset + 16);
+    }
+
+    /**
+     * S2V (RFC 5297): the synthetic IV of a list of strings, the plaintext last
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} key - MAC key
+     * @param {Uint8Array[]} strings - Header, associated data and plaintext
+     * @returns {Uint8Array} Synthetic IV
+     */
+    function* s2v(backend, key, strings) {
+        const zero = new Uint8Array(16);
+        const encrypted = yield backend.aesCbcEncrypt(key, zero, zero);
+        const k1 = doubleBlock(encrypted.subarray(0, 16));
+        const subkeys = { k1, k2: doubleBlock(k1) };
+
+        let d = yield* cmac(backend, key, subkeys, zero);
+        for (const string of strings.slice(0, -1)) {
+            d = xorBytes(doubleBlock(d), yield* cmac(backend, key, subkeys, string));
+        }
+
+        const plaintext = strings[strings.length - 1];
+        let t;
+        if (plaintext.length >= 16) {
+            t = Uint8Array.from(plaintext);
+            t.set(xorBytes(t.subarray(t.length - 16), d), t.length - 16);
+        } else {
+            t = new Uint8Array(16);
+            t.set(plaintext);
+            t[plaintext.length] = 0x80;
+            t = xorBytes(t, doubleBlock(d));
+        }
+        return yield* cmac(backend, key, subkeys, t);
+    }
+
+    /**
+     * CTR counter block of a synthetic IV. Clearing the top bit of each of the
+     * last two 32-bit words lets any CTR implementation count without carries.
+     * @param {Uint8Array} siv - Synthetic IV
+     * @returns {Uint8Array} Counter block
+     */
+    function sivCounter(siv) {
+        const counter = Uint8Array.from(siv);
+        counter[8] &= 0x7f;
+        counter[12] &= 0x7f;
+        return counter;
+    }
+
+    /**
+     * Encrypt with AES-SIV
+     * @param {Object} backend - Crypto backend
+     * @param {Object} subkeys - Keys from deriveSubkeys (macKey for S2V, encKey for CTR)
+     * @param {Uint8Array[]} associated - Associated strings (header, associated data)
+     * @param {Uint8Array} data - Plaintext
+     * @returns {Object} { siv, ciphertext }
+     */
+    function* sivEncrypt(backend, subkeys, associated, data) {
+        const siv = yield* s2v(backend, subkeys.macKey, associated.concat([data]));
+        const ciphertext = data.length > 0 ? yield backend.aesCtr(subkeys.encKey, sivCounter(siv), data) : data;
+        return { siv, ciphertext };
+    }
+
+    /**
+     * Decrypt with AES-SIV
+     * @param {Object} backend - Crypto backend
+     * @param {Object} subkeys - Keys from deriveSubkeys
+     * @param {Uint8Array[]} associated - Associated strings given to sivEncrypt
+     * @param {Uint8Array} siv - Synthetic IV from the token
+     * @param {Uint8Array} ciphertext - Ciphertext
+     * @returns {Uint8Array|null} Plaintext, or null if the synthetic IV does not match
+     */
+    function* sivDecrypt(backend, subkeys, associated, siv, ciphertext) {
+        const data = ciphertext.length > 0
+            ? yield backend.aesCtr(subkeys.encKey, sivCounter(siv), ciphertext)
+            : ciphertext;
+        const expected = yield* s2v(backend, subkeys.macKey, associated.concat([data]));
+        return constantTimeEqual(expected, siv) ? data : null;
+    }
+
+    /**
+     * Compute the purpose check of a purpose-bound token
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} masterKey - Key from deriveKey
+     * @param {string} purpose - Purpose
+     * @returns {Uint8Array} Purpose check
+     */
+    function* purposeCheck(backend, masterKey, purpose) {
+        const mac = yield backend.hmacSha256(masterKey, utf8Encode(`purpose:${purpose}`));
+        return mac.subarray(0, PURPOSE_CHECK_BYTES);
+    }
+
+    /**
+     * Current time in whole seconds
+     * @param {Date|number} [now] - Time to use instead of the clock (a Date
+     *   or milliseconds since the epoch)
+     * @returns {number} Seconds since the epoch
+     */
+    function currentTime(now) {
+        const ms = now === undefined ? Date.now() : Number(now);
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new Error('now must be a Date or a number of milliseconds');
+        }
+        return Math.floor(ms / 1000);
+    }
+
+    /**
+     * Reject a token outside its lifetime
+     * @param {Object} envelope - Envelope from parseEnvelope
+     * @param {Object} options - Decryption options (now, clockTolerance)
+     * @throws Error with code EXPIRED or NOT_YET_VALID
+     */
+    function checkLifetime(envelope, options) {
+        if (envelope.issuedAt === null) {
+            return;
+        }
+
+        const now = currentTime(options.now);
+        const tolerance = options.clockTolerance === undefined ? DEFAULT_CLOCK_TOLERANCE : options.clockTolerance;
+        if (!Number.isInteger(tolerance) || tolerance < 0) {
+            throw new Error('clockTolerance must be a number of seconds');
+        }
+
+        const issuedAt = new Date(envelope.issuedAt * 1000);
+        const expiresAt = new Date((envelope.issuedAt + envelope.ttl) * 1000);
+        if (envelope.issuedAt > now + tolerance) {
+            throw codedError(ERROR_CODES.NOT_YET_VALID, `Token is not valid yet (issued at ${issuedAt.toISOString()})`,
+                { issuedAt, expiresAt });
+        }
+        if (envelope.issuedAt + envelope.ttl + tolerance <= now) {
+            throw codedError(ERROR_CODES.EXPIRED, `Token expired at ${expiresAt.toISOString()}`,
+                { issuedAt, expiresAt });
+        }
+    }
+
+    /**
+     * Reject a purpose given for a token that cannot be bound to one
+     * @param {Object} options - Decryption options
+     * @throws Error with code WRONG_PURPOSE if options.purpose is set
+     */
+    function checkNoPurpose(options) {
+        if (options.purpose !== undefined) {
+            throw codedError(ERROR_CODES.WRONG_PURPOSE, 'Token is not bound to a purpose');
+        }
+    }
+
+    /**
+     * Compare two byte arrays without an early exit
+     * @param {Uint8Array} a - Bytes
+     * @param {Uint8Array} b - Bytes
+     * @returns {boolean} True if equal
+     */
+    function constantTimeEqual(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Sizes of the optional v3 header fields
+     * @param {number} options - Options byte
+     * @returns {Object} Byte counts of keyId, expiry and purpose
+     */
+    function optionalHeaderBytes(options) {
+        return {
+            keyId: options & TOKEN_FLAG_KEY_ID ? KEY_ID_BYTES : 0,
+            expiry: options & TOKEN_FLAG_EXPIRY ? EXPIRY_BYTES : 0,
+            purpose: options & TOKEN_FLAG_PURPOSE ? PURPOSE_CHECK_BYTES : 0
+        };
+    }
+
+    /**
+     * Size of the key agreement fields of a public-key token, which take the
+     * place of the salt
+     * @param {number} recipients - Number of recipients
+     * @returns {number} Bytes of the ephemeral key and recipient slots
+     */
+    function recipientBlockBytes(recipients) {
+        return X25519_KEY_BYTES + (recipients > 1 ? recipients * RECIPIENT_SLOT_BYTES : 0);
+    }
+
+    /**
+     * Split the recipient slots of a public-key token
+     * @param {Uint8Array} bytes - Slot bytes after the ephemeral key
+     * @returns {Object[]} { id, wrappedKey } per recipient (none for a
+     *   single recipient, whose key agreement gives the master key directly)
+     */
+    function parseRecipients(bytes) {
+        const recipients = [];
+        for (let offset = 0; offset < bytes.length; offset += RECIPIENT_SLOT_BYTES) {
+            recipients.push({
+                id: bytesToHex(bytes.subarray(offset, offset + KEY_ID_BYTES)),
+                wrappedKey: bytes.subarray(offset + KEY_ID_BYTES, offset + RECIPIENT_SLOT_BYTES)
+            });
+        }
+        return recipients;
+    }
+
+    /**
+     * Tell versioned token bytes from legacy v0 ciphertext
+     * @param {Uint8Array} bytes - Decoded token bytes
+     * @param {boolean} [blockCodec] - True if the bytes came from the block
+     *   codec, which deterministic tokens of any length are written with
+     * @returns {boolean} True if the bytes start a versioned envelope
+     */
+    function isEnvelope(bytes, blockCodec) {
+        if (bytes[0] !== TOKEN_MAGIC) {
+            return false;
+        }
+        return bytes.length % 16 !== 0 || (blockCodec === true && bytes[1] === 3 && (bytes[4] & TOKEN_FLAG_SIV) !== 0);
+    }
+
+    /**
+     * Parse the header of a versioned token
+     * @param {Uint8Array} bytes - Decoded token bytes
+     * @param {boolean} [blockCodec] - True if the bytes came from the block codec
+     * @returns {Object|null} Parsed envelope, or null for legacy tokens
+     * @throws Error if the token is versioned but malformed, with the field
+     *   and byte offset at fault as its field and offset properties
+     */
+    function parseEnvelope(bytes, blockCodec) {
+        if (!isEnvelope(bytes, blockCodec)) {
+            return null;
+        }
+
+        const version = bytes[1];
+        if (!HEADER_BYTES[version]) {
+            throw codedError(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported token version: ${version}`,
+                { field: 'version', offset: 1 });
+        }
+
+        const options = version >= 3 ? bytes[4] : 0;
+        const optional = optionalHeaderBytes(options);
+        const deterministic = (options & TOKEN_FLAG_SIV) !== 0;
+        const publicKey = version >= 3 && bytes[2] === KDF_X25519;
+        const saltBytes = publicKey ? recipientBlockBytes(bytes[3]) : SALT_BYTES;
+        const headerBytes = deterministic
+            ? PARAMS_BYTES[version] + optional.keyId + CHECK_BYTES + SIV_BYTES
+            : HEADER_BYTES[version] - SALT_BYTES + saltBytes + optional.keyId + optional.expiry + optional.purpose;
+        const ciphertextBytes = bytes.length - headerBytes - (deterministic ? 0 : TRAILER_BYTES[version]);
+        if (deterministic ? ciphertextBytes < 0 : ciphertextBytes < 16 || ciphertextBytes % 16 !== 0) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed token: invalid length for version ${version}`,
+                { field: 'ciphertext', offset: headerBytes });
+        }
+
+        const kdf = publicKey ? X25519_KDF : findKdf(bytes[2]);
+        const cost = bytes[3];
+        if (!kdf) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed token: unknown KDF ${bytes[2]}`,
+                { field: 'kdf', offset: 2 });
+        }
+        if (cost < kdf.minCost || cost > kdf.maxCost) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed token: KDF cost ${cost} out of range`,
+                { field: 'cost', offset: 3 });
+        }
+
+        const compression = findCompression(options & COMPRESSION_MASK);
+        if (compression === null) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed token: unknown compression ${options & COMPRESSION_MASK}`,
+                { field: 'options', offset: 4 });
+        }
+        if ((options & ~(COMPRESSION_MASK | TOKEN_FLAGS)) !== 0 ||
+            (deterministic && (optional.expiry || optional.purpose)) ||
+            (publicKey && (optional.keyId || deterministic))) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed token: unknown options ${options}`,
+                { field: 'options', offset: 4 });
+        }
+
+        const keyIdOffset = PARAMS_BYTES[version];
+        if (deterministic) {
+            const checkOffset = keyIdOffset + optional.keyId;
+            const sivOffset = checkOffset + CHECK_BYTES;
+            return {
+                version,
+                kdf,
+                cost,
+                compression,
+                keyId: optional.keyId ? bytesToHex(bytes.subarray(keyIdOffset, checkOffset)) : null,
+                issuedAt: null,
+                ttl: null,
+                purposeCheck: null,
+                salt: null,
+                ephemeralKey: null,
+                recipients: null,
+                iv: null,
+                check: bytes.subarray(checkOffset, sivOffset),
+                siv: bytes.subarray(sivOffset, headerBytes),
+                ciphertext: bytes.subarray(headerBytes),
+                tag: null,
+                authenticated: bytes.subarray(0, sivOffset)
+            };
+        }
+
+        const authenticated = version >= 2;
+        const expiryOffset = keyIdOffset + optional.keyId;
+        const purposeOffset = expiryOffset + optional.expiry;
+        const saltOffset = purposeOffset + optional.purpose;
+        const ivOffset = saltOffset + saltBytes;
+        const ciphertextOffset = headerBytes;
+        const tagOffset = headerBytes + ciphertextBytes;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return {
+            version,
+            kdf,
+            cost,
+            compression,
+            keyId: optional.keyId ? bytesToHex(bytes.subarray(keyIdOffset, expiryOffset)) : null,
+            issuedAt: optional.expiry ? view.getUint32(expiryOffset) : null,
+            ttl: optional.expiry ? view.getUint32(expiryOffset + 4) : null,
+            purposeCheck: optional.purpose ? bytes.subarray(purposeOffset, saltOffset) : null,
+            salt: publicKey ? null : bytes.subarray(saltOffset, ivOffset),
+            ephemeralKey: publicKey ? bytes.subarray(saltOffset, saltOffset + X25519_KEY_BYTES) : null,
+            recipients: publicKey ? parseRecipients(bytes.subarray(saltOffset + X25519_KEY_BYTES, ivOffset)) : null,
+            iv: bytes.subarray(ivOffset, ivOffset + IV_BYTES),
+            check: authenticated ? bytes.subarray(ivOffset + IV_BYTES, ciphertextOffset) : null,
+            siv: null,
+            ciphertext: bytes.subarray(ciphertextOffset, tagOffset),
+            tag: authenticated ? bytes.subarray(tagOffset) : null,
+            authenticated: bytes.subarray(0, tagOffset)
+        };
+    }
+
+    // Leading zero bytes a legacy base62 number may have dropped. Real
+    // ciphertext starts with more than two zero bytes once in 2^24 tokens;
+    // a larger gap to the next 16-byte block means damaged input.
+    const LEGACY_MAX_MISSING_BYTES = 2;
+
+    /**
+     * Number of zero bytes to restore in front of legacy ciphertext
+     * @param {Uint8Array} bytes - Bytes of the legacy base62 number
+     * @returns {number|null} Zero bytes to prepend, or null if the bytes
+     *   cannot be AES-CBC ciphertext
+     */
+    function legacyMissingBytes(bytes) {
+        const missing = (16 - (bytes.length % 16)) % 16;
+        if (bytes.length + missing < 16 || missing > LEGACY_MAX_MISSING_BYTES) {
+            return null;
+        }
+        return missing;
+    }
+
+    /**
+     * Check whether text starts with the first block of a current token
+     * @param {string} token - Token text
+     * @returns {boolean} True if the first 11 characters decode to the token
+     *   magic byte and a known version
+     */
+    function hasTokenPrefix(token) {
+        try {
+            const head = base62Decode(token.slice(0, BLOCK_CHARS[BLOCK_BYTES]));
+            return head[0] === TOKEN_MAGIC && Boolean(HEADER_BYTES[head[1]]);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Decode token text into a versioned envelope or legacy ciphertext
+     * @param {string} token - Token text
+     * @param {string} [encoding='base62'] - Token encoding (see ENCODINGS)
+     * @returns {Object} { envelope } or { legacy, blockError }
+     * @throws CryptoError with a code from ERROR_CODES
+     */
+    function decodeToken(token, encoding) {
+        if (typeof token !== 'string' || token.length === 0) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Token must be a non-empty string');
+        }
+
+        // Legacy tokens are base62 and never grouped
+        if (findEncoding(encoding) !== ENCODINGS.base62 || token.includes('-')) {
+            const envelope = parseEnvelope(decodeBytes(token, { encoding }), true);
+            if (!envelope) {
+                throw codedError(ERROR_CODES.MALFORMED, 'Malformed token: no token header', { field: 'magic', offset: 0 });
+            }
+            return { envelope };
+        }
+
+        // Current tokens: block base62
+        let block = null;
+        let blockError = null;
+        try {
+            block = base62Decode(token);
+        } catch (error) {
+            // Not block base62. A token that still starts with a current
+            // header lost or gained characters; otherwise only the legacy
+            // codec applies.
+            if (!(error instanceof InvalidCharacterError) && hasTokenPrefix(token)) {
+                blockError = codedError(ERROR_CODES.MALFORMED, 'Malformed token: invalid length', { field: 'length' });
+            }
+        }
+        if (block) {
+            try {
+                const envelope = parseEnvelope(block, true);
+                if (envelope) {
+                    return { envelope };
+                }
+            } catch (error) {
+                // Kept in case the legacy interpretation fails as well
+                blockError = error;
+            }
+        }
+
+        // Compatibility path: one base62 number (throws InvalidCharacterError)
+        let bytes = hexToBytes(legacyBase62Decode(token));
+
+        const envelope = parseEnvelope(bytes);
+        if (envelope) {
+            return { envelope };
+        }
+
+        // Legacy v0: restore leading zero bytes that the base62 number
+        // dropped (AES-CBC output is whole 16-byte blocks)
+        const missing = legacyMissingBytes(bytes);
+        if (missing === null) {
+            throw blockError || codedError(ERROR_CODES.MALFORMED, 'Malformed token: invalid length', { field: 'length' });
+        }
+        if (missing > 0) {
+            bytes = concatBytes(new Uint8Array(missing), bytes);
+        }
+
+        return { legacy: bytes, blockError };
+    }
+
+    /**
+     * Read the header of a versioned token without validating it
+     * @param {Uint8Array} bytes - Decoded token bytes
+     * @param {Date|number} [now] - Current time for the expired field
+     * @returns {Object} Header fields and the byte layout of the token
+     */
+    function describeEnvelope(bytes, now) {
+        const version = bytes[1];
+        if (!HEADER_BYTES[version]) {
+            return { version };
+        }
+
+        const publicKey = version >= 3 && bytes[2] === KDF_X25519;
+        const kdf = publicKey ? X25519_KDF : findKdf(bytes[2]);
+        const options = version >= 3 ? bytes[4] : 0;
+        const compression = findCompression(options & COMPRESSION_MASK);
+        const optional = optionalHeaderBytes(options);
+        const deterministic = (options & TOKEN_FLAG_SIV) !== 0;
+        const keyIdOffset = PARAMS_BYTES[version];
+        const expiryOffset = keyIdOffset + optional.keyId;
+        const saltBytes = publicKey ? recipientBlockBytes(bytes[3]) : SALT_BYTES;
+        const headerBytes = deterministic
+            ? PARAMS_BYTES[version] + optional.keyId + CHECK_BYTES + SIV_BYTES
+            : HEADER_BYTES[version] - SALT_BYTES + saltBytes + optional.keyId + optional.expiry + optional.purpose;
+        const trailerBytes = deterministic ? 0 : TRAILER_BYTES[version];
+        const ciphertextBytes = Math.max(bytes.length - headerBytes - trailerBytes, 0);
+
+        const layout = [['magic', 1], ['version', 1], ['kdf', 1], ['cost', 1]];
+        if (version >= 3) {
+            layout.push(['options', 1]);
+        }
+        if (optional.keyId) {
+            layout.push(['keyId', KEY_ID_BYTES]);
+        }
+        if (deterministic) {
+            layout.push(['check', CHECK_BYTES], ['siv', SIV_BYTES], ['ciphertext', ciphertextBytes]);
+        } else {
+            if (optional.expiry) {
+                layout.push(['issuedAt', 4], ['ttl', 4]);
+            }
+            if (optional.purpose) {
+                layout.push(['purposeCheck', PURPOSE_CHECK_BYTES]);
+            }
+            if (publicKey) {
+                layout.push(['ephemeralKey', X25519_KEY_BYTES]);
+                if (bytes[3] > 1) {
+                    layout.push(['recipients', bytes[3] * RECIPIENT_SLOT_BYTES]);
+                }
+            } else {
+                layout.push(['salt', SALT_BYTES]);
+            }
+            layout.push(['iv', IV_BYTES]);
+            if (version >= 2) {
+                layout.push(['check', CHECK_BYTES]);
+            }
+            layout.push(['ciphertext', ciphertextBytes]);
+            if (version >= 2) {
+                layout.push(['tag', TAG_BYTES]);
+            }
+        }
+
+        let offset = 0;
+        const fields = [];
+        for (const [name, length] of layout) {
+            if (offset < bytes.length) {
+                fields.push({ name, offset, bytes: Math.min(length, bytes.length - offset) });
+            }
+            offset += length;
+        }
+
+        let expiry = {};
+        if (optional.expiry && !deterministic && bytes.length >= expiryOffset + EXPIRY_BYTES) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const issuedAt = view.getUint32(expiryOffset);
+            const expiresAt = issuedAt + view.getUint32(expiryOffset + 4);
+            expiry = {
+                issuedAt: new Date(issuedAt * 1000).toISOString(),
+                expiresAt: new Date(expiresAt * 1000).toISOString(),
+                expired: expiresAt <= currentTime(now)
+            };
+        }
+
+        return Object.assign({
+            version,
+            kdf: kdf ? kdf.name : bytes[2],
+            cost: publicKey ? null : bytes[3],
+            recipients: publicKey ? bytes[3] : null,
+            mode: deterministic ? 'deterministic' : 'randomized',
+            cipher: deterministic ? 'aes-256-siv' : 'aes-256-cbc',
+            authenticated: version >= 2,
+            compression: compression === null ? options & COMPRESSION_MASK : compression,
+            keyId: optional.keyId ? bytesToHex(bytes.subarray(keyIdOffset, expiryOffset)) : null,
+            purposeBound: optional.purpose > 0 && !deterministic
+        }, expiry, {
+            ciphertextBytes,
+            blockAligned: deterministic ? null : ciphertextBytes > 0 && ciphertextBytes % 16 === 0,
+            fields
+        });
+    }
+
+    /**
+     * Inspect a token without the password. Checks the alphabet, decodes the
+     * structure the way decrypt does and reports the header fields. A bad
+     * token is reported, not thrown: the error names the offending character
+     * or header field, with the position of the first character of the
+     * base62 block that holds the field (block codec only).
+     * @param {string} token - Token text
+     * @param {Object} [options] - Options
+     * @param {Date|number} [options.now] - Current time for the expired field
+     * @param {string} [options.encoding='base62'] - Encoding the token was written in
+     * @returns {Object} Report with valid, format, encoding, length, codec, version, kdf,
+     *   cost, recipients, mode, cipher, authenticated, compression, keyId,
+     *   purposeBound, bytes, issuedAt, expiresAt and expired (expiring tokens),
+     *   ciphertextBytes, blockAligned, fields and error (null if valid)
+     */
+    function inspect(token, options = {}) {
+        if (typeof token !== 'string') {
+            throw new TypeError('inspect expects a string');
+        }
+
+        const encoding = findEncoding(options.encoding);
+        const report = { valid: false, format: 'token', encoding: options.encoding || 'base62', length: token.length };
+        if (token.length === 0) {
+            return Object.assign(report, { error: { code: ERROR_CODES.MALFORMED, message: 'Token is empty' } });
+        }
+
+        const invalidCharacter = (position, character) => Object.assign(report, {
+            error: {
+                code: ERROR_CODES.MALFORMED,
+                message: `Invalid character ${JSON.stringify(character)} at position ${position}`,
+                field: 'alphabet',
+                position,
+                character
+            }
+        });
+
+        // Block positions only line up in ungrouped text
+        const grouped = encoding.grouping && token.includes('-');
+        const describe = (bytes, codec) => {
+            const result = Object.assign({}, report, { codec, bytes: bytes.length }, describeEnvelope(bytes, options.now));
+            try {
+                parseEnvelope(bytes, codec !== 'legacy');
+                return Object.assign(result, { valid: true, error: null });
+            } catch (error) {
+                return Object.assign(result, {
+                    error: {
+                        code: error.code,
+                        message: error.message,
+                        field: error.field,
+                        offset: error.offset,
+                        position: codec === 'block' && !grouped
+                            ? Math.floor(error.offset / BLOCK_BYTES) * BLOCK_CHARS[BLOCK_BYTES]
+                            : null
+                    }
+                });
+            }
+        };
+
+        // Other encodings, and grouped text, have no legacy form
+        if (encoding !== ENCODINGS.base62 || grouped) {
+            let bytes;
+            try {
+                bytes = decodeBytes(token, { encoding: options.encoding });
+            } catch (error) {
+                if (error instanceof InvalidCharacterError) {
+                    return invalidCharacter(error.position, error.character);
+                }
+                return Object.assign(report, {
+                    codec: encoding.codec,
+                    error: { code: error.code, message: error.message, field: error.field, position: error.position }
+                });
+            }
+            if (!isEnvelope(bytes, true)) {
+                return Object.assign(report, {
+                    codec: encoding.codec,
+                    bytes: bytes.length,
+                    error: { code: ERROR_CODES.MALFORMED, message: 'Malformed token: no token header', field: 'magic', offset: 0 }
+                });
+            }
+            return describe(bytes, encoding.codec);
+        }
+
+        for (let position = 0; position < token.length; position++) {
+            if (BASE62_CHARS.indexOf(token[position]) === -1) {
+                return invalidCharacter(position, token[position]);
+            }
+        }
+
+        // Same order as decodeToken: block codec first, then one base62 number
+        let block = null;
+        try {
+            block = base62Decode(token);
+        } catch (error) {
+            // Not block base62; only the legacy codec applies
+        }
+        const legacy = hexToBytes(legacyBase62Decode(token));
+
+        if (block && isEnvelope(block, true)) {
+            const result = describe(block, 'block');
+            if (result.valid || !isEnvelope(legacy)) {
+                return result;
+            }
+        }
+        if (isEnvelope(legacy)) {
+            return describe(legacy, 'legacy');
+        }
+
+        // A current token that lost or gained characters, or a number of the
+        // wrong size for legacy ciphertext
+        const missingBytes = legacyMissingBytes(legacy);
+        if ((!block && hasTokenPrefix(token)) || missingBytes === null) {
+            return Object.assign(report, {
+                error: { code: ERROR_CODES.MALFORMED, message: 'Malformed token: invalid length', field: 'length' }
+            });
+        }
+
+        const ciphertextBytes = legacy.length + missingBytes;
+        return Object.assign(report, {
+            valid: true,
+            codec: 'legacy',
+            bytes: ciphertextBytes,
+            version: 0,
+            // Key and IV are the SHA-256 and MD5 of the password
+            kdf: 'legacy',
+            cost: null,
+            recipients: null,
+            mode: null,
+            cipher: 'aes-256-cbc',
+            authenticated: false,
+            compression: null,
+            keyId: null,
+            purposeBound: false,
+            ciphertextBytes,
+            blockAligned: true,
+            fields: [{ name: 'ciphertext', offset: 0, bytes: ciphertextBytes }],
+            error: null
+        });
+    }
+
+    // Keyrings created by createKeyring, mapped to their keys with the primary
+    // key first
+    const keyrings = new WeakMap();
+
+    /**
+     * Compute the key id of a keyring key name or a public key (32-bit
+     * FNV-1a of its UTF-8 or raw bytes). Key ids only tell keys apart and
+     * are not secret.
+     * @param {string|Uint8Array} name - Key name, or raw public key
+     * @returns {string} Key id as 8 hex digits
+     */
+    function keyIdOf(name) {
+        let hash = 0x811c9dc5;
+        for (const byte of typeof name === 'string' ? utf8Encode(name) : name) {
+            hash = Math.imul(hash ^ byte, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Create a keyring: named passwords, one of them primary. A keyring can
+     * be passed anywhere a password is accepted. Encryption uses the primary
+     * key and records its key id in the token; decryption picks the key by
+     * that id, or tries every key for tokens without one.
+     * @param {Object} keys - Passwords by key name
+     * @param {Object} [options] - Keyring options
+     * @param {string} [options.primary] - Name of the key used for encryption (default: the first key)
+     * @returns {Object} Keyring with primary and keys ({ name, id } for each key)
+     */
+    function createKeyring(keys, options = {}) {
+        const names = keys && typeof keys === 'object' ? Object.keys(keys) : [];
+        if (names.length === 0) {
+            throw new Error('Keyring needs at least one key');
+        }
+
+        const primary = options.primary === undefined ? names[0] : options.primary;
+        if (!names.includes(primary)) {
+            throw new Error(`Primary key not in keyring: ${primary}`);
+        }
+
+        const entries = names.map((name) => {
+            if (typeof keys[name] !== 'string' || !keys[name]) {
+                throw new Error(`Password required for key: ${name}`);
+            }
+            return { name, id: keyIdOf(name), password: keys[name] };
+        });
+
+        entries.forEach((entry, i) => {
+            const clash = entries.findIndex((other) => other.id === entry.id);
+            if (clash !== i) {
+                throw new Error(`Key names ${entries[clash].name} and ${entry.name} have the same key id`);
+            }
+        });
+
+        const keyring = Object.freeze({
+            primary,
+            keys: Object.freeze(entries.map(({ name, id }) => Object.freeze({ name, id })))
+        });
+        keyrings.set(keyring, [
+            entries.find((entry) => entry.name === primary),
+            ...entries.filter((entry) => entry.name !== primary)
+        ]);
+        return keyring;
+    }
+
+    /**
+     * Resolve a password or keyring to the key used for encryption
+     * @param {string|Object} password - Password or keyring
+     * @returns {Object} Object with password and id (null for plain passwords)
+     */
+    function encryptionKey(password) {
+        if (typeof password === 'string') {
+            return { password, id: null };
+        }
+        if (keyrings.has(password)) {
+            return keyrings.get(password)[0];
+        }
+        if (asymmetricKeys.has(password)) {
+            throw new Error('Public keys can only encrypt tokens');
+        }
+        throw new Error('Password must be a string or a keyring from createKeyring');
+    }
+
+    /**
+     * Resolve a password or keyring to the keys to try for decryption
+     * @param {string|Object} password - Password or keyring
+     * @param {string|null} keyId - Key id recorded in the token
+     * @returns {string[]} Passwords, most likely first
+     */
+    function decryptionKeys(password, keyId) {
+        if (typeof password === 'string') {
+            return [password];
+        }
+        if (asymmetricKeys.has(password)) {
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Token is encrypted with a password, not to a public key');
+        }
+        if (!keyrings.has(password)) {
+            throw new Error('Password must be a string or a keyring from createKeyring');
+        }
+
+        const entries = keyrings.get(password);
+        if (keyId === null) {
+            return entries.map((entry) => entry.password);
+        }
+
+        const entry = entries.find((candidate) => candidate.id === keyId);
+        if (!entry) {
+            throw codedError(ERROR_CODES.WRONG_KEY, `Key ${keyId} is not in the keyring`);
+        }
+        return [entry.password];
+    }
+
+    /**
+     * Try each key in turn, moving on while the key is wrong
+     * @param {string[]} passwords - Passwords to try
+     * @param {Function} attempt - Generator function taking one password
+     * @returns {*} Result of the first attempt that does not fail with WRONG_KEY
+     */
+    function* tryKeys(passwords, attempt) {
+        let lastError;
+        for (const password of passwords) {
+            try {
+                return yield* attempt(password);
+            } catch (error) {
+                if (error.code !== ERROR_CODES.WRONG_KEY) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+        if (passwords.length > 1) {
+            throw codedError(ERROR_CODES.WRONG_KEY, 'No key in the keyring matches');
+        }
+        throw lastError;
+    }
+
+    // Public-key tokens. Instead of a password, a token can be encrypted to
+    // one or more X25519 public keys: every token gets a fresh ephemeral key
+    // pair, and the shared secret with each recipient gives (through
+    // HMAC-SHA256 over the two public keys) the master key for a single
+    // recipient, or a key that wraps a random master key for several. The
+    // rest of the token is built like a password token. Keys from
+    // generateKeyPair or importKey are passed where a password would be:
+    // public keys (one or an array) to encrypt, the private key to decrypt.
+    // X25519 runs on node:crypto where it is available and on BigInt
+    // arithmetic (RFC 7748) elsewhere; the BigInt version is not constant-time.
+    const X25519_P = (BigInt(1) << BigInt(255)) - BigInt(19);
+    const X25519_A24 = BigInt(121665);
+    const X25519_BASE_POINT = concatBytes([9], new Uint8Array(X25519_KEY_BYTES - 1));
+    const SPKI_X25519_PREFIX = hexToBytes('302a300506032b656e032100');
+    const PKCS8_X25519_PREFIX = hexToBytes('302e020100300506032b656e04220420');
+    const KEY_AGREEMENT_INFO = utf8Encode('ultra-compact-crypto x25519');
+
+    // Key objects from generateKeyPair and importKey, mapped to their type,
+    // raw key, raw public key and key id
+    const asymmetricKeys = new WeakMap();
+
+    /**
+     * X25519 scalar multiplication on BigInts (RFC 7748)
+     * @param {Uint8Array} scalar - 32-byte private key (clamped here)
+     * @param {Uint8Array} point - 32-byte u-coordinate
+     * @returns {Uint8Array} 32-byte u-coordinate of the product
+     */
+    function x25519Multiply(scalar, point) {
+        const p = X25519_P;
+        const zero = BigInt(0);
+        const one = BigInt(1);
+        const mod = (value) => ((value % p) + p) % p;
+        const toBigInt = (bytes) => bytes.reduceRight((value, byte) => (value << BIG_8) | BigInt(byte), zero);
+
+        const clamped = Uint8Array.from(scalar);
+        clamped[0] &= 248;
+        clamped[31] = (clamped[31] & 127) | 64;
+        const k = toBigInt(clamped);
+        const u = mod(toBigInt(point) & ((one << BigInt(255)) - one));
+
+        let [x2, z2, x3, z3] = [one, zero, u, one];
+        let swap = zero;
+        for (let t = 254; t >= 0; t--) {
+            const bit = (k >> BigInt(t)) & one;
+            if (swap ^ bit) {
+                [x2, x3, z2, z3] = [x3, x2, z3, z2];
+            }
+            swap = bit;
+
+            const a = x2 + z2;
+            const aa = mod(a * a);
+            const b = x2 - z2;
+            const bb = mod(b * b);
+            const e = aa - bb;
+            const da = mod((x3 - z3) * a);
+            const cb = mod((x3 + z3) * b);
+            x3 = mod((da + cb) * (da + cb));
+            z3 = mod(u * mod((da - cb) * (da - cb)));
+            x2 = mod(aa * bb);
+            z2 = mod(e * (aa + X25519_A24 * e));
+        }
+        if (swap) {
+            [x2, z2] = [x3, z3];
+        }
+
+        // x2 / z2, inverting z2 as z2^(p - 2)
+        let inverse = one;
+        for (let base = z2, exponent = p - BigInt(2); exponent > zero; exponent >>= one) {
+            if (exponent & one) {
+                inverse = mod(inverse * base);
+            }
+            base = mod(base * base);
+        }
+        let result = mod(x2 * inverse);
+        const bytes = new Uint8Array(X25519_KEY_BYTES);
+        for (let i = 0; i < bytes.length; i++, result >>= BIG_8) {
+            bytes[i] = Number(result & BigInt(255));
+        }
+        return bytes;
+    }
+
+    /**
+     * X25519 key agreement
+     * @param {Uint8Array} privateKey - Raw private key
+     * @param {Uint8Array} publicKey - Raw public key (X25519_BASE_POINT for
+     *   the public key of privateKey)
+     * @returns {Uint8Array|null} Shared secret, or null if publicKey is a
+     *   low-order point that gives no secret
+     */
+    function x25519(privateKey, publicKey) {
+        let shared;
+        if (nodeCrypto && nodeCrypto.diffieHellman) {
+            try {
+                shared = nodeCrypto.diffieHellman({
+                    privateKey: nodeCrypto.createPrivateKey({
+                        key: Buffer.from(concatBytes(PKCS8_X25519_PREFIX, privateKey)),
+                        format: 'der',
+                        type: 'pkcs8'
+                    }),
+                    publicKey: nodeCrypto.createPublicKey({
+                        key: Buffer.from(concatBytes(SPKI_X25519_PREFIX, publicKey)),
+                        format: 'der',
+                        type: 'spki'
+                    })
+                });
+            } catch (error) {
+                // OpenSSL refuses low-order points
+                return null;
+            }
+        } else {
+            shared = x25519Multiply(privateKey, publicKey);
+        }
+        return shared.some((byte) => byte !== 0) ? new Uint8Array(shared) : null;
+    }
+
+    /**
+     * Create the key object of a raw key
+     * @param {Uint8Array|null} privateKey - Raw private key, or null for a public key
+     * @param {Uint8Array} publicKey - Raw public key
+     * @returns {Object} Frozen key with type, curve and id; private keys also
+     *   hold their publicKey
+     */
+    function createKeyObject(privateKey, publicKey) {
+        const id = keyIdOf(publicKey);
+        const publicObject = Object.freeze({ type: 'public', curve: 'x25519', id });
+        asymmetricKeys.set(publicObject, { type: 'public', key: Uint8Array.from(publicKey), publicKey, id });
+        if (!privateKey) {
+            return publicObject;
+        }
+
+        const privateObject = Object.freeze({ type: 'private', curve: 'x25519', id, publicKey: publicObject });
+        asymmetricKeys.set(privateObject, { type: 'private', key: Uint8Array.from(privateKey), publicKey, id });
+        return privateObject;
+    }
+
+    /**
+     * Generate an X25519 key pair for public-key tokens
+     * @returns {Object} { publicKey, privateKey }; privateKey.publicKey is publicKey
+     */
+    function generateKeyPair() {
+        const privateKey = Uint8Array.from(resolveBackend(undefined, false).randomBytes(X25519_KEY_BYTES));
+        const key = createKeyObject(privateKey, x25519(privateKey, X25519_BASE_POINT));
+        return { publicKey: key.publicKey, privateKey: key };
+    }
+
+    /**
+     * Encode bytes as unpadded base64url, as JWKs use
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64url text
+     */
+    function base64UrlEncode(bytes) {
+        return base64Lines(bytes).replace(/[\n=]/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+    }
+
+    /**
+     * Decode a base64url JWK member
+     * @param {string} text - Base64url text
+     * @param {string} name - Member name for error messages
+     * @returns {Uint8Array} Bytes
+     */
+    function base64UrlDecode(text, name) {
+        if (typeof text !== 'string' || !/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) {
+            throw new Error(`Invalid key: JWK member ${name} is not base64url`);
+        }
+        return base64Bytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+    }
+
+    /**
+     * Read the raw key of an X25519 PEM key (SPKI or unencrypted PKCS8)
+     * @param {string} text - PEM text
+     * @returns {Object} { type, key }
+     */
+    function parsePemKey(text) {
+        const match = /-----BEGIN (PUBLIC|PRIVATE) KEY-----([\s\S]*?)-----END \1 KEY-----/.exec(text);
+        if (!match) {
+            throw new Error('Invalid key: expected a PUBLIC KEY or PRIVATE KEY PEM block');
+        }
+
+        const type = match[1].toLowerCase();
+        const prefix = type === 'public' ? SPKI_X25519_PREFIX : PKCS8_X25519_PREFIX;
+        let der;
+        try {
+            der = base64Bytes(match[2]);
+        } catch (error) {
+            throw new Error('Invalid key: the PEM block is not base64');
+        }
+        if (der.length !== prefix.length + X25519_KEY_BYTES || prefix.some((byte, i) => der[i] !== byte)) {
+            throw new Error('Unsupported key: only X25519 keys are supported');
+        }
+        return { type, key: der.subarray(prefix.length) };
+    }
+
+    /**
+     * Import an X25519 key
+     * @param {string|Object} data - PEM text (SPKI public or PKCS8 private
+     *   key), a JWK (object or JSON text) or a raw key in base62
+     * @param {Object} [options] - Options
+     * @param {string} [options.type='public'] - 'public' or 'private', for base62 keys
+     * @returns {Object} Public or private key
+     * @throws Error if data is not an X25519 key
+     */
+    function importKey(data, options = {}) {
+        if (asymmetricKeys.has(data)) {
+            return data;
+        }
+        if (typeof data === 'string' && data.trim().startsWith('{')) {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new Error(`Invalid key: ${error.message}`);
+            }
+        }
+
+        let type;
+        let key;
+        let jwkPublicKey = null;
+        if (typeof data === 'string' && data.includes('-----BEGIN')) {
+            ({ type, key } = parsePemKey(data));
+        } else if (typeof data === 'string') {
+            type = options.type === undefined ? 'public' : options.type;
+            if (type !== 'public' && type !== 'private') {
+                throw new Error(`Key type must be public or private: ${type}`);
+            }
+            try {
+                key = base62Decode(data.trim());
+            } catch (error) {
+                throw new Error(`Invalid key: ${error.message}`);
+            }
+        } else if (data && typeof data === 'object') {
+            if (data.kty !== 'OKP' || data.crv !== 'X25519') {
+                throw new Error('Unsupported key: only X25519 JWKs (kty OKP, crv X25519) are supported');
+            }
+            jwkPublicKey = base64UrlDecode(data.x, 'x');
+            type = data.d === undefined ? 'public' : 'private';
+            key = type === 'public' ? jwkPublicKey : base64UrlDecode(data.d, 'd');
+        } else {
+            throw new Error('Key must be PEM text, a JWK or a base62 string');
+        }
+
+        if (key.length !== X25519_KEY_BYTES) {
+            throw new Error(`Invalid key: X25519 keys are ${X25519_KEY_BYTES} bytes`);
+        }
+        if (type === 'public') {
+            return createKeyObject(null, key);
+        }
+
+        const publicKey = x25519(key, X25519_BASE_POINT);
+        if (jwkPublicKey && !constantTimeEqual(jwkPublicKey, publicKey)) {
+            throw new Error('Invalid key: the JWK public key does not belong to its private key');
+        }
+        return createKeyObject(key, publicKey);
+    }
+
+    /**
+     * Export a key from generateKeyPair or importKey
+     * @param {Object} key - Public or private key
+     * @param {string} [format='pem'] - 'pem' (SPKI or PKCS8), 'jwk', or
+     *   'base62' for the raw key
+     * @returns {string|Object} PEM text, JWK object or base62 string
+     */
+    function exportKey(key, format = 'pem') {
+        const entry = asymmetricKeys.get(key);
+        if (!entry) {
+            throw new Error('Key must come from generateKeyPair or importKey');
+        }
+
+        const isPrivate = entry.type === 'private';
+        switch (format) {
+            case 'pem': {
+                const label = isPrivate ? 'PRIVATE KEY' : 'PUBLIC KEY';
+                const der = concatBytes(isPrivate ? PKCS8_X25519_PREFIX : SPKI_X25519_PREFIX, entry.key);
+                return `-----BEGIN ${label}-----\n${base64Lines(der)}-----END ${label}-----\n`;
+            }
+            case 'jwk': {
+                const jwk = { kty: 'OKP', crv: 'X25519', x: base64UrlEncode(entry.publicKey) };
+                if (isPrivate) {
+                    jwk.d = base64UrlEncode(entry.key);
+                }
+                return jwk;
+            }
+            case 'base62':
+                return base62Encode(entry.key);
+            default:
+                throw new Error(`Unsupported key format: ${format}`);
+        }
+    }
+
+    /**
+     * Resolve the recipients of a public-key token
+     * @param {*} password - Password, keyring, public key or array of public keys
+     * @returns {Object[]|null} Public key entries, or null if password is
+     *   not a key
+     */
+    function recipientKeys(password) {
+        const keys = Array.isArray(password) ? password : [password];
+        if (!keys.some((key) => asymmetricKeys.has(key))) {
+            return null;
+        }
+
+        const entries = keys.map((key) => asymmetricKeys.get(key));
+        if (entries.some((entry) => !entry || entry.type !== 'public')) {
+            throw new Error('Recipients must be public keys; a private key holds its own as privateKey.publicKey');
+        }
+        if (entries.length > X25519_KDF.maxCost) {
+            throw new Error(`A token can have at most ${X25519_KDF.maxCost} recipients`);
+        }
+        entries.forEach((entry, i) => {
+            if (entries.findIndex((other) => other.id === entry.id) !== i) {
+                throw new Error(`Recipient key ${entry.id} is given twice`);
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Resolve the private key that decrypts a public-key token
+     * @param {*} password - What the caller passed as the password
+     * @returns {Object} Private key entry
+     */
+    function privateKeyEntry(password) {
+        const entry = asymmetricKeys.get(password);
+        if (!entry || entry.type !== 'private') {
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Token is encrypted to a public key; decrypt it with the private key');
+        }
+        return entry;
+    }
+
+    /**
+     * Derive the key a recipient shares with the ephemeral key of a token
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} shared - X25519 shared secret
+     * @param {Uint8Array} ephemeralKey - Raw ephemeral public key
+     * @param {Uint8Array} publicKey - Raw recipient public key
+     * @returns {Uint8Array} 32-byte key
+     */
+    function* recipientKey(backend, shared, ephemeralKey, publicKey) {
+        return yield backend.hmacSha256(shared, concatBytes(KEY_AGREEMENT_INFO, ephemeralKey, publicKey));
+    }
+
+    /**
+     * Agree on the master key of a public-key token
+     * @param {Object} backend - Crypto backend
+     * @param {Object[]} recipients - Public key entries from recipientKeys
+     * @returns {Object} { block, masterKey }: block is the ephemeral key and
+     *   recipient slots, written where password tokens have their salt
+     */
+    function* sealRecipients(backend, recipients) {
+        const ephemeral = Uint8Array.from(yield backend.randomBytes(X25519_KEY_BYTES));
+        const ephemeralKey = x25519(ephemeral, X25519_BASE_POINT);
+
+        const keys = [];
+        for (const recipient of recipients) {
+            const shared = x25519(ephemeral, recipient.key);
+            if (!shared) {
+                throw new Error(`Invalid public key: ${recipient.id}`);
+            }
+            keys.push(yield* recipientKey(backend, shared, ephemeralKey, recipient.key));
+        }
+        if (recipients.length === 1) {
+            return { block: ephemeralKey, masterKey: keys[0] };
+        }
+
+        const masterKey = yield backend.randomBytes(32);
+        const slots = recipients.map((recipient, i) => concatBytes(hexToBytes(recipient.id), xorBytes(masterKey, keys[i])));
+        return { block: concatBytes(ephemeralKey, ...slots), masterKey };
+    }
+
+    /**
+     * Recover the master key of a public-key token
+     * @param {Object} backend - Crypto backend
+     * @param {Object} envelope - Envelope from parseEnvelope
+     * @param {Object} entry - Private key entry from privateKeyEntry
+     * @returns {Uint8Array} Master key
+     */
+    function* openRecipients(backend, envelope, entry) {
+        const shared = x25519(entry.key, envelope.ephemeralKey);
+        if (!shared) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed token: invalid ephemeral key',
+                { field: 'ephemeralKey' });
+        }
+
+        const key = yield* recipientKey(backend, shared, envelope.ephemeralKey, entry.publicKey);
+        if (envelope.recipients.length === 0) {
+            return key;
+        }
+
+        const slot = envelope.recipients.find((candidate) => candidate.id === entry.id);
+        if (!slot) {
+            throw codedError(ERROR_CODES.WRONG_KEY, `Token is not encrypted to key ${entry.id}`);
+        }
+        return xorBytes(slot.wrappedKey, key);
+    }
+
+    // Secret sharing. splitSecret splits a password into shares with
+    // Shamir's scheme over GF(256), the AES field: every byte is the
+    // constant term of its own random polynomial of degree threshold - 1,
+    // and a share holds the value of each polynomial at the share index.
+    // Any threshold of the shares rebuild the password; fewer say nothing
+    // about it. Shares are block base62:
+    //   magic (1) | version (1) | threshold (1) | index (1) | split id (4) | values | checksum (4)
+    // The split id tells shares of different splits apart, and the checksum
+    // (FNV-1a of the rest) catches a share that was mistyped.
+    const SHARE_MAGIC = 0x73;
+    const SHARE_VERSION = 1;
+    const SHARE_HEADER_BYTES = 8;
+    const SHARE_CHECKSUM_BYTES = 4;
+    const MAX_SHARES = 255;
+
+    // Powers of the generator 3 and their logarithms; GF_EXP is doubled so
+    // products need no reduction mod 255
+    const GF_EXP = new Uint8Array(510);
+    const GF_LOG = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+        GF_EXP[i] = GF_EXP[i + 255] = x;
+        GF_LOG[x] = i;
+        x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+    }
+
+    /**
+     * Multiply in GF(256)
+     * @param {number} a - Field element
+     * @param {number} b - Field element
+     * @returns {number} Product
+     */
+    function gfMul(a, b) {
+        return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+    }
+
+    /**
+     * Divide in GF(256)
+     * @param {number} a - Field element
+     * @param {number} b - Non-zero field element
+     * @returns {number} Quotient
+     */
+    function gfDiv(a, b) {
+        return a === 0 ? 0 : GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]];
+    }
+
+    /**
+     * Checksum of a share
+     * @param {Uint8Array} bytes - Share bytes before the checksum
+     * @returns {Uint8Array} 4 bytes
+     */
+    function shareChecksum(bytes) {
+        return hexToBytes(keyIdOf(bytes));
+    }
+
+    /**
+     * Split a password into shares, any threshold of which rebuild it with
+     * combineShares (Shamir's secret sharing over GF(256))
+     * @param {string} secret - Password to split
+     * @param {Object} options - Options
+     * @param {number} options.shares - Number of shares, 2 to 255
+     * @param {number} options.threshold - Shares needed to rebuild, 2 to options.shares
+     * @param {number} [options.group] - Characters per hyphen-separated group, for display
+     * @param {string} [options.backend] - Synchronous crypto backend for randomness
+     * @returns {string[]} Base62 shares, for indexes 1 to options.shares
+     */
+    function splitSecret(secret, options = {}) {
+        if (typeof secret !== 'string' || secret === '') {
+            throw new Error('Secret must be a non-empty string');
+        }
+        const { shares, threshold } = options;
+        if (!Number.isInteger(shares) || shares < 2 || shares > MAX_SHARES) {
+            throw new Error(`shares must be a whole number from 2 to ${MAX_SHARES}`);
+        }
+        if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+            throw new Error('threshold must be a whole number from 2 to the number of shares');
+        }
+
+        const backend = resolveBackend(options.backend, true);
+        const bytes = utf8Encode(secret);
+        const splitId = backend.randomBytes(4);
+        const coefficients = [];
+        for (let i = 1; i < threshold; i++) {
+            coefficients.push(backend.randomBytes(bytes.length));
+        }
+
+        const result = [];
+        for (let index = 1; index <= shares; index++) {
+            const values = new Uint8Array(bytes.length);
+            for (let j = 0; j < bytes.length; j++) {
+                // Horner's rule, highest term first
+                let value = 0;
+                for (let i = coefficients.length - 1; i >= 0; i--) {
+                    value = gfMul(value ^ coefficients[i][j], index);
+                }
+                values[j] = value ^ bytes[j];
+            }
+
+            const body = concatBytes([SHARE_MAGIC, SHARE_VERSION, threshold, index], splitId, values);
+            result.push(encodeBytes(concatBytes(body, shareChecksum(body)), { group: options.group }));
+        }
+        return result;
+    }
+
+    /**
+     * Decode and check one share
+     * @param {string} share - Share text
+     * @param {number} number - Position of the share in the caller's list, for errors
+     * @returns {Object} { threshold, index, splitId, values }
+     * @throws CryptoError with code MALFORMED or UNSUPPORTED_VERSION
+     */
+    function parseShare(share, number) {
+        let bytes;
+        try {
+            bytes = decodeBytes(typeof share === 'string' ? share.trim() : '');
+        } catch (error) {
+            throw wrapError(`Share ${number}`, error);
+        }
+
+        if (bytes.length <= SHARE_HEADER_BYTES + SHARE_CHECKSUM_BYTES || bytes[0] !== SHARE_MAGIC) {
+            throw codedError(ERROR_CODES.MALFORMED, `Share ${number}: not a share`);
+        }
+        if (bytes[1] !== SHARE_VERSION) {
+            throw codedError(ERROR_CODES.UNSUPPORTED_VERSION, `Share ${number}: unsupported share version ${bytes[1]}`,
+                { field: 'version', offset: 1 });
+        }
+
+        const body = bytes.subarray(0, bytes.length - SHARE_CHECKSUM_BYTES);
+        if (!constantTimeEqual(shareChecksum(body), bytes.subarray(body.length))) {
+            throw codedError(ERROR_CODES.MALFORMED, `Share ${number}: checksum mismatch, the share was mistyped or changed`,
+                { field: 'checksum' });
+        }
+        if (bytes[2] < 2 || bytes[3] === 0) {
+            throw codedError(ERROR_CODES.MALFORMED, `Share ${number}: invalid threshold or index`);
+        }
+
+        return {
+            threshold: bytes[2],
+            index: bytes[3],
+            splitId: bytesToHex(body.subarray(4, SHARE_HEADER_BYTES)),
+            values: body.subarray(SHARE_HEADER_BYTES)
+        };
+    }
+
+    /**
+     * Evaluate the polynomial through some shares at x (Lagrange interpolation)
+     * @param {Object[]} points - Shares from parseShare with distinct indexes
+     * @param {number} x - Where to evaluate; 0 gives the secret
+     * @returns {Uint8Array} Value of every byte's polynomial
+     */
+    function interpolateShares(points, x) {
+        const result = new Uint8Array(points[0].values.length);
+        points.forEach((point) => {
+            let weight = 1;
+            for (const other of points) {
+                if (other !== point) {
+                    weight = gfMul(weight, gfDiv(x ^ other.index, point.index ^ other.index));
+                }
+            }
+            for (let j = 0; j < result.length; j++) {
+                result[j] ^= gfMul(point.values[j], weight);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Rebuild a password from shares made by splitSecret. Shares beyond the
+     * threshold must agree with the others, so a wrong share is noticed.
+     * @param {string[]} shares - At least threshold shares, in any order
+     * @returns {string} The password, ready for decrypt
+     * @throws CryptoError with code MALFORMED for a damaged share, too few
+     *   shares or shares from different splits
+     */
+    function combineShares(shares) {
+        if (!Array.isArray(shares) || shares.length === 0) {
+            throw new Error('combineShares expects an array of shares');
+        }
+
+        const points = [];
+        shares.map((share, i) => parseShare(share, i + 1)).forEach((point) => {
+            const first = points[0] || point;
+            if (point.splitId !== first.splitId || point.threshold !== first.threshold ||
+                point.values.length !== first.values.length) {
+                throw codedError(ERROR_CODES.MALFORMED, 'Shares come from different splits');
+            }
+
+            const same = points.find((other) => other.index === point.index);
+            if (same && !constantTimeEqual(same.values, point.values)) {
+                throw codedError(ERROR_CODES.MALFORMED, `Two different shares have index ${point.index}`);
+            }
+            if (!same) {
+                points.push(point);
+            }
+        });
+
+        const threshold = points[0].threshold;
+        if (points.length < threshold) {
+            throw codedError(ERROR_CODES.MALFORMED, `${threshold} different shares are needed, got ${points.length}`);
+        }
+
+        const basis = points.slice(0, threshold);
+        for (const extra of points.slice(threshold)) {
+            if (!constantTimeEqual(interpolateShares(basis, extra.index), extra.values)) {
+                throw codedError(ERROR_CODES.MALFORMED, `Share with index ${extra.index} does not match the others`);
+            }
+        }
+
+        try {
+            return utf8Decode(interpolateShares(basis, 0));
+        } catch (error) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Shares do not combine to a valid secret');
+        }
+    }
+
+    /**
+     * Encrypt bytes into a token
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} data - Plaintext bytes
+     * @param {string|Object|Object[]} password - Encryption password, keyring,
+     *   or public keys (v3 only)
+     * @param {Object} [options] - Token options
+     * @param {number} [options.version=3] - Token format version (0 = legacy v0 format)
+     * @param {string} [options.kdf='pbkdf2'] - Key derivation function
+     * @param {number} [options.cost] - log2 of the KDF work factor
+     * @param {string} [options.compression='none'] - 'none', 'gzip', 'deflate-raw', 'brotli',
+     *   or 'auto' to compress only when it shortens the token (v3 only)
+     * @param {string} [options.associatedData] - Data bound to the token but not stored in it (v2 and v3)
+     * @param {number} [options.expiresIn] - Lifetime in seconds, recorded with the issue time (v3 only)
+     * @param {string} [options.purpose] - Purpose or audience the token is bound to (v3 only)
+     * @param {Date|number} [options.now] - Issue time to use instead of the clock
+     * @param {string} [options.mode='randomized'] - 'randomized', or 'deterministic' for
+     *   AES-SIV tokens that are equal for equal plaintexts (v3 only)
+     * @param {string} [options.context] - Name of the application or data set
+     *   the key of deterministic tokens is derived for (required with them)
+     * @param {string} [options.encoding='base62'] - base62, base58, base32 or base64url (v1 and later)
+     * @param {number} [options.group] - Characters per hyphen-separated group, for display
+     * @returns {string} Encrypted token text
+     */
+    function* sealToken(backend, data, password, options = {}) {
+        const version = options.version === undefined ? TOKEN_VERSION : options.version;
+        const mode = options.mode === undefined ? 'randomized' : options.mode;
+        const recipients = recipientKeys(password);
+        const key = recipients ? { password: null, id: null } : encryptionKey(password);
+        const cache = keyCaches.get(options);
+        password = key.password;
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unsupported mode: ${mode}`);
+        }
+        if (recipients) {
+            if (version !== 3) {
+                throw new Error('public keys require token version 3');
+            }
+            if (mode === 'deterministic') {
+                throw new Error('deterministic mode requires a password');
+            }
+            if (options.kdf !== undefined || options.cost !== undefined) {
+                throw new Error('kdf and cost do not apply to public keys');
+            }
+        }
+        if (mode === 'deterministic') {
+            if (version !== 3) {
+                throw new Error('deterministic mode requires token version 3');
+            }
+            if (options.expiresIn !== undefined || options.purpose !== undefined) {
+                throw new Error('expiresIn and purpose cannot be used in deterministic mode');
+            }
+            // Compressed output can differ between environments, and equal
+            // plaintexts must give equal tokens everywhere
+            if (options.compression !== undefined && options.compression !== 'none') {
+                throw new Error('compression cannot be used in deterministic mode');
+            }
+        }
+
+        if (version < 2 && options.associatedData !== undefined) {
+            throw new Error('associatedData requires token version 2 or later');
+        }
+        if (version < 3 && options.compression !== undefined && options.compression !== 'none') {
+            throw new Error('compression requires token version 3');
+        }
+        if (version < 3 && (options.expiresIn !== undefined || options.purpose !== undefined)) {
+            throw new Error('expiresIn and purpose require token version 3');
+        }
+        if (options.expiresIn !== undefined &&
+            (!Number.isInteger(options.expiresIn) || options.expiresIn < 1 || options.expiresIn > MAX_TTL)) {
+            throw new Error('expiresIn must be a positive number of seconds');
+        }
+        if (options.purpose !== undefined && (typeof options.purpose !== 'string' || options.purpose === '')) {
+            throw new Error('purpose must be a non-empty string');
+        }
+
+        if (version === 0 && (findEncoding(options.encoding) !== ENCODINGS.base62 || options.group !== undefined)) {
+            throw new Error('Token version 0 is always base62 and cannot be grouped');
+        }
+
+        if (version === 0) {
+            // Derive key and IV, encrypt using AES-256-CBC and convert the
+            // ciphertext to base62 with the legacy codec
+            const { key, iv } = yield* legacyKeyAndIV(backend, password);
+            const ciphertext = yield backend.aesCbcEncrypt(key, iv, data);
+            return legacyBase62Encode(bytesToHex(ciphertext));
+        }
+
+        if (!HEADER_BYTES[version]) {
+            throw new Error(`Unsupported token version: ${version}`);
+        }
+
+        let kdf;
+        let cost;
+        let salt;
+        let masterKey;
+        if (recipients) {
+            // The key agreement fields take the place of the salt
+            ({ block: salt, masterKey } = yield* sealRecipients(backend, recipients));
+            kdf = X25519_KDF;
+            cost = recipients.length;
+        } else {
+            ({ kdf, cost } = resolveKdfOptions(options));
+            if (mode === 'deterministic') {
+                const sealed = yield* sealDeterministic(backend, data, key, kdf, cost, options, cache);
+                return encodeBytes(sealed, options);
+            }
+
+            // Fresh salt for every token, except that a cipher keeps one so
+            // it derives its key once
+            if (cache && !cache.salt) {
+                cache.salt = yield backend.randomBytes(SALT_BYTES);
+            }
+            salt = cache ? cache.salt : yield backend.randomBytes(SALT_BYTES);
+            masterKey = yield* deriveKey(backend, password, salt, kdf, cost, cache);
+        }
+
+        const iv = yield backend.randomBytes(IV_BYTES);
+        const header = new Uint8Array([TOKEN_MAGIC, version, kdf.id, cost]);
+
+        if (version === 1) {
+            const ciphertext = yield backend.aesCbcEncrypt(masterKey, iv, data);
+            return encodeBytes(concatBytes(header, salt, iv, ciphertext), options);
+        }
+
+        const subkeys = yield* deriveSubkeys(backend, masterKey);
+        let params = header;
+        if (version >= 3) {
+            // Tokens from a keyring record which key encrypted them
+            const compressed = yield* compressPlaintext(data, options.compression);
+            let flags = key.id ? TOKEN_FLAG_KEY_ID : 0;
+
+            let expiry = [];
+            if (options.expiresIn !== undefined) {
+                flags |= TOKEN_FLAG_EXPIRY;
+                expiry = new Uint8Array(EXPIRY_BYTES);
+                const view = new DataView(expiry.buffer);
+                view.setUint32(0, currentTime(options.now));
+                view.setUint32(4, options.expiresIn);
+            }
+
+            let purpose = [];
+            if (options.purpose !== undefined) {
+                flags |= TOKEN_FLAG_PURPOSE;
+                purpose = yield* purposeCheck(backend, masterKey, options.purpose);
+            }
+
+            params = concatBytes(
+                header,
+                [COMPRESSIONS[compressed.compression] | flags],
+                key.id ? hexToBytes(key.id) : [],
+                expiry,
+                purpose
+            );
+            data = compressed.data;
+        }
+
+        const ciphertext = yield backend.aesCbcEncrypt(subkeys.encKey, iv, data);
+        const envelope = concatBytes(params, salt, iv, subkeys.check, ciphertext);
+        const tag = yield* computeTag(backend, subkeys.macKey, envelope, options.associatedData, options.purpose);
+
+        return encodeBytes(concatBytes(envelope, tag), options);
+    }
+
+    /**
+     * Associated strings of a deterministic token for S2V
+     * @param {Uint8Array} header - Token bytes up to the synthetic IV
+     * @param {string} [associatedData] - Caller-supplied associated data
+     * @returns {Uint8Array[]} Strings
+     */
+    function sivStrings(header, associatedData) {
+        return associatedData ? [header, utf8Encode(associatedData)] : [header];
+    }
+
+    /**
+     * Salt of the key of deterministic tokens. A deterministic token has no
+     * random salt, so with a fixed one a single table of passwords and their
+     * check values would serve every deployment. The caller's context makes
+     * such a table specific to one application or data set.
+     * @param {string} context - Name of the application or data set, e.g. 'acme/users.email'
+     * @returns {Uint8Array} Salt
+     * @throws Error if context is missing
+     */
+    function deterministicSalt(context) {
+        if (typeof context !== 'string' || context === '') {
+            throw new Error('Deterministic tokens need a context: a name for your application or data set');
+        }
+        return concatBytes(DETERMINISTIC_SALT, [0], utf8Encode(context));
+    }
+
+    /**
+     * Encrypt bytes into a deterministic (AES-SIV) token
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} data - Plaintext bytes
+     * @param {Object} key - Key from encryptionKey
+     * @param {Object} kdf - KDF descriptor from findKdf
+     * @param {number} cost - log2 of the work factor
+     * @param {Object} options - Token options with context and associatedData
+     * @param {Object} [cache] - Key cache of a cipher
+     * @returns {Uint8Array} Token bytes
+     */
+    function* sealDeterministic(backend, data, key, kdf, cost, options, cache) {
+        const masterKey = yield* deriveKey(backend, key.password, deterministicSalt(options.context), kdf, cost, cache);
+        const subkeys = yield* deriveSubkeys(backend, masterKey);
+        const flags = TOKEN_FLAG_SIV | (key.id ? TOKEN_FLAG_KEY_ID : 0);
+        const header = concatBytes(
+            [TOKEN_MAGIC, TOKEN_VERSION, kdf.id, cost, COMPRESSIONS.none | flags],
+            key.id ? hexToBytes(key.id) : [],
+            subkeys.check
+        );
+
+        const { siv, ciphertext } = yield* sivEncrypt(backend, subkeys, sivStrings(header, options.associatedData), data);
+        return concatBytes(header, siv, ciphertext);
+    }
+
+    /**
+     * Decrypt a versioned envelope
+     * @param {Object} backend - Crypto backend
+     * @param {Object} envelope - Envelope from parseEnvelope
+     * @param {string|Object} password - Decryption password, or the private
+     *   key entry of a public-key token
+     * @param {Object} options - Decryption options
+     * @returns {Uint8Array} Plaintext bytes
+     */
+    function* openEnvelope(backend, envelope, password, options) {
+        const salt = envelope.siv ? deterministicSalt(options.context) : envelope.salt;
+        const masterKey = envelope.ephemeralKey
+            ? yield* openRecipients(backend, envelope, password)
+            : yield* deriveKey(backend, password, salt, envelope.kdf, envelope.cost, keyCaches.get(options));
+
+        if (envelope.version === 1) {
+            if (options.associatedData !== undefined) {
+                throw codedError(
+                    ERROR_CODES.MALFORMED,
+                    'Token is not authenticated and cannot be bound to associated data'
+                );
+            }
+            checkNoPurpose(options);
+
+            const decrypted = yield backend.aesCbcDecrypt(masterKey, envelope.iv, envelope.ciphertext);
+            if (!decrypted || decrypted.length === 0) {
+                throw codedError(ERROR_CODES.WRONG_KEY, 'Wrong password or corrupted token');
+            }
+            return decrypted;
+        }
+
+        const subkeys = yield* deriveSubkeys(backend, masterKey);
+        if (!constantTimeEqual(subkeys.check, envelope.check)) {
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Wrong password or key');
+        }
+
+        if (envelope.purposeCheck === null) {
+            checkNoPurpose(options);
+        } else if (options.purpose === undefined) {
+            throw codedError(ERROR_CODES.WRONG_PURPOSE, 'Token is bound to a purpose and none was given');
+        } else if (!constantTimeEqual(yield* purposeCheck(backend, masterKey, options.purpose), envelope.purposeCheck)) {
+            throw codedError(ERROR_CODES.WRONG_PURPOSE, 'Token was issued for a different purpose');
+        }
+
+        if (envelope.siv) {
+            const strings = sivStrings(envelope.authenticated, options.associatedData);
+            const decrypted = yield* sivDecrypt(backend, subkeys, strings, envelope.siv, envelope.ciphertext);
+            if (!decrypted) {
+                throw codedError(
+                    ERROR_CODES.TAMPERED,
+                    'Token was modified or associated data does not match'
+                );
+            }
+            return yield* decompressPlaintext(envelope.compression, decrypted);
+        }
+
+        const purpose = envelope.purposeCheck === null ? undefined : options.purpose;
+        const tag = yield* computeTag(backend, subkeys.macKey, envelope.authenticated, options.associatedData, purpose);
+        if (!constantTimeEqual(tag, envelope.tag)) {
+            throw codedError(
+                ERROR_CODES.TAMPERED,
+                'Token was modified or associated data does not match'
+            );
+        }
+        checkLifetime(envelope, options);
+
+        // Authenticated tokens cannot reach a padding error with a bad key
+        const decrypted = yield backend.aesCbcDecrypt(subkeys.encKey, envelope.iv, envelope.ciphertext);
+        if (!decrypted) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed token: invalid padding');
+        }
+        return yield* decompressPlaintext(envelope.compression, decrypted);
+    }
+
+    /**
+     * Decrypt a legacy v0 ciphertext
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} ciphertext - Ciphertext
+     * @param {string} password - Decryption password
+     * @param {Object} options - Decryption options
+     * @returns {Uint8Array} Plaintext bytes
+     */
+    function* openLegacy(backend, ciphertext, password, options) {
+        if (options.associatedData !== undefined) {
+            throw codedError(
+                ERROR_CODES.MALFORMED,
+                'Token is not authenticated and cannot be bound to associated data'
+            );
+        }
+        checkNoPurpose(options);
+
+        const { key, iv } = yield* legacyKeyAndIV(backend, password);
+        const decrypted = yield backend.aesCbcDecrypt(key, iv, ciphertext);
+
+        if (!decrypted) {
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Wrong password or corrupted token');
+        }
+        if (decrypted.length === 0) {
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Decryption produced empty result. Check password.');
+        }
+
+        // Legacy tokens have no compression header, but some were gzipped
+        // before encryption. Text never starts with the gzip magic, which is
+        // not valid UTF-8.
+        if (decrypted[0] === 0x1f && decrypted[1] === 0x8b && hasCompression('gzip')) {
+            try {
+                return yield decompressBytes('gzip', decrypted);
+            } catch (error) {
+                // Not gzip after all
+            }
+        }
+        return decrypted;
+    }
+
+    /**
+     * Decrypt a token to bytes
+     * @param {Object} backend - Crypto backend
+     * @param {string} encryptedBase62 - Encrypted base62 string (versioned or legacy v0)
+     * @param {string|Object} password - Decryption password, keyring or private key
+     * @param {Object} [options] - Decryption options
+     * @param {string} [options.associatedData] - Associated data the token was bound to
+     * @param {string} [options.purpose] - Purpose the token must be bound to
+     * @param {number} [options.clockTolerance=30] - Seconds of clock difference
+     *   accepted when checking the lifetime of expiring tokens
+     * @param {Date|number} [options.now] - Time to check expiry against instead of the clock
+     * @param {string} [options.encoding='base62'] - Encoding the token was written in
+     * @param {number} [options.maxCost=16] - Highest KDF cost accepted from the token header
+     * @returns {Uint8Array} Plaintext bytes
+     * @throws CryptoError with a code from ERROR_CODES
+     */
+    function* openToken(backend, encryptedBase62, password, options = {}) {
+        const decoded = decodeToken(encryptedBase62, options.encoding);
+
+        if (decoded.envelope) {
+            if (decoded.envelope.ephemeralKey) {
+                return yield* openEnvelope(backend, decoded.envelope, privateKeyEntry(password), options);
+            }
+            checkMaxCost(decoded.envelope.kdf, decoded.envelope.cost, options, 'token');
+            const passwords = decryptionKeys(password, decoded.envelope.keyId);
+            return yield* tryKeys(passwords, (key) => openEnvelope(backend, decoded.envelope, key, options));
+        }
+
+        const passwords = decryptionKeys(password, null);
+        try {
+            return yield* tryKeys(passwords, (key) => openLegacy(backend, decoded.legacy, key, options));
+        } catch (error) {
+            // A block-encoded token with a damaged header is more likely than
+            // a legacy token that happens to look like one
+            throw decoded.blockError || error;
+        }
+    }
+
+    /**
+     * Re-encrypt a token under the primary key of a keyring
+     * @param {Object} backend - Crypto backend
+     * @param {string} encryptedBase62 - Encrypted base62 string
+     * @param {Object} keyring - Keyring holding the old key and the new primary key
+     * @param {Object} [options] - Token options for the new token (see sealToken); the
+     *   mode, compression, issue time and lifetime of the old token are kept
+     *   unless options.mode, options.compression or options.expiresIn is given,
+     *   and options.purpose is needed for purpose-bound tokens
+     * @param {boolean} [options.force=false] - Re-encrypt tokens already under the primary key
+     * @returns {string} New token, or the same token if it already uses the primary key
+     */
+    function* rekeyToken(backend, encryptedBase62, keyring, options = {}) {
+        const primary = encryptionKey(keyring);
+        const envelope = decodeToken(encryptedBase62, options.encoding).envelope;
+
+        if (!options.force && envelope && primary.id !== null && envelope.keyId === primary.id) {
+            return encryptedBase62;
+        }
+
+        const data = yield* openToken(backend, encryptedBase62, keyring, options);
+        const kept = {};
+        if (options.mode === undefined && envelope && envelope.siv) {
+            kept.mode = 'deterministic';
+        }
+        if (options.compression === undefined && envelope) {
+            kept.compression = envelope.compression;
+        }
+        if (options.expiresIn === undefined && envelope && envelope.issuedAt !== null) {
+            kept.now = envelope.issuedAt * 1000;
+            kept.expiresIn = envelope.ttl;
+        }
+        return yield* sealToken(backend, data, keyring, Object.assign({}, options, kept));
+    }
+
+    /**
+     * Decode decrypted bytes as text
+     * @param {Uint8Array} bytes - Plaintext bytes
+     * @param {string} token - Token the bytes came from
+     * @param {string} [encoding] - Token encoding
+     * @returns {string} Text
+     */
+    function decodePlaintext(bytes, token, encoding) {
+        try {
+            return utf8Decode(bytes);
+        } catch (error) {
+            // Authenticated tokens have already proven the password right
+            const envelope = decodeToken(token, encoding).envelope;
+            if (envelope && envelope.version >= 2) {
+                throw codedError(ERROR_CODES.MALFORMED, bytes[0] === FIELD_TOKEN_MARKER
+                    ? 'Token holds a JSON field value. Use decryptFields'
+                    : 'Decrypted data is not UTF-8 text. Use decryptBytes');
+            }
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Wrong password or corrupted token');
+        }
+    }
+
+    // Field-level encryption of JSON documents. A field path is a list of
+    // keys separated by dots, with [n] or [*] for array items. In a key, *
+    // matches any characters and ? one character, and a ** key matches any
+    // number of levels, so 'users[*].ssn', 'card.*' and '**.password' all
+    // work. Each selected value is encrypted as FIELD_TOKEN_MARKER followed by
+    // its JSON, which keeps its type through decryptFields. The marker never
+    // occurs in UTF-8, so tokens from encrypt in the same document are told
+    // apart and stay strings.
+    const FIELD_TOKEN_MARKER = 0xff;
+
+    /**
+     * Parse a field path into key patterns
+     * @param {string} path - Field path
+     * @returns {Array<RegExp|null>} Pattern per level; null for **
+     */
+    function parseFieldPath(path) {
+        const invalid = () => new Error(`Invalid field path: ${JSON.stringify(path)}`);
+        if (typeof path !== 'string' || path === '') {
+            throw invalid();
+        }
+
+        const keys = [];
+        for (const part of path.split('.')) {
+            const match = /^([^[\]]*)((?:\[[^[\]]*\])*)$/.exec(part);
+            if (!match || (match[1] === '' && match[2] === '')) {
+                throw invalid();
+            }
+            if (match[1] !== '') {
+                keys.push(match[1]);
+            }
+            for (const index of match[2].match(/[^[\]]+|\[\]/g) || []) {
+                if (!/^(\d+|\*)$/.test(index)) {
+                    throw invalid();
+                }
+                keys.push(index);
+            }
+        }
+
+        return keys.map((key) => (key === '**' ? null : new RegExp(
+            '^' + key.replace(/[\\^$+.()|{}]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
+        )));
+    }
+
+    /**
+     * Find the values selected by field paths. A value inside another
+     * selected value is left to the outer one.
+     * @param {Object|Array} document - JSON document
+     * @param {string|string[]} paths - Field paths
+     * @returns {Object[]} Selected fields as { parent, key, path }
+     */
+    function selectFields(document, paths) {
+        const selected = new Map();
+        const visit = (value, patterns, level, trail, path) => {
+            if (level === patterns.length) {
+                if (trail.length > 0) {
+                    selected.set(JSON.stringify(trail), { trail, path });
+                }
+                return;
+            }
+            if (patterns[level] === null) {
+                visit(value, patterns, level + 1, trail, path);
+            }
+            if (value === null || typeof value !== 'object') {
+                return;
+            }
+
+            const keys = Array.isArray(value) ? value.map((item, index) => index) : Object.keys(value);
+            for (const key of keys) {
+                if (patterns[level] === null || patterns[level].test(String(key))) {
+                    const childPath = typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+                    visit(value[key], patterns, patterns[level] === null ? level : level + 1, trail.concat([key]), childPath);
+                }
+            }
+        };
+
+        for (const path of [].concat(paths)) {
+            visit(document, parseFieldPath(path), 0, [], '');
+        }
+
+        const fields = [];
+        for (const { trail, path } of selected.values()) {
+            const nested = trail.some((key, length) => length > 0 && selected.has(JSON.stringify(trail.slice(0, length))));
+            if (!nested) {
+                const parent = trail.slice(0, -1).reduce((object, key) => object[key], document);
+                fields.push({ parent, key: trail[trail.length - 1], path });
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Check the arguments of the field functions and copy the document as
+     * it would be serialized
+     * @param {Object|Array} document - JSON document
+     * @param {string|Object} password - Password or keyring
+     * @returns {Object|Array} Copy of the document
+     */
+    function copyFieldDocument(document, password) {
+        if (document === null || typeof document !== 'object') {
+            throw new Error('Document must be an object or array');
+        }
+        if (!password) {
+            throw new Error('Password required');
+        }
+        return JSON.parse(JSON.stringify(document));
+    }
+
+    /**
+     * Tell a versioned token from other field values
+     * @param {*} value - Field value
+     * @param {string} [encoding] - Token encoding
+     * @returns {boolean} True if the value decodes as a versioned token
+     */
+    function isFieldToken(value, encoding) {
+        try {
+            return typeof value === 'string' && Boolean(decodeToken(value, encoding).envelope);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Encrypt the selected fields of a copy of a JSON document
+     * @param {Object} backend - Crypto backend
+     * @param {Object|Array} document - JSON document
+     * @param {string|string[]} paths - Field paths
+     * @param {string|Object} password - Encryption password or keyring
+     * @param {Object} options - Token options (see sealToken)
+     * @returns {Object|Array} Document with the fields encrypted
+     */
+    function* sealFields(backend, document, paths, password, options) {
+        const copy = copyFieldDocument(document, password);
+        for (const field of selectFields(copy, paths)) {
+            const data = concatBytes([FIELD_TOKEN_MARKER], utf8Encode(JSON.stringify(field.parent[field.key])));
+            field.parent[field.key] = yield* sealToken(backend, data, password, options);
+        }
+        return copy;
+    }
+
+    /**
+     * Decrypt the selected fields of a copy of a JSON document. Values that
+     * are not versioned tokens are left as they are unless options.strict is
+     * set; tokens that fail to decrypt always throw.
+     * @param {Object} backend - Crypto backend
+     * @param {Object|Array} document - JSON document
+     * @param {string|string[]} paths - Field paths
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} options - Decryption options (see openToken) and strict
+     * @returns {Object|Array} Document with the fields decrypted
+     * @throws CryptoError with a code from ERROR_CODES and the path of the field
+     *   as its field property
+     */
+    function* openFields(backend, document, paths, password, options) {
+        const copy = copyFieldDocument(document, password);
+        for (const field of selectFields(copy, paths)) {
+            const value = field.parent[field.key];
+            const token = isFieldToken(value, options.encoding);
+            if (!options.strict && !token) {
+                continue;
+            }
+
+            try {
+                if (!token) {
+                    throw codedError(ERROR_CODES.MALFORMED, typeof value === 'string'
+                        ? 'Not a token'
+                        : `Expected a token, found ${value === null ? 'null' : typeof value}`);
+                }
+                const bytes = yield* openToken(backend, value, password, options);
+                field.parent[field.key] = parseFieldValue(bytes, value, options.encoding);
+            } catch (error) {
+                throw Object.assign(wrapError(field.path, error), { field: field.path });
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Restore the value of a decrypted field
+     * @param {Uint8Array} bytes - Decrypted bytes
+     * @param {string} token - Token, for decodePlaintext
+     * @param {string} [encoding] - Token encoding
+     * @returns {*} The JSON value, or the text itself for tokens that hold
+     *   plain text (from encrypt)
+     */
+    function parseFieldValue(bytes, token, encoding) {
+        if (bytes[0] !== FIELD_TOKEN_MARKER) {
+            return decodePlaintext(bytes, token, encoding);
+        }
+        try {
+            return JSON.parse(utf8Decode(bytes.subarray(1)));
+        } catch (error) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed field value: invalid JSON');
+        }
+    }
+
+    /**
+     * Check the arguments of encrypt and encryptAsync
+     * @param {string} text - Text to encrypt
+     * @param {string} password - Encryption password
+     */
+    function checkEncryptArgs(text, password) {
+        if (typeof text !== 'string') {
+            throw new Error('Text must be a string');
+        }
+        if (!password) {
+            throw new Error('Password required');
+        }
+    }
+
+    /**
+     * Check the arguments of encryptBytes and encryptBytesAsync
+     * @param {Uint8Array} data - Bytes to encrypt
+     * @param {string} password - Encryption password
+     */
+    function checkEncryptBytesArgs(data, password) {
+        if (!(data instanceof Uint8Array)) {
+            throw new Error('Data must be a Uint8Array or Buffer');
+        }
+        if (!password) {
+            throw new Error('Password required');
+        }
+    }
+
+    /**
+     * Return decrypted bytes as a Buffer on Node.js
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {Uint8Array|Buffer} Buffer on Node.js, otherwise Uint8Array
+     */
+    function outputBytes(bytes) {
+        if (isNode && typeof Buffer !== 'undefined' && !Buffer.isBuffer(bytes)) {
+            return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encrypt text to a base62 string
+     * @param {string} text - Text to encrypt
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Token options (see sealToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {string} Base62 encrypted string
+     */
+    function encrypt(text, password, options = {}) {
+        try {
+            checkEncryptArgs(text, password);
+            return runSync(sealToken(resolveBackend(options.backend, true), utf8Encode(text), password, options));
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypt base62 encoded text
+     * @param {string} encryptedBase62 - Encrypted base62 string (versioned or legacy v0)
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {string} Decrypted text
+     * @throws CryptoError subclass for the failure, such as WrongKeyError (code WRONG_KEY)
+     */
+    function decrypt(encryptedBase62, password, options = {}) {
+        try {
+            const backend = resolveBackend(options.backend, true);
+            return decodePlaintext(runSync(openToken(backend, encryptedBase62, password, options)), encryptedBase62,
+                options.encoding);
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    /**
+     * Encrypt binary data to a base62 string
+     * @param {Uint8Array} data - Bytes to encrypt (a Buffer on Node.js)
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Token options (see sealToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {string} Base62 encrypted string
+     */
+    function encryptBytes(data, password, options = {}) {
+        try {
+            checkEncryptBytesArgs(data, password);
+            return runSync(sealToken(resolveBackend(options.backend, true), data, password, options));
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypt a base62 string to bytes, without text decoding
+     * @param {string} encryptedBase62 - Encrypted base62 string (versioned or legacy v0)
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Uint8Array|Buffer} Decrypted bytes; a Buffer on Node.js
+     * @throws CryptoError subclass for the failure, such as WrongKeyError (code WRONG_KEY)
+     */
+    function decryptBytes(encryptedBase62, password, options = {}) {
+        try {
+            const backend = resolveBackend(options.backend, true);
+            return outputBytes(runSync(openToken(backend, encryptedBase62, password, options)));
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    /**
+     * Create a cipher that keeps its password and derived keys, for code
+     * that encrypts or decrypts many tokens with the same password. Keys
+     * are derived once per salt and cost: the cipher encrypts every token
+     * with one salt of its own, and remembers the keys of the salts it
+     * decrypts (deterministic tokens of one context share one). Tokens from
+     * one cipher can therefore be told to come from the same cipher.
+     * @param {Object} options - Password or key, and default token options
+     *   (see sealToken and openToken) for every call
+     * @param {string} [options.password] - Password
+     * @param {Object} [options.key] - Keyring, or a public or private key,
+     *   instead of a password
+     * @param {number} [options.cacheSize=100] - Most derived keys kept
+     * @param {string} [options.backend] - Synchronous crypto backend
+     * @returns {Object} Cipher with encrypt, decrypt, encryptBytes,
+     *   decryptBytes, decryptMany and destroy
+     */
+    function createCipher(options = {}) {
+        const { password, key, cacheSize = 100 } = options;
+        if ((password === undefined) === (key === undefined)) {
+            throw new Error('createCipher needs either a password or a key');
+        }
+        if (!Number.isInteger(cacheSize) || cacheSize < 1) {
+            throw new Error('cacheSize must be a positive whole number');
+        }
+
+        const defaults = Object.assign({}, options);
+        delete defaults.password;
+        delete defaults.key;
+        delete defaults.cacheSize;
+
+        const cache = { salt: null, keys: new Map(), size: cacheSize };
+        let secret = password === undefined ? key : password;
+
+        // Options of one call, linked to the key cache
+        const optionsFor = (overrides) => {
+            if (secret === null) {
+                throw new Error('Cipher has been destroyed');
+            }
+            const merged = Object.assign({}, defaults, overrides);
+            keyCaches.set(merged, cache);
+            return merged;
+        };
+
+        const cipher = {
+            /**
+             * Encrypt text (see encrypt)
+             * @param {string} text - Text to encrypt
+             * @param {Object} [overrides] - Token options for this call
+             * @returns {string} Token
+             */
+            encrypt(text, overrides) {
+                try {
+                    const settings = optionsFor(overrides);
+                    checkEncryptArgs(text, secret);
+                    return runSync(sealToken(resolveBackend(settings.backend, true), utf8Encode(text), secret, settings));
+                } catch (error) {
+                    throw new Error(`Encryption failed: ${error.message}`);
+                }
+            },
+
+            /**
+             * Decrypt a token to text (see decrypt)
+             * @param {string} token - Token
+             * @param {Object} [overrides] - Decryption options for this call
+             * @returns {string} Decrypted text
+             */
+            decrypt(token, overrides) {
+                try {
+                    const settings = optionsFor(overrides);
+                    const backend = resolveBackend(settings.backend, true);
+                    return decodePlaintext(runSync(openToken(backend, token, secret, settings)), token, settings.encoding);
+                } catch (error) {
+                    throw wrapError('Decryption failed', error);
+                }
+            },
+
+            /**
+             * Encrypt bytes (see encryptBytes)
+             * @param {Uint8Array} data - Bytes to encrypt
+             * @param {Object} [overrides] - Token options for this call
+             * @returns {string} Token
+             */
+            encryptBytes(data, overrides) {
+                try {
+                    const settings = optionsFor(overrides);
+                    checkEncryptBytesArgs(data, secret);
+                    return runSync(sealToken(resolveBackend(settings.backend, true), data, secret, settings));
+                } catch (error) {
+                    throw new Error(`Encryption failed: ${error.message}`);
+                }
+            },
+
+            /**
+             * Decrypt a token to bytes (see decryptBytes)
+             * @param {string} token - Token
+             * @param {Object} [overrides] - Decryption options for this call
+             * @returns {Uint8Array|Buffer} Decrypted bytes; a Buffer on Node.js
+             */
+            decryptBytes(token, overrides) {
+                try {
+                    const settings = optionsFor(overrides);
+                    const backend = resolveBackend(settings.backend, true);
+                    return outputBytes(runSync(openToken(backend, token, secret, settings)));
+                } catch (error) {
+                    throw wrapError('Decryption failed', error);
+                }
+            },
+
+            /**
+             * Decrypt tokens to text, one result per token, so that a bad
+             * token does not fail the others
+             * @param {string[]} tokens - Tokens
+             * @param {Object} [overrides] - Decryption options for every token
+             * @returns {Object[]} { ok: true, text } or { ok: false, error }, in the order of tokens
+             */
+            decryptMany(tokens, overrides) {
+                if (!Array.isArray(tokens)) {
+                    throw new Error('decryptMany expects an array of tokens');
+                }
+                optionsFor(overrides);
+                return tokens.map((token) => {
+                    try {
+                        return { ok: true, text: cipher.decrypt(token, overrides) };
+                    } catch (error) {
+                        return { ok: false, error };
+                    }
+                });
+            },
+
+            /**
+             * Zero the derived keys and drop the password. Later calls
+             * throw. JavaScript strings cannot be overwritten, so the
+             * password itself is only released to the garbage collector.
+             */
+            destroy() {
+                for (const derived of cache.keys.values()) {
+                    derived.fill(0);
+                }
+                cache.keys.clear();
+                if (cache.salt) {
+                    cache.salt.fill(0);
+                    cache.salt = null;
+                }
+                secret = null;
+            }
+        };
+        return Object.freeze(cipher);
+    }
+
+    /**
+     * Encrypt selected fields of a JSON document, replacing each value with
+     * a token. Paths that match nothing are skipped.
+     * @param {Object|Array} document - JSON document (not modified)
+     * @param {string|string[]} paths - Field paths, e.g. 'user.ssn', 'cards[*].number', '**.password'
+     * @param {string|Object} password - Encryption password or keyring
+     * @param {Object} [options] - Token options (see sealToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Object|Array} Copy of the document with the fields encrypted
+     */
+    function encryptFields(document, paths, password, options = {}) {
+        try {
+            return runSync(sealFields(resolveBackend(options.backend, true), document, paths, password, options));
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypt selected fields of a JSON document, restoring the original
+     * JSON values. Paths that match nothing are skipped.
+     * @param {Object|Array} document - JSON document (not modified)
+     * @param {string|string[]} paths - Field paths (see encryptFields)
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @param {boolean} [options.strict=false] - Fail on selected values that
+     *   are not tokens instead of leaving them as they are
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Object|Array} Copy of the document with the fields decrypted
+     * @throws CryptoError with a code from ERROR_CODES and the field path as its field property
+     */
+    function decryptFields(document, paths, password, options = {}) {
+        try {
+            return runSync(openFields(resolveBackend(options.backend, true), document, paths, password, options));
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    // OpenSSL enc format, as written by `openssl enc -aes-256-cbc -salt`:
+    //   "Salted__" (8) | salt (8) | AES-256-CBC ciphertext (PKCS7)
+    // The key and IV come from the password and salt with PBKDF2 (-pbkdf2,
+    // SHA-256 and 10000 iterations unless -iter is given) or, for files from
+    // OpenSSL before 1.1.1 or without -pbkdf2, EVP_BytesToKey with one round
+    // of -md (md5 before OpenSSL 1.1.0, sha256 since). The header does not
+    // say which KDF was used. With -a the whole file is base64 in lines of
+    // 64 characters.
+    const OPENSSL_MAGIC = utf8Encode('Salted__');
+    const OPENSSL_SALT_BYTES = 8;
+    const OPENSSL_DEFAULT_ITERATIONS = 10000;
+    const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    /**
+     * Encode bytes as base64 in lines of 64 characters, like openssl -a
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 text ending in a newline
+     */
+    function base64Lines(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            const chars = Math.min(bytes.length - i, 3) + 1;
+            for (let j = 0; j < 4; j++) {
+                text += j < chars ? BASE64_CHARS[(chunk >>> (18 - 6 * j)) & 63] : '=';
+            }
+        }
+        return text.replace(/.{64}/g, '$&\n').replace(/\n?$/, '\n');
+    }
+
+    /**
+     * Decode base64, ignoring whitespace
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Bytes
+     * @throws Error with code MALFORMED for characters outside base64
+     */
+    function base64Bytes(text) {
+        const clean = text.replace(/\s+/g, '').replace(/=+$/, '');
+        if (!/^[A-Za-z0-9+/]*$/.test(clean) || clean.length % 4 === 1) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed OpenSSL data: invalid base64');
+        }
+
+        const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+        let bits = 0;
+        let value = 0;
+        let offset = 0;
+        for (const char of clean) {
+            value = (value << 6) | BASE64_CHARS.indexOf(char);
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[offset++] = (value >>> bits) & 0xff;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Check whether bytes start with the Salted__ header
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {boolean} True for binary OpenSSL data
+     */
+    function isOpenSSLHeader(bytes) {
+        return bytes.length >= OPENSSL_MAGIC.length &&
+            OPENSSL_MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    /**
+     * Resolve and validate the KDF options of the OpenSSL format
+     * @param {Object} options - Options (kdf, digest, iterations)
+     * @returns {Object} { kdf, digest, iterations }
+     */
+    function resolveOpenSSLOptions(options) {
+        const kdf = options.kdf === undefined ? 'pbkdf2' : options.kdf;
+        const digest = options.digest === undefined ? (kdf === 'pbkdf2' ? 'sha256' : 'md5') : options.digest;
+        const iterations = options.iterations === undefined ? OPENSSL_DEFAULT_ITERATIONS : options.iterations;
+
+        if (kdf !== 'pbkdf2' && kdf !== 'evp') {
+            throw new Error(`Unsupported OpenSSL KDF: ${kdf}`);
+        }
+        if (digest !== 'sha256' && (digest !== 'md5' || kdf === 'pbkdf2')) {
+            throw new Error(`Unsupported digest for ${kdf}: ${digest}`);
+        }
+        if (kdf === 'pbkdf2' && (!Number.isInteger(iterations) || iterations < 1)) {
+            throw new Error('iterations must be a positive integer');
+        }
+        return { kdf, digest, iterations };
+    }
+
+    /**
+     * Derive the key and IV of an OpenSSL file
+     * @param {Object} backend - Crypto backend
+     * @param {string} password - Password
+     * @param {Uint8Array} salt - 8-byte salt
+     * @param {Object} params - From resolveOpenSSLOptions
+     * @returns {Object} { key, iv }
+     */
+    function* openSSLKeyAndIV(backend, password, salt, params) {
+        const secret = utf8Encode(password);
+        let derived;
+        if (params.kdf === 'pbkdf2') {
+            derived = yield backend.pbkdf2Sha256(secret, salt, params.iterations, 48);
+        } else {
+            // EVP_BytesToKey: D1 = H(password | salt), Di = H(Di-1 | password | salt)
+            derived = new Uint8Array(0);
+            let block = new Uint8Array(0);
+            while (derived.length < 48) {
+                block = yield backend[params.digest](concatBytes(block, secret, salt));
+                derived = concatBytes(derived, block);
+            }
+        }
+        return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+    }
+
+    /**
+     * Encrypt bytes into the OpenSSL format
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array} data - Plaintext bytes
+     * @param {string} password - Password
+     * @param {Object} options - OpenSSL options
+     * @returns {Uint8Array} Salted__ header and ciphertext
+     */
+    function* sealOpenSSL(backend, data, password, options) {
+        const params = resolveOpenSSLOptions(options);
+        const salt = yield backend.randomBytes(OPENSSL_SALT_BYTES);
+        const { key, iv } = yield* openSSLKeyAndIV(backend, password, salt, params);
+        return concatBytes(OPENSSL_MAGIC, salt, yield backend.aesCbcEncrypt(key, iv, data));
+    }
+
+    /**
+     * Decrypt the OpenSSL format, binary or base64
+     * @param {Object} backend - Crypto backend
+     * @param {Uint8Array|string} input - File content
+     * @param {string} password - Password
+     * @param {Object} options - OpenSSL options
+     * @returns {Uint8Array} Plaintext bytes
+     * @throws Error with code MALFORMED or WRONG_KEY
+     */
+    function* openOpenSSL(backend, input, password, options) {
+        const params = resolveOpenSSLOptions(options);
+        let bytes = typeof input === 'string' ? utf8Encode(input) : input;
+        if (!isOpenSSLHeader(bytes)) {
+            // Base64 of the Salted__ header starts with U2FsdGVkX1
+            let text = null;
+            try {
+                text = typeof input === 'string' ? input : utf8Decode(bytes);
+            } catch (error) {
+                // Binary without the header
+            }
+            if (text !== null && /^\s*U2FsdGVkX1/.test(text)) {
+                bytes = base64Bytes(text);
+            }
+        }
+
+        const ciphertextOffset = OPENSSL_MAGIC.length + OPENSSL_SALT_BYTES;
+        if (!isOpenSSLHeader(bytes)) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed OpenSSL data: no Salted__ header',
+                { field: 'magic', offset: 0 });
+        }
+        if (bytes.length < ciphertextOffset + 16 || (bytes.length - ciphertextOffset) % 16 !== 0) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed OpenSSL data: invalid length',
+                { field: 'ciphertext', offset: ciphertextOffset });
+        }
+
+        const salt = bytes.subarray(OPENSSL_MAGIC.length, ciphertextOffset);
+        const { key, iv } = yield* openSSLKeyAndIV(backend, password, salt, params);
+        const decrypted = yield backend.aesCbcDecrypt(key, iv, bytes.subarray(ciphertextOffset));
+        if (!decrypted) {
+            // Without a MAC, a wrong password or KDF is only seen in the padding
+            throw codedError(ERROR_CODES.WRONG_KEY, 'Wrong password, KDF options or corrupted data');
+        }
+        return decrypted;
+    }
+
+    /**
+     * Check the arguments of the OpenSSL functions
+     * @param {*} data - Input
+     * @param {string} password - Password
+     * @param {string} [encoding] - Output encoding
+     */
+    function checkOpenSSLArgs(data, password, encoding) {
+        if (typeof data !== 'string' && !(data instanceof Uint8Array)) {
+            throw new Error('Data must be a string, Uint8Array or Buffer');
+        }
+        if (typeof password !== 'string' || !password) {
+            throw new Error('Password must be a non-empty string');
+        }
+        if (encoding !== undefined && encoding !== 'binary' && encoding !== 'base64') {
+            throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+    }
+
+    /**
+     * Format OpenSSL output in the requested encoding
+     * @param {Uint8Array} bytes - Salted__ header and ciphertext
+     * @param {string} [encoding='binary'] - 'binary' or 'base64'
+     * @returns {Uint8Array|Buffer|string} Bytes (a Buffer on Node.js), or base64 text
+     */
+    function openSSLOutput(bytes, encoding) {
+        return encoding === 'base64' ? base64Lines(bytes) : outputBytes(bytes);
+    }
+
+    /**
+     * Encrypt data in the format of `openssl enc -aes-256-cbc -salt`, which
+     * openssl and decryptOpenSSL can read
+     * @param {string|Uint8Array} data - Text (encoded as UTF-8) or bytes
+     * @param {string} password - Password
+     * @param {Object} [options] - Options
+     * @param {string} [options.kdf='pbkdf2'] - 'pbkdf2' (openssl -pbkdf2) or 'evp'
+     *   (EVP_BytesToKey, openssl without -pbkdf2)
+     * @param {string} [options.digest] - Digest: 'sha256' (default for pbkdf2),
+     *   or 'md5' (default for evp, openssl -md md5)
+     * @param {number} [options.iterations=10000] - PBKDF2 iterations (openssl -iter)
+     * @param {string} [options.encoding='binary'] - 'binary', or 'base64' like openssl -a
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Uint8Array|Buffer|string} Encrypted bytes (a Buffer on Node.js), or base64 text
+     */
+    function encryptOpenSSL(data, password, options = {}) {
+        try {
+            checkOpenSSLArgs(data, password, options.encoding);
+            const bytes = typeof data === 'string' ? utf8Encode(data) : data;
+            return openSSLOutput(runSync(sealOpenSSL(resolveBackend(options.backend, true), bytes, password, options)),
+                options.encoding);
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypt data in the format of `openssl enc -aes-256-cbc -salt`, binary
+     * or base64 (openssl -a). The KDF options must match those used to encrypt.
+     * @param {string|Uint8Array} data - File content
+     * @param {string} password - Password
+     * @param {Object} [options] - KDF options (see encryptOpenSSL)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Uint8Array|Buffer} Decrypted bytes; a Buffer on Node.js
+     * @throws Error with a code of MALFORMED or WRONG_KEY
+     */
+    function decryptOpenSSL(data, password, options = {}) {
+        try {
+            checkOpenSSLArgs(data, password);
+            return outputBytes(runSync(openOpenSSL(resolveBackend(options.backend, true), data, password, options)));
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    // Chunked file format (Node.js only):
+    //   header: magic (4) | version (1) | kdf (1) | cost (1) | chunk size log2 (1) | salt (16) | check (2)
+    //   record: flags (1) | length (4) | iv (16) | ciphertext (length) | tag (16)
+    // Each record holds one chunk of plaintext encrypted like a v2 token. The
+    // tag covers the file header, the record index and the record itself, and
+    // the last record carries the final flag, so reordered, dropped or
+    // truncated chunks are detected. The magic starts with a non-alphanumeric
+    // byte, so chunked files are never confused with base62 token files.
+    const STREAM_MAGIC = [0x89, 0x55, 0x43, 0x43];
+    const STREAM_VERSION = 1;
+    const STREAM_HEADER_BYTES = 8 + SALT_BYTES + CHECK_BYTES;
+    const STREAM_RECORD_PREFIX_BYTES = 5;
+    const STREAM_FINAL = 0x01;
+    const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+    /**
+     * Check whether bytes start with the chunked file magic
+     * @param {Uint8Array} bytes - Leading bytes of a file
+     * @returns {boolean} True for chunked files
+     */
+    function isChunkedHeader(bytes) {
+        return bytes.length >= STREAM_MAGIC.length &&
+            STREAM_MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    /**
+     * Compute the tag of one chunked file record
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {Uint8Array} macKey - MAC key
+     * @param {Buffer} header - File header
+     * @param {number} index - Record index
+     * @param {Buffer} record - Record bytes before the tag
+     * @returns {Uint8Array} Tag
+     */
+    function computeRecordTag(backend, macKey, header, index, record) {
+        const counter = Buffer.alloc(8);
+        counter.writeUInt32BE(Math.floor(index / 0x100000000), 0);
+        counter.writeUInt32BE(index >>> 0, 4);
+
+        return runSync(hmacTag(backend, macKey, concatBytes(header, counter, record)));
+    }
+
+    /**
+     * Derive the subkeys of a chunked file
+     * @param {Object} backend - Crypto backend
+     * @param {string} password - Password string
+     * @param {Uint8Array} salt - Salt from the file header
+     * @param {Object} kdf - KDF descriptor from findKdf
+     * @param {number} cost - log2 of the work factor
+     * @returns {Object} Object with encKey, macKey and check
+     */
+    function* deriveChunkSubkeys(backend, password, salt, kdf, cost) {
+        return yield* deriveSubkeys(backend, yield* deriveKey(backend, password, salt, kdf, cost));
+    }
+
+    /**
+     * Build the header of a chunked file or archive and derive its subkeys
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {string|Object} password - Password or keyring (its primary key is used)
+     * @param {Object} options - Encryption options (kdf, cost, chunkSize)
+     * @param {number[]} magic - STREAM_MAGIC or ARCHIVE_MAGIC
+     * @param {number} version - Format version
+     * @returns {Object} Object with header, subkeys and chunkSize
+     */
+    function createRecordHeader(backend, password, options, magic, version) {
+        if (!password) {
+            throw new Error('Password required');
+        }
+
+        if (options.compression !== undefined && options.compression !== 'none') {
+            throw new Error('Compression is only supported for the token format');
+        }
+        if (options.expiresIn !== undefined || options.purpose !== undefined) {
+            throw new Error('expiresIn and purpose are only supported for the token format');
+        }
+        if (options.mode !== undefined && options.mode !== 'randomized') {
+            throw new Error('Deterministic mode is only supported for the token format');
+        }
+
+        const { kdf, cost } = resolveKdfOptions(options);
+        const chunkSize = options.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : options.chunkSize;
+        const chunkBits = Math.log2(chunkSize);
+        if (!Number.isInteger(chunkBits) || chunkBits < 10 || chunkBits > 24) {
+            throw new Error('chunkSize must be a power of two from 1 KiB to 16 MiB');
+        }
+
+        const salt = Buffer.from(backend.randomBytes(SALT_BYTES));
+        const key = encryptionKey(password).password;
+        const subkeys = runSync(deriveChunkSubkeys(backend, key, salt, kdf, cost));
+        const header = Buffer.concat([
+            Buffer.from(magic),
+            Buffer.from([version, kdf.id, cost, chunkBits]),
+            salt,
+            subkeys.check
+        ]);
+        return { header, subkeys, chunkSize };
+    }
+
+    /**
+     * Derive the subkeys of a chunked file or archive from its header, once
+     * the caller has checked the magic and version
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {string[]} passwords - Passwords to try, from decryptionKeys
+     * @param {Buffer} header - Header bytes
+     * @param {string} kind - 'file' or 'archive', for error messages
+     * @param {Object} options - Decryption options with maxCost
+     * @returns {Object} Object with subkeys and maxCiphertext (the largest valid record ciphertext)
+     * @throws CryptoError with code MALFORMED or WRONG_KEY
+     */
+    function openRecordHeader(backend, passwords, header, kind, options) {
+        const kdf = findKdf(header[5]);
+        const cost = header[6];
+        const chunkBits = header[7];
+        if (!kdf || cost < kdf.minCost || cost > kdf.maxCost || chunkBits < 10 || chunkBits > 24) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed ${kind} header`);
+        }
+        checkMaxCost(kdf, cost, options, kind);
+
+        const salt = header.subarray(8, 8 + SALT_BYTES);
+        const subkeys = runSync(tryKeys(passwords, function* (key) {
+            const candidate = yield* deriveChunkSubkeys(backend, key, salt, kdf, cost);
+            if (!constantTimeEqual(candidate.check, header.subarray(8 + SALT_BYTES))) {
+                throw codedError(ERROR_CODES.WRONG_KEY, 'Wrong password or key');
+            }
+            return candidate;
+        }));
+
+        // PKCS7 adds up to one block to a full chunk
+        return { subkeys, maxCiphertext: Math.pow(2, chunkBits) + 16 };
+    }
+
+    /**
+     * Encrypt one record of a chunked file or archive
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {Object} subkeys - Subkeys from deriveChunkSubkeys
+     * @param {Buffer} header - File header
+     * @param {number} index - Record index
+     * @param {Uint8Array} plaintext - Record plaintext
+     * @param {number} flags - Record flags (STREAM_FINAL, ARCHIVE_INDEX)
+     * @returns {Buffer} Record with its tag
+     */
+    function sealRecord(backend, subkeys, header, index, plaintext, flags) {
+        const iv = backend.randomBytes(IV_BYTES);
+        const ciphertext = backend.aesCbcEncrypt(subkeys.encKey, iv, plaintext);
+        const prefix = Buffer.alloc(STREAM_RECORD_PREFIX_BYTES);
+        prefix[0] = flags;
+        prefix.writeUInt32BE(ciphertext.length, 1);
+
+        const record = Buffer.concat([prefix, iv, ciphertext]);
+        return Buffer.concat([record, computeRecordTag(backend, subkeys.macKey, header, index, record)]);
+    }
+
+    /**
+     * Check the tag of one record of a chunked file or archive and decrypt it
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {Object} subkeys - Subkeys from deriveChunkSubkeys
+     * @param {Buffer} header - File header
+     * @param {number} index - Record index
+     * @param {Buffer} record - Whole record, tag included
+     * @returns {Buffer} Plaintext
+     * @throws CryptoError with code TAMPERED or MALFORMED
+     */
+    function openRecord(backend, subkeys, header, index, record) {
+        const body = record.subarray(0, record.length - TAG_BYTES);
+        const tag = record.subarray(body.length);
+
+        const expected = computeRecordTag(backend, subkeys.macKey, header, index, body);
+        if (!constantTimeEqual(expected, tag)) {
+            throw codedError(ERROR_CODES.TAMPERED, `Chunk ${index} was modified, reordered or removed`);
+        }
+
+        const ivOffset = STREAM_RECORD_PREFIX_BYTES;
+        const decrypted = backend.aesCbcDecrypt(
+            subkeys.encKey,
+            body.subarray(ivOffset, ivOffset + IV_BYTES),
+            body.subarray(ivOffset + IV_BYTES)
+        );
+
+        if (!decrypted) {
+            throw codedError(ERROR_CODES.MALFORMED, `Malformed chunk ${index}: invalid padding`);
+        }
+
+        return Buffer.from(decrypted);
+    }
+
+    /**
+     * Create the incremental encryptor behind createEncryptStream
+     * @param {string|Object} password - Encryption password or keyring (its primary key is used)
+     * @param {Object} [options] - Encryption options
+     * @param {string} [options.kdf='pbkdf2'] - Key derivation function
+     * @param {number} [options.cost] - log2 of the KDF work factor
+     * @param {number} [options.chunkSize=65536] - Plaintext bytes per record, a power of two from 1 KiB to 16 MiB
+     * @param {string} [options.backend] - Synchronous crypto backend ('node' or 'cryptojs')
+     * @returns {Object} Encryptor with update(bytes) and final(), both returning Buffer[]
+     */
+    function createChunkEncryptor(password, options = {}) {
+        const backend = resolveBackend(options.backend, true);
+        const { header, subkeys, chunkSize } = createRecordHeader(backend, password, options, STREAM_MAGIC, STREAM_VERSION);
+
+        let pending = Buffer.alloc(0);
+        let index = 0;
+        let headerSent = false;
+
+        function seal(plaintext, final) {
+            return sealRecord(backend, subkeys, header, index++, plaintext, final ? STREAM_FINAL : 0);
+        }
+
+        function takeHeader() {
+            if (headerSent) {
+                return [];
+            }
+            headerSent = true;
+            return [header];
+        }
+
+        return {
+            update(data) {
+                const output = takeHeader();
+                pending = Buffer.concat([pending, data]);
+
+                // Keep the last chunk back so final() can flag it
+                let offset = 0;
+                while (pending.length - offset > chunkSize) {
+                    output.push(seal(pending.subarray(offset, offset + chunkSize), false));
+                    offset += chunkSize;
+                }
+                pending = pending.subarray(offset);
+
+                return output;
+            },
+            final() {
+                const output = takeHeader();
+                output.push(seal(pending, true));
+                pending = Buffer.alloc(0);
+                return output;
+            }
+        };
+    }
+
+    /**
+     * Create the incremental decryptor behind createDecryptStream
+     * @param {string|Object} password - Decryption password or keyring (keys are matched by the check value)
+     * @param {Object} [options] - Decryption options
+     * @param {string} [options.backend] - Synchronous crypto backend ('node' or 'cryptojs')
+     * @param {number} [options.maxCost=16] - Highest KDF cost accepted from the file header
+     * @returns {Object} Decryptor with update(bytes) and final(), both returning Buffer[]
+     * @throws CryptoError with a code from ERROR_CODES
+     */
+    function createChunkDecryptor(password, options = {}) {
+        checkNoPurpose(options);
+        const backend = resolveBackend(options.backend, true);
+        const passwords = decryptionKeys(password, null);
+        let pending = Buffer.alloc(0);
+        let header = null;
+        let subkeys = null;
+        let maxCiphertext = 0;
+        let index = 0;
+        let finished = false;
+
+        function readHeader() {
+            header = Buffer.from(pending.subarray(0, STREAM_HEADER_BYTES));
+            pending = pending.subarray(STREAM_HEADER_BYTES);
+
+            if (!isChunkedHeader(header)) {
+                throw codedError(ERROR_CODES.MALFORMED, 'Not a chunked encrypted file');
+            }
+            if (header[4] !== STREAM_VERSION) {
+                throw codedError(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported file version: ${header[4]}`);
+            }
+
+            ({ subkeys, maxCiphertext } = openRecordHeader(backend, passwords, header, 'file', options));
+        }
+
+        return {
+            update(data) {
+                const output = [];
+                pending = Buffer.concat([pending, data]);
+
+                if (!header) {
+                    if (pending.length < STREAM_HEADER_BYTES) {
+                        return output;
+                    }
+                    readHeader();
+                }
+
+                while (pending.length > 0) {
+                    if (finished) {
+                        throw codedError(ERROR_CODES.TAMPERED, 'Unexpected data after the final chunk');
+                    }
+                    if (pending.length < STREAM_RECORD_PREFIX_BYTES) {
+                        break;
+                    }
+
+                    const flags = pending[0];
+                    const ciphertextLength = pending.readUInt32BE(1);
+                    if ((flags & ~STREAM_FINAL) !== 0 || ciphertextLength === 0 ||
+                        ciphertextLength % 16 !== 0 || ciphertextLength > maxCiphertext) {
+                        throw codedError(ERROR_CODES.MALFORMED, `Malformed chunk ${index}`);
+                    }
+
+                    const recordLength = STREAM_RECORD_PREFIX_BYTES + IV_BYTES + ciphertextLength + TAG_BYTES;
+                    if (pending.length < recordLength) {
+                        break;
+                    }
+
+                    output.push(openRecord(backend, subkeys, header, index++, pending.subarray(0, recordLength)));
+                    pending = pending.subarray(recordLength);
+                    finished = (flags & STREAM_FINAL) !== 0;
+                }
+
+                return output;
+            },
+            final() {
+                if (!header) {
+                    throw codedError(ERROR_CODES.MALFORMED, 'File is too short to be a chunked encrypted file');
+                }
+                if (!finished) {
+                    throw codedError(ERROR_CODES.TAMPERED, 'File is truncated: final chunk missing');
+                }
+                return [];
+            }
+        };
+    }
+
+    /**
+     * Wrap an incremental encryptor or decryptor in a Transform stream
+     * @param {Object} codec - Object with update(bytes) and final()
+     * @returns {stream.Transform} Transform stream
+     */
+    function codecTransform(codec) {
+        return new stream.Transform({
+            transform(chunk, encoding, callback) {
+                try {
+                    codec.update(chunk).forEach((buffer) => this.push(buffer));
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                try {
+                    codec.final().forEach((buffer) => this.push(buffer));
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Create a Transform stream that encrypts into the chunked file format (Node.js only)
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Encryption options (see createChunkEncryptor)
+     * @returns {stream.Transform} Transform stream
+     */
+    function createEncryptStream(password, options) {
+        if (!isNode || !stream) {
+            throw new Error('createEncryptStream is only available in Node.js environment');
+        }
+
+        return codecTransform(createChunkEncryptor(password, options));
+    }
+
+    /**
+     * Create a Transform stream that decrypts the chunked file format (Node.js only)
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see createChunkDecryptor)
+     * @returns {stream.Transform} Transform stream; errors carry a code from ERROR_CODES
+     */
+    function createDecryptStream(password, options) {
+        if (!isNode || !stream) {
+            throw new Error('createDecryptStream is only available in Node.js environment');
+        }
+
+        return codecTransform(createChunkDecryptor(password, options));
+    }
+
+    /**
+     * Check whether a file is in the chunked format
+     * @param {string} file - Path to file
+     * @returns {boolean} True for chunked files
+     */
+    function isChunkedFile(file) {
+        const fd = fs.openSync(file, 'r');
+        try {
+            const magic = Buffer.alloc(STREAM_MAGIC.length);
+            const bytesRead = fs.readSync(fd, magic, 0, magic.length, 0);
+            return isChunkedHeader(magic.subarray(0, bytesRead));
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Run a file through an incremental codec with constant memory
+     * @param {Object} codec - Object with update(bytes) and final()
+     * @param {string} inputFile - Path to input file
+     * @param {string} [outputFile] - Path to output file; output is returned when omitted
+     * @returns {Buffer|undefined} Output when no outputFile is given
+     */
+    function transformFileSync(codec, inputFile, outputFile) {
+        const input = fs.openSync(inputFile, 'r');
+        const output = outputFile ? fs.openSync(outputFile, 'w') : null;
+        const collected = [];
+        const write = (buffers) => buffers.forEach((buffer) => {
+            if (output === null) {
+                collected.push(buffer);
+            } else {
+                fs.writeSync(output, buffer);
+            }
+        });
+
+        try {
+            let bytesRead;
+            do {
+                const chunk = Buffer.alloc(DEFAULT_CHUNK_SIZE);
+                bytesRead = fs.readSync(input, chunk, 0, chunk.length, null);
+                write(codec.update(chunk.subarray(0, bytesRead)));
+            } while (bytesRead > 0);
+
+            write(codec.final());
+        } catch (error) {
+            if (output !== null) {
+                fs.closeSync(output);
+                fs.unlinkSync(outputFile);
+            }
+            throw error;
+        } finally {
+            fs.closeSync(input);
+        }
+
+        if (output === null) {
+            return Buffer.concat(collected);
+        }
+        fs.closeSync(output);
+    }
+
+    /**
+     * Pipe a file through a Transform stream
+     * @param {stream.Transform} transform - Transform stream
+     * @param {string} inputFile - Path to input file
+     * @param {string} [outputFile] - Path to output file; output is returned when omitted
+     * @param {Object} [options] - signal to abort and onProgress for { processed, total } input bytes
+     * @returns {Promise<Buffer|undefined>} Output when no outputFile is given
+     */
+    async function transformFile(transform, inputFile, outputFile, options = {}) {
+        const input = fs.createReadStream(inputFile);
+        const stages = [input, transform];
+        if (options.onProgress) {
+            const total = fs.statSync(inputFile).size;
+            let processed = 0;
+            stages.splice(1, 0, new stream.Transform({
+                transform(chunk, encoding, callback) {
+                    processed += chunk.length;
+                    options.onProgress({ processed, total });
+                    callback(null, chunk);
+                }
+            }));
+        }
+
+        if (!outputFile) {
+            const collected = [];
+            await stream.promises.pipeline(...stages, async function (source) {
+                for await (const buffer of source) {
+                    collected.push(buffer);
+                }
+            }, { signal: options.signal });
+            return Buffer.concat(collected);
+        }
+
+        try {
+            await stream.promises.pipeline(...stages, fs.createWriteStream(outputFile), { signal: options.signal });
+        } catch (error) {
+            fs.rmSync(outputFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Decrypt file (Node.js only)
+     * Chunked files are streamed to outputFile with constant memory; files
+     * holding a single base62 token (encryptFile with format 'token', or legacy
+     * v0 / ucc-encrypt --token-version 0 output) are decrypted in memory.
+     * The output is the raw decrypted bytes.
+     * @param {string} inputFile - Path to encrypted file
+     * @param {string} [outputFile] - Path to output file; the bytes are returned when omitted
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @returns {Buffer|undefined} Decrypted bytes, or undefined when they were written to outputFile
+     */
+    function decryptFile(inputFile, outputFile, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('decryptFile is only available in Node.js environment');
+        }
+
+        try {
+            if (isChunkedFile(inputFile)) {
+                return transformFileSync(createChunkDecryptor(password, options), inputFile, outputFile);
+            }
+
+            const base62String = fs.readFileSync(inputFile, 'utf8').trim();
+            const backend = resolveBackend(options.backend, true);
+            const decrypted = outputBytes(runSync(openToken(backend, base62String, password, options)));
+
+            if (!outputFile) {
+                return decrypted;
+            }
+            fs.writeFileSync(outputFile, decrypted);
+        } catch (error) {
+            throw wrapError('File decryption failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Encrypt file (Node.js only)
+     * By default the file is streamed into the chunked format with constant
+     * memory. With format 'token' it becomes a single base62 token.
+     * @param {string} inputFile - Path to file to encrypt
+     * @param {string} outputFile - Path to output file
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Encryption options (see createChunkEncryptor and sealToken)
+     * @param {string} [options.format='chunked'] - 'chunked' or 'token'
+     * @returns {string|undefined} Base62 encrypted string for format 'token'
+     */
+    function encryptFile(inputFile, outputFile, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('encryptFile is only available in Node.js environment');
+        }
+
+        try {
+            if (!password) {
+                throw new Error('Password required');
+            }
+
+            if (options.format !== 'token') {
+                if (!outputFile) {
+                    throw new Error('Output file required for chunked format');
+                }
+
+                transformFileSync(createChunkEncryptor(password, options), inputFile, outputFile);
+                return undefined;
+            }
+
+            const data = fs.readFileSync(inputFile);
+            const encrypted = runSync(sealToken(resolveBackend(options.backend, true), data, password, options));
+
+            if (outputFile) {
+                fs.writeFileSync(outputFile, encrypted + '\n');
+            }
+
+            return encrypted;
+        } catch (error) {
+            throw wrapError('File encryption failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Re-encrypt a token from an old key to the primary key of a keyring
+     * @param {string} encryptedBase62 - Encrypted base62 string
+     * @param {Object} keyring - Keyring from createKeyring
+     * @param {Object} [options] - Token options for the new token (see rekeyToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {string} New token, or the same token if it already uses the primary key
+     * @throws CryptoError with a code from ERROR_CODES if the token cannot be decrypted
+     */
+    function rekey(encryptedBase62, keyring, options = {}) {
+        try {
+            return runSync(rekeyToken(resolveBackend(options.backend, true), encryptedBase62, keyring, options));
+        } catch (error) {
+            throw wrapError('Rekey failed', error);
+        }
+    }
+
+    /**
+     * Re-encrypt a file from an old key to the primary key of a keyring (Node.js only)
+     * Chunked files are streamed with constant memory and always re-encrypted;
+     * token files are left alone if they already use the primary key.
+     * @param {string} inputFile - Path to encrypted file
+     * @param {string} [outputFile] - Path to output file (default: replace inputFile)
+     * @param {Object} keyring - Keyring from createKeyring
+     * @param {Object} [options] - Encryption options for the new file (see encryptFile and rekeyToken)
+     */
+    function rekeyFile(inputFile, outputFile, keyring, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('rekeyFile is only available in Node.js environment');
+        }
+
+        try {
+            const target = outputFile || `${inputFile}.rekey-${process.pid}`;
+
+            if (isChunkedFile(inputFile)) {
+                const decryptor = createChunkDecryptor(keyring, options);
+                const encryptor = createChunkEncryptor(keyring, options);
+                const reencrypt = (buffers) => [].concat(...buffers.map((buffer) => encryptor.update(buffer)));
+
+                transformFileSync({
+                    update: (data) => reencrypt(decryptor.update(data)),
+                    final: () => reencrypt(decryptor.final()).concat(encryptor.final())
+                }, inputFile, target);
+            } else {
+                const token = fs.readFileSync(inputFile, 'utf8').trim();
+                const rekeyed = runSync(rekeyToken(resolveBackend(options.backend, true), token, keyring, options));
+                fs.writeFileSync(target, rekeyed + '\n');
+            }
+
+            if (!outputFile) {
+                fs.renameSync(target, inputFile);
+            }
+        } catch (error) {
+            throw wrapError('File rekey failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Async version of encrypt. Works with every backend, including
+     * WebCrypto in browsers and edge runtimes.
+     * @param {string} text - Text to encrypt
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Token options (see sealToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Promise<string>} Base62 encrypted string
+     */
+    async function encryptAsync(text, password, options = {}) {
+        try {
+            checkEncryptArgs(text, password);
+            return await runAsync(sealToken(resolveBackend(options.backend, false), utf8Encode(text), password, options));
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Async version of encryptFile (Node.js only), streaming chunked files
+     * @param {string} inputFile - Path to file to encrypt
+     * @param {string} outputFile - Path to output file
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Encryption options (see encryptFile)
+     * @returns {Promise<string|undefined>} Base62 encrypted string for format 'token'
+     */
+    async function encryptFileAsync(inputFile, outputFile, password, options = {}) {
+        if (!isNode || !fs || options.format === 'token') {
+            return encryptFile(inputFile, outputFile, password, options);
+        }
+
+        try {
+            if (!outputFile) {
+                throw new Error('Output file required for chunked format');
+            }
+
+            await transformFile(createEncryptStream(password, options), inputFile, outputFile);
+        } catch (error) {
+            throw wrapError('File encryption failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Call options.onProgress, if given
+     * @param {Object} options - Options of the call
+     * @param {number} processed - Input processed so far
+     * @param {number} total - Size of the input
+     */
+    function reportProgress(options, processed, total) {
+        if (options.onProgress) {
+            options.onProgress({ processed, total });
+        }
+    }
+
+    /**
+     * Reject an aborted call before it starts
+     * @param {AbortSignal} [signal] - Signal from the caller
+     * @throws signal.reason if the signal is aborted
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+    }
+
+    /**
+     * Async version of decrypt. Works with every backend, including
+     * WebCrypto in browsers and edge runtimes.
+     * @param {string} encryptedBase62 - Encrypted base62 string
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @param {boolean} [options.worker] - Run on the worker pool (see useWorkers)
+     * @param {AbortSignal} [options.signal] - Rejects with signal.reason when aborted
+     * @param {Function} [options.onProgress] - Called with { processed, total }
+     *   token characters when decryption starts and when it ends
+     * @returns {Promise<string>} Decrypted text
+     */
+    async function decryptAsync(encryptedBase62, password, options = {}) {
+        if (useWorkers(options)) {
+            return runWorkerJob({ operation: 'decrypt', input: encryptedBase62 }, password, options);
+        }
+
+        throwIfAborted(options.signal);
+        const total = typeof encryptedBase62 === 'string' ? encryptedBase62.length : 0;
+        reportProgress(options, 0, total);
+        try {
+            const backend = resolveBackend(options.backend, false);
+            const text = decodePlaintext(await runAsync(openToken(backend, encryptedBase62, password, options)),
+                encryptedBase62, options.encoding);
+            reportProgress(options, total, total);
+            return text;
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    /**
+     * Async version of encryptBytes. Works with every backend.
+     * @param {Uint8Array} data - Bytes to encrypt (a Buffer on Node.js)
+     * @param {string} password - Encryption password
+     * @param {Object} [options] - Token options (see sealToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Promise<string>} Base62 encrypted string
+     */
+    async function encryptBytesAsync(data, password, options = {}) {
+        try {
+            checkEncryptBytesArgs(data, password);
+            return await runAsync(sealToken(resolveBackend(options.backend, false), data, password, options));
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Async version of decryptBytes. Works with every backend.
+     * @param {string} encryptedBase62 - Encrypted base62 string
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @param {boolean} [options.worker] - Run on the worker pool (see useWorkers)
+     * @param {AbortSignal} [options.signal] - Rejects with signal.reason when aborted
+     * @param {Function} [options.onProgress] - Called with { processed, total }
+     *   token characters when decryption starts and when it ends
+     * @returns {Promise<Uint8Array|Buffer>} Decrypted bytes; a Buffer on Node.js
+     */
+    async function decryptBytesAsync(encryptedBase62, password, options = {}) {
+        if (useWorkers(options)) {
+            return outputBytes(await runWorkerJob({ operation: 'decryptBytes', input: encryptedBase62 }, password, options));
+        }
+
+        throwIfAborted(options.signal);
+        const total = typeof encryptedBase62 === 'string' ? encryptedBase62.length : 0;
+        reportProgress(options, 0, total);
+        try {
+            const backend = resolveBackend(options.backend, false);
+            const bytes = outputBytes(await runAsync(openToken(backend, encryptedBase62, password, options)));
+            reportProgress(options, total, total);
+            return bytes;
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    /**
+     * Async version of encryptFields. Works with every backend.
+     * @param {Object|Array} document - JSON document (not modified)
+     * @param {string|string[]} paths - Field paths (see encryptFields)
+     * @param {string|Object} password - Encryption password or keyring
+     * @param {Object} [options] - Token options (see sealToken)
+     * @returns {Promise<Object|Array>} Copy of the document with the fields encrypted
+     */
+    async function encryptFieldsAsync(document, paths, password, options = {}) {
+        try {
+            return await runAsync(sealFields(resolveBackend(options.backend, false), document, paths, password, options));
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Async version of decryptFields. Works with every backend.
+     * @param {Object|Array} document - JSON document (not modified)
+     * @param {string|string[]} paths - Field paths (see encryptFields)
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} [options] - Decryption options (see decryptFields)
+     * @returns {Promise<Object|Array>} Copy of the document with the fields decrypted
+     */
+    async function decryptFieldsAsync(document, paths, password, options = {}) {
+        try {
+            return await runAsync(openFields(resolveBackend(options.backend, false), document, paths, password, options));
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    /**
+     * Async version of encryptOpenSSL. Works with every backend.
+     * @param {string|Uint8Array} data - Text (encoded as UTF-8) or bytes
+     * @param {string} password - Password
+     * @param {Object} [options] - Options (see encryptOpenSSL)
+     * @returns {Promise<Uint8Array|Buffer|string>} Encrypted bytes (a Buffer on Node.js), or base64 text
+     */
+    async function encryptOpenSSLAsync(data, password, options = {}) {
+        try {
+            checkOpenSSLArgs(data, password, options.encoding);
+            const bytes = typeof data === 'string' ? utf8Encode(data) : data;
+            return openSSLOutput(await runAsync(sealOpenSSL(resolveBackend(options.backend, false), bytes, password, options)),
+                options.encoding);
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Async version of decryptOpenSSL. Works with every backend.
+     * @param {string|Uint8Array} data - File content, binary or base64
+     * @param {string} password - Password
+     * @param {Object} [options] - KDF options (see encryptOpenSSL)
+     * @returns {Promise<Uint8Array|Buffer>} Decrypted bytes; a Buffer on Node.js
+     */
+    async function decryptOpenSSLAsync(data, password, options = {}) {
+        try {
+            checkOpenSSLArgs(data, password);
+            return outputBytes(await runAsync(openOpenSSL(resolveBackend(options.backend, false), data, password, options)));
+        } catch (error) {
+            throw wrapError('Decryption failed', error);
+        }
+    }
+
+    /**
+     * Async version of rekey. Works with every backend.
+     * @param {string} encryptedBase62 - Encrypted base62 string
+     * @param {Object} keyring - Keyring from createKeyring
+     * @param {Object} [options] - Token options for the new token (see rekeyToken)
+     * @param {string} [options.backend] - Crypto backend ('node', 'webcrypto' or 'cryptojs')
+     * @returns {Promise<string>} New token, or the same token if it already uses the primary key
+     */
+    async function rekeyAsync(encryptedBase62, keyring, options = {}) {
+        try {
+            return await runAsync(rekeyToken(resolveBackend(options.backend, false), encryptedBase62, keyring, options));
+        } catch (error) {
+            throw wrapError('Rekey failed', error);
+        }
+    }
+
+    /**
+     * Async version of decryptFile (Node.js only), streaming chunked files
+     * @param {string} inputFile - Path to encrypted file
+     * @param {string} [outputFile] - Path to output file; the bytes are returned when omitted
+     * @param {string} password - Decryption password
+     * @param {Object} [options] - Decryption options (see openToken)
+     * @param {boolean} [options.worker] - Run on the worker pool (see useWorkers)
+     * @param {AbortSignal} [options.signal] - Rejects with signal.reason when
+     *   aborted; a partial outputFile is removed
+     * @param {Function} [options.onProgress] - Called with { processed, total }
+     *   input bytes as a chunked file is decrypted, and at the start and end
+     *   of a token file
+     * @returns {Promise<Buffer|undefined>} Decrypted bytes, or undefined when they were written to outputFile
+     */
+    async function decryptFileAsync(inputFile, outputFile, password, options = {}) {
+        if (isNode && useWorkers(options)) {
+            const result = await runWorkerJob({ operation: 'decryptFile', input: inputFile, output: outputFile }, password, options);
+            return result && outputBytes(result);
+        }
+
+        throwIfAborted(options.signal);
+        if (!isNode || !fs || !fs.existsSync(inputFile)) {
+            return decryptFile(inputFile, outputFile, password, options);
+        }
+        if (!isChunkedFile(inputFile)) {
+            const total = fs.statSync(inputFile).size;
+            reportProgress(options, 0, total);
+            const result = decryptFile(inputFile, outputFile, password, options);
+            reportProgress(options, total, total);
+            return result;
+        }
+
+        try {
+            return await transformFile(createDecryptStream(password, options), inputFile, outputFile, options);
+        } catch (error) {
+            throwIfAborted(options.signal);
+            throw wrapError('File decryption failed', fileSystemError(error));
+        }
+    }
+
+    // Worker pool. decryptAsync, decryptBytesAsync and decryptFileAsync run
+    // on a shared pool of worker threads (Node.js) or Web Workers (browsers),
+    // so key derivation and large inputs do not block the event loop. Jobs
+    // wait in one queue and go to the next free worker in order. Aborting a
+    // running job terminates its worker, which the pool replaces on demand;
+    // idle Node.js workers do not keep the process alive. The pool is the
+    // default on the main thread of Node.js, where a blocked event loop stalls
+    // every request of a server. Browsers opt in with options.worker, since
+    // the pool needs the script URL (see configureWorkers).
+    const CRYPTO_WORKER_NAME = 'ultra-compact-crypto';
+
+    // Script URL for Web Workers, known while a <script> tag runs this file
+    const scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+    const workerPool = {
+        size: null,
+        url: scriptUrl,
+        idle: [],
+        count: 0,
+        queue: []
+    };
+
+    /**
+     * Configure the worker pool of the async decrypt functions
+     * @param {Object} [options] - Options
+     * @param {number} [options.size] - Most workers at once (default: the
+     *   number of CPUs minus one, at least 1)
+     * @param {string} [options.url] - URL of this script for Web Workers
+     *   (default: the src of the <script> tag that loaded it)
+     */
+    function configureWorkers(options = {}) {
+        if (options.size !== undefined) {
+            if (!Number.isInteger(options.size) || options.size < 1) {
+                throw new Error('Worker pool size must be a positive whole number');
+            }
+            workerPool.size = options.size;
+        }
+        if (options.url !== undefined) {
+            workerPool.url = options.url;
+        }
+        dispatchWorkerJobs();
+    }
+
+    /**
+     * Stop the idle workers of the pool; running jobs finish first and
+     * later jobs start new workers
+     * @returns {Promise<void>} Resolves when the idle workers have exited
+     */
+    async function terminateWorkers() {
+        const idle = workerPool.idle.splice(0);
+        workerPool.count -= idle.length;
+        await Promise.all(idle.map((worker) => worker.terminate()));
+    }
+
+    /**
+     * Check whether jobs can run on workers here: not in bundles, where the
+     * module file is not this library, nor in browsers without a script URL
+     * @returns {boolean} True if workers are available
+     */
+    function canUseWorkers() {
+        if (isNode) {
+            return Boolean(workerThreads) && typeof __filename !== 'undefined' &&
+                typeof module === 'object' && module.filename === __filename;
+        }
+        return typeof Worker !== 'undefined' && Boolean(workerPool.url);
+    }
+
+    /**
+     * Decide whether a call runs on the worker pool
+     * @param {Object} options - Options of the call
+     * @param {boolean} [options.worker] - True or false; by default the pool is
+     *   used on the main thread of Node.js, and never inside a worker
+     * @returns {boolean} True to run the call on the pool
+     */
+    function useWorkers(options) {
+        const wanted = options.worker === undefined
+            ? isNode && Boolean(workerThreads) && workerThreads.isMainThread
+            : Boolean(options.worker);
+        return wanted && canUseWorkers();
+    }
+
+    /**
+     * Start a pool worker
+     * @returns {Object} Worker with post, terminate, ref and unref, and an
+     *   onMessage and onError to be set by the caller
+     */
+    function startWorker() {
+        const handle = { onMessage: null, onError: null };
+
+        if (isNode) {
+            const worker = new workerThreads.Worker(__filename, { workerData: { cryptoWorker: true } });
+            worker.on('message', (message) => handle.onMessage(message));
+            worker.on('error', (error) => handle.onError(error));
+            return Object.assign(handle, {
+                post: (message) => worker.postMessage(message),
+                terminate: () => worker.terminate(),
+                ref: () => worker.ref(),
+                unref: () => worker.unref()
+            });
+        }
+
+        // A script of its own would have to be same-origin; importScripts is not
+        const source = `importScripts(${JSON.stringify(workerPool.url)});`;
+        const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })),
+            { name: CRYPTO_WORKER_NAME });
+        worker.onmessage = (event) => handle.onMessage(event.data);
+        worker.onerror = (event) => handle.onError(new Error(event.message || 'Worker failed'));
+        return Object.assign(handle, {
+            post: (message) => worker.postMessage(message),
+            terminate: async () => worker.terminate(),
+            ref: () => {},
+            unref: () => {}
+        });
+    }
+
+    /**
+     * Default pool size: one worker per CPU, leaving one for the main thread
+     * @returns {number} Pool size
+     */
+    function defaultPoolSize() {
+        const cpus = isNode
+            ? os.availableParallelism()
+            : (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, cpus - 1);
+    }
+
+    /**
+     * Start queued jobs on idle or new workers
+     */
+    function dispatchWorkerJobs() {
+        const size = workerPool.size || defaultPoolSize();
+        while (workerPool.queue.length > 0 && (workerPool.idle.length > 0 || workerPool.count < size)) {
+            const task = workerPool.queue.shift();
+            if (task.signal && task.signal.aborted) {
+                // Aborted during the same abort event, before its own listener ran
+                task.signal.removeEventListener('abort', task.onAbort);
+                task.reject(task.signal.reason);
+                continue;
+            }
+
+            let worker = workerPool.idle.pop();
+            if (!worker) {
+                worker = startWorker();
+                workerPool.count++;
+            }
+            runOnWorker(worker, task);
+        }
+    }
+
+    /**
+     * Run one queued job on a worker
+     * @param {Object} worker - Worker from startWorker
+     * @param {Object} task - { job, resolve, reject, signal, onProgress, onAbort }
+     */
+    function runOnWorker(worker, task) {
+        const finish = (settle, value) => {
+            if (task.signal) {
+                task.signal.removeEventListener('abort', task.onAbort);
+            }
+            settle(value);
+        };
+        const retire = () => {
+            workerPool.count--;
+            worker.terminate();
+        };
+
+        worker.onMessage = (message) => {
+            if (message.type === 'progress') {
+                if (task.onProgress) {
+                    task.onProgress({ processed: message.processed, total: message.total });
+                }
+                return;
+            }
+
+            worker.unref();
+            workerPool.idle.push(worker);
+            if (message.type === 'error') {
+                finish(task.reject, workerError(message.error));
+            } else {
+                finish(task.resolve, message.result);
+            }
+            dispatchWorkerJobs();
+        };
+        worker.onError = (error) => {
+            retire();
+            finish(task.reject, error);
+            dispatchWorkerJobs();
+        };
+
+        // Aborted while running: the worker may be in a synchronous KDF, so
+        // it is stopped rather than asked to stop
+        if (task.signal) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        task.onAbort = () => {
+            retire();
+            if (task.job.output) {
+                fs.rmSync(task.job.output, { force: true });
+            }
+            finish(task.reject, task.signal.reason);
+            dispatchWorkerJobs();
+        };
+        if (task.signal) {
+            task.signal.addEventListener('abort', task.onAbort, { once: true });
+        }
+
+        worker.ref();
+        worker.post(task.job);
+    }
+
+    /**
+     * Turn a password, keyring or private key into data that can be posted
+     * to a worker (keyrings and keys hide their secrets from cloning)
+     * @param {string|Object} password - Password, keyring or private key
+     * @returns {Object} { password }, { keyring } or { privateKey }
+     */
+    function cloneableSecret(password) {
+        const entries = keyrings.get(password);
+        if (entries) {
+            return {
+                keyring: {
+                    primary: entries[0].name,
+                    keys: Object.fromEntries(entries.map((entry) => [entry.name, entry.password]))
+                }
+            };
+        }
+        if (asymmetricKeys.has(password)) {
+            return { privateKey: exportKey(password, 'jwk') };
+        }
+        return { password };
+    }
+
+    /**
+     * Rebuild a password, keyring or private key from cloneableSecret
+     * @param {Object} secret - Result of cloneableSecret
+     * @returns {string|Object} Password, keyring or private key
+     */
+    function restoreSecret(secret) {
+        if (secret.keyring) {
+            return createKeyring(secret.keyring.keys, { primary: secret.keyring.primary });
+        }
+        return secret.privateKey ? importKey(secret.privateKey) : secret.password;
+    }
+
+    /**
+     * Rebuild an error posted by a worker, with its class and details
+     * @param {Object} data - name, message, code and details
+     * @returns {Error} Error
+     */
+    function workerError(data) {
+        if (ERROR_CLASSES[data.code]) {
+            return codedError(data.code, data.message, data.details);
+        }
+        return Object.assign(new Error(data.message), data.code ? { code: data.code } : {});
+    }
+
+    /**
+     * Queue a job for the worker pool
+     * @param {Object} job - { operation, input, output }
+     * @param {string|Object} password - Password, keyring or private key
+     * @param {Object} options - Options of the call; signal and onProgress
+     *   stay in this thread
+     * @returns {Promise<*>} Result of the job
+     */
+    function runWorkerJob(job, password, options) {
+        const { signal, onProgress } = options;
+        const jobOptions = Object.assign({}, options);
+        delete jobOptions.worker;
+        delete jobOptions.signal;
+        delete jobOptions.onProgress;
+        // Workers have their own setBackend default: send the one of this thread
+        jobOptions.backend = resolveBackend(options.backend, false).name;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const task = {
+                job: Object.assign({ secret: cloneableSecret(password), options: jobOptions, progress: Boolean(onProgress) }, job),
+                resolve,
+                reject,
+                signal,
+                onProgress
+            };
+            // Aborted while queued: it never reaches a worker
+            task.onAbort = () => {
+                const index = workerPool.queue.indexOf(task);
+                if (index !== -1) {
+                    workerPool.queue.splice(index, 1);
+                }
+                reject(signal.reason);
+            };
+            if (signal) {
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+
+            workerPool.queue.push(task);
+            dispatchWorkerJobs();
+        });
+    }
+
+    /**
+     * Run a job from runWorkerJob in this worker
+     * @param {Object} job - Job
+     * @param {Function} post - Posts a message to the pool
+     */
+    async function serveWorkerJob(job, post) {
+        try {
+            const password = restoreSecret(job.secret);
+            const options = job.progress
+                ? Object.assign({}, job.options, { onProgress: (progress) => post(Object.assign({ type: 'progress' }, progress)) })
+                : job.options;
+
+            let result;
+            switch (job.operation) {
+                case 'decrypt':
+                    result = await decryptAsync(job.input, password, options);
+                    break;
+                case 'decryptBytes':
+                    result = await decryptBytesAsync(job.input, password, options);
+                    break;
+                case 'decryptFile':
+                    result = await decryptFileAsync(job.input, job.output, password, options);
+                    break;
+                default:
+                    throw new Error(`Unknown worker job: ${job.operation}`);
+            }
+            post({ type: 'result', result });
+        } catch (error) {
+            const details = error instanceof CryptoError ? error.toJSON() : {};
+            delete details.name;
+            delete details.message;
+            delete details.code;
+            post({ type: 'error', error: { message: error.message, code: error.code, details } });
+        }
+    }
+
+    // Directory trees (Node.js only). Files are encrypted or decrypted one
+    // by one into the same relative paths under the output directory, on a
+    // pool of worker threads. A manifest in the output directory records the
+    // SHA-256 of every input and output, with a fingerprint of the key and
+    // the options that shape the output, so a later run skips files whose
+    // input, output, key and options are unchanged.
+    const MANIFEST_FILE = '.ucc-manifest.json';
+    const MANIFEST_VERSION = 1;
+    const MANIFEST_KEY_SALT = utf8Encode('ultra-compact-crypto manifest');
+    // Options recorded in manifest entries, by operation
+    const MANIFEST_OPTIONS = {
+        encrypt: ['format', 'version', 'kdf', 'cost', 'compression', 'chunkSize', 'mode', 'context',
+            'associatedData', 'expiresIn', 'purpose', 'encoding', 'group'],
+        decrypt: ['associatedData', 'context', 'purpose', 'encoding']
+    };
+
+    /**
+     * Compile a file glob. * and ? do not match /, ** matches any number of
+     * directories, and a pattern without / matches a name at any depth.
+     * @param {string} pattern - Glob
+     * @returns {RegExp} Pattern for relative paths with / separators
+     */
+    function fileGlob(pattern) {
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*' && pattern[i + 1] === '*') {
+                source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+                i += pattern[i + 2] === '/' ? 2 : 1;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[\\^$+.()|{}[\]]/g, '\\$&');
+            }
+        }
+
+        const anchored = pattern.replace(/^\//, '').includes('/');
+        return new RegExp('^' + (anchored ? '' : '(?:.*/)?') + source.replace(/^\//, '') + '$');
+    }
+
+    /**
+     * Test a relative file path, or any directory above it, against globs
+     * @param {string} file - Relative path with / separators
+     * @param {RegExp[]} globs - Patterns from fileGlob
+     * @returns {boolean} True if a glob matches
+     */
+    function matchesFileGlobs(file, globs) {
+        const parts = file.split('/');
+        return parts.some((part, i) => {
+            const prefix = parts.slice(0, i + 1).join('/');
+            return globs.some((glob) => glob.test(prefix));
+        });
+    }
+
+    /**
+     * List the regular files of a directory tree
+     * @param {string} root - Directory
+     * @param {string} skip - Absolute directory to leave out (the output directory)
+     * @returns {string[]} Relative paths with / separators, sorted
+     */
+    function listFiles(root, skip) {
+        const files = [];
+        const walk = (directory, prefix) => {
+            for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+                const absolute = path.join(directory, entry.name);
+                if (entry.isDirectory() && absolute !== skip) {
+                    walk(absolute, `${prefix}${entry.name}/`);
+                } else if (entry.isFile()) {
+                    files.push(`${prefix}${entry.name}`);
+                }
+            }
+        };
+        walk(root, '');
+        return files.sort();
+    }
+
+    /**
+     * SHA-256 of a file, streamed
+     * @param {string} file - Path
+     * @returns {Promise<string>} Hex digest
+     */
+    function hashFile(file) {
+        return new Promise((resolve, reject) => {
+            const hash = nodeCrypto.createHash('sha256');
+            fs.createReadStream(file)
+                .on('error', reject)
+                .on('data', (chunk) => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    /**
+     * Fingerprint of the key of a directory run, for the manifest: the key id
+     * and a PBKDF2 hash of the primary key of a keyring, or a PBKDF2 hash of a
+     * password. At the default cost, testing a password against it costs as
+     * much as testing it against a token.
+     * @param {string|Object} password - Password or keyring
+     * @returns {string} Fingerprint
+     */
+    function treeKeyFingerprint(password) {
+        const entries = keyrings.get(password);
+        const secret = entries ? entries[0].password
+            : typeof password === 'string' ? password : JSON.stringify(cloneableSecret(password));
+        const iterations = Math.pow(2, KDFS.pbkdf2.defaultCost);
+        const hash = nodeCrypto.pbkdf2Sync(utf8Encode(secret), MANIFEST_KEY_SALT, iterations, 16, 'sha256');
+        return (entries ? `${entries[0].id}:` : '') + hash.toString('hex');
+    }
+
+    /**
+     * Pick the options that shape the output of a directory run
+     * @param {string} operation - 'encrypt' or 'decrypt'
+     * @param {Object} options - File options
+     * @returns {Object} Options for the manifest, in a fixed order
+     */
+    function treeManifestOptions(operation, options) {
+        const picked = {};
+        for (const name of MANIFEST_OPTIONS[operation]) {
+            if (options[name] !== undefined) {
+                picked[name] = options[name];
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Encrypt or decrypt one file of a directory tree
+     * @param {Object} job - { operation, input, output, inputFile, outputFile,
+     *   key and options (fingerprint and options of this run),
+     *   previous (manifest entry or null), force }
+     * @param {string|Object} password - Password or keyring
+     * @param {Object} options - File encryption or decryption options
+     * @returns {Promise<Object>} File result for the report
+     */
+    async function processTreeFile(job, password, options) {
+        const result = { input: job.input, output: job.output };
+        try {
+            const inputSha256 = await hashFile(job.inputFile);
+            const previous = job.previous;
+            if (!job.force && previous && previous.inputSha256 === inputSha256 && previous.output === job.output &&
+                previous.key === job.key && JSON.stringify(previous.options) === JSON.stringify(job.options) &&
+                fs.existsSync(job.outputFile) && await hashFile(job.outputFile) === previous.outputSha256) {
+                return Object.assign(result, { status: 'skipped', size: previous.size, inputSha256, outputSha256: previous.outputSha256 });
+            }
+
+            fs.mkdirSync(path.dirname(job.outputFile), { recursive: true });
+            if (job.operation === 'encrypt') {
+                await encryptFileAsync(job.inputFile, job.outputFile, password, options);
+            } else {
+                // The tree's own workers (or workers: 0) decide where files run
+                await decryptFileAsync(job.inputFile, job.outputFile, password, Object.assign({}, options, { worker: false }));
+            }
+
+            return Object.assign(result, {
+                status: 'processed',
+                size: fs.statSync(job.inputFile).size,
+                inputSha256,
+                outputSha256: await hashFile(job.outputFile)
+            });
+        } catch (caught) {
+            const error = fileSystemError(caught);
+            return Object.assign(result, {
+                status: 'failed',
+                error: { code: error.code || 'ERROR', message: error.message }
+            });
+        }
+    }
+
+    /**
+     * Serve processTreeFile jobs in a worker thread started by runTreeJobs
+     * @param {Object} workerThreads - worker_threads module
+     */
+    function runTreeWorker(workerThreads) {
+        const { parentPort, workerData } = workerThreads;
+        const password = restoreSecret(workerData);
+
+        parentPort.on('message', async (job) => {
+            if (job === null) {
+                parentPort.close();
+                return;
+            }
+            parentPort.postMessage(await processTreeFile(job, password, workerData.options));
+        });
+    }
+
+    /**
+     * Run processTreeFile jobs on a pool of worker threads, or in this
+     * thread if workers is 0 or the module file is unknown (bundles)
+     * @param {Object[]} jobs - Jobs
+     * @param {string|Object} password - Password or keyring
+     * @param {Object} options - File options (structured-cloneable)
+     * @param {number} workers - Number of worker threads
+     * @param {Function} onResult - Called with each result, including
+     *   failed results for jobs a worker did not answer
+     * @returns {Promise<void>} Resolves when every job has a result
+     */
+    async function runTreeJobs(jobs, password, options, workers, onResult) {
+        if (workers === 0 || typeof __filename === 'undefined') {
+            for (const job of jobs) {
+                onResult(await processTreeFile(job, password, options));
+            }
+            return;
+        }
+
+        const workerOptions = Object.assign({}, options, { backend: resolveBackend(options.backend, false).name });
+        const workerData = Object.assign({ treeWorker: true, options: workerOptions }, cloneableSecret(password));
+        const failed = (job, message) => onResult({
+            input: job.input,
+            output: job.output,
+            status: 'failed',
+            error: { code: 'ERROR', message }
+        });
+
+        // A worker that fails stops the run: every worker is terminated, and
+        // the jobs they had not answered are reported as failed with the jobs
+        // no worker took. Results already received are kept.
+        const { Worker } = workerThreads;
+        const pool = [];
+        const running = new Map();
+        let next = 0;
+        let stopped = null;
+        await Promise.all(Array.from({ length: Math.min(workers, jobs.length) }, () => new Promise((resolve) => {
+            const worker = new Worker(__filename, { workerData });
+            pool.push(worker);
+            const feed = () => {
+                const job = !stopped && next < jobs.length ? jobs[next++] : null;
+                running.set(worker, job);
+                worker.postMessage(job);
+            };
+            worker.on('message', (result) => {
+                running.delete(worker);
+                onResult(result);
+                feed();
+            });
+            worker.on('error', (error) => {
+                if (!stopped) {
+                    stopped = `Worker failed: ${error.message}`;
+                    pool.forEach((other) => other.terminate());
+                }
+            });
+            worker.on('exit', (code) => {
+                const job = running.get(worker);
+                if (job) {
+                    failed(job, stopped || `Worker exited with code ${code} before finishing the file`);
+                }
+                resolve();
+            });
+            feed();
+        })));
+        for (; next < jobs.length; next++) {
+            failed(jobs[next], stopped || 'No worker was left to process the file');
+        }
+    }
+
+    /**
+     * Read the manifest of an earlier run
+     * @param {string|null} file - Manifest path
+     * @param {string} operation - 'encrypt' or 'decrypt'
+     * @returns {Object} Entries by relative input path
+     */
+    function readManifest(file, operation) {
+        if (!file || !fs.existsSync(file)) {
+            return {};
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read manifest ${file}: ${error.message}`);
+        }
+        return manifest.version === MANIFEST_VERSION && manifest.operation === operation ? manifest.files : {};
+    }
+
+    /**
+     * Encrypt or decrypt a directory tree
+     * @param {string} operation - 'encrypt' or 'decrypt'
+     * @param {string} inputDir - Input directory
+     * @param {string} outputDir - Output directory
+     * @param {string|Object} password - Password or keyring
+     * @param {Object} options - Directory and file options
+     * @returns {Promise<Object>} Report
+     */
+    async function processTree(operation, inputDir, outputDir, password, options) {
+        const started = Date.now();
+        const input = path.resolve(inputDir);
+        const output = path.resolve(outputDir || '');
+        if (!password) {
+            throw new Error('Password required');
+        }
+        if (!outputDir || output === input) {
+            throw new Error('An output directory other than the input directory is required');
+        }
+        if (!fs.existsSync(input)) {
+            throw new FileNotFoundError(`Directory not found: ${inputDir}`, { path: inputDir });
+        }
+        if (!fs.statSync(input).isDirectory()) {
+            throw new Error(`Not a directory: ${inputDir}`);
+        }
+
+        const { include, exclude, workers, manifest, force, onFile, ...fileOptions } = options;
+        const includeGlobs = [].concat(include === undefined ? '**' : include).map(fileGlob);
+        const excludeGlobs = [].concat(exclude === undefined ? [] : exclude).map(fileGlob);
+        const manifestFile = manifest === false ? null : path.resolve(output, manifest || MANIFEST_FILE);
+        const workerCount = workers === undefined ? os.availableParallelism() : workers;
+        if (!Number.isInteger(workerCount) || workerCount < 0) {
+            throw new Error('workers must be a whole number');
+        }
+
+        const previous = readManifest(manifestFile, operation);
+        const key = treeKeyFingerprint(password);
+        const manifestOptions = treeManifestOptions(operation, fileOptions);
+        // The manifest of a run that wrote the input directory is not data
+        const files = listFiles(input, output)
+            .filter((file) => file !== MANIFEST_FILE && path.join(input, file) !== manifestFile)
+            .filter((file) => matchesFileGlobs(file, includeGlobs) && !matchesFileGlobs(file, excludeGlobs));
+        const jobs = files.map((file) => {
+            // Decrypted files lose the .enc suffix, like the CLI's -f
+            const target = operation === 'encrypt' ? `${file}.enc` : /\.enc$/.test(file) ? file.slice(0, -4) : `${file}.dec`;
+            return {
+                operation,
+                input: file,
+                output: target,
+                inputFile: path.join(input, file),
+                outputFile: path.join(output, target),
+                key,
+                options: manifestOptions,
+                previous: previous[file] || null,
+                force: Boolean(force)
+            };
+        });
+
+        const results = [];
+        fs.mkdirSync(output, { recursive: true });
+        await runTreeJobs(jobs, password, fileOptions, workerCount, (result) => {
+            results.push(result);
+            if (onFile) {
+                onFile(result);
+            }
+        });
+        results.sort((a, b) => (a.input < b.input ? -1 : 1));
+
+        if (manifestFile) {
+            // Entries of files outside this run are kept while their input exists
+            const entries = {};
+            for (const file of Object.keys(previous)) {
+                if (!files.includes(file) && fs.existsSync(path.join(input, file))) {
+                    entries[file] = previous[file];
+                }
+            }
+            for (const result of results.filter((item) => item.status !== 'failed')) {
+                entries[result.input] = {
+                    output: result.output,
+                    size: result.size,
+                    inputSha256: result.inputSha256,
+                    outputSha256: result.outputSha256,
+                    key,
+                    options: manifestOptions
+                };
+            }
+
+            const temp = `${manifestFile}.tmp-${process.pid}`;
+            const sorted = Object.fromEntries(Object.keys(entries).sort().map((file) => [file, entries[file]]));
+            fs.writeFileSync(temp, JSON.stringify({ version: MANIFEST_VERSION, operation, files: sorted }, null, 2) + '\n');
+            fs.renameSync(temp, manifestFile);
+        }
+
+        const count = (status) => results.filter((result) => result.status === status).length;
+        return {
+            operation,
+            input,
+            output,
+            manifest: manifestFile,
+            total: results.length,
+            processed: count('processed'),
+            skipped: count('skipped'),
+            failed: count('failed'),
+            durationMs: Date.now() - started,
+            files: results
+        };
+    }
+
+    /**
+     * Encrypt a directory tree into another directory (Node.js only). Every
+     * selected file becomes FILE.enc at the same relative path. Failures are
+     * reported per file instead of stopping the run.
+     * @param {string} inputDir - Directory to encrypt
+     * @param {string} outputDir - Output directory (created if missing; not the input directory)
+     * @param {string|Object} password - Encryption password or keyring
+     * @param {Object} [options] - Directory options, and file options (see encryptFile)
+     * @param {string|string[]} [options.include] - Globs of files to process (default all)
+     * @param {string|string[]} [options.exclude] - Globs of files to leave out
+     * @param {number} [options.workers] - Worker threads (default: one per CPU; 0 runs in this thread)
+     * @param {string|false} [options.manifest] - Manifest path relative to the
+     *   output directory (default .ucc-manifest.json), or false for none
+     * @param {boolean} [options.force=false] - Process files the manifest shows as unchanged
+     * @param {Function} [options.onFile] - Called with each file result as it completes
+     * @returns {Promise<Object>} Report with total, processed, skipped, failed
+     *   and files ({ input, output, status, size, inputSha256, outputSha256, error })
+     */
+    async function encryptDirectory(inputDir, outputDir, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('encryptDirectory is only available in Node.js environment');
+        }
+
+        try {
+            return await processTree('encrypt', inputDir, outputDir, password, options);
+        } catch (error) {
+            throw wrapError('Directory encryption failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Decrypt a directory tree into another directory (Node.js only). FILE.enc
+     * becomes FILE, and other files get a .dec suffix.
+     * @param {string} inputDir - Directory to decrypt
+     * @param {string} outputDir - Output directory (created if missing; not the input directory)
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} [options] - Directory options (see encryptDirectory) and
+     *   decryption options (see openToken)
+     * @returns {Promise<Object>} Report (see encryptDirectory)
+     */
+    async function decryptDirectory(inputDir, outputDir, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('decryptDirectory is only available in Node.js environment');
+        }
+
+        try {
+            return await processTree('decrypt', inputDir, outputDir, password, options);
+        } catch (error) {
+            throw wrapError('Directory decryption failed', fileSystemError(error));
+        }
+    }
+
+    // Archives (Node.js only) hold a directory tree in one encrypted file:
+    //   header: as the chunked format, with ARCHIVE_MAGIC
+    //   file data: records as in the chunked format, numbered across the
+    //     archive; the last record of each file carries the final flag
+    //   index: one record flagged ARCHIVE_INDEX | STREAM_FINAL, numbered 0,
+    //     holding the entries as JSON: path, mode, mtime, size, and offset,
+    //     length and first record number of the file data
+    //   trailer: offset of the index (8)
+    // Paths are only stored in the encrypted index, and a file can be read
+    // by decrypting the index and its own records.
+    const ARCHIVE_MAGIC = [0x89, 0x55, 0x43, 0x41];
+    const ARCHIVE_VERSION = 1;
+    const ARCHIVE_INDEX = 0x02;
+    const ARCHIVE_TRAILER_BYTES = 8;
+
+    /**
+     * Check that an archive path stays inside the directory it is extracted to
+     * @param {string} file - Path from the archive index
+     * @returns {string[]} Path segments
+     * @throws CryptoError with code MALFORMED for absolute paths, .. segments,
+     *   backslashes and other unsafe paths
+     */
+    function archivePathSegments(file) {
+        const segments = typeof file === 'string' ? file.split('/') : [];
+        const unsafe = segments.length === 0 || /[\\\0]|^[A-Za-z]:/.test(file) ||
+            segments.some((segment) => segment === '' || segment === '.' || segment === '..');
+        if (unsafe) {
+            throw codedError(ERROR_CODES.MALFORMED, `Unsafe path in archive: ${JSON.stringify(file)}`, { path: file });
+        }
+        return segments;
+    }
+
+    /**
+     * Public form of an archive index entry
+     * @param {Object} entry - Index entry
+     * @returns {Object} { path, size, mode, mtime }
+     */
+    function archiveEntry(entry) {
+        return { path: entry.path, size: entry.size, mode: entry.mode, mtime: new Date(entry.mtime) };
+    }
+
+    /**
+     * Read a byte range of an open file
+     * @param {number} fd - File descriptor
+     * @param {number} position - Offset
+     * @param {number} length - Number of bytes
+     * @returns {Buffer} Bytes; shorter than length at the end of the file
+     */
+    function readAt(fd, position, length) {
+        const buffer = Buffer.alloc(length);
+        return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, position));
+    }
+
+    /**
+     * Check the header of an open archive and decrypt its index
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {number} fd - File descriptor
+     * @param {string|Object} password - Password or keyring
+     * @param {Object} options - Options with maxCost
+     * @returns {Object} Object with header, subkeys, maxCiphertext and entries
+     * @throws CryptoError with a code from ERROR_CODES
+     */
+    function openArchive(backend, fd, password, options) {
+        const passwords = decryptionKeys(password, null);
+        const header = readAt(fd, 0, STREAM_HEADER_BYTES);
+        if (header.length < STREAM_HEADER_BYTES || !ARCHIVE_MAGIC.every((b, i) => header[i] === b)) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Not an encrypted archive');
+        }
+        if (header[4] !== ARCHIVE_VERSION) {
+            throw codedError(ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported archive version: ${header[4]}`);
+        }
+        const { subkeys, maxCiphertext } = openRecordHeader(backend, passwords, header, 'archive', options);
+
+        const end = fs.fstatSync(fd).size - ARCHIVE_TRAILER_BYTES;
+        const trailer = readAt(fd, Math.max(end, 0), ARCHIVE_TRAILER_BYTES);
+        const indexOffset = end < STREAM_HEADER_BYTES ? -1 : trailer.readUInt32BE(0) * 0x100000000 + trailer.readUInt32BE(4);
+        const minimum = STREAM_RECORD_PREFIX_BYTES + IV_BYTES + 16 + TAG_BYTES;
+        if (indexOffset < STREAM_HEADER_BYTES || end - indexOffset < minimum) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed archive: index not found');
+        }
+
+        const record = readAt(fd, indexOffset, end - indexOffset);
+        if (record[0] !== (ARCHIVE_INDEX | STREAM_FINAL) ||
+            record.readUInt32BE(1) !== record.length - STREAM_RECORD_PREFIX_BYTES - IV_BYTES - TAG_BYTES) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed archive index');
+        }
+
+        let entries;
+        try {
+            entries = JSON.parse(openRecord(backend, subkeys, header, 0, record).toString('utf8'));
+        } catch (error) {
+            throw error.code ? error : codedError(ERROR_CODES.MALFORMED, 'Malformed archive index');
+        }
+        const valid = Array.isArray(entries) && entries.every((entry) => entry && typeof entry.path === 'string' &&
+            ['mode', 'mtime', 'size', 'offset', 'length', 'record'].every((key) => Number.isSafeInteger(entry[key])) &&
+            entry.offset >= STREAM_HEADER_BYTES && entry.length > 0 && entry.offset + entry.length <= indexOffset);
+        if (!valid) {
+            throw codedError(ERROR_CODES.MALFORMED, 'Malformed archive index');
+        }
+
+        return { header, subkeys, maxCiphertext, entries };
+    }
+
+    /**
+     * Decrypt the records of one archive entry
+     * @param {Object} backend - Synchronous crypto backend
+     * @param {number} fd - File descriptor of the archive
+     * @param {Object} archive - Result of openArchive
+     * @param {Object} entry - Index entry
+     * @param {Function} write - Called with each decrypted chunk
+     * @throws CryptoError with code MALFORMED or TAMPERED
+     */
+    function readArchiveRecords(backend, fd, archive, entry, write) {
+        const end = entry.offset + entry.length;
+        let position = entry.offset;
+        let index = entry.record;
+        let finished = false;
+
+        while (position < end) {
+            const prefix = readAt(fd, position, STREAM_RECORD_PREFIX_BYTES);
+            const ciphertextLength = prefix.readUInt32BE(1);
+            const recordLength = STREAM_RECORD_PREFIX_BYTES + IV_BYTES + ciphertextLength + TAG_BYTES;
+            if (finished || (prefix[0] & ~STREAM_FINAL) !== 0 || ciphertextLength === 0 ||
+                ciphertextLength % 16 !== 0 || ciphertextLength > archive.maxCiphertext || position + recordLength > end) {
+                throw codedError(ERROR_CODES.MALFORMED, `Malformed archive entry: ${entry.path}`);
+            }
+
+            write(openRecord(backend, archive.subkeys, archive.header, index++, readAt(fd, position, recordLength)));
+            finished = (prefix[0] & STREAM_FINAL) !== 0;
+            position += recordLength;
+        }
+
+        if (!finished) {
+            throw codedError(ERROR_CODES.TAMPERED, `Archive entry was truncated: ${entry.path}`);
+        }
+    }
+
+    /**
+     * Open an archive, run a function on it and close it
+     * @param {string} archiveFile - Path to the archive
+     * @param {string|Object} password - Password or keyring
+     * @param {Object} options - Options with backend and maxCost
+     * @param {Function} use - Called with (backend, fd, archive)
+     * @returns {*} Result of use
+     */
+    function withArchive(archiveFile, password, options, use) {
+        checkNoPurpose(options);
+        const backend = resolveBackend(options.backend, true);
+        const fd = fs.openSync(archiveFile, 'r');
+        try {
+            return use(backend, fd, openArchive(backend, fd, password, options));
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Encrypt a directory tree into one archive file (Node.js only). Relative
+     * paths, modes and modification times are kept, and paths are encrypted.
+     * @param {string} inputDir - Directory to archive
+     * @param {string} outputFile - Archive path (replaced if it exists)
+     * @param {string|Object} password - Encryption password or keyring (its primary key is used)
+     * @param {Object} [options] - Options, and encryption options (see createChunkEncryptor)
+     * @param {string|string[]} [options.include] - Globs of files to archive (default all)
+     * @param {string|string[]} [options.exclude] - Globs of files to leave out
+     * @returns {Object[]} Entries written ({ path, size, mode, mtime })
+     */
+    function encryptArchive(inputDir, outputFile, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('encryptArchive is only available in Node.js environment');
+        }
+
+        let temp = null;
+        try {
+            const input = path.resolve(inputDir);
+            if (!outputFile) {
+                throw new Error('Output file required');
+            }
+            if (!fs.existsSync(input)) {
+                throw new FileNotFoundError(`Directory not found: ${inputDir}`, { path: inputDir });
+            }
+            if (!fs.statSync(input).isDirectory()) {
+                throw new Error(`Not a directory: ${inputDir}`);
+            }
+
+            const backend = resolveBackend(options.backend, true);
+            const { header, subkeys, chunkSize } = createRecordHeader(backend, password, options, ARCHIVE_MAGIC, ARCHIVE_VERSION);
+            const includeGlobs = [].concat(options.include === undefined ? '**' : options.include).map(fileGlob);
+            const excludeGlobs = [].concat(options.exclude === undefined ? [] : options.exclude).map(fileGlob);
+            const files = listFiles(input, null)
+                .filter((file) => path.join(input, file) !== path.resolve(outputFile))
+                .filter((file) => matchesFileGlobs(file, includeGlobs) && !matchesFileGlobs(file, excludeGlobs));
+
+            temp = `${outputFile}.tmp-${process.pid}`;
+            const output = fs.openSync(temp, 'w');
+            const entries = [];
+            let offset = 0;
+            let record = 0;
+            const write = (buffer) => {
+                fs.writeSync(output, buffer);
+                offset += buffer.length;
+            };
+
+            try {
+                write(header);
+                for (const file of files) {
+                    const fd = fs.openSync(path.join(input, file), 'r');
+                    try {
+                        const stats = fs.fstatSync(fd);
+                        const entry = { path: file, mode: stats.mode & 0o7777, mtime: stats.mtime.getTime(), size: 0, offset, length: 0, record };
+
+                        // Read one chunk ahead so the last one can be flagged
+                        let chunk = readAt(fd, null, chunkSize);
+                        let final;
+                        do {
+                            const next = chunk.length === chunkSize ? readAt(fd, null, chunkSize) : Buffer.alloc(0);
+                            final = next.length === 0;
+                            write(sealRecord(backend, subkeys, header, record++, chunk, final ? STREAM_FINAL : 0));
+                            entry.size += chunk.length;
+                            chunk = next;
+                        } while (!final);
+
+                        entry.length = offset - entry.offset;
+                        entries.push(entry);
+                    } finally {
+                        fs.closeSync(fd);
+                    }
+                }
+
+                const trailer = Buffer.alloc(ARCHIVE_TRAILER_BYTES);
+                trailer.writeUInt32BE(Math.floor(offset / 0x100000000), 0);
+                trailer.writeUInt32BE(offset >>> 0, 4);
+                write(sealRecord(backend, subkeys, header, 0, Buffer.from(JSON.stringify(entries)), ARCHIVE_INDEX | STREAM_FINAL));
+                write(trailer);
+            } finally {
+                fs.closeSync(output);
+            }
+
+            fs.renameSync(temp, outputFile);
+            return entries.map(archiveEntry);
+        } catch (error) {
+            if (temp) {
+                fs.rmSync(temp, { force: true });
+            }
+            throw wrapError('Archive encryption failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * List the files in an archive (Node.js only). Only the index is decrypted.
+     * @param {string} archiveFile - Path to the archive
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} [options] - Options
+     * @param {string} [options.backend] - Synchronous crypto backend ('node' or 'cryptojs')
+     * @returns {Object[]} Entries ({ path, size, mode, mtime }) in archive order
+     * @throws CryptoError with a code from ERROR_CODES
+     */
+    function listArchive(archiveFile, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('listArchive is only available in Node.js environment');
+        }
+
+        try {
+            return withArchive(archiveFile, password, options, (backend, fd, archive) => archive.entries.map(archiveEntry));
+        } catch (error) {
+            throw wrapError('Archive listing failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Decrypt one file of an archive without decrypting the others (Node.js only)
+     * @param {string} archiveFile - Path to the archive
+     * @param {string} file - Path of the file in the archive, with / separators
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} [options] - Options (see listArchive)
+     * @returns {Buffer} File contents
+     * @throws FileNotFoundError if the archive has no such file, or another
+     *   CryptoError with a code from ERROR_CODES
+     */
+    function readArchiveEntry(archiveFile, file, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('readArchiveEntry is only available in Node.js environment');
+        }
+
+        try {
+            return withArchive(archiveFile, password, options, (backend, fd, archive) => {
+                const entry = archive.entries.filter((candidate) => candidate.path === file).pop();
+                if (!entry) {
+                    throw new FileNotFoundError(`Not in the archive: ${file}`, { path: file });
+                }
+
+                const chunks = [];
+                readArchiveRecords(backend, fd, archive, entry, (chunk) => chunks.push(chunk));
+                return Buffer.concat(chunks);
+            });
+        } catch (error) {
+            throw wrapError('Archive extraction failed', fileSystemError(error));
+        }
+    }
+
+    /**
+     * Extract an archive into a directory (Node.js only). Files get their
+     * permission bits and modification times back. Unsafe paths are refused
+     * before anything is written, and no file is written through a symbolic
+     * link that leads out of the output directory. Existing files are replaced.
+     * @param {string} archiveFile - Path to the archive
+     * @param {string} outputDir - Output directory (created if missing)
+     * @param {string|Object} password - Decryption password or keyring
+     * @param {Object} [options] - Options (see listArchive)
+     * @param {string|string[]} [options.include] - Globs of files to extract
+     *   (default all); other files are not decrypted
+     * @param {string|string[]} [options.exclude] - Globs of files to leave out
+     * @returns {Object[]} Entries extracted ({ path, size, mode, mtime })
+     * @throws CryptoError with a code from ERROR_CODES
+     */
+    function decryptArchive(archiveFile, outputDir, password, options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('decryptArchive is only available in Node.js environment');
+        }
+
+        try {
+            if (!outputDir) {
+                throw new Error('Output directory required');
+            }
+
+            return withArchive(archiveFile, password, options, (backend, fd, archive) => {
+                const includeGlobs = [].concat(options.include === undefined ? '**' : options.include).map(fileGlob);
+                const excludeGlobs = [].concat(options.exclude === undefined ? [] : options.exclude).map(fileGlob);
+                const entries = archive.entries.filter((entry) => {
+                    archivePathSegments(entry.path);
+                    return matchesFileGlobs(entry.path, includeGlobs) && !matchesFileGlobs(entry.path, excludeGlobs);
+                });
+
+                fs.mkdirSync(outputDir, { recursive: true });
+                const root = fs.realpathSync(outputDir);
+                for (const entry of entries) {
+                    const target = path.join(root, ...archivePathSegments(entry.path));
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    const parent = fs.realpathSync(path.dirname(target));
+                    if (parent !== root && !parent.startsWith(root + path.sep)) {
+                        throw codedError(ERROR_CODES.MALFORMED, `Unsafe path in archive: ${JSON.stringify(entry.path)}`,
+                            { path: entry.path });
+                    }
+
+                    // Renaming over the target replaces a symbolic link instead of following it
+                    const temp = `${target}.tmp-${process.pid}`;
+                    const output = fs.openSync(temp, 'w', 0o600);
+                    try {
+                        readArchiveRecords(backend, fd, archive, entry, (chunk) => fs.writeSync(output, chunk));
+                        fs.fchmodSync(output, entry.mode & 0o777);
+                        fs.futimesSync(output, entry.mtime / 1000, entry.mtime / 1000);
+                    } catch (error) {
+                        fs.closeSync(output);
+                        fs.rmSync(temp, { force: true });
+                        throw error;
+                    }
+                    fs.closeSync(output);
+                    fs.renameSync(temp, target);
+                }
+                return entries.map(archiveEntry);
+            });
+        } catch (error) {
+            throw wrapError('Archive extraction failed', fileSystemError(error));
+        }
+    }
+
+    // Encrypted .env files use dotenv syntax. Encrypted values are written as
+    // ENV_TOKEN_PREFIX followed by a token, so keys stay readable and changing
+    // one value changes one line; values without the prefix are plain. The
+    // variable name is the associated data of its token, so a value copied to
+    // another key does not decrypt.
+    const ENV_TOKEN_PREFIX = 'ucc:';
+    const ENV_LINE = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_.-]*)(\s*=\s*)(.*)$/;
+
+    /**
+     * Parse a dotenv value: quoted ('...' or "..." with escapes) or bare,
+     * with an optional trailing # comment
+     * @param {string} raw - Text after the equals sign
+     * @returns {Object} { value, rest }, rest being the text after the value
+     */
+    function parseEnvValue(raw) {
+        const doubleQuoted = /^"((?:[^"\\]|\\.)*)"/.exec(raw);
+        if (doubleQuoted) {
+            const escapes = { n: '\n', r: '\r', t: '\t' };
+            return {
+                value: doubleQuoted[1].replace(/\\(.)/g, (match, char) => escapes[char] || char),
+                rest: raw.slice(doubleQuoted[0].length)
+            };
+        }
+
+        const singleQuoted = /^'([^']*)'/.exec(raw);
+        if (singleQuoted) {
+            return { value: singleQuoted[1], rest: raw.slice(singleQuoted[0].length) };
+        }
+
+        const comment = /(^|\s+)#.*$/.exec(raw);
+        const value = comment ? raw.slice(0, comment.index) : raw;
+        return { value: value.trim(), rest: comment ? comment[0] : '' };
+    }
+
+    /**
+     * Read a dotenv file, keeping the text of every line for editing
+     * @param {string} path - File path
+     * @returns {Object} { lines, eol }; key lines are { text, prefix, key,
+     *   separator, value, rest }, other lines { text }
+     */
+    function readEnvFile(path) {
+        let text;
+        try {
+            text = fs.readFileSync(path, 'utf8');
+        } catch (error) {
+            throw fileSystemError(error);
+        }
+        const lines = text.split(/\r?\n/).map((line) => {
+            const match = ENV_LINE.exec(line);
+            return match
+                ? Object.assign({ text: line, prefix: match[1], key: match[2], separator: match[3] }, parseEnvValue(match[4]))
+                : { text: line };
+        });
+        return { lines, eol: text.includes('\r\n') ? '\r\n' : '\n' };
+    }
+
+    /**
+     * Write a dotenv file through a temporary file, keeping the mode of the
+     * old file (new files are readable by their owner only)
+     * @param {string} path - File path
+     * @param {Object} env - Result of readEnvFile, edited
+     */
+    function writeEnvFile(path, env) {
+        const mode = fs.existsSync(path) ? fs.statSync(path).mode : 0o600;
+        const temp = `${path}.tmp-${process.pid}`;
+        fs.writeFileSync(temp, env.lines.map((line) => line.text).join(env.eol), { mode });
+        fs.renameSync(temp, path);
+    }
+
+    /**
+     * Tell an encrypted .env value from a plain one
+     * @param {string} value - Parsed value
+     * @returns {boolean} True if the value holds a token
+     */
+    function isEncryptedEnvValue(value) {
+        return value.startsWith(ENV_TOKEN_PREFIX);
+    }
+
+    /**
+     * Get the value of a .env line, decrypting it if needed
+     * @param {Object} line - Key line from readEnvFile
+     * @param {string|Object} password - Password or keyring
+     * @param {string} path - File path for error messages
+     * @param {Object} [options] - Decryption options; associatedData is the key
+     * @returns {string} Value
+     */
+    function envValue(line, password, path, options) {
+        if (!isEncryptedEnvValue(line.value)) {
+            return line.value;
+        }
+        if (!password) {
+            throw new Error(`${path}: ${line.key} is encrypted and no password was given`);
+        }
+
+        try {
+            return decrypt(line.value.slice(ENV_TOKEN_PREFIX.length), password,
+                Object.assign({}, options, { associatedData: line.key }));
+        } catch (error) {
+            throw wrapError(`${path}: ${line.key}`, error);
+        }
+    }
+
+    /**
+     * Load a .env file with encrypted values (Node.js only). Values written
+     * as ucc:<token> are decrypted; others are used as they are. Like dotenv,
+     * variables that are already set are kept unless options.override is set.
+     * @param {Object} [options] - Options
+     * @param {string} [options.path] - File path (default '.env')
+     * @param {string|Object} [options.password] - Password or keyring; needed
+     *   if the file has encrypted values
+     * @param {Object|null} [options.processEnv] - Object to set the variables
+     *   on (default process.env), or null to only return them
+     * @param {boolean} [options.override] - Replace variables that are already set
+     * @param {string} [options.backend] - Crypto backend
+     * @returns {Object} Variables from the file, decrypted
+     * @throws Error naming the file and key if a value cannot be decrypted
+     */
+    function loadEncryptedEnv(options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('loadEncryptedEnv is only available in Node.js environment');
+        }
+
+        const path = options.path || '.env';
+        const processEnv = options.processEnv === undefined ? process.env : options.processEnv;
+        const values = {};
+        for (const line of readEnvFile(path).lines) {
+            if (line.key !== undefined) {
+                values[line.key] = envValue(line, options.password, path, { backend: options.backend });
+            }
+        }
+
+        if (processEnv) {
+            for (const key of Object.keys(values)) {
+                if (options.override || processEnv[key] === undefined) {
+                    processEnv[key] = values[key];
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Encrypt one value of a .env file in place (Node.js only). Other lines,
+     * comments and order are kept. Without options.value the current plain
+     * value of the key is encrypted; a key that is already encrypted is left
+     * as it is.
+     * @param {Object} options - Options
+     * @param {string} options.key - Variable name
+     * @param {string} [options.value] - New value; the key is added if missing
+     * @param {string|Object} options.password - Password or keyring
+     * @param {string} [options.path] - File path (default '.env', created if missing)
+     * @param {Object} [options.encryptOptions] - Token options (see encrypt);
+     *   associatedData is the key
+     * @returns {string} The value as written (ucc:<token>)
+     */
+    function setEncryptedEnv(options = {}) {
+        if (!isNode || !fs) {
+            throw new Error('setEncryptedEnv is only available in Node.js environment');
+        }
+        if (typeof options.key !== 'string' || !ENV_LINE.test(`${options.key}=`)) {
+            throw new Error(`Invalid variable name: ${options.key}`);
+        }
+
+        const path = options.path || '.env';
+        const env = fs.existsSync(path) ? readEnvFile(path) : { lines: [{ text: '' }], eol: '\n' };
+        const line = env.lines.filter((candidate) => candidate.key === options.key).pop();
+
+        if (options.value === undefined) {
+            if (!line) {
+                throw new Error(`${path}: ${options.key} is not set`);
+            }
+            if (isEncryptedEnvValue(line.value)) {
+                return line.value;
+            }
+        }
+
+        const text = options.value === undefined ? line.value : String(options.value);
+        const value = ENV_TOKEN_PREFIX + encrypt(text, options.password,
+            Object.assign({}, options.encryptOptions, { associatedData: options.key }));
+        if (line) {
+            // Keep a trailing comment, which needs a space before it after a bare value
+            const rest = /^\S/.test(line.rest) ? ` ${line.rest}` : line.rest;
+            Object.assign(line, { text: `${line.prefix}${line.key}${line.separator}${value}${rest}`, value, rest });
+        } else {
+            // Before the final newline, if there is one
+            const index = env.lines[env.lines.length - 1].text === '' ? env.lines.length - 1 : env.lines.length;
+            env.lines.splice(index, 0, { text: `${options.key}=${value}` });
+        }
+
+        writeEnvFile(path, env);
+        return value;
+    }
+
+    // Server integrations: Express/Connect middleware and NestJS pipes decrypt
+    // configured request fields in place and encrypt configured response
+    // fields. A token the client sent that cannot be decrypted is answered
+    // with the status below instead of an unhandled 500; errors without one
+    // of ERROR_CODES (a failing key lookup, for example) are passed on.
+    const HTTP_STATUS = {
+        MALFORMED: 400,
+        WRONG_KEY: 422,
+        TAMPERED: 422,
+        UNSUPPORTED_VERSION: 422,
+        EXPIRED: 422,
+        NOT_YET_VALID: 422,
+        WRONG_PURPOSE: 422
+    };
+
+    // Request locations createDecryptMiddleware can decrypt
+    const REQUEST_SOURCES = ['body', 'query', 'headers'];
+
+    // Injection token of the CryptoModule.forRoot options. Each Nest
+    // application resolves it from its own module, so two applications in
+    // one process keep their own options.
+    const CRYPTO_MODULE_OPTIONS = 'ULTRA_COMPACT_CRYPTO_MODULE_OPTIONS';
+
+    /**
+     * Replace the values at dotted field paths ('user.ssn') of an object.
+     * Missing fields are skipped.
+     * @param {Object} target - Object to change in place
+     * @param {string[]} fields - Field paths
+     * @param {Function} transform - async (value, field) => new value
+     * @returns {Promise<void>}
+     */
+    async function transformFields(target, fields, transform) {
+        for (const field of fields) {
+            const path = field.split('.');
+            const name = path.pop();
+            const parent = path.reduce((object, key) => (object !== null && typeof object === 'object' ? object[key] : undefined), target);
+
+            if (parent !== null && typeof parent === 'object' && parent[name] !== undefined && parent[name] !== null) {
+                parent[name] = await transform(parent[name], field);
+            }
+        }
+    }
+
+    /**
+     * Resolve an option that may be a function of the field context
+     * @param {*} value - Option value or async (context) => value
+     * @param {Object} context - { source, field, request }
+     * @returns {Promise<*>} Option value
+     */
+    async function resolveFieldOption(value, context) {
+        return typeof value === 'function' ? value(context) : value;
+    }
+
+    /**
+     * Decrypt one field value
+     * @param {*} value - Token from the request
+     * @param {Object} options - Integration options (password, associatedData,
+     *   purpose, clockTolerance, maxCost, backend)
+     * @param {Object} context - { source, field, request }
+     * @returns {Promise<string>} Decrypted text
+     * @throws CryptoError with a code from ERROR_CODES, and field and status
+     *   properties, if the token cannot be decrypted
+     */
+    async function decryptField(value, options, context) {
+        const password = await resolveFieldOption(options.password, context);
+        const associatedData = await resolveFieldOption(options.associatedData, context);
+        const purpose = await resolveFieldOption(options.purpose, context);
+        const field = context.field ? `${context.source}.${context.field}` : context.source;
+
+        try {
+            return await decryptAsync(value, password, {
+                associatedData,
+                purpose,
+                clockTolerance: options.clockTolerance,
+                maxCost: options.maxCost,
+                backend: options.backend
+            });
+        } catch (error) {
+            if (!HTTP_STATUS[error.code]) {
+                throw error;
+            }
+            throw codedError(error.code, `${field}: ${error.message}`, { field, status: HTTP_STATUS[error.code] });
+        }
+    }
+
+    /**
+     * Encrypt the configured fields of a response body. The body is copied
+     * as it would be serialized, and values that are not strings are
+     * encrypted as their JSON.
+     * @param {*} body - Response body
+     * @param {Object} options - Integration options (fields, password,
+     *   associatedData, encryptOptions)
+     * @param {Object} context - { source, request }
+     * @returns {Promise<*>} Body with the fields encrypted
+     */
+    async function encryptBody(body, options, context) {
+        if (body === null || typeof body !== 'object') {
+            return body;
+        }
+
+        const copy = JSON.parse(JSON.stringify(body));
+        await transformFields(copy, options.fields, async (value, field) => {
+            const fieldContext = Object.assign({}, context, { field });
+            const password = await resolveFieldOption(options.password, fieldContext);
+            const associatedData = await resolveFieldOption(options.associatedData, fieldContext);
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return encryptAsync(text, password, Object.assign({}, options.encryptOptions, { associatedData }));
+        });
+        return copy;
+    }
+
+    /**
+     * Check the options of a server integration
+     * @param {Object} options - Integration options
+     * @param {string} name - Integration name for error messages
+     */
+    function checkIntegrationOptions(options, name) {
+        if (options.password === undefined || options.password === null || options.password === '') {
+            throw new Error(`${name} needs a password, keyring or password lookup function`);
+        }
+    }
+
+    /**
+     * Answer a request with the JSON error for a failed field
+     * @param {Object} res - Node.js ServerResponse (Express or Connect)
+     * @param {Error} error - Error from decryptField
+     */
+    function sendFieldError(res, error) {
+        res.statusCode = error.status;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify({ error: error.code, message: error.message, field: error.field }));
+    }
+
+    /**
+     * Create Express/Connect middleware that decrypts request fields in place.
+     * Register it after the body parser. A token that cannot be decrypted is
+     * answered with 400 (MALFORMED) or 422 (the other ERROR_CODES) and a
+     * JSON body { error, message, field }.
+     * @param {Object} options - Middleware options
+     * @param {string[]} [options.body] - Body field paths, e.g. ['card.number']
+     * @param {string[]} [options.query] - Query parameter paths
+     * @param {string[]} [options.headers] - Header names
+     * @param {string|Object|Function} options.password - Password, keyring,
+     *   or async ({ source, field, request }) => password or keyring
+     * @param {string|Function} [options.associatedData] - Associated data,
+     *   or async ({ source, field, request }) => associated data
+     * @param {string|Function} [options.purpose] - Purpose the tokens must
+     *   be bound to, or async ({ source, field, request }) => purpose
+     * @param {number} [options.clockTolerance] - Seconds of clock difference
+     *   accepted for expiring tokens
+     * @param {number} [options.maxCost=16] - Highest KDF cost accepted from
+     *   a token. Tokens come from clients, so keep it at the cost the server
+     *   encrypts with.
+     * @param {string} [options.backend] - Crypto backend
+     * @param {Function} [options.onError] - (error, req, res, next) to answer
+     *   failures yourself; error has code, field and status
+     * @returns {Function} Middleware (req, res, next)
+     */
+    function createDecryptMiddleware(options = {}) {
+        checkIntegrationOptions(options, 'createDecryptMiddleware');
+        const sources = REQUEST_SOURCES.filter((source) => options[source]);
+
+        return function decryptMiddleware(req, res, next) {
+            decryptRequest(req, sources, options).then(() => next(), (error) => {
+                if (!error.status) {
+                    next(error);
+                } else if (options.onError) {
+                    options.onError(error, req, res, next);
+                } else {
+                    sendFieldError(res, error);
+                }
+            });
+        };
+    }
+
+    /**
+     * Decrypt the configured fields of a request
+     * @param {Object} req - Request
+     * @param {string[]} sources - Request locations to decrypt
+     * @param {Object} options - Middleware options
+     * @returns {Promise<void>}
+     */
+    async function decryptRequest(req, sources, options) {
+        for (const source of sources) {
+            const target = req[source];
+            if (target === null || typeof target !== 'object') {
+                continue;
+            }
+
+            const fields = source === 'headers'
+                ? options.headers.map((name) => name.toLowerCase())
+                : options[source];
+            await transformFields(target, fields, (value, field) =>
+                decryptField(value, options, { source, field, request: req }));
+
+            if (source === 'query') {
+                // Express 5 parses req.query again on every access
+                Object.defineProperty(req, 'query', { value: target, configurable: true, enumerable: true, writable: true });
+            }
+        }
+    }
+
+    /**
+     * Create Express middleware that encrypts fields of bodies sent with
+     * res.json. The handler's object is not modified.
+     * @param {Object} options - Middleware options
+     * @param {string[]} options.fields - Response field paths
+     * @param {string|Object|Function} options.password - Password, keyring,
+     *   or async ({ source, field, request }) => password or keyring
+     * @param {string|Function} [options.associatedData] - Associated data,
+     *   or async ({ source, field, request }) => associated data
+     * @param {Object} [options.encryptOptions] - Token options (see encrypt)
+     * @returns {Function} Middleware (req, res, next)
+     */
+    function createEncryptMiddleware(options = {}) {
+        checkIntegrationOptions(options, 'createEncryptMiddleware');
+        if (!Array.isArray(options.fields)) {
+            throw new Error('createEncryptMiddleware needs the fields to encrypt');
+        }
+
+        return function encryptMiddleware(req, res, next) {
+            if (typeof res.json !== 'function') {
+                next(new Error('createEncryptMiddleware needs res.json (Express)'));
+                return;
+            }
+
+            const json = res.json;
+            res.json = function (body) {
+                encryptBody(body, options, { source: 'response', request: req })
+                    .then((encrypted) => json.call(res, encrypted), next);
+                return res;
+            };
+            next();
+        };
+    }
+
+    /**
+     * Turn a field error into a Nest HttpException when @nestjs/common is
+     * installed, so Nest answers with its status instead of 500
+     * @param {Error} error - Error from decryptField
+     * @returns {Error} Error to throw
+     */
+    function toHttpException(error) {
+        if (!error.status || !isNode) {
+            return error;
+        }
+
+        let common;
+        try {
+            common = require('@nestjs/common');
+        } catch (e) {
+            return error;
+        }
+        return new common.HttpException(
+            { statusCode: error.status, error: error.code, message: error.message, field: error.field },
+            error.status
+        );
+    }
+
+    /**
+     * Have Nest pass the CryptoModule.forRoot options as the first
+     * constructor argument of a class it creates, as @Optional()
+     * @Inject(CRYPTO_MODULE_OPTIONS) would. Nest reads this metadata with
+     * reflect-metadata, which it loads before any module is defined.
+     * @param {Function} target - Pipe, interceptor or service class
+     */
+    function injectModuleOptions(target) {
+        if (typeof Reflect === 'object' && typeof Reflect.defineMetadata === 'function') {
+            Reflect.defineMetadata('self:paramtypes', [{ index: 0, param: CRYPTO_MODULE_OPTIONS }], target);
+            Reflect.defineMetadata('optional:paramtypes', [0], target);
+        }
+    }
+
+    /**
+     * Create a subclass of a pipe or interceptor whose options are those of
+     * CryptoModule.forRoot with the given ones on top
+     * @param {Function} Base - DecryptPipe or EncryptInterceptor
+     * @param {Object} options - Options for this use
+     * @returns {Function} Class for Nest to create
+     */
+    function withModuleOptions(Base, options) {
+        return class extends Base {
+            constructor(moduleOptions) {
+                super(Object.assign({}, moduleOptions, options));
+            }
+        };
+    }
+
+    /**
+     * NestJS pipe that decrypts a parameter, or the given fields of it.
+     * Pass the class to @UsePipes or @Body and Nest creates it with the
+     * CryptoModule.forRoot options; DecryptPipe.withOptions adds fields or
+     * other options to those.
+     * Failures become a 400 or 422 HttpException.
+     */
+    class DecryptPipe {
+        /**
+         * @param {Object} [options] - Pipe options (CryptoModule.forRoot
+         *   options when Nest creates the pipe)
+         * @param {string[]} [options.fields] - Field paths to decrypt; without
+         *   them the whole value is a token
+         * @param {string|Object|Function} [options.password] - Password,
+         *   keyring, or async ({ source, field }) => password or keyring
+         * @param {string|Function} [options.associatedData] - Associated data
+         * @param {number} [options.maxCost=16] - Highest KDF cost accepted
+         * @param {string} [options.backend] - Crypto backend
+         */
+        constructor(options) {
+            this.options = options || {};
+        }
+
+        /**
+         * Pipe class with options on top of those of CryptoModule.forRoot
+         * @param {Object} options - Pipe options, such as fields
+         * @returns {Function} DecryptPipe subclass
+         */
+        static withOptions(options) {
+            return withModuleOptions(DecryptPipe, options);
+        }
+
+        /**
+         * @param {*} value - Parameter value
+         * @param {Object} [metadata] - Nest argument metadata
+         * @returns {Promise<*>} Decrypted value
+         */
+        async transform(value, metadata) {
+            const options = this.options;
+            checkIntegrationOptions(options, 'DecryptPipe');
+            const source = metadata && metadata.type ? metadata.type : 'param';
+
+            try {
+                if (!options.fields) {
+                    const field = metadata && metadata.data ? metadata.data : undefined;
+                    return value === undefined || value === null ? value : await decryptField(value, options, { source, field });
+                }
+                if (value !== null && typeof value === 'object') {
+                    await transformFields(value, options.fields, (fieldValue, field) =>
+                        decryptField(fieldValue, options, { source, field }));
+                }
+                return value;
+            } catch (error) {
+                throw toHttpException(error);
+            }
+        }
+    }
+
+    /**
+     * NestJS interceptor that encrypts fields of the response body. Nest
+     * creates it with the CryptoModule.forRoot options;
+     * EncryptInterceptor.withOptions adds other fields or options to those.
+     */
+    class EncryptInterceptor {
+        /**
+         * @param {Object} [options] - Options as for createEncryptMiddleware
+         *   (CryptoModule.forRoot options when Nest creates the interceptor)
+         */
+        constructor(options) {
+            this.options = options || {};
+        }
+
+        /**
+         * Interceptor class with options on top of those of CryptoModule.forRoot
+         * @param {Object} options - Interceptor options, such as fields
+         * @returns {Function} EncryptInterceptor subclass
+         */
+        static withOptions(options) {
+            return withModuleOptions(EncryptInterceptor, options);
+        }
+
+        intercept(context, next) {
+            const options = this.options;
+            checkIntegrationOptions(options, 'EncryptInterceptor');
+            if (!Array.isArray(options.fields)) {
+                throw new Error('EncryptInterceptor needs the fields to encrypt');
+            }
+
+            // rxjs comes with NestJS; loaded here so that bundles without
+            // NestJS do not need it
+            let operators;
+            try {
+                operators = require('rxjs/operators');
+            } catch (e) {
+                throw new Error('EncryptInterceptor needs rxjs, which NestJS applications depend on');
+            }
+            const { mergeMap } = operators;
+            const request = context.switchToHttp().getRequest();
+            return next.handle().pipe(mergeMap((body) => encryptBody(body, options, { source: 'response', request })));
+        }
+    }
+
+    /**
+     * Injectable NestJS service that encrypts and decrypts with the password
+     * or keyring of CryptoModule.forRoot
+     */
+    class CryptoService {
+        /**
+         * @param {Object} [options] - Options as for CryptoModule.forRoot
+         */
+        constructor(options) {
+            this.options = options || {};
+        }
+
+        async encrypt(text, options = {}) {
+            const password = await resolveFieldOption(this.options.password, { source: 'service' });
+            return encryptAsync(text, password, Object.assign({}, this.options.encryptOptions, options));
+        }
+
+        async decrypt(token, options = {}) {
+            const password = await resolveFieldOption(this.options.password, { source: 'service' });
+            return decryptAsync(token, password,
+                Object.assign({ maxCost: this.options.maxCost, backend: this.options.backend }, options));
+        }
+    }
+
+    /**
+     * NestJS dynamic module providing CryptoService, DecryptPipe and
+     * EncryptInterceptor configured with one password or keyring
+     */
+    class CryptoModule {
+        /**
+         * @param {Object} options - Default options for the pipes,
+         *   interceptors and service (password, associatedData, maxCost,
+         *   backend, encryptOptions; fields for EncryptInterceptor)
+         * @param {boolean} [options.global] - Register as a global module (default true)
+         * @returns {Object} Dynamic module
+         */
+        static forRoot(options = {}) {
+            checkIntegrationOptions(options, 'CryptoModule.forRoot');
+            [DecryptPipe, EncryptInterceptor, CryptoService].forEach(injectModuleOptions);
+
+            const inject = [CRYPTO_MODULE_OPTIONS];
+            const providers = [
+                { provide: CRYPTO_MODULE_OPTIONS, useValue: options },
+                { provide: CryptoService, useFactory: (moduleOptions) => new CryptoService(moduleOptions), inject },
+                { provide: DecryptPipe, useFactory: (moduleOptions) => new DecryptPipe(moduleOptions), inject },
+                { provide: EncryptInterceptor, useFactory: (moduleOptions) => new EncryptInterceptor(moduleOptions), inject }
+            ];
+            return {
+                module: CryptoModule,
+                global: options.global !== false,
+                providers,
+                exports: providers.map((provider) => provider.provide)
+            };
+        }
+    }
+
+    // CLI functions (Node.js only)
+    // Results go to stdout and nothing else does: status lines, prompts and
+    // errors are written to stderr, so output can be piped.
+
+    // Exit codes, documented in printUsage and the README
+    const EXIT_CODES = {
+        OK: 0,
+        ERROR: 1,
+        USAGE: 2,
+        WRONG_KEY: 3,
+        TAMPERED: 4,
+        MALFORMED: 5,
+        UNSUPPORTED_VERSION: 6,
+        EXPIRED: 7,
+        NOT_YET_VALID: 8,
+        WRONG_PURPOSE: 9,
+        FILE_NOT_FOUND: 10,
+        INTERRUPTED: 130
+    };
+
+    const CLI_COMMANDS = ['encrypt', 'decrypt', 'inspect', 'rekey', 'env', 'keygen', 'split', 'combine'];
+    const DEFAULT_PASSWORD_ENV = 'UCC_PASSWORD';
+
+    function printUsage() {
+        console.log(`Usage: ucc <command> [options] [TEXT|TOKEN]
+
+Commands:
+  encrypt [TEXT]           Encrypt TEXT, a file or directory tree (-f) or stdin
+  decrypt [TOKEN]          Decrypt TOKEN, a file or directory tree (-f) or stdin
+  inspect [TOKEN]          Show the format of a token or file (no password needed)
+  rekey [TOKEN]            Re-encrypt under the primary key of a keyring (-k)
+  env ACTION               Edit or read an encrypted .env file (-f, default .env):
+                             list, get KEY, set KEY [VALUE], encrypt [KEY...], decrypt
+  keygen                   Create an X25519 key pair (-o FILE: private key to FILE,
+                           public key to FILE.pub; otherwise both to stdout)
+  split                    Split the password into shares (--shares N --threshold M;
+                           -o PREFIX: one share per file PREFIX.1 to PREFIX.N)
+  combine [SHARE...]       Rebuild the password from enough shares (arguments, -f or stdin)
+
+Input and output:
+  -f, --file FILE          Read FILE instead of the argument or stdin
+  -o, --output FILE        Write to FILE instead of stdout (rekey -f: default replaces FILE)
+      --json               Print the result as one line of JSON
+
+Directories (-f DIR -o OUTDIR):
+      --include GLOB       Only process matching files (repeatable; * ? and **)
+      --exclude GLOB       Leave out matching files and directories (repeatable)
+      --jobs N             Worker threads (default: one per CPU, 0: none)
+      --manifest FILE      Manifest of hashes, relative to OUTDIR (default .ucc-manifest.json)
+      --force              Also process files that are unchanged since the last run
+
+Password (first one given is used):
+      --password-fd N      Read the password from file descriptor N
+      --password-env NAME  Read the password from environment variable NAME
+  -k, --keyring FILE       Keyring JSON: { "primary": "b", "keys": { "a": "...", "b": "..." } }
+  -p, --password PASS      Password as an argument (visible in ps and shell history)
+  Otherwise $${DEFAULT_PASSWORD_ENV} is used if set, or the password is prompted for
+  on the terminal without echo.
+
+Public keys (tokens only, instead of a password):
+      --recipient FILE     Encrypt to the public key in FILE, PEM or JWK (repeatable)
+      --private-key FILE   Decrypt with the private key in FILE
+
+Encryption:
+      --format FORMAT      token or chunked (default: token for TEXT, --mode deterministic
+                           and --recipient, chunked for files and stdin)
+      --mode MODE          randomized (default) or deterministic: equal input gives equal tokens
+      --context S          Application or data set of deterministic tokens (also needed to decrypt)
+      --token-version N    Token format version, 0 to 3 (default 3)
+      --cost N             log2 of the PBKDF2 work factor, 10 to 24 (default 16)
+      --compression ALG    none, gzip, deflate-raw, brotli or auto (default none)
+      --chunk-size BYTES   Chunk size of the chunked format (default 65536)
+      --associated-data S  Associated data (also needed to decrypt)
+      --expires-in SECONDS Lifetime of the token
+      --purpose P          Purpose the token is bound to (also needed to decrypt)
+      --clock-tolerance S  Seconds of clock difference accepted when decrypting (default 30)
+      --max-cost N         Highest --cost accepted when decrypting (default 16)
+      --encoding ENC       Token text: base62 (default), base58, base32 (Crockford, with a
+                           check symbol) or base64url (also needed to decrypt and inspect)
+      --group N            Split the token into groups of N characters with hyphens
+
+Secret sharing:
+      --shares N           Number of shares to make, 2 to 255
+      --threshold M        Shares needed to rebuild the password, 2 to N
+
+Other:
+  -h, --help               Show this help
+      --version            Print the version of ucc
+
+Exit codes:
+  0 success, 1 other error, 2 usage error, 3 wrong password or key,
+  4 modified data, 5 malformed input, 6 unsupported format version,
+  7 expired token, 8 token not valid yet, 9 wrong purpose, 10 file not found,
+  130 interrupted
+
+Without a command, the options of earlier releases are accepted: -t TEXT
+decrypts TEXT (or encrypts it when run as ucc-encrypt).
+
+Examples:
+  UCC_PASSWORD=mypass ucc encrypt "Hello World"
+  ucc decrypt --password-fd 3 3<secret.txt < data.enc > data.txt
+  ucc encrypt -f backup.tar -o backup.tar.enc
+  ucc encrypt -f exports -o exports.enc --exclude '*.tmp' --jobs 4
+  ucc inspect a2QKahPAAiJfOYeI...
+  ucc rekey -f data.enc -k keyring.json
+  ucc keygen -o alice.key && ucc encrypt --recipient alice.key.pub "Hello"
+  ucc env set DB_PASSWORD < secret.txt
+  ucc split --shares 5 --threshold 3 -o vault.share
+  ucc combine -f shares.txt | ucc decrypt --password-fd 0 -f data.enc`);
+    }
+
+    /**
+     * Version of the installed package, for ucc --version
+     * @returns {string} Version from package.json
+     */
+    function packageVersion() {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+    }
+
+    /**
+     * Create a command line usage error
+     * @param {string} message - Error message
+     * @returns {Error} Error with code USAGE
+     */
+    function usageError(message) {
+        return codedError('USAGE', message);
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} argv - Arguments after the script path
+     * @param {string} defaultCommand - Command when none is given
+     * @returns {Object} Parsed arguments
+     * @throws Error with code USAGE
+     */
+    function parseArgs(argv, defaultCommand) {
+        const args = {
+            command: defaultCommand,
+            legacy: true,
+            input: null,
+            file: null,
+            output: null,
+            json: false,
+            password: null,
+            passwordFd: null,
+            passwordEnv: null,
+            keyring: null,
+            recipients: [],
+            privateKey: null,
+            format: null,
+            operands: [],
+            options: {}
+        };
+
+        let i = 0;
+        if (CLI_COMMANDS.includes(argv[0])) {
+            args.command = argv[0];
+            args.legacy = false;
+            i = 1;
+        }
+
+        const value = (name) => {
+            if (i + 1 >= argv.length) {
+                throw usageError(`Missing value for ${name}`);
+            }
+            return argv[++i];
+        };
+        const integer = (name) => {
+            const text = value(name);
+            if (!/^\d+$/.test(text)) {
+                throw usageError(`${name} must be a number`);
+            }
+            return Number(text);
+        };
+
+        for (; i < argv.length; i++) {
+            const arg = argv[i];
+            switch (arg) {
+                case '-t':
+                case '--text':
+                    args.input = value(arg);
+                    break;
+                case '-f':
+                case '--file':
+                    args.file = value(arg);
+                    break;
+                case '-o':
+                case '--output':
+                    args.output = value(arg);
+                    break;
+                case '--json':
+                    args.json = true;
+                    break;
+                case '-p':
+                case '--password':
+                    args.password = value(arg);
+                    break;
+                case '--password-fd':
+                    args.passwordFd = integer(arg);
+                    break;
+                case '--password-env':
+                    args.passwordEnv = value(arg);
+                    break;
+                case '-k':
+                case '--keyring':
+                    args.keyring = value(arg);
+                    break;
+                case '--recipient':
+                    args.recipients.push(value(arg));
+                    break;
+                case '--private-key':
+                    args.privateKey = value(arg);
+                    break;
+                case '--format':
+                    args.format = value(arg);
+                    if (args.format !== 'token' && args.format !== 'chunked') {
+                        throw usageError('--format must be token or chunked');
+                    }
+                    break;
+                case '--token-version':
+                    args.options.version = integer(arg);
+                    break;
+                case '--mode':
+                    args.options.mode = value(arg);
+                    break;
+                case '--cost':
+                    args.options.cost = integer(arg);
+                    break;
+                case '--max-cost':
+                    args.options.maxCost = integer(arg);
+                    break;
+                case '--compression':
+                    args.options.compression = value(arg);
+                    break;
+                case '--chunk-size':
+                    args.options.chunkSize = integer(arg);
+                    break;
+                case '--include':
+                case '--exclude': {
+                    const key = arg.slice(2);
+                    args.options[key] = (args.options[key] || []).concat(value(arg));
+                    break;
+                }
+                case '--jobs':
+                    args.options.workers = integer(arg);
+                    break;
+                case '--force':
+                    args.options.force = true;
+                    break;
+                case '--manifest':
+                    args.options.manifest = value(arg);
+                    break;
+                case '--associated-data':
+                    args.options.associatedData = value(arg);
+                    break;
+                case '--context':
+                    args.options.context = value(arg);
+                    break;
+                case '--expires-in':
+                    args.options.expiresIn = integer(arg);
+                    break;
+                case '--purpose':
+                    args.options.purpose = value(arg);
+                    break;
+                case '--clock-tolerance':
+                    args.options.clockTolerance = integer(arg);
+                    break;
+                case '--encoding':
+                    args.options.encoding = value(arg);
+                    break;
+                case '--group':
+                    args.options.group = integer(arg);
+                    break;
+                case '--shares':
+                    args.options.shares = integer(arg);
+                    break;
+                case '--threshold':
+                    args.options.threshold = integer(arg);
+                    break;
+                case '-h':
+                case '--help':
+                    args.command = 'help';
+                    return args;
+                case '--version':
+                    args.command = 'version';
+                    return args;
+                default:
+                    if ((args.command === 'env' || args.command === 'combine') && !arg.startsWith('-')) {
+                        args.operands.push(arg);
+                        break;
+                    }
+                    if (arg.startsWith('-') || args.input !== null) {
+                        throw usageError(`Unknown option: ${arg}`);
+                    }
+                    args.input = arg;
+            }
+        }
+
+        if (args.input !== null && args.file) {
+            throw usageError('Give either an argument or -f, not both');
+        }
+        if (args.recipients.length > 0 && args.command !== 'encrypt' && args.command !== 'env') {
+            throw usageError('--recipient is only used to encrypt');
+        }
+        if (args.privateKey !== null && args.command !== 'decrypt' && args.command !== 'env') {
+            throw usageError('--private-key is only used to decrypt');
+        }
+
+        // Earlier releases wrote files next to the input: decrypt to .dec,
+        // and encrypt (encrypt.sh) to a token file ending in .enc
+        if (args.legacy && args.file && !args.output) {
+            const file = args.file.replace(/(.)[\\/]+$/, '$1');
+            if (args.command === 'encrypt') {
+                args.output = `${file}.enc`;
+                args.format = args.format || 'token';
+            } else {
+                args.output = /\.enc$/.test(file) ? file.replace(/\.enc$/, '.dec') : `${file}.dec`;
+            }
+        }
+
+        return args;
+    }
+
+    /**
+     * Print a status line to stderr
+     * @param {string} color - Key of colors
+     * @param {string} message - Message
+     */
+    function printStatus(color, message) {
+        if (process.stderr.isTTY) {
+            console.error(`${colors[color]}${message}${colors.reset}`);
+        } else {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Prompt for a password on the terminal without echo
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<string>} Password
+     */
+    function promptPassword(prompt) {
+        return new Promise((resolve, reject) => {
+            // stdin may carry the data, so prompt on the terminal itself
+            let input = process.stdin;
+            let fd = null;
+            if (!input.isTTY) {
+                try {
+                    fd = fs.openSync('/dev/tty', 'r');
+                    input = new tty.ReadStream(fd);
+                } catch (error) {
+                    reject(usageError(
+                        `No password given and no terminal to ask on. Use --password-env, --password-fd or $${DEFAULT_PASSWORD_ENV}`
+                    ));
+                    return;
+                }
+            }
+
+            let password = '';
+            const finish = (error) => {
+                input.removeListener('data', onData);
+                input.setRawMode(false);
+                if (fd === null) {
+                    input.pause();
+                } else {
+                    input.destroy();
+                }
+                process.stderr.write('\n');
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(password);
+                }
+            };
+            const onData = (chunk) => {
+                for (const char of chunk) {
+                    switch (char) {
+                        case '\r':
+                        case '\n':
+                        case '\u0004':
+                            finish(null);
+                            return;
+                        case '\u0003':
+                            finish(codedError('INTERRUPTED', 'Interrupted'));
+                            return;
+                        case '\u007f':
+                        case '\b':
+                            password = password.slice(0, -1);
+                            break;
+                        default:
+                            password += char;
+                    }
+                }
+            };
+
+            process.stderr.write(prompt);
+            input.setRawMode(true);
+            input.setEncoding('utf8');
+            input.on('data', onData);
+            input.resume();
+        });
+    }
+
+    /**
+     * Load a keyring JSON file
+     * @param {string} file - Path to { primary, keys } JSON
+     * @returns {Object} Keyring
+     */
+    function loadKeyring(file) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read keyring ${file}: ${error.message}`);
+        }
+        return createKeyring(config.keys, { primary: config.primary });
+    }
+
+    /**
+     * Load a public or private key file
+     * @param {string} file - Path to a PEM or JWK key
+     * @returns {Object} Key
+     */
+    function loadKeyFile(file) {
+        try {
+            return importKey(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read key ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the password, keyring or keys from the sources given on the
+     * command line
+     * @param {Object} args - Parsed arguments
+     * @param {boolean} confirm - Ask twice when prompting; also tells
+     *   encryption (public keys) from decryption (private key)
+     * @returns {Promise<string|Object|Object[]>} Password, keyring or keys
+     */
+    async function readPassword(args, confirm) {
+        if (confirm && args.recipients.length > 0) {
+            return args.recipients.map(loadKeyFile);
+        }
+        if (!confirm && args.privateKey !== null) {
+            return loadKeyFile(args.privateKey);
+        }
+        if (args.passwordFd !== null) {
+            // One line, or the whole content without its final newline
+            return fs.readFileSync(args.passwordFd, 'utf8').replace(/\r?\n$/, '');
+        }
+        if (args.passwordEnv !== null) {
+            if (!process.env[args.passwordEnv]) {
+                throw usageError(`Environment variable ${args.passwordEnv} is not set`);
+            }
+            return process.env[args.passwordEnv];
+        }
+        if (args.password !== null) {
+            return args.password;
+        }
+        if (args.keyring !== null) {
+            return loadKeyring(args.keyring);
+        }
+        if (process.env[DEFAULT_PASSWORD_ENV]) {
+            return process.env[DEFAULT_PASSWORD_ENV];
+        }
+
+        const password = await promptPassword('Password: ');
+        if (confirm && password !== await promptPassword('Repeat password: ')) {
+            throw usageError('Passwords do not match');
+        }
+        return password;
+    }
+
+    /**
+     * Open the input given on the command line
+     * @param {Object} args - Parsed arguments
+     * @returns {stream.Readable} Input bytes
+     */
+    function openInput(args) {
+        if (args.input !== null) {
+            return stream.Readable.from([Buffer.from(args.input)]);
+        }
+        if (args.file) {
+            return fs.createReadStream(args.file);
+        }
+        if (process.stdin.isTTY) {
+            throw usageError('No input: give an argument, -f FILE or pipe data to stdin');
+        }
+        return process.stdin;
+    }
+
+    /**
+     * Read the first bytes of a stream without losing them
+     * @param {stream.Readable} input - Input stream
+     * @param {number} length - Bytes wanted
+     * @returns {Promise<Object>} { head, rest }: at least length bytes (fewer at
+     *   the end of input) and a stream of the whole input
+     */
+    async function peekInput(input, length) {
+        const iterator = input[Symbol.asyncIterator]();
+        const chunks = [];
+        let size = 0;
+        let done = false;
+
+        while (size < length && !done) {
+            const next = await iterator.next();
+            done = next.done;
+            if (!done) {
+                chunks.push(Buffer.from(next.value));
+                size += next.value.length;
+            }
+        }
+
+        const head = Buffer.concat(chunks);
+        const rest = stream.Readable.from((async function* () {
+            if (head.length > 0) {
+                yield head;
+            }
+            while (!done) {
+                const next = await iterator.next();
+                done = next.done;
+                if (!done) {
+                    yield next.value;
+                }
+            }
+        })());
+        return { head, rest };
+    }
+
+    /**
+     * Read a whole stream
+     * @param {stream.Readable} input - Input stream
+     * @returns {Promise<Buffer>} Bytes
+     */
+    async function readAll(input) {
+        const chunks = [];
+        for await (const chunk of input) {
+            chunks.push(Buffer.from(chunk));
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Write a result to -o or stdout
+     * @param {Object} args - Parsed arguments
+     * @param {Buffer|string} data - Result
+     */
+    function writeOutput(args, data) {
+        if (args.output) {
+            fs.writeFileSync(args.output, data);
+        } else {
+            process.stdout.write(data);
+        }
+    }
+
+    /**
+     * Pipe input through a Transform stream to -o or stdout
+     * @param {Object} args - Parsed arguments
+     * @param {stream.Readable} input - Input stream
+     * @param {stream.Transform} transform - Encrypt or decrypt stream
+     */
+    async function pipeOutput(args, input, transform) {
+        if (!args.output) {
+            await stream.promises.pipeline(input, transform, process.stdout);
+            return;
+        }
+
+        try {
+            await stream.promises.pipeline(input, transform, fs.createWriteStream(args.output));
+        } catch (error) {
+            fs.rmSync(args.output, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Print a --json result
+     * @param {Object} result - Result fields
+     */
+    function printJson(result) {
+        process.stdout.write(JSON.stringify(Object.assign({ ok: true }, result)) + '\n');
+    }
+
+    /**
+     * Describe a token or chunked file header without decrypting it
+     * @param {Buffer} bytes - Token text or the start of a chunked file
+     * @param {string} [encoding] - Token encoding
+     * @returns {Object} Format fields; tokens are described by inspect
+     */
+    function describeInput(bytes, encoding) {
+        if (!isChunkedHeader(bytes)) {
+            return inspect(bytes.toString('utf8').trim(), { encoding });
+        }
+
+        if (bytes.length < STREAM_HEADER_BYTES) {
+            throw codedError(ERROR_CODES.MALFORMED, 'File is too short to be a chunked encrypted file');
+        }
+        const kdf = findKdf(bytes[5]);
+        return {
+            valid: true,
+            format: 'chunked',
+            version: bytes[4],
+            kdf: kdf ? kdf.name : bytes[5],
+            cost: bytes[6],
+            chunkSize: Math.pow(2, bytes[7])
+        };
+    }
+
+    /**
+     * Format an inspect report for the terminal
+     * @param {Object} info - Result of describeInput
+     * @param {string} token - Inspected token text
+     * @returns {string} Report lines
+     */
+    function formatInspection(info, token) {
+        const lines = Object.keys(info)
+            .filter((key) => key !== 'fields' && key !== 'error')
+            .filter((key) => info[key] !== null && info[key] !== undefined)
+            .map((key) => `${key}: ${info[key]}`);
+
+        if (info.fields) {
+            lines.push('fields: ' + info.fields
+                .map((field) => `${field.name}[${field.offset}..${field.offset + field.bytes - 1}]`)
+                .join(' '));
+        }
+
+        const error = info.error;
+        if (error) {
+            const at = [
+                error.field && `field ${error.field}`,
+                error.offset !== undefined && `byte ${error.offset}`,
+                typeof error.position === 'number' && `character ${error.position}`
+            ].filter(Boolean);
+            lines.push(`error: ${error.code}: ${error.message}` + (at.length ? ` (${at.join(', ')})` : ''));
+
+            // Show the offending character in context
+            if (typeof error.position === 'number') {
+                const start = Math.max(error.position - 30, 0);
+                lines.push('  ' + token.slice(start, error.position + 30));
+                lines.push('  ' + ' '.repeat(error.position - start) + '^');
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    async function runEncrypt(args) {
+        const deterministic = args.options.mode === 'deterministic';
+        const publicKey = args.recipients.length > 0;
+        const format = args.format || (args.input !== null || deterministic || publicKey ? 'token' : 'chunked');
+        if (format === 'chunked' && publicKey) {
+            throw usageError('--recipient needs --format token');
+        }
+        if (format === 'chunked' && !args.output && !args.json && process.stdout.isTTY) {
+            throw usageError('Refusing to write the binary chunked format to a terminal. Use -o FILE or --format token');
+        }
+        if (format === 'chunked' && args.json && !args.output) {
+            throw usageError('--json needs -o FILE for the chunked format');
+        }
+
+        const input = openInput(args);
+        const password = await readPassword(args, true);
+
+        if (format === 'chunked') {
+            await pipeOutput(args, input, createEncryptStream(password, args.options));
+            if (args.json) {
+                printJson({ format, output: args.output });
+            } else if (args.output) {
+                printStatus('green', `Encrypted: ${args.output}`);
+            }
+            return;
+        }
+
+        const token = encryptBytes(await readAll(input), password, args.options);
+        writeOutput(args, args.output || !args.json ? token + '\n' : '');
+        if (args.json) {
+            printJson(args.output ? { format, output: args.output } : { format, token });
+        } else if (args.output) {
+            printStatus('green', `Encrypted: ${args.output}`);
+        }
+    }
+
+    async function runDecrypt(args) {
+        const { head, rest } = await peekInput(openInput(args), STREAM_MAGIC.length);
+        const password = await readPassword(args, false);
+
+        if (isChunkedHeader(head)) {
+            if (args.json && !args.output) {
+                throw usageError('--json needs -o FILE for chunked files');
+            }
+            await pipeOutput(args, rest, createDecryptStream(password, args.options));
+            if (args.json) {
+                printJson({ format: 'chunked', output: args.output });
+            } else if (args.output) {
+                printStatus('green', `Decrypted: ${args.output}`);
+            }
+            return;
+        }
+
+        const token = (await readAll(rest)).toString('utf8').trim();
+        const decrypted = decryptBytes(token, password, args.options);
+
+        if (args.json) {
+            if (args.output) {
+                writeOutput(args, decrypted);
+                printJson({ format: 'token', output: args.output });
+                return;
+            }
+
+            let text = null;
+            try {
+                text = utf8Decode(decrypted);
+            } catch (error) {
+                // Binary data is reported as base64
+            }
+            printJson(text === null
+                ? { format: 'token', base64: decrypted.toString('base64') }
+                : { format: 'token', text });
+            return;
+        }
+
+        writeOutput(args, decrypted);
+        if (args.output) {
+            printStatus('green', `Decrypted: ${args.output}`);
+        } else if (process.stdout.isTTY) {
+            process.stdout.write('\n');
+        }
+    }
+
+    async function runKeygen(args) {
+        const { publicKey, privateKey } = generateKeyPair();
+        const publicPem = exportKey(publicKey);
+
+        if (!args.output) {
+            if (args.json) {
+                printJson({ keyId: publicKey.id, privateKey: exportKey(privateKey), publicKey: publicPem });
+            } else {
+                process.stdout.write(exportKey(privateKey) + publicPem);
+            }
+            return;
+        }
+
+        // Never overwrite an existing private key
+        if (fs.existsSync(args.output)) {
+            throw new Error(`${args.output} already exists`);
+        }
+        fs.writeFileSync(args.output, exportKey(privateKey), { mode: 0o600, flag: 'wx' });
+        fs.writeFileSync(`${args.output}.pub`, publicPem);
+        if (args.json) {
+            printJson({ keyId: publicKey.id, output: args.output, publicKey: publicPem });
+        } else {
+            printStatus('green', `Key ${publicKey.id}: private key in ${args.output}, public key in ${args.output}.pub`);
+        }
+    }
+
+    async function runSplit(args) {
+        const { shares, threshold } = args.options;
+        if (shares === undefined || threshold === undefined) {
+            throw usageError('split needs --shares N and --threshold M');
+        }
+        const secret = await readPassword(args, true);
+        if (typeof secret !== 'string') {
+            throw usageError('split takes a password, not a keyring or public keys');
+        }
+        let parts;
+        try {
+            parts = splitSecret(secret, { shares, threshold, group: args.options.group });
+        } catch (error) {
+            throw usageError(error.message);
+        }
+
+        if (!args.output) {
+            if (args.json) {
+                printJson({ threshold, shares: parts });
+            } else {
+                process.stdout.write(parts.join('\n') + '\n');
+            }
+            return;
+        }
+
+        // One file per share, so they can be handed out separately
+        const files = parts.map((part, i) => `${args.output}.${i + 1}`);
+        const existing = files.find((file) => fs.existsSync(file));
+        if (existing) {
+            throw new Error(`${existing} already exists`);
+        }
+        files.forEach((file, i) => fs.writeFileSync(file, parts[i] + '\n', { mode: 0o600, flag: 'wx' }));
+        if (args.json) {
+            printJson({ threshold, files });
+        } else {
+            printStatus('green', `${parts.length} shares, any ${threshold} of them rebuild the password: ` +
+                `${args.output}.1 to ${args.output}.${parts.length}`);
+        }
+    }
+
+    async function runCombine(args) {
+        let shares = args.operands;
+        if (shares.length === 0) {
+            const text = (await readAll(openInput(args))).toString('utf8');
+            shares = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+        }
+        const secret = combineShares(shares);
+
+        if (args.json) {
+            printJson({ secret });
+        } else if (args.output) {
+            fs.writeFileSync(args.output, secret + '\n', { mode: 0o600 });
+        } else {
+            process.stdout.write(secret + '\n');
+        }
+    }
+
+    async function runDirectory(args) {
+        if (!args.output) {
+            throw usageError(`${args.file} is a directory: give an output directory with -o`);
+        }
+
+        const encrypting = args.command === 'encrypt';
+        const password = await readPassword(args, encrypting);
+        const options = Object.assign({}, args.options, {
+            format: args.format || undefined,
+            onFile: args.json ? undefined : (file) => {
+                if (file.status === 'failed') {
+                    printStatus('red', `${file.input}: ${file.error.message}`);
+                }
+            }
+        });
+        const report = await (encrypting ? encryptDirectory : decryptDirectory)(args.file, args.output, password, options);
+
+        if (args.json) {
+            printJson(Object.assign({ ok: report.failed === 0 }, report));
+        } else {
+            printStatus(report.failed ? 'yellow' : 'green', `${encrypting ? 'Encrypted' : 'Decrypted'} ${report.processed} ` +
+                `files, ${report.skipped} unchanged, ${report.failed} failed: ${args.output}`);
+        }
+
+        // The exit code of the failures if they agree, 1 otherwise
+        const codes = [...new Set(report.files.filter((file) => file.error).map((file) => file.error.code))];
+        if (codes.length === 0) {
+            return EXIT_CODES.OK;
+        }
+        return codes.length === 1 && EXIT_CODES[codes[0]] !== undefined ? EXIT_CODES[codes[0]] : EXIT_CODES.ERROR;
+    }
+
+    async function runInspect(args) {
+        const { head, rest } = await peekInput(openInput(args), STREAM_HEADER_BYTES);
+        const bytes = isChunkedHeader(head) ? head : await readAll(rest);
+        const info = describeInput(bytes, args.options.encoding);
+        const exitCode = info.valid ? EXIT_CODES.OK : EXIT_CODES[info.error.code];
+
+        if (args.json) {
+            const status = info.valid ? { ok: true } : { ok: false, code: info.error.code, message: info.error.message };
+            process.stdout.write(JSON.stringify(Object.assign(status, info)) + '\n');
+        } else {
+            writeOutput(args, formatInspection(info, bytes.toString('utf8').trim()));
+        }
+        return exitCode;
+    }
+
+    async function runRekey(args) {
+        if (args.keyring === null) {
+            throw usageError('rekey needs a keyring (-k FILE)');
+        }
+        const keyring = loadKeyring(args.keyring);
+
+        if (args.file) {
+            rekeyFile(args.file, args.output, keyring, args.options);
+            if (args.json) {
+                printJson({ output: args.output || args.file, primary: keyring.primary });
+            } else {
+                printStatus('green', `Re-encrypted with key ${keyring.primary}: ${args.output || args.file}`);
+            }
+            return;
+        }
+
+        const token = rekey((await readAll(openInput(args))).toString('utf8').trim(), keyring, args.options);
+        if (args.json && !args.output) {
+            printJson({ token, primary: keyring.primary });
+            return;
+        }
+        writeOutput(args, token + '\n');
+        if (args.json) {
+            printJson({ output: args.output, primary: keyring.primary });
+        }
+    }
+
+    /**
+     * Quote a .env value if it needs it
+     * @param {string} value - Value
+     * @returns {string} Value as written in a .env file
+     */
+    function quoteEnvValue(value) {
+        if (/^[\w@%+=:,./-]*$/.test(value)) {
+            return value;
+        }
+        const escapes = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r' };
+        return `"${value.replace(/[\\"\n\r]/g, (char) => escapes[char])}"`;
+    }
+
+    async function runEnv(args) {
+        const [action, ...keys] = args.operands;
+        const path = args.file || '.env';
+        const keyLines = () => readEnvFile(path).lines.filter((line) => line.key !== undefined);
+
+        switch (action) {
+            case 'list': {
+                const entries = keyLines().map((line) => ({ key: line.key, encrypted: isEncryptedEnvValue(line.value) }));
+                if (args.json) {
+                    printJson({ keys: entries });
+                } else {
+                    writeOutput(args, entries.map((entry) => `${entry.key} ${entry.encrypted ? 'encrypted' : 'plain'}\n`).join(''));
+                }
+                return;
+            }
+
+            case 'get': {
+                if (keys.length !== 1) {
+                    throw usageError('env get needs one KEY');
+                }
+                const line = keyLines().filter((candidate) => candidate.key === keys[0]).pop();
+                if (!line) {
+                    throw new Error(`${path}: ${keys[0]} is not set`);
+                }
+                const password = isEncryptedEnvValue(line.value) ? await readPassword(args, false) : null;
+                const value = envValue(line, password, path, args.options);
+                if (args.json) {
+                    printJson({ key: line.key, value });
+                    return;
+                }
+                writeOutput(args, value);
+                if (!args.output && process.stdout.isTTY) {
+                    process.stdout.write('\n');
+                }
+                return;
+            }
+
+            case 'set': {
+                if (keys.length < 1 || keys.length > 2) {
+                    throw usageError('env set needs KEY and an optional VALUE');
+                }
+                // Without VALUE the value is read from stdin, or prompted for
+                // without echo so it stays out of shell history
+                let value = keys[1];
+                if (value === undefined) {
+                    value = process.stdin.isTTY
+                        ? await promptPassword(`Value of ${keys[0]}: `)
+                        : (await readAll(process.stdin)).toString('utf8').replace(/\r?\n$/, '');
+                }
+                const password = await readPassword(args, true);
+                setEncryptedEnv({ path, key: keys[0], value, password, encryptOptions: args.options });
+                if (args.json) {
+                    printJson({ path, keys: [keys[0]] });
+                } else {
+                    printStatus('green', `Encrypted ${keys[0]} in ${path}`);
+                }
+                return;
+            }
+
+            case 'encrypt': {
+                const plain = keyLines().filter((line) => !isEncryptedEnvValue(line.value)).map((line) => line.key);
+                const targets = keys.length ? keys : plain.filter((key, index) => plain.indexOf(key) === index);
+                if (targets.length) {
+                    const password = await readPassword(args, true);
+                    for (const key of targets) {
+                        setEncryptedEnv({ path, key, password, encryptOptions: args.options });
+                    }
+                }
+                if (args.json) {
+                    printJson({ path, keys: targets });
+                } else {
+                    printStatus('green', targets.length ? `Encrypted ${targets.join(', ')} in ${path}` : `No plain values in ${path}`);
+                }
+                return;
+            }
+
+            case 'decrypt': {
+                const encrypted = keyLines().some((line) => isEncryptedEnvValue(line.value));
+                const password = encrypted ? await readPassword(args, false) : null;
+                const values = loadEncryptedEnv({ path, password, processEnv: null, backend: args.options.backend });
+                if (args.json) {
+                    printJson({ values });
+                } else {
+                    writeOutput(args, Object.keys(values).map((key) => `${key}=${quoteEnvValue(values[key])}\n`).join(''));
+                }
+                return;
+            }
+
+            default:
+                throw usageError(action === undefined
+                    ? 'env needs an action: list, get, set, encrypt or decrypt'
+                    : `Unknown env action: ${action}`);
+        }
+    }
+
+    /**
+     * Run the command line interface
+     * @param {string[]} [argv] - Arguments after the script path
+     * @returns {Promise<number>} Exit code
+     */
+    async function runCLI(argv = process.argv.slice(2)) {
+        if (!isNode) {
+            console.error('CLI mode is only available in Node.js environment');
+            return EXIT_CODES.ERROR;
+        }
+
+        // The ucc-encrypt bin replaces the former encrypt.sh script
+        const invokedAs = path.basename(process.argv[1] || '');
+        const defaultCommand = invokedAs === 'ucc-encrypt' ? 'encrypt' : 'decrypt';
+
+        let args = { json: argv.includes('--json') };
+        try {
+            args = parseArgs(argv, defaultCommand);
+            if ((args.command === 'encrypt' || args.command === 'decrypt') &&
+                args.file && fs.existsSync(args.file) && fs.statSync(args.file).isDirectory()) {
+                return await runDirectory(args);
+            }
+
+            switch (args.command) {
+                case 'help':
+                    printUsage();
+                    return EXIT_CODES.OK;
+                case 'version':
+                    console.log(packageVersion());
+                    return EXIT_CODES.OK;
+                case 'encrypt':
+                    await runEncrypt(args);
+                    break;
+                case 'decrypt':
+                    await runDecrypt(args);
+                    break;
+                case 'inspect':
+                    return await runInspect(args);
+                case 'rekey':
+                    await runRekey(args);
+                    break;
+                case 'env':
+                    await runEnv(args);
+                    break;
+                case 'keygen':
+                    await runKeygen(args);
+                    break;
+                case 'split':
+                    await runSplit(args);
+                    break;
+                case 'combine':
+                    await runCombine(args);
+                    break;
+            }
+            return EXIT_CODES.OK;
+        } catch (caught) {
+            const error = fileSystemError(caught);
+            const code = EXIT_CODES[error.code] !== undefined ? error.code : 'ERROR';
+
+            if (args.json) {
+                // Error details (position, field, path, expiresAt...) go with the code
+                const details = error instanceof CryptoError ? error.toJSON() : {};
+                process.stdout.write(JSON.stringify(Object.assign({ ok: false }, details, { code, message: error.message })) + '\n');
+            } else {
+                printStatus('red', `Error: ${error.message}`);
+                if (code === 'USAGE') {
+                    console.error('Run with --help for usage.');
+                }
+            }
+            return EXIT_CODES[code];
+        }
+    }
+
+    // Serve worker pool jobs in a Web Worker started by startWorker
+    if (!isNode && typeof importScripts === 'function' && self.name === CRYPTO_WORKER_NAME) {
+        self.onmessage = (event) => serveWorkerJob(event.data, (message) => self.postMessage(message));
+    }
+
+    // Run as CLI if executed directly in Node.js, or serve directory jobs
+    // and worker pool jobs in worker threads started by runTreeJobs and
+    // startWorker
+    if (isNode && require.main === module) {
+        const workerData = workerThreads && !workerThreads.isMainThread ? workerThreads.workerData : null;
+        if (workerData && workerData.treeWorker) {
+            runTreeWorker(workerThreads);
+        } else if (workerData && workerData.cryptoWorker) {
+            const { parentPort } = workerThreads;
+            parentPort.on('message', (job) => serveWorkerJob(job, (message) => parentPort.postMessage(message)));
+        } else {
+            runCLI().then((code) => {
+                process.exitCode = code;
+            });
+        }
     }
 
     // Return public API
     return {
+        encrypt,
+        encryptBytes,
+        encryptFile,
+        encryptAsync,
+        encryptBytesAsync,
+        encryptFileAsync,
         decrypt,
+        decryptBytes,
+        createCipher,
         decryptFile,
         decryptAsync,
+        decryptBytesAsync,
         decryptFileAsync,
+        encryptFields,
+        decryptFields,
+        encryptFieldsAsync,
+        decryptFieldsAsync,
+        encryptOpenSSL,
+        decryptOpenSSL,
+        encryptOpenSSLAsync,
+        decryptOpenSSLAsync,
+        createEncryptStream,
+        createDecryptStream,
+        base62Encode,
         base62Decode,
-        deriveKeyAndIV
+        encodeBytes,
+        decodeBytes,
+        legacyBase62Encode,
+        legacyBase62Decode,
+        deriveKeyAndIV,
+        inspect,
+        setBackend,
+        getBackends,
+        configureWorkers,
+        terminateWorkers,
+        ERROR_CODES,
+        CryptoError,
+        MalformedTokenError,
+        InvalidCharacterError,
+        WrongKeyError,
+        TamperedError,
+        UnsupportedVersionError,
+        ExpiredError,
+        NotYetValidError,
+        WrongPurposeError,
+        FileNotFoundError,
+        createKeyring,
+        splitSecret,
+        combineShares,
+        generateKeyPair,
+        importKey,
+        exportKey,
+        rekey,
+        rekeyAsync,
+        rekeyFile,
+        encryptDirectory,
+        decryptDirectory,
+        encryptArchive,
+        decryptArchive,
+        listArchive,
+        readArchiveEntry,
+        loadEncryptedEnv,
+        setEncryptedEnv,
+        createDecryptMiddleware,
+        createEncryptMiddleware,
+        DecryptPipe,
+        EncryptInterceptor,
+        CryptoService,
+        CryptoModule
     };
 }));
\ No newline at end of file
@@ -0,0 +1,48 @@
+'use strict';
+
+// Encrypted archives
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encryptArchive, decryptArchive, listArchive, readArchiveEntry } = require('../index.js');
+
+test('archives list, read and extract their files', (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-archive-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const input = path.join(root, 'input');
+    fs.mkdirSync(path.join(input, 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(input, 'a.txt'), 'first');
+    fs.writeFileSync(path.join(input, 'sub', 'b.txt'), 'second');
+    const archive = path.join(root, 'files.ucca');
+
+    const written = encryptArchive(input, archive, 'pw', { cost: 10 });
+    assert.deepEqual(written.map((entry) => entry.path), ['a.txt', 'sub/b.txt']);
+    assert.deepEqual(listArchive(archive, 'pw').map((entry) => entry.path), ['a.txt', 'sub/b.txt']);
+    assert.equal(readArchiveEntry(archive, 'sub/b.txt', 'pw').toString(), 'second');
+
+    const output = path.join(root, 'output');
+    const extracted = decryptArchive(archive, output, 'pw', { include: 'sub/**' });
+    assert.deepEqual(extracted.map((entry) => entry.path), ['sub/b.txt']);
+    assert.equal(fs.readFileSync(path.join(output, 'sub', 'b.txt'), 'utf8'), 'second');
+    assert.equal(fs.existsSync(path.join(output, 'a.txt')), false);
+
+    assert.throws(() => listArchive(archive, 'wrong'), { code: 'WRONG_KEY' });
+});
+
+test('archives with a forged KDF cost are rejected before any key is derived', (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-archive-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'a.txt'), 'first');
+    const archive = path.join(root, 'files.ucca');
+    encryptArchive(root, archive, 'pw', { cost: 10, include: 'a.txt' });
+
+    const forged = fs.readFileSync(archive);
+    forged[6] = 24;
+    fs.writeFileSync(archive, forged);
+    const started = Date.now();
+    assert.throws(() => listArchive(archive, 'pw'), { code: 'MALFORMED', message: /KDF cost 24/ });
+    assert.ok(Date.now() - started < 100, 'no PBKDF2 at cost 24');
+});
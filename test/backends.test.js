@@ -0,0 +1,39 @@
+'use strict';
+
+// The node, webcrypto and cryptojs backends produce the same tokens
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ucc = require('../index.js');
+const { loadBrowserBuild } = require('./browser.js');
+
+const DETERMINISTIC_TOKEN = 'a2QK9RKqgzz5egyTjOA7Gt8fdEo4QG3ok6WnJGFcoTRN0GX1B';
+const OPTIONS = { cost: 10, mode: 'deterministic', context: 'kat-context' };
+
+test('deterministic tokens are equal on every backend', async () => {
+    assert.deepEqual(ucc.getBackends(), ['node', 'webcrypto', 'cryptojs']);
+    assert.equal(ucc.encrypt('known answer', 'kat-password', { ...OPTIONS, backend: 'node' }), DETERMINISTIC_TOKEN);
+    assert.equal(ucc.encrypt('known answer', 'kat-password', { ...OPTIONS, backend: 'cryptojs' }), DETERMINISTIC_TOKEN);
+    assert.equal(await ucc.encryptAsync('known answer', 'kat-password', { ...OPTIONS, backend: 'webcrypto' }), DETERMINISTIC_TOKEN);
+});
+
+test('tokens decrypt on every backend', async () => {
+    for (const from of ['node', 'cryptojs']) {
+        const token = ucc.encrypt('across backends', 'pw', { cost: 10, associatedData: 'ad', backend: from });
+        for (const to of ['node', 'cryptojs']) {
+            assert.equal(ucc.decrypt(token, 'pw', { associatedData: 'ad', backend: to }), 'across backends');
+        }
+        assert.equal(await ucc.decryptAsync(token, 'pw', { associatedData: 'ad', backend: 'webcrypto' }), 'across backends');
+    }
+    const token = await ucc.encryptAsync('from webcrypto', 'pw', { cost: 10, backend: 'webcrypto' });
+    assert.equal(ucc.decrypt(token, 'pw', { backend: 'cryptojs' }), 'from webcrypto');
+});
+
+test('the browser build reads and writes the same tokens', async () => {
+    const browser = loadBrowserBuild();
+    assert.deepEqual([...browser.getBackends()], ['webcrypto']);
+    assert.equal(await browser.encryptAsync('known answer', 'kat-password', OPTIONS), DETERMINISTIC_TOKEN);
+    assert.equal(await browser.decryptAsync(ucc.encrypt('from node', 'pw', { cost: 10 }), 'pw'), 'from node');
+    assert.equal(ucc.decrypt(await browser.encryptAsync('from the browser', 'pw', { cost: 10 }), 'pw'), 'from the browser');
+    assert.equal(await browser.decryptAsync('2BhIbEETD6BXUo4t1jRCNR', 'mypass'), 'Hello World');
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+// Loads index.js the way a browser does: no require or process, only Web
+// APIs. The UMD wrapper then takes its browser-globals branch.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadBrowserBuild() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8').replace(/^#!.*\n/, '');
+    const sandbox = {
+        crypto: globalThis.crypto, TextEncoder, TextDecoder, console,
+        CompressionStream, DecompressionStream, Blob, Response
+    };
+    sandbox.self = sandbox;
+    vm.runInNewContext(source, sandbox, { filename: 'index.js' });
+    return sandbox.UltraCompactCrypto;
+}
+
+module.exports = { loadBrowserBuild };
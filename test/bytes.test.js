@@ -0,0 +1,48 @@
+'use strict';
+
+// Binary data: bytes that are not UTF-8 text survive every path
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    encryptBytes, decryptBytes, encryptBytesAsync, decryptBytesAsync, decrypt, encryptFile, decryptFile
+} = require('../index.js');
+
+const PASSWORD = 'bytes-password';
+
+// NUL, 0xff (never valid UTF-8), a UTF-8-encoded lone surrogate, a truncated sequence
+const BINARY = Buffer.from([0x00, 0xff, 0xed, 0xa0, 0x80, 0x61, 0xc3, 0x00, 0xfe, 0x80, 0xff, 0x00]);
+
+test('binary data round trips through tokens', async () => {
+    const token = encryptBytes(BINARY, PASSWORD, { cost: 10 });
+    const bytes = decryptBytes(token, PASSWORD);
+    assert.ok(Buffer.isBuffer(bytes));
+    assert.deepEqual(bytes, BINARY);
+    const asyncToken = await encryptBytesAsync(BINARY, PASSWORD, { cost: 10 });
+    assert.deepEqual(Buffer.from(await decryptBytesAsync(asyncToken, PASSWORD, { worker: false })), BINARY);
+    assert.throws(() => decrypt(token, PASSWORD), { code: 'MALFORMED', message: /not UTF-8 text/ });
+});
+
+test('binary files round trip in the token and chunked formats', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-bytes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const input = path.join(dir, 'input.bin');
+    const large = Buffer.concat(Array.from({ length: 300 }, () => BINARY));
+    fs.writeFileSync(input, large);
+
+    for (const format of ['token', 'chunked']) {
+        const encrypted = path.join(dir, `${format}.enc`);
+        encryptFile(input, encrypted, PASSWORD, { cost: 10, format, chunkSize: 1024 });
+
+        const returned = decryptFile(encrypted, null, PASSWORD);
+        assert.ok(Buffer.isBuffer(returned), format);
+        assert.deepEqual(returned, large, format);
+
+        const output = path.join(dir, `${format}.bin`);
+        decryptFile(encrypted, output, PASSWORD);
+        assert.deepEqual(fs.readFileSync(output), large, format);
+    }
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+// Ciphers: cached keys, decryptMany and destroy
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const { createCipher, encrypt, decrypt, encryptBytes, decryptBytes, base62Encode, base62Decode } = require('../index.js');
+
+const PASSWORD = 'cipher-password';
+
+// Count PBKDF2 derivations and keep the keys, while a test runs
+function countDerivations(t) {
+    const pbkdf2Sync = nodeCrypto.pbkdf2Sync;
+    const derived = [];
+    nodeCrypto.pbkdf2Sync = (...args) => {
+        const key = pbkdf2Sync(...args);
+        derived.push(key);
+        return key;
+    };
+    t.after(() => {
+        nodeCrypto.pbkdf2Sync = pbkdf2Sync;
+    });
+    return derived;
+}
+
+test('cipher tokens round trip with decrypt, and the other way', () => {
+    const cipher = createCipher({ password: PASSWORD, cost: 10 });
+    assert.equal(decrypt(cipher.encrypt('from the cipher'), PASSWORD), 'from the cipher');
+    assert.equal(cipher.decrypt(encrypt('from encrypt', PASSWORD, { cost: 10 })), 'from encrypt');
+
+    const bytes = Buffer.from([0, 255, 7]);
+    assert.deepEqual(decryptBytes(cipher.encryptBytes(bytes), PASSWORD), bytes);
+    assert.deepEqual(cipher.decryptBytes(encryptBytes(bytes, PASSWORD, { cost: 10 })), bytes);
+
+    // Deterministic tokens are the same as those of encrypt
+    const options = { mode: 'deterministic', context: 'cipher-test' };
+    assert.equal(cipher.encrypt('lookup', options), encrypt('lookup', PASSWORD, { cost: 10, ...options }));
+    assert.equal(cipher.decrypt(cipher.encrypt('lookup', options), { context: 'cipher-test' }), 'lookup');
+});
+
+test('a cipher derives each key once', (t) => {
+    const derived = countDerivations(t);
+    const cipher = createCipher({ password: PASSWORD, cost: 10 });
+
+    const tokens = ['one', 'two', 'three'].map((text) => cipher.encrypt(text));
+    assert.equal(derived.length, 1, 'one salt for every token of the cipher');
+    assert.deepEqual(tokens.map((token) => cipher.decrypt(token)), ['one', 'two', 'three']);
+    assert.equal(derived.length, 1);
+
+    const other = encrypt('other salt', PASSWORD, { cost: 10 });
+    cipher.decrypt(other);
+    cipher.decrypt(other);
+    assert.equal(derived.length, 3, 'encrypt, then the cipher once');
+});
+
+test('a full key cache evicts the key used longest ago', (t) => {
+    const [a, b, c] = ['a', 'b', 'c'].map((text) => encrypt(text, PASSWORD, { cost: 10 }));
+    const derived = countDerivations(t);
+    const cipher = createCipher({ password: PASSWORD, cacheSize: 2 });
+
+    cipher.decrypt(a);
+    cipher.decrypt(b);
+    cipher.decrypt(a);
+    assert.equal(derived.length, 2);
+    cipher.decrypt(c);
+    assert.equal(derived.length, 3);
+    assert.ok(derived[1].every((byte) => byte === 0), 'the evicted key of b is zeroed');
+
+    cipher.decrypt(a);
+    assert.equal(derived.length, 3, 'a was used more recently than b');
+    cipher.decrypt(b);
+    assert.equal(derived.length, 4);
+    assert.throws(() => createCipher({ password: PASSWORD, cacheSize: 0 }), /cacheSize must be a positive whole number/);
+});
+
+test('decryptMany reports each token on its own', () => {
+    const cipher = createCipher({ password: PASSWORD, cost: 10 });
+    const tampered = base62Decode(cipher.encrypt('tampered'));
+    tampered[tampered.length - 20] ^= 1;
+
+    const results = cipher.decryptMany([
+        cipher.encrypt('first'),
+        encrypt('other key', 'not-the-password', { cost: 10 }),
+        'not a token!',
+        base62Encode(tampered),
+        encrypt('last', PASSWORD, { cost: 10 })
+    ]);
+    assert.deepEqual(results.map((result) => result.ok ? result.text : result.error.code),
+        ['first', 'WRONG_KEY', 'MALFORMED', 'TAMPERED', 'last']);
+    assert.throws(() => cipher.decryptMany('token'), /decryptMany expects an array of tokens/);
+});
+
+test('destroy zeroes the keys, and the cipher cannot be used after it', (t) => {
+    const other = encrypt('second key', PASSWORD, { cost: 10 });
+    const derived = countDerivations(t);
+    const cipher = createCipher({ password: PASSWORD, cost: 10 });
+    const token = cipher.encrypt('before');
+    cipher.decrypt(other);
+    cipher.destroy();
+
+    assert.equal(derived.length, 2);
+    assert.ok(derived.every((key) => key.every((byte) => byte === 0)));
+    for (const use of [
+        () => cipher.encrypt('after'),
+        () => cipher.decrypt(token),
+        () => cipher.encryptBytes(Buffer.from('after')),
+        () => cipher.decryptBytes(token),
+        () => cipher.decryptMany([token])
+    ]) {
+        assert.throws(use, /Cipher has been destroyed/);
+    }
+    assert.equal(decrypt(token, PASSWORD), 'before', 'tokens outlive the cipher');
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+// Command line interface
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'index.js');
+
+function ucc(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: { ...process.env, UCC_PASSWORD: 'Password' } });
+}
+
+test('--version prints the package version', () => {
+    const result = ucc('--version');
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.trim(), require('../package.json').version);
+});
+
+test('--token-version selects the token format', () => {
+    const result = ucc('encrypt', '--token-version', '0', 'jdlkgjdflkjgkldfjkgkjdf');
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.trim(), '8RTRCWkF0kBa2OD2Xjjk5xIr3HOPP1WGbDltEE7kvrI');
+    assert.equal(ucc('decrypt', result.stdout.trim()).stdout.trim(), 'jdlkgjdflkjgkldfjkgkjdf');
+});
+
+test('usage errors exit with code 2', () => {
+    const result = ucc('encrypt', '--token-version');
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Missing value for --token-version/);
+});
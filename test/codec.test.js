@@ -0,0 +1,60 @@
+'use strict';
+
+// Block base62 codec
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { base62Encode, base62Decode, encrypt, decrypt } = require('../index.js');
+
+test('known encodings', () => {
+    assert.equal(base62Encode(new Uint8Array(8)), '00000000000');
+    assert.equal(base62Encode(new Uint8Array(8).fill(0xff)), 'lYGhA16ahyf');
+    assert.equal(base62Encode(new Uint8Array([0, 0, 1])), '00001');
+    assert.equal(base62Encode(new Uint8Array(0)), '');
+});
+
+test('leading zeros survive the round trip at every length', () => {
+    for (let length = 0; length <= 40; length++) {
+        for (const fill of [0x00, 0xff]) {
+            const bytes = new Uint8Array(length).fill(fill);
+            if (length > 0) {
+                bytes[length - 1] = 1;
+            }
+            const encoded = base62Encode(bytes);
+            assert.match(encoded, /^[0-9A-Za-z]*$/);
+            assert.deepEqual(base62Decode(encoded), bytes, `length ${length}`);
+        }
+    }
+});
+
+test('random bytes round trip', () => {
+    const crypto = require('crypto');
+    for (let i = 0; i < 50; i++) {
+        const bytes = new Uint8Array(crypto.randomBytes(i * 3));
+        assert.deepEqual(base62Decode(base62Encode(bytes)), bytes);
+    }
+});
+
+test('bad input is MALFORMED', () => {
+    assert.throws(() => base62Decode('0'), { code: 'MALFORMED', message: 'Invalid base62 length: 1' });
+    assert.throws(() => base62Decode('000000000000'), { code: 'MALFORMED', message: 'Invalid base62 length: 12' });
+    assert.throws(() => base62Decode('!bc'), { name: 'InvalidCharacterError', code: 'MALFORMED', position: 0, character: '!' });
+    // 62^11 exceeds 2^64, so the largest blocks do not decode
+    assert.throws(() => base62Decode('zzzzzzzzzzz'), { code: 'MALFORMED' });
+});
+
+test('legacy single-number tokens round trip', () => {
+    for (const length of [1, 15, 16, 100, 1000]) {
+        const text = 'legacy '.repeat(length).slice(0, length);
+        const token = encrypt(text, 'pw', { version: 0 });
+        assert.match(token, /^[0-9A-Za-z]+$/);
+        assert.equal(decrypt(token, 'pw'), text, `length ${length}`);
+    }
+});
+
+test('long garbage tokens fail quickly', () => {
+    const garbage = 'a' + 'Z9x'.repeat(40000);
+    const start = Date.now();
+    assert.throws(() => decrypt(garbage, 'pw'), { code: 'MALFORMED' });
+    assert.ok(Date.now() - start < 1000, `took ${Date.now() - start} ms`);
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+// Compression of the plaintext before encryption
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ucc = require('../index.js');
+const { loadBrowserBuild } = require('./browser.js');
+
+const TEXT = 'known answer known answer known answer known answer';
+const GZIP_TOKEN = 'a2QK9Pq7jMn7OmSOPDmOhEcVonipxXQxdjbKnn5Se5nTfzYygvUCx4Q9s6rfi327cf1Aw9WaCjSFLeTZUXd1VpXJiPLaWIm9uU07YgQdzEsnDCcgxokfSqyy46kjRJtYRjko0Ae1W10Vwi';
+
+test('every algorithm round trips and is reported by inspect', () => {
+    const plain = ucc.encrypt(TEXT, 'pw', { cost: 10 });
+    for (const compression of ['none', 'gzip', 'deflate-raw', 'brotli']) {
+        const token = ucc.encrypt(TEXT, 'pw', { cost: 10, compression });
+        assert.equal(ucc.inspect(token).compression, compression);
+        assert.equal(ucc.decrypt(token, 'pw'), TEXT);
+        if (compression !== 'none') {
+            assert.ok(token.length < plain.length, compression);
+        }
+    }
+});
+
+test('known gzip token decrypts', () => {
+    assert.equal(ucc.inspect(GZIP_TOKEN).compression, 'gzip');
+    assert.equal(ucc.decrypt(GZIP_TOKEN, 'kat-password'), TEXT);
+});
+
+test('auto only compresses when it saves a block', () => {
+    assert.equal(ucc.inspect(ucc.encrypt(TEXT, 'pw', { cost: 10, compression: 'auto' })).compression, 'deflate-raw');
+    assert.equal(ucc.inspect(ucc.encrypt('x', 'pw', { cost: 10, compression: 'auto' })).compression, 'none');
+    assert.throws(() => ucc.encrypt('x', 'pw', { compression: 'lz4' }), /Unsupported compression: lz4/);
+});
+
+test('CompressionStream reads zlib output in the browser build', async () => {
+    const browser = loadBrowserBuild();
+    assert.equal(await browser.decryptAsync(GZIP_TOKEN, 'kat-password'), TEXT);
+    const token = await browser.encryptAsync(TEXT, 'pw', { cost: 10, compression: 'deflate-raw' });
+    assert.equal(ucc.decrypt(token, 'pw'), TEXT);
+});
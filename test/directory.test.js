@@ -0,0 +1,121 @@
+'use strict';
+
+// Directory trees, in worker threads and in this thread
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encryptDirectory, decryptDirectory, decryptFile, createKeyring } = require('../index.js');
+
+function tree(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-tree-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const input = path.join(root, 'input');
+    fs.mkdirSync(path.join(input, 'sub', 'deeper'), { recursive: true });
+    fs.writeFileSync(path.join(input, 'a.txt'), 'first file');
+    fs.writeFileSync(path.join(input, 'sub', 'b.bin'), Buffer.alloc(3000, 7));
+    fs.writeFileSync(path.join(input, 'sub', 'deeper', 'c.tmp'), 'left out');
+    return { root, input };
+}
+
+for (const workers of [0, 2]) {
+    test(`trees round trip with ${workers} workers`, async (t) => {
+        const { root, input } = tree(t);
+        const encrypted = path.join(root, 'encrypted');
+        const decrypted = path.join(root, 'decrypted');
+
+        const report = await encryptDirectory(input, encrypted, 'pw', { cost: 10, workers, exclude: '*.tmp' });
+        assert.equal(report.processed, 2);
+        assert.equal(report.failed, 0);
+        assert.notEqual(fs.readFileSync(path.join(encrypted, 'a.txt.enc')).toString(), 'first file');
+        assert.equal(fs.existsSync(path.join(encrypted, 'sub', 'deeper', 'c.tmp.enc')), false);
+
+        await decryptDirectory(encrypted, decrypted, 'pw', { workers });
+        assert.equal(fs.readFileSync(path.join(decrypted, 'a.txt'), 'utf8'), 'first file');
+        assert.deepEqual(fs.readFileSync(path.join(decrypted, 'sub', 'b.bin')), Buffer.alloc(3000, 7));
+
+        const again = await encryptDirectory(input, encrypted, 'pw', { cost: 10, workers, exclude: '*.tmp' });
+        assert.equal(again.skipped, 2, 'unchanged files are skipped');
+    });
+}
+
+test('the manifest records the key and options, and a change of either processes files again', async (t) => {
+    const { root, input } = tree(t);
+    const encrypted = path.join(root, 'encrypted');
+    const options = { cost: 10, workers: 0, exclude: '*.tmp' };
+
+    await encryptDirectory(input, encrypted, 'pw', options);
+    const manifest = JSON.parse(fs.readFileSync(path.join(encrypted, '.ucc-manifest.json'), 'utf8'));
+    const entry = manifest.files['a.txt'];
+    assert.deepEqual(entry.options, { cost: 10 });
+    assert.match(entry.key, /^[0-9a-f]{32}$/);
+
+    assert.equal((await encryptDirectory(input, encrypted, 'pw', options)).skipped, 2);
+    assert.equal((await encryptDirectory(input, encrypted, 'other', options)).processed, 2, 'new key');
+    assert.equal(decryptFile(path.join(encrypted, 'a.txt.enc'), null, 'other').toString(), 'first file');
+    assert.equal((await encryptDirectory(input, encrypted, 'other', { ...options, cost: 11 })).processed, 2, 'new cost');
+    assert.equal((await encryptDirectory(input, encrypted, 'other', { ...options, cost: 11, associatedData: 'ad' })).processed, 2);
+
+    // A keyring is recorded by its primary key
+    const ring = createKeyring({ k1: 'other', k2: 'pw' }, { primary: 'k2' });
+    assert.equal((await encryptDirectory(input, encrypted, ring, options)).processed, 2);
+    assert.match(JSON.parse(fs.readFileSync(path.join(encrypted, '.ucc-manifest.json'), 'utf8')).files['a.txt'].key,
+        new RegExp(`^${ring.keys[1].id}:`));
+    assert.equal((await encryptDirectory(input, encrypted, ring, options)).skipped, 2);
+});
+
+// Replace the worker of the first tree job with one that runs code instead
+function crashFirstWorker(t, code) {
+    const workerThreads = require('worker_threads');
+    const { Worker } = workerThreads;
+    let started = 0;
+    workerThreads.Worker = class extends Worker {
+        constructor(file, options) {
+            const crash = started++ === 0;
+            super(crash ? `require('worker_threads').parentPort.once('message', () => { ${code} });` : file,
+                crash ? { eval: true } : options);
+        }
+    };
+    t.after(() => {
+        workerThreads.Worker = Worker;
+    });
+}
+
+test('a worker that exits early fails its file, and the other workers finish the run', async (t) => {
+    const { root, input } = tree(t);
+    fs.writeFileSync(path.join(input, 'd.txt'), 'fourth');
+    const encrypted = path.join(root, 'encrypted');
+    crashFirstWorker(t, 'process.exit(1)');
+
+    const report = await encryptDirectory(input, encrypted, 'pw', { cost: 10, workers: 2 });
+    assert.deepEqual([report.total, report.processed, report.failed], [4, 3, 1]);
+    const [lost] = report.files.filter((file) => file.status === 'failed');
+    assert.equal(lost.input, 'a.txt');
+    assert.match(lost.error.message, /Worker exited with code 1/);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(encrypted, '.ucc-manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(manifest.files), ['d.txt', 'sub/b.bin', 'sub/deeper/c.tmp']);
+});
+
+test('a worker error stops every worker and fails the files without a result', async (t) => {
+    const { root, input } = tree(t);
+    fs.writeFileSync(path.join(input, 'd.txt'), 'fourth');
+    const encrypted = path.join(root, 'encrypted');
+    crashFirstWorker(t, "throw new Error('worker crashed')");
+
+    const report = await encryptDirectory(input, encrypted, 'pw', { cost: 10, workers: 2 });
+    assert.equal(report.total, 4);
+    assert.equal(report.processed + report.failed, 4);
+    assert.ok(report.failed >= 1);
+    for (const file of report.files.filter((item) => item.status === 'failed')) {
+        assert.match(file.error.message, /Worker failed: worker crashed/);
+    }
+
+    // The manifest keeps what was processed, so the next run only does the rest
+    const manifest = JSON.parse(fs.readFileSync(path.join(encrypted, '.ucc-manifest.json'), 'utf8'));
+    assert.equal(Object.keys(manifest.files).length, report.processed);
+    const again = await encryptDirectory(input, encrypted, 'pw', { cost: 10, workers: 0 });
+    assert.deepEqual([again.skipped, again.processed], [report.processed, report.failed]);
+});
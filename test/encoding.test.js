@@ -0,0 +1,81 @@
+'use strict';
+
+// Token encodings: base58, Crockford base32 and base64url, and grouping
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { encodeBytes, decodeBytes, encrypt, decrypt } = require('../index.js');
+
+const ALPHABETS = {
+    base62: /^[0-9A-Za-z]*$/,
+    base58: /^[1-9A-HJ-NP-Za-km-z]*$/,
+    base32: /^[0-9A-HJKMNP-TV-Z]*[0-9A-HJKMNP-TV-Z*~$=U]$/,
+    base64url: /^[A-Za-z0-9_-]*$/
+};
+
+test('bytes round trip in every encoding', () => {
+    for (const [encoding, alphabet] of Object.entries(ALPHABETS)) {
+        for (let length = 0; length <= 40; length++) {
+            const bytes = new Uint8Array(crypto.randomBytes(length));
+            const text = encodeBytes(bytes, { encoding });
+            assert.match(text, alphabet, `${encoding}, ${length} bytes`);
+            assert.deepEqual(decodeBytes(text, { encoding }), bytes, `${encoding}, ${length} bytes`);
+        }
+    }
+    assert.equal(encodeBytes(new Uint8Array([0, 0, 1]), { encoding: 'base58' }), '11112');
+    assert.throws(() => encodeBytes(new Uint8Array(1), { encoding: 'base16' }), /Unknown encoding: base16/);
+});
+
+test('tokens decrypt in the encoding they were written in', () => {
+    for (const encoding of Object.keys(ALPHABETS)) {
+        const token = encrypt('encoded', 'pw', { cost: 10, encoding });
+        assert.match(token, ALPHABETS[encoding], encoding);
+        assert.equal(decrypt(token, 'pw', { encoding }), 'encoded', encoding);
+    }
+});
+
+test('grouped text decodes, and base64url cannot be grouped', () => {
+    const bytes = new Uint8Array(crypto.randomBytes(20));
+    for (const encoding of ['base62', 'base58', 'base32']) {
+        const grouped = encodeBytes(bytes, { encoding, group: 4 });
+        assert.match(grouped, /^([^-]{4}-)+[^-]{1,4}$/, encoding);
+        assert.deepEqual(decodeBytes(grouped, { encoding }), bytes, encoding);
+
+        const token = encrypt('grouped', 'pw', { cost: 10, encoding, group: 5 });
+        assert.equal(decrypt(token, 'pw', { encoding }), 'grouped', encoding);
+    }
+    assert.throws(() => encodeBytes(bytes, { encoding: 'base64url', group: 4 }), /cannot be grouped/);
+
+    // Positions in errors count the hyphens
+    assert.equal(encodeBytes(new Uint8Array(8), { encoding: 'base58', group: 4 }), '1111-1111-111');
+    assert.throws(() => decodeBytes('1111-1111-011', { encoding: 'base58' }),
+        { code: 'MALFORMED', character: '0', position: 10 });
+});
+
+test('base32 reads lower case and look-alike letters', () => {
+    const bytes = new Uint8Array([0x00, 0x84, 0x21, 0x08]);
+    const text = encodeBytes(bytes, { encoding: 'base32' });
+    assert.equal(text, '0222220R');
+    assert.deepEqual(decodeBytes(text.toLowerCase(), { encoding: 'base32' }), bytes);
+    assert.deepEqual(decodeBytes('O222220R', { encoding: 'base32' }), bytes);
+
+    assert.equal(encodeBytes(new Uint8Array([0x08, 0x42]), { encoding: 'base32' }), '11105');
+    assert.deepEqual(decodeBytes('lI105', { encoding: 'base32' }), new Uint8Array([0x08, 0x42]));
+});
+
+test('a one-character typo in base32 is caught by the check symbol', () => {
+    const token = encrypt('typed by hand', 'pw', { cost: 10, encoding: 'base32', group: 4 });
+    const chars = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    for (let i = 0; i < token.length; i++) {
+        if (token[i] === '-') {
+            continue;
+        }
+        const typo = token.slice(0, i) + chars[(chars.indexOf(token[i]) + 1) % chars.length] + token.slice(i + 1);
+        assert.throws(() => decrypt(typo, 'pw', { encoding: 'base32' }), { code: 'MALFORMED' }, `position ${i}`);
+    }
+
+    const data = token.replace(/-/g, '');
+    const typo = (data[0] === '0' ? '1' : '0') + data.slice(1);
+    assert.throws(() => decodeBytes(typo, { encoding: 'base32' }), { code: 'MALFORMED', field: 'checksum' });
+});
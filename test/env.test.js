@@ -0,0 +1,38 @@
+'use strict';
+
+// Encrypted .env files
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setEncryptedEnv, loadEncryptedEnv } = require('../index.js');
+
+function envFile(t, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-env-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, '.env');
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('values are encrypted in place and loaded', (t) => {
+    const file = envFile(t, '# settings\nDB_HOST=localhost\nDB_PASSWORD=s3cret # rotated\n');
+    setEncryptedEnv({ path: file, key: 'DB_PASSWORD', password: 'pw', encryptOptions: { cost: 10 } });
+    setEncryptedEnv({ path: file, key: 'API_KEY', value: 'k-123', password: 'pw', encryptOptions: { cost: 10 } });
+
+    const text = fs.readFileSync(file, 'utf8');
+    assert.match(text, /^# settings\nDB_HOST=localhost\nDB_PASSWORD=ucc:\w+ # rotated\nAPI_KEY=ucc:\w+\n$/);
+    assert.deepEqual(loadEncryptedEnv({ path: file, password: 'pw', processEnv: null }),
+        { DB_HOST: 'localhost', DB_PASSWORD: 's3cret', API_KEY: 'k-123' });
+});
+
+test('a value copied to another key does not decrypt', (t) => {
+    const file = envFile(t, '');
+    const token = setEncryptedEnv({ path: file, key: 'ADMIN_PASSWORD', value: 'root', password: 'pw', encryptOptions: { cost: 10 } });
+    fs.appendFileSync(file, `GUEST_PASSWORD=${token}\n`);
+
+    assert.throws(() => loadEncryptedEnv({ path: file, password: 'pw', processEnv: null }),
+        { code: 'TAMPERED', message: /GUEST_PASSWORD/ });
+});
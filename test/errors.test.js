@@ -0,0 +1,74 @@
+'use strict';
+
+// Error codes, their classes and the exit codes of the CLI
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ucc = require('../index.js');
+
+const { encrypt, decrypt, decryptFile, base62Encode, base62Decode, ERROR_CODES, CryptoError } = ucc;
+const PASSWORD = 'errors-password';
+const token = encrypt('error cases', PASSWORD, { cost: 10 });
+
+function modified(offset, value) {
+    const bytes = base62Decode(token);
+    bytes[offset] = value === undefined ? bytes[offset] ^ 1 : value;
+    return base62Encode(bytes);
+}
+
+// A call that fails with each code, and the class it throws
+const CASES = {
+    MALFORMED: [ucc.MalformedTokenError, () => decrypt(token.slice(0, -1), PASSWORD)],
+    WRONG_KEY: [ucc.WrongKeyError, () => decrypt(token, 'wrong')],
+    TAMPERED: [ucc.TamperedError, () => decrypt(modified(45), PASSWORD)],
+    UNSUPPORTED_VERSION: [ucc.UnsupportedVersionError, () => decrypt(modified(1, 9), PASSWORD)],
+    EXPIRED: [ucc.ExpiredError, () => decrypt(encrypt('x', PASSWORD, { cost: 10, expiresIn: 60, now: 0 }), PASSWORD)],
+    NOT_YET_VALID: [ucc.NotYetValidError, () => decrypt(encrypt('x', PASSWORD, { cost: 10, expiresIn: 60, now: Date.now() + 3600e3 }), PASSWORD)],
+    WRONG_PURPOSE: [ucc.WrongPurposeError, () => decrypt(encrypt('x', PASSWORD, { cost: 10, purpose: 'a' }), PASSWORD, { purpose: 'b' })],
+    FILE_NOT_FOUND: [ucc.FileNotFoundError, () => decryptFile(path.join(__dirname, 'no-such-file.enc'), null, PASSWORD)]
+};
+
+test('each error code is thrown as its own class', () => {
+    assert.deepEqual(Object.keys(CASES).sort(), Object.values(ERROR_CODES).sort());
+    for (const [code, [ErrorClass, fail]] of Object.entries(CASES)) {
+        assert.throws(fail, (error) => {
+            assert.ok(error instanceof ErrorClass, `${code} is a ${ErrorClass.name}`);
+            assert.ok(error instanceof CryptoError, code);
+            assert.equal(error.code, code);
+            assert.equal(error.name, ErrorClass.name);
+            return true;
+        });
+        assert.equal(ErrorClass.prototype.code, code);
+    }
+
+    // An invalid character is a malformed token with a position
+    assert.throws(() => decrypt('a2!x', PASSWORD), (error) => error instanceof ucc.InvalidCharacterError &&
+        error instanceof ucc.MalformedTokenError && error.code === 'MALFORMED' && error.position === 2);
+});
+
+const CLI = path.join(__dirname, '..', 'index.js');
+
+function cli(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: { ...process.env, UCC_PASSWORD: PASSWORD } });
+}
+
+test('the CLI exits with the documented code of each failure', () => {
+    const cases = [
+        [3, 'WRONG_KEY', ['decrypt', encrypt('x', 'wrong', { cost: 10 })]],
+        [4, 'TAMPERED', ['decrypt', modified(45)]],
+        [5, 'MALFORMED', ['decrypt', 'not-a-token']],
+        [2, 'USAGE', ['decrypt', '--no-such-option', token]]
+    ];
+    for (const [status, code, args] of cases) {
+        const result = cli(...args);
+        assert.equal(result.status, status, `${code}: ${result.stderr}`);
+        assert.equal(result.stdout, '', code);
+
+        const json = cli(...args, '--json');
+        assert.equal(json.status, status, code);
+        assert.equal(JSON.parse(json.stdout).code, code);
+    }
+    assert.equal(cli('decrypt', token).stdout.trim(), 'error cases');
+});
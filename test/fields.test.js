@@ -0,0 +1,71 @@
+'use strict';
+
+// Field-level encryption of JSON documents
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encrypt, encryptFields, decryptFields, decryptFieldsAsync } = require('../index.js');
+
+const KEY = 'field-password';
+const OPTIONS = { cost: 10 };
+const TOKEN = /^a2\w+$/;
+
+const DOCUMENT = {
+    customer: { name: 'Ann', age: 41, vip: true, note: null, tags: ['x'], address: { zip: '123' } },
+    payments: [{ card: '4111', amount: 20 }, { card: '5500', amount: 5 }],
+    secret_1: 's1',
+    secret_22: 's22',
+    deep: { a: { password: 'p1', b: [{ password: 'p2' }] } },
+    password: 'p0'
+};
+
+test('JSON types survive the round trip', async () => {
+    const paths = ['customer.*'];
+    const stored = encryptFields(DOCUMENT, paths, KEY, OPTIONS);
+    for (const value of Object.values(stored.customer)) {
+        assert.match(value, TOKEN);
+    }
+    assert.deepEqual(decryptFields(stored, paths, KEY), DOCUMENT);
+    assert.deepEqual(await decryptFieldsAsync(stored, paths, KEY), DOCUMENT);
+    assert.equal(DOCUMENT.customer.name, 'Ann', 'the document itself is left alone');
+});
+
+test('array wildcards, globs and ** select fields', () => {
+    const paths = ['payments[*].card', 'secret_?', '**.password'];
+    const stored = encryptFields(DOCUMENT, paths, KEY, OPTIONS);
+    assert.match(stored.payments[0].card, TOKEN);
+    assert.match(stored.payments[1].card, TOKEN);
+    assert.equal(stored.payments[0].amount, 20);
+    assert.match(stored.secret_1, TOKEN);
+    assert.equal(stored.secret_22, 's22');
+    assert.match(stored.password, TOKEN);
+    assert.match(stored.deep.a.password, TOKEN);
+    assert.match(stored.deep.a.b[0].password, TOKEN);
+    assert.deepEqual(decryptFields(stored, paths, KEY), DOCUMENT);
+
+    const one = encryptFields(DOCUMENT, 'payments[1].card', KEY, OPTIONS);
+    assert.equal(one.payments[0].card, '4111');
+    assert.match(one.payments[1].card, TOKEN);
+});
+
+test('paths that match nothing are skipped', () => {
+    const stored = encryptFields(DOCUMENT, ['missing.path', 'payments[5].card', 'customer.name.first'], KEY, OPTIONS);
+    assert.deepEqual(stored, DOCUMENT);
+    assert.deepEqual(decryptFields(DOCUMENT, ['missing.path', 'payments[5].card'], KEY, { strict: true }), DOCUMENT);
+});
+
+test('tokens from encrypt stay strings', () => {
+    const document = { count: encrypt('123', KEY, OPTIONS), flag: encrypt('true', KEY, OPTIONS), text: encrypt('"quoted"', KEY, OPTIONS) };
+    assert.deepEqual(decryptFields(document, ['count', 'flag', 'text'], KEY), { count: '123', flag: 'true', text: '"quoted"' });
+});
+
+test('strict mode rejects values that are not tokens', () => {
+    assert.deepEqual(decryptFields({ a: 'hello', b: 5 }, ['a', 'b'], KEY), { a: 'hello', b: 5 });
+    assert.throws(() => decryptFields({ a: 'hello' }, 'a', KEY, { strict: true }),
+        { code: 'MALFORMED', field: 'a', message: /a: Not a token/ });
+    assert.throws(() => decryptFields({ a: 5 }, 'a', KEY, { strict: true }),
+        { code: 'MALFORMED', field: 'a', message: /Expected a token, found number/ });
+
+    const stored = encryptFields(DOCUMENT, 'customer.name', KEY, OPTIONS);
+    assert.throws(() => decryptFields(stored, 'customer.name', 'wrong'), { code: 'WRONG_KEY', field: 'customer.name' });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+// Inspecting tokens without the password
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encrypt, inspect } = require('../index.js');
+
+test('current and legacy tokens are described', () => {
+    const token = encrypt('Hello World', 'pw', { cost: 10, compression: 'gzip' });
+    const report = inspect(token);
+    assert.equal(report.valid, true);
+    assert.equal(report.codec, 'block');
+    assert.equal(report.version, 3);
+    assert.equal(report.cost, 10);
+    assert.equal(report.compression, 'gzip');
+    assert.equal(report.error, null);
+
+    const legacy = inspect('8RTRCWkF0kBa2OD2Xjjk5xIr3HOPP1WGbDltEE7kvrI');
+    assert.equal(legacy.valid, true);
+    assert.equal(legacy.codec, 'legacy');
+    assert.equal(legacy.version, 0);
+    assert.equal(legacy.kdf, 'legacy');
+    assert.equal(legacy.cost, null);
+    assert.equal(legacy.recipients, null);
+    assert.equal(legacy.ciphertextBytes, 32);
+    assert.deepEqual(Object.keys(legacy).sort(), Object.keys(report).sort());
+});
+
+test('tokens with a character missing or repeated are invalid', () => {
+    const token = encrypt('Hello World', 'pw', { cost: 10 });
+    for (let i = 0; i < token.length; i++) {
+        for (const damaged of [token.slice(0, i) + token.slice(i + 1), token.slice(0, i) + token[i] + token.slice(i)]) {
+            const report = inspect(damaged);
+            assert.equal(report.valid, false, `position ${i}`);
+            assert.equal(report.error.code, 'MALFORMED');
+        }
+    }
+    assert.equal(inspect(token.slice(0, 20) + token.slice(21)).error.field, 'length');
+});
+
+test('short or foreign text is invalid', () => {
+    assert.deepEqual(inspect('zzzz').error, { code: 'MALFORMED', message: 'Malformed token: invalid length', field: 'length' });
+    assert.equal(inspect('').valid, false);
+    assert.deepEqual(inspect('abc_def').error, {
+        code: 'MALFORMED', message: 'Invalid character "_" at position 3', field: 'alphabet', position: 3, character: '_'
+    });
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+// Express middleware and the NestJS pipe, interceptor, service and module,
+// with mock requests and responses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    encrypt, decrypt, base62Encode, base62Decode, createDecryptMiddleware, createEncryptMiddleware,
+    DecryptPipe, EncryptInterceptor, CryptoService, CryptoModule, terminateWorkers
+} = require('../index.js');
+
+const PASSWORD = 'server-key';
+
+test.after(() => terminateWorkers());
+
+function token(text, options = {}) {
+    return encrypt(text, PASSWORD, Object.assign({ cost: 10 }, options));
+}
+
+// A token whose header asks for 2^20 PBKDF2 iterations
+function forgedCost() {
+    const bytes = base62Decode(token('x'));
+    bytes[3] = 20;
+    return base62Encode(bytes);
+}
+
+function mockResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.done = new Promise((resolve) => {
+        res.setHeader = (name, value) => {
+            res.headers[name.toLowerCase()] = value;
+        };
+        res.end = (body) => {
+            res.body = body;
+            resolve();
+        };
+    });
+    return res;
+}
+
+// Run a middleware; resolves with the argument of next, or the response
+function run(middleware, req, res = mockResponse()) {
+    return new Promise((resolve) => {
+        middleware(req, res, (error) => resolve({ next: true, error }));
+        res.done.then(() => resolve({ next: false, res }));
+    });
+}
+
+test('the decrypt middleware decrypts body, query and header fields in place', async () => {
+    const middleware = createDecryptMiddleware({
+        body: ['card.number', 'missing.field'],
+        query: ['ref'],
+        headers: ['X-Session-Token'],
+        password: PASSWORD
+    });
+    const req = {
+        body: { card: { number: token('4111 1111') }, other: 'kept' },
+        query: { ref: token('order-7') },
+        headers: { 'x-session-token': token('session') }
+    };
+
+    const result = await run(middleware, req);
+    assert.deepEqual(result, { next: true, error: undefined });
+    assert.deepEqual(req.body, { card: { number: '4111 1111' }, other: 'kept' });
+    assert.equal(req.query.ref, 'order-7');
+    assert.equal(req.headers['x-session-token'], 'session');
+});
+
+test('the decrypt middleware answers bad tokens with 400 or 422 and a JSON body', async () => {
+    const middleware = createDecryptMiddleware({ body: ['id'], password: PASSWORD });
+
+    const wrongKey = await run(middleware, { body: { id: encrypt('x', 'other', { cost: 10 }) } });
+    assert.equal(wrongKey.next, false);
+    assert.equal(wrongKey.res.statusCode, 422);
+    assert.match(wrongKey.res.headers['content-type'], /^application\/json/);
+    assert.deepEqual(Object.keys(JSON.parse(wrongKey.res.body)), ['error', 'message', 'field']);
+    assert.equal(JSON.parse(wrongKey.res.body).error, 'WRONG_KEY');
+    assert.equal(JSON.parse(wrongKey.res.body).field, 'body.id');
+
+    const malformed = await run(middleware, { body: { id: 'not a token!' } });
+    assert.equal(malformed.res.statusCode, 400);
+    assert.equal(JSON.parse(malformed.res.body).error, 'MALFORMED');
+});
+
+test('the decrypt middleware caps the KDF cost of client tokens', async () => {
+    const middleware = createDecryptMiddleware({ body: ['id'], password: PASSWORD });
+    const started = Date.now();
+    const result = await run(middleware, { body: { id: forgedCost() } });
+    assert.ok(Date.now() - started < 500, 'no PBKDF2 at cost 20');
+    assert.equal(result.res.statusCode, 400);
+    assert.match(JSON.parse(result.res.body).message, /KDF cost 20/);
+
+    const costly = encrypt('allowed', PASSWORD, { cost: 17 });
+    const raised = createDecryptMiddleware({ body: ['id'], password: PASSWORD, maxCost: 17 });
+    const req = { body: { id: costly } };
+    assert.equal((await run(raised, req)).next, true);
+    assert.equal(req.body.id, 'allowed');
+});
+
+test('the decrypt middleware hands failures to onError, and other errors to next', async () => {
+    const seen = [];
+    const middleware = createDecryptMiddleware({
+        body: ['id'],
+        password: PASSWORD,
+        onError: (error, req, res, next) => {
+            seen.push([error.code, error.field, error.status]);
+            next();
+        }
+    });
+    assert.equal((await run(middleware, { body: { id: 'bad!' } })).next, true);
+    assert.deepEqual(seen, [['MALFORMED', 'body.id', 400]]);
+
+    const lookupFails = createDecryptMiddleware({
+        body: ['id'],
+        password: async () => {
+            throw new Error('key store down');
+        }
+    });
+    const result = await run(lookupFails, { body: { id: token('x') } });
+    assert.equal(result.next, true);
+    assert.match(result.error.message, /key store down/);
+});
+
+test('the encrypt middleware encrypts fields of res.json bodies without changing the original', async () => {
+    const middleware = createEncryptMiddleware({
+        fields: ['account.iban', 'account.limits'],
+        password: PASSWORD,
+        associatedData: ({ request }) => `user:${request.user}`,
+        encryptOptions: { cost: 10 }
+    });
+    const req = { user: 7 };
+    let send;
+    const sent = new Promise((resolve) => {
+        send = resolve;
+    });
+    const res = { json: send, done: new Promise(() => {}) };
+
+    assert.deepEqual(await run(middleware, req, res), { next: true, error: undefined });
+    const body = { ok: true, account: { iban: 'DE89', limits: { daily: 500 } } };
+    assert.equal(res.json(body), res);
+
+    const encrypted = await sent;
+    assert.deepEqual(body, { ok: true, account: { iban: 'DE89', limits: { daily: 500 } } });
+    assert.equal(encrypted.ok, true);
+    assert.equal(decrypt(encrypted.account.iban, PASSWORD, { associatedData: 'user:7' }), 'DE89');
+    assert.deepEqual(JSON.parse(decrypt(encrypted.account.limits, PASSWORD, { associatedData: 'user:7' })), { daily: 500 });
+
+    const noJson = await run(middleware, req, { done: new Promise(() => {}) });
+    assert.match(noJson.error.message, /needs res.json/);
+    assert.throws(() => createEncryptMiddleware({ password: PASSWORD }), /needs the fields to encrypt/);
+});
+
+test('DecryptPipe decrypts whole values and fields, with statuses on failure', async () => {
+    const whole = new DecryptPipe({ password: PASSWORD });
+    assert.equal(await whole.transform(token('ref-1'), { type: 'query', data: 'ref' }), 'ref-1');
+    assert.equal(await whole.transform(undefined, { type: 'query', data: 'ref' }), undefined);
+
+    const fields = new DecryptPipe({ password: PASSWORD, fields: ['card.number'] });
+    assert.deepEqual(await fields.transform({ card: { number: token('4111') } }, { type: 'body' }), { card: { number: '4111' } });
+
+    // Without @nestjs/common the field error itself is thrown
+    await assert.rejects(whole.transform(forgedCost(), { type: 'query', data: 'ref' }),
+        { code: 'MALFORMED', field: 'query.ref', status: 400 });
+    await assert.rejects(new DecryptPipe().transform('x'), /DecryptPipe needs a password/);
+});
+
+test('EncryptInterceptor needs rxjs, and encrypts with it', async () => {
+    let rxjs = null;
+    try {
+        rxjs = require('rxjs');
+    } catch (e) {
+        // Not installed: the interceptor says so
+    }
+    const interceptor = new EncryptInterceptor({ password: PASSWORD, fields: ['iban'], encryptOptions: { cost: 10 } });
+    const context = { switchToHttp: () => ({ getRequest: () => ({}) }) };
+
+    if (!rxjs) {
+        assert.throws(() => interceptor.intercept(context, { handle: () => null }), /EncryptInterceptor needs rxjs/);
+    } else {
+        const body = await rxjs.lastValueFrom(interceptor.intercept(context, { handle: () => rxjs.of({ iban: 'DE89' }) }));
+        assert.equal(decrypt(body.iban, PASSWORD), 'DE89');
+    }
+    assert.throws(() => new EncryptInterceptor({ password: PASSWORD }).intercept(context, {}), /needs the fields to encrypt/);
+});
+
+test('CryptoService encrypts and decrypts with its options', async () => {
+    const service = new CryptoService({ password: PASSWORD, encryptOptions: { cost: 10 } });
+    const encrypted = await service.encrypt('secret');
+    assert.equal(decrypt(encrypted, PASSWORD), 'secret');
+    assert.equal(await service.decrypt(encrypted), 'secret');
+    await assert.rejects(service.decrypt(forgedCost()), { code: 'MALFORMED' });
+});
+
+// What Nest does with the providers of a dynamic module
+function resolve(dynamicModule, token) {
+    const providers = new Map(dynamicModule.providers.map((provider) => [provider.provide, provider]));
+    const provider = providers.get(token);
+    return provider.useValue !== undefined
+        ? provider.useValue
+        : provider.useFactory(...provider.inject.map((dependency) => resolve(dynamicModule, dependency)));
+}
+
+test('CryptoModule keeps the options of each forRoot in its own providers', async () => {
+    const first = CryptoModule.forRoot({ password: 'first-key', encryptOptions: { cost: 10 } });
+    const second = CryptoModule.forRoot({ password: 'second-key', encryptOptions: { cost: 10 }, global: false });
+    assert.equal(first.global, true);
+    assert.equal(second.global, false);
+    assert.deepEqual(first.exports.slice(1), [CryptoService, DecryptPipe, EncryptInterceptor]);
+
+    const firstToken = await resolve(first, CryptoService).encrypt('one');
+    assert.equal(decrypt(firstToken, 'first-key'), 'one');
+    assert.equal(await resolve(first, DecryptPipe).transform(firstToken), 'one');
+    await assert.rejects(resolve(second, DecryptPipe).transform(firstToken), { code: 'WRONG_KEY' });
+    assert.equal(resolve(second, EncryptInterceptor).options.password, 'second-key');
+
+    // Classes Nest creates itself get the options injected, and withOptions adds to them
+    const metadata = new Map();
+    const reflect = { defineMetadata: (key, value, target) => metadata.set(`${key}:${target.name}`, value) };
+    Object.assign(Reflect, reflect);
+    try {
+        CryptoModule.forRoot({ password: 'third-key' });
+    } finally {
+        delete Reflect.defineMetadata;
+    }
+    const [{ param }] = metadata.get('self:paramtypes:DecryptPipe');
+    assert.equal(param, first.providers[0].provide);
+    assert.deepEqual(metadata.get('optional:paramtypes:CryptoService'), [0]);
+
+    const WithFields = DecryptPipe.withOptions({ fields: ['card.number'] });
+    const pipe = new WithFields(resolve(first, param));
+    assert.ok(pipe instanceof DecryptPipe);
+    assert.deepEqual(await pipe.transform({ card: { number: firstToken } }), { card: { number: 'one' } });
+    assert.throws(() => CryptoModule.forRoot({}), /CryptoModule.forRoot needs a password/);
+});
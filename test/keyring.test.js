@@ -0,0 +1,91 @@
+'use strict';
+
+// Keyrings: key ids, fallback to every key, rekey and rekeyFile
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+    createKeyring, encrypt, decrypt, rekey, rekeyFile, encryptFile, decryptFile, inspect
+} = require('../index.js');
+
+const OLD = 'old-password';
+const NEW = 'new-password';
+const oldRing = createKeyring({ q3: OLD });
+const ring = createKeyring({ q3: OLD, q4: NEW }, { primary: 'q4' });
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-keyring-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('tokens record the key id of the primary key and decrypt with that key', () => {
+    const token = encrypt('routed', ring, { cost: 10 });
+    assert.equal(inspect(token).keyId, ring.keys.find((key) => key.name === 'q4').id);
+    assert.equal(decrypt(token, ring), 'routed');
+    assert.equal(decrypt(token, NEW), 'routed');
+
+    // The id picks the key: a keyring without it fails at once, and a key of
+    // the same name with another password is not saved by the other keys
+    assert.throws(() => decrypt(token, oldRing), { code: 'WRONG_KEY', message: /is not in the keyring/ });
+    const renamed = createKeyring({ q4: 'not-it', q3: NEW });
+    assert.throws(() => decrypt(token, renamed), { code: 'WRONG_KEY' });
+});
+
+test('tokens without a key id are tried against every key', () => {
+    for (const version of [0, 2, 3]) {
+        const token = encrypt('fallback', OLD, { cost: 10, version });
+        assert.equal(inspect(token).keyId, null);
+        assert.equal(decrypt(token, ring), 'fallback', `version ${version}`);
+    }
+    assert.throws(() => decrypt(encrypt('x', 'unknown', { cost: 10 }), ring), { code: 'WRONG_KEY' });
+    assert.throws(() => createKeyring({ a: 'x' }, { primary: 'b' }), /Primary key not in keyring: b/);
+});
+
+test('rekey moves tokens to the primary key and leaves tokens already on it alone', () => {
+    const old = encrypt('rotate me', oldRing, { cost: 10 });
+    const moved = rekey(old, ring, { cost: 10 });
+    assert.notEqual(moved, old);
+    assert.equal(inspect(moved).keyId, ring.keys.find((key) => key.name === 'q4').id);
+    assert.equal(decrypt(moved, NEW), 'rotate me');
+    assert.throws(() => decrypt(moved, OLD), { code: 'WRONG_KEY' });
+
+    assert.equal(rekey(moved, ring), moved);
+    const forced = rekey(moved, ring, { cost: 10, force: true });
+    assert.notEqual(forced, moved);
+    assert.equal(decrypt(forced, ring), 'rotate me');
+});
+
+test('rekeyFile replaces token and chunked files in place', (t) => {
+    const dir = tempDir(t);
+    const input = path.join(dir, 'plain.txt');
+    fs.writeFileSync(input, 'file contents');
+
+    for (const format of ['token', 'chunked']) {
+        const file = path.join(dir, `${format}.enc`);
+        encryptFile(input, file, OLD, { cost: 10, format });
+        rekeyFile(file, null, ring, { cost: 10 });
+
+        assert.equal(decryptFile(file, null, NEW).toString(), 'file contents', format);
+        assert.throws(() => decryptFile(file, null, OLD), { code: 'WRONG_KEY' }, format);
+        assert.deepEqual(fs.readdirSync(dir).filter((name) => name.includes('rekey')), [], 'no temporary file left');
+    }
+});
+
+test('ucc rekey re-encrypts a file with the primary key of a keyring file', (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'data.enc');
+    const keyringFile = path.join(dir, 'keyring.json');
+    fs.writeFileSync(path.join(dir, 'plain.txt'), 'from the command line');
+    encryptFile(path.join(dir, 'plain.txt'), file, OLD, { cost: 10 });
+    fs.writeFileSync(keyringFile, JSON.stringify({ primary: 'q4', keys: { q3: OLD, q4: NEW } }));
+
+    const cli = path.join(__dirname, '..', 'index.js');
+    const result = spawnSync(process.execPath, [cli, 'rekey', '-f', file, '-k', keyringFile, '--cost', '10'], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(decryptFile(file, null, NEW).toString(), 'from the command line');
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+// Expiring and purpose-bound tokens
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    encrypt, decrypt, inspect, encryptFile, decryptFile, encryptArchive, decryptArchive, createDecryptStream,
+    ExpiredError, NotYetValidError, WrongPurposeError
+} = require('../index.js');
+
+const PASSWORD = 'lifetime-password';
+const ISSUED = Date.UTC(2026, 0, 1);
+const TTL = 600;
+
+function at(seconds) {
+    return ISSUED + seconds * 1000;
+}
+
+test('tokens expire at issue time plus expiresIn, give or take clockTolerance', () => {
+    const token = encrypt('short-lived', PASSWORD, { cost: 10, expiresIn: TTL, now: ISSUED });
+    assert.equal(inspect(token, { now: at(TTL - 1) }).expiresAt, new Date(at(TTL)).toISOString());
+
+    // Without tolerance the token is valid up to the last second before expiresAt
+    assert.equal(decrypt(token, PASSWORD, { now: at(TTL - 1), clockTolerance: 0 }), 'short-lived');
+    assert.throws(() => decrypt(token, PASSWORD, { now: at(TTL), clockTolerance: 0 }), (error) =>
+        error instanceof ExpiredError && error.code === 'EXPIRED' && error.expiresAt.getTime() === at(TTL));
+
+    // The default tolerance is 30 seconds
+    assert.equal(decrypt(token, PASSWORD, { now: at(TTL + 29) }), 'short-lived');
+    assert.throws(() => decrypt(token, PASSWORD, { now: at(TTL + 30) }), { code: 'EXPIRED' });
+    assert.equal(decrypt(token, PASSWORD, { now: at(TTL + 119), clockTolerance: 120 }), 'short-lived');
+    assert.throws(() => decrypt(token, PASSWORD, { now: new Date(at(TTL + 120)), clockTolerance: 120 }), { code: 'EXPIRED' });
+});
+
+test('tokens issued in the future are not valid yet beyond clockTolerance', () => {
+    const token = encrypt('early', PASSWORD, { cost: 10, expiresIn: TTL, now: ISSUED });
+    assert.equal(decrypt(token, PASSWORD, { now: at(-30) }), 'early');
+    assert.throws(() => decrypt(token, PASSWORD, { now: at(-31) }), (error) => error instanceof NotYetValidError);
+    assert.throws(() => decrypt(token, PASSWORD, { now: at(-1), clockTolerance: 0 }), { code: 'NOT_YET_VALID' });
+    assert.throws(() => decrypt(token, PASSWORD, { clockTolerance: -1, now: ISSUED }), /clockTolerance must be/);
+});
+
+test('purpose-bound tokens need the same purpose', () => {
+    const token = encrypt('reset-42', PASSWORD, { cost: 10, purpose: 'password-reset' });
+    assert.equal(inspect(token).purposeBound, true);
+    assert.equal(decrypt(token, PASSWORD, { purpose: 'password-reset' }), 'reset-42');
+
+    assert.throws(() => decrypt(token, PASSWORD, { purpose: 'email-verify' }), (error) =>
+        error instanceof WrongPurposeError && /different purpose/.test(error.message));
+    assert.throws(() => decrypt(token, PASSWORD), { code: 'WRONG_PURPOSE', message: /none was given/ });
+
+    // A purpose given for a token without one is refused too
+    const plain = encrypt('plain', PASSWORD, { cost: 10 });
+    assert.throws(() => decrypt(plain, PASSWORD, { purpose: 'password-reset' }), { code: 'WRONG_PURPOSE' });
+});
+
+test('expiry and purpose only apply to version 3 randomized tokens', () => {
+    assert.throws(() => encrypt('x', PASSWORD, { expiresIn: 60, version: 2 }), /require token version 3/);
+    assert.throws(() => encrypt('x', PASSWORD, { purpose: 'p', mode: 'deterministic' }), /cannot be used in deterministic mode/);
+    assert.throws(() => encrypt('x', PASSWORD, { expiresIn: 0 }), /expiresIn must be a positive number/);
+});
+
+test('chunked files and archives refuse expiry and purpose', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-lifetime-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const input = path.join(dir, 'input');
+    fs.mkdirSync(input);
+    fs.writeFileSync(path.join(input, 'a.txt'), 'contents');
+    const file = path.join(input, 'a.txt');
+
+    for (const options of [{ expiresIn: 60 }, { purpose: 'backup' }]) {
+        assert.throws(() => encryptFile(file, path.join(dir, 'a.enc'), PASSWORD, Object.assign({ cost: 10 }, options)),
+            /only supported for the token format/);
+        assert.throws(() => encryptArchive(input, path.join(dir, 'a.ucca'), PASSWORD, Object.assign({ cost: 10 }, options)),
+            /only supported for the token format/);
+    }
+
+    encryptFile(file, path.join(dir, 'a.enc'), PASSWORD, { cost: 10 });
+    assert.throws(() => decryptFile(path.join(dir, 'a.enc'), null, PASSWORD, { purpose: 'backup' }), { code: 'WRONG_PURPOSE' });
+    assert.throws(() => createDecryptStream(PASSWORD, { purpose: 'backup' }), { code: 'WRONG_PURPOSE' });
+
+    encryptArchive(input, path.join(dir, 'a.ucca'), PASSWORD, { cost: 10 });
+    assert.throws(() => decryptArchive(path.join(dir, 'a.ucca'), path.join(dir, 'out'), PASSWORD, { purpose: 'backup' }),
+        { code: 'WRONG_PURPOSE' });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+// The openssl enc format, with files made by OpenSSL 3.0
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { encryptOpenSSL, decryptOpenSSL, encryptOpenSSLAsync, decryptOpenSSLAsync } = require('../index.js');
+
+const PASSWORD = 'fixture-pass';
+const PLAINTEXT = 'Hello from openssl enc\n';
+
+// printf 'Hello from openssl enc\n' | openssl enc -aes-256-cbc -salt ... -pass pass:fixture-pass
+const FIXTURES = [
+    {
+        command: '-md md5 -a',
+        options: { kdf: 'evp', digest: 'md5' },
+        data: 'U2FsdGVkX194CRL+5aaRjBP4q8tdWWNfvp3hCkXVi7IlSlc7iFmSuiZjjMnqA1As\n'
+    },
+    {
+        command: '-md sha256 -a',
+        options: { kdf: 'evp', digest: 'sha256' },
+        data: 'U2FsdGVkX19zbcVF04/qRSKpgiwbCODMyiYbFrrHvJnqKSE//ROCV4CXhlB+C8hX\n'
+    },
+    {
+        command: '-pbkdf2 -a',
+        options: {},
+        data: 'U2FsdGVkX190+wmPr1Gq4OVlSoV8m1Pw5jgumc96kmg82tmbIrXKmUOCJ2AbTI1c\n'
+    },
+    {
+        command: '-pbkdf2 -iter 1000 (binary)',
+        options: { iterations: 1000 },
+        data: Buffer.from('U2FsdGVkX19vLiCY4u5dOr0L5nqlNPwdISPd85v9GKQi6WoCky0mVO00eaOM/nIG', 'base64')
+    }
+];
+
+const openssl = spawnSync('openssl', ['version']).status === 0;
+
+test('files from openssl enc decrypt, sync and async', async () => {
+    for (const { command, options, data } of FIXTURES) {
+        assert.equal(decryptOpenSSL(data, PASSWORD, options).toString(), PLAINTEXT, command);
+        assert.equal((await decryptOpenSSLAsync(data, PASSWORD, options)).toString(), PLAINTEXT, command);
+        assert.equal(decryptOpenSSL(data, PASSWORD, { ...options, backend: 'cryptojs' }).toString(), PLAINTEXT, command);
+    }
+});
+
+test('a wrong password or KDF is WRONG_KEY', async () => {
+    const [evp, , pbkdf2] = FIXTURES;
+    assert.throws(() => decryptOpenSSL(evp.data, 'wrong-pass', evp.options), { code: 'WRONG_KEY' });
+    await assert.rejects(decryptOpenSSLAsync(pbkdf2.data, 'wrong-pass'), { code: 'WRONG_KEY' });
+    assert.throws(() => decryptOpenSSL(evp.data, PASSWORD), { code: 'WRONG_KEY' }, 'PBKDF2 for an EVP file');
+    assert.throws(() => decryptOpenSSL('not openssl data', PASSWORD), { code: 'MALFORMED' });
+});
+
+test('encryptOpenSSL output round trips, in base64 lines like openssl -a', async () => {
+    for (const { command, options } of FIXTURES) {
+        const encrypted = encryptOpenSSL(PLAINTEXT, PASSWORD, { ...options, encoding: 'base64' });
+        assert.match(encrypted, /^U2FsdGVkX1[A-Za-z0-9+/=\n]+\n$/, command);
+        assert.equal(decryptOpenSSL(encrypted, PASSWORD, options).toString(), PLAINTEXT, command);
+
+        const binary = await encryptOpenSSLAsync(Buffer.from(PLAINTEXT), PASSWORD, options);
+        assert.equal(binary.subarray(0, 8).toString(), 'Salted__', command);
+        assert.equal((await decryptOpenSSLAsync(binary, PASSWORD, options)).toString(), PLAINTEXT, command);
+    }
+    const long = encryptOpenSSL('x'.repeat(200), PASSWORD, { encoding: 'base64' });
+    assert.ok(long.split('\n').slice(0, -2).every((line) => line.length === 64));
+});
+
+test('openssl enc decrypts encryptOpenSSL output', { skip: !openssl && 'openssl is not installed' }, () => {
+    const cases = [
+        [{ kdf: 'evp', digest: 'md5' }, ['-md', 'md5']],
+        [{}, ['-pbkdf2']],
+        [{ iterations: 1000 }, ['-pbkdf2', '-iter', '1000']]
+    ];
+    for (const [options, flags] of cases) {
+        const result = spawnSync('openssl', ['enc', '-d', '-aes-256-cbc', '-a', ...flags, '-pass', `pass:${PASSWORD}`], {
+            input: encryptOpenSSL(PLAINTEXT, PASSWORD, { ...options, encoding: 'base64' }),
+            encoding: 'utf8'
+        });
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(result.stdout, PLAINTEXT, flags.join(' '));
+    }
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+// Shamir secret sharing
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSecret, combineShares, MalformedTokenError } = require('../index.js');
+
+const SECRET = 'correct horse battery staple ✓';
+
+function subsets(items, size) {
+    if (size === 0) {
+        return [[]];
+    }
+    return items.flatMap((item, i) => subsets(items.slice(i + 1), size - 1).map((rest) => [item, ...rest]));
+}
+
+test('any threshold of the shares, in any order, rebuild the secret', () => {
+    const shares = splitSecret(SECRET, { shares: 5, threshold: 3 });
+    assert.equal(shares.length, 5);
+    for (const size of [3, 4, 5]) {
+        for (const subset of subsets(shares, size)) {
+            assert.equal(combineShares(subset), SECRET);
+            assert.equal(combineShares(subset.slice().reverse()), SECRET);
+        }
+    }
+});
+
+test('grouped shares combine without their hyphens', () => {
+    const shares = splitSecret(SECRET, { shares: 3, threshold: 2, group: 5 });
+    assert.match(shares[0], /^(\w{5}-)+\w{1,5}$/);
+    assert.equal(combineShares([shares[2], ` ${shares[0]}\n`]), SECRET);
+});
+
+test('too few, duplicate and mixed shares are MALFORMED', () => {
+    const shares = splitSecret(SECRET, { shares: 5, threshold: 3 });
+    const other = splitSecret(SECRET, { shares: 5, threshold: 3 });
+
+    assert.throws(() => combineShares(shares.slice(0, 2)),
+        { code: 'MALFORMED', message: '3 different shares are needed, got 2' });
+    assert.throws(() => combineShares([shares[0], shares[1], shares[1]]),
+        { code: 'MALFORMED', message: '3 different shares are needed, got 2' });
+    assert.throws(() => combineShares([shares[0], shares[1], other[2]]),
+        { code: 'MALFORMED', message: 'Shares come from different splits' });
+    assert.throws(() => combineShares([shares[0], shares[1], shares[2], other[3]]), MalformedTokenError);
+    assert.throws(() => combineShares([]), /expects an array of shares/);
+});
+
+test('a mistyped share fails its checksum', () => {
+    const shares = splitSecret(SECRET, { shares: 3, threshold: 2 });
+    for (let i = 0; i < shares[1].length; i++) {
+        const replacement = shares[1][i] === 'a' ? 'b' : 'a';
+        const typo = shares[1].slice(0, i) + replacement + shares[1].slice(i + 1);
+        assert.throws(() => combineShares([shares[0], typo]), { code: 'MALFORMED' }, `position ${i}`);
+    }
+    const typo = shares[1].slice(0, 20) + (shares[1][20] === 'a' ? 'b' : 'a') + shares[1].slice(21);
+    assert.throws(() => combineShares([shares[0], typo]), { field: 'checksum', message: /Share 2: checksum mismatch/ });
+});
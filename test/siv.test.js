@@ -0,0 +1,133 @@
+'use strict';
+
+// Deterministic tokens are AES-SIV (RFC 5297) with a 512-bit key: the MAC
+// subkey for S2V, then the encryption subkey for CTR
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const { encrypt, decrypt, base62Decode } = require('../index.js');
+
+const hex = (text) => Buffer.from(text.replace(/\s/g, ''), 'hex');
+
+// AES-SIV written from RFC 5297 with node:crypto
+function aesSiv(key, associated, plaintext) {
+    const half = key.length / 2;
+    const cipher = `aes-${half * 8}`;
+    const aes = (block) => {
+        const ecb = nodeCrypto.createCipheriv(`${cipher}-ecb`, key.subarray(0, half), null).setAutoPadding(false);
+        return Buffer.concat([ecb.update(block), ecb.final()]);
+    };
+    const dbl = (block) => {
+        const out = Buffer.alloc(16);
+        for (let i = 0; i < 16; i++) {
+            out[i] = (block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0);
+        }
+        if (block[0] & 0x80) {
+            out[15] ^= 0x87;
+        }
+        return out;
+    };
+    const xor = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+    const k1 = dbl(aes(Buffer.alloc(16)));
+    const k2 = dbl(k1);
+    const cmac = (message) => {
+        const blocks = Math.max(1, Math.ceil(message.length / 16));
+        const complete = message.length > 0 && message.length % 16 === 0;
+        const last = Buffer.alloc(16);
+        message.copy(last, 0, (blocks - 1) * 16);
+        if (!complete) {
+            last[message.length - (blocks - 1) * 16] = 0x80;
+        }
+        let x = Buffer.alloc(16);
+        for (let i = 0; i < blocks - 1; i++) {
+            x = aes(xor(x, message.subarray(i * 16, i * 16 + 16)));
+        }
+        return aes(xor(x, xor(last, complete ? k1 : k2)));
+    };
+
+    let d = cmac(Buffer.alloc(16));
+    for (const string of associated) {
+        d = xor(dbl(d), cmac(string));
+    }
+    let t;
+    if (plaintext.length >= 16) {
+        t = Buffer.from(plaintext);
+        xor(t.subarray(-16), d).copy(t, t.length - 16);
+    } else {
+        t = Buffer.alloc(16);
+        plaintext.copy(t);
+        t[plaintext.length] = 0x80;
+        t = xor(t, dbl(d));
+    }
+    const siv = cmac(t);
+
+    const counter = Buffer.from(siv);
+    counter[8] &= 0x7f;
+    counter[12] &= 0x7f;
+    const ctr = nodeCrypto.createCipheriv(`${cipher}-ctr`, key.subarray(half), counter);
+    return Buffer.concat([siv, ctr.update(plaintext), ctr.final()]);
+}
+
+test('the reference implementation matches RFC 5297 A.1', () => {
+    const key = hex('fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0 f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff');
+    const ad = hex('101112131415161718191a1b1c1d1e1f 2021222324252627');
+    assert.equal(aesSiv(key, [ad], hex('112233445566778899aabbccddee')).toString('hex'),
+        '85632d07c6e8f37f950acd320a2ecc93' + '40c02b9690c4dc04daef7f6afe5c');
+});
+
+// Keys of ('kat-password', context 'kat-context', cost 10), S2V key first; expected outputs computed
+// with miscreant, an independent AES-SIV implementation
+const KEY = hex('d4257f30c2a30d7f82e8f5ce5e5b7bc74233673b170dfe92509b506a3b8270a4' +
+    '10b4a42c4816f807da976e73d08ae84cd1987644bc19b41872a116f219de8cb4');
+const CONTEXT = 'kat-context';
+const HEADER = hex('7503010a804a69');
+const VECTORS = [
+    {
+        plaintext: 'known answer',
+        output: '8d3ceb1b5fb8ff5fc5600a5020b0f3636050da924e639f5cc39c32ff'
+    },
+    {
+        plaintext: 'known answer',
+        associatedData: 'user:1001',
+        output: 'e29d765f3179ca417ebdebd4bc2ce1901965488e99e30951333bf668'
+    },
+    {
+        plaintext: 'a longer plaintext of more than one block',
+        associatedData: 'ad',
+        output: 'bb329f0dec29c4b98fe05dd9ceb872f60a475eebaa4966b9a15cd64d7d64d8a2' +
+            'be2202b86cfdd909d9e3fbd3022199022b1693a1d0a49c6503'
+    }
+];
+
+test('deterministic tokens are AES-SIV-CMAC-512', () => {
+    // The salt is a fixed prefix, a zero byte and the context
+    const salt = Buffer.concat([Buffer.from('ultra-compact-crypto deterministic'), Buffer.from([0]), Buffer.from(CONTEXT)]);
+    const master = nodeCrypto.pbkdf2Sync('kat-password', salt, 1 << 10, 32, 'sha256');
+    const hmac = (label) => nodeCrypto.createHmac('sha256', master).update(label).digest();
+    assert.deepEqual(Buffer.concat([hmac('mac'), hmac('enc')]), KEY);
+
+    for (const { plaintext, associatedData, output } of VECTORS) {
+        const associated = associatedData ? [HEADER, Buffer.from(associatedData)] : [HEADER];
+        assert.equal(aesSiv(KEY, associated, Buffer.from(plaintext)).toString('hex'), output);
+
+        const token = encrypt(plaintext, 'kat-password', { cost: 10, mode: 'deterministic', context: CONTEXT, associatedData });
+        const bytes = Buffer.from(base62Decode(token));
+        // magic | version | kdf | cost | options | check (2) | synthetic IV (16) | ciphertext
+        assert.deepEqual(bytes.subarray(0, 7), HEADER);
+        assert.equal(bytes.subarray(7).toString('hex'), output);
+        assert.equal(decrypt(token, 'kat-password', { context: CONTEXT, associatedData }), plaintext);
+    }
+});
+
+test('deterministic tokens need the context they were made with', () => {
+    const options = { cost: 10, mode: 'deterministic' };
+    assert.throws(() => encrypt('x', 'kat-password', options), /Deterministic tokens need a context/);
+    assert.throws(() => encrypt('x', 'kat-password', { ...options, context: '' }), /need a context/);
+
+    const token = encrypt('x', 'kat-password', { ...options, context: CONTEXT });
+    assert.equal(token, encrypt('x', 'kat-password', { ...options, context: CONTEXT }));
+    assert.notEqual(token, encrypt('x', 'kat-password', { ...options, context: 'other-context' }));
+    assert.throws(() => decrypt(token, 'kat-password'), /need a context/);
+    assert.throws(() => decrypt(token, 'kat-password', { context: 'other-context' }), { code: 'WRONG_KEY' });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+// Chunked file format: streams, files and damaged input
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createEncryptStream, createDecryptStream, encryptFile, decryptFile } = require('../index.js');
+
+const PASSWORD = 'stream-password';
+const OPTIONS = { cost: 10, chunkSize: 1024 };
+
+// 1024-byte chunks encrypt to 1040 bytes, behind a 5-byte prefix and a 16-byte IV, followed by a 16-byte tag
+const FULL_RECORD = 5 + 16 + 1040 + 16;
+
+async function run(transform, input) {
+    const output = [];
+    await pipeline(Readable.from([input]), transform, async function (source) {
+        for await (const chunk of source) {
+            output.push(chunk);
+        }
+    });
+    return Buffer.concat(output);
+}
+
+function sample(length) {
+    return Buffer.from(Array.from({ length }, (_, i) => (i * 7) % 251));
+}
+
+test('streams round trip over several chunks', async () => {
+    for (const length of [0, 1, 1023, 1024, 1025, 3000]) {
+        const plaintext = sample(length);
+        const encrypted = await run(createEncryptStream(PASSWORD, OPTIONS), plaintext);
+        assert.deepEqual(await run(createDecryptStream(PASSWORD), encrypted), plaintext, `length ${length}`);
+    }
+});
+
+test('truncated, reordered and extended files are rejected', async () => {
+    const encrypted = await run(createEncryptStream(PASSWORD, OPTIONS), sample(3000));
+    // header | record 0 | record 1 | final record (952 bytes in 960)
+    const headerLength = encrypted.length - 2 * FULL_RECORD - (5 + 16 + 960 + 16);
+    const record = (i) => encrypted.subarray(headerLength + i * FULL_RECORD, headerLength + (i + 1) * FULL_RECORD);
+
+    const truncated = encrypted.subarray(0, headerLength + 2 * FULL_RECORD);
+    await assert.rejects(run(createDecryptStream(PASSWORD), truncated), { code: 'TAMPERED', message: /final chunk missing/ });
+
+    const reordered = Buffer.concat([
+        encrypted.subarray(0, headerLength), record(1), record(0), encrypted.subarray(headerLength + 2 * FULL_RECORD)
+    ]);
+    await assert.rejects(run(createDecryptStream(PASSWORD), reordered), { code: 'TAMPERED' });
+
+    const extended = Buffer.concat([encrypted, record(0)]);
+    await assert.rejects(run(createDecryptStream(PASSWORD), extended), { code: 'TAMPERED' });
+
+    const flipped = Buffer.from(encrypted);
+    flipped[flipped.length - 20] ^= 1;
+    await assert.rejects(run(createDecryptStream(PASSWORD), flipped), { code: 'TAMPERED' });
+
+    await assert.rejects(run(createDecryptStream('other'), encrypted), { code: 'WRONG_KEY' });
+    await assert.rejects(run(createDecryptStream(PASSWORD), encrypted.subarray(0, 4)), { code: 'MALFORMED' });
+});
+
+test('files round trip in both formats', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucc-stream-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const input = path.join(dir, 'input.bin');
+    const plaintext = sample(5000);
+    fs.writeFileSync(input, plaintext);
+
+    encryptFile(input, path.join(dir, 'chunked.enc'), PASSWORD, OPTIONS);
+    assert.deepEqual(decryptFile(path.join(dir, 'chunked.enc'), undefined, PASSWORD), plaintext);
+
+    const token = encryptFile(input, path.join(dir, 'token.enc'), PASSWORD, { cost: 10, format: 'token' });
+    assert.equal(fs.readFileSync(path.join(dir, 'token.enc'), 'utf8').trim(), token);
+    decryptFile(path.join(dir, 'token.enc'), path.join(dir, 'output.bin'), PASSWORD);
+    assert.deepEqual(fs.readFileSync(path.join(dir, 'output.bin')), plaintext);
+
+    assert.throws(() => decryptFile(path.join(dir, 'missing.enc'), undefined, PASSWORD), { code: 'FILE_NOT_FOUND' });
+});
+
+test('a forged KDF cost in the header is rejected before any key is derived', async () => {
+    const forged = await run(createEncryptStream(PASSWORD, OPTIONS), sample(100));
+    forged[6] = 24;
+    const started = Date.now();
+    await assert.rejects(run(createDecryptStream(PASSWORD), forged), { code: 'MALFORMED', message: /KDF cost 24/ });
+    assert.ok(Date.now() - started < 100, 'no PBKDF2 at cost 24');
+
+    const costly = await run(createEncryptStream(PASSWORD, { cost: 17 }), sample(100));
+    await assert.rejects(run(createDecryptStream(PASSWORD), costly), { code: 'MALFORMED' });
+    assert.deepEqual(await run(createDecryptStream(PASSWORD, { maxCost: 17 }), costly), sample(100));
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+// Token envelope, key derivation and the legacy encrypt.sh format
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const { encrypt, decrypt, deriveKeyAndIV, base62Encode, base62Decode, inspect, CryptoError, TamperedError } = require('../index.js');
+
+const PASSWORD = 'kat-password';
+
+// Made by this library; decrypting them keeps the formats readable
+const KNOWN_TOKENS = {
+    1: 'a2OaiQzWtAmcdV6rhlE3A4eLZT7b2aXcklab5B4U3yUW1AqWLfsJrvX7F22SmmqWI22FAaa4',
+    2: 'a2PsekEGxeo448yWO2Bp63imXjY6UedJEa3702BExHWh58otJKHnceB14mksJzbVxjkm7RzBNK54kaCAAeIDIiL11ewUnGdXU',
+    3: 'a2QK9PphANX3E4uvWuX6fge1mMpeT2OAm6n34ChhLQicdfgiPafUEDA6ks2phnty3Rbb75GEhESjL69sC9knXxLt0A3lUtI9ON'
+};
+
+test('legacy v0 tokens match encrypt.sh', () => {
+    assert.equal(decrypt('8RTRCWkF0kBa2OD2Xjjk5xIr3HOPP1WGbDltEE7kvrI', 'Password'), 'jdlkgjdflkjgkldfjkgkjdf');
+    assert.equal(encrypt('jdlkgjdflkjgkldfjkgkjdf', 'Password', { version: 0 }), '8RTRCWkF0kBa2OD2Xjjk5xIr3HOPP1WGbDltEE7kvrI');
+    assert.equal(encrypt('Hello World', 'mypass', { version: 0 }), '2BhIbEETD6BXUo4t1jRCNR');
+    assert.equal(decrypt('2BhIbEETD6BXUo4t1jRCNR', 'mypass'), 'Hello World');
+});
+
+test('deriveKeyAndIV uses SHA-256 and MD5 of the password', () => {
+    const { key, iv } = deriveKeyAndIV('Password');
+    assert.equal(Buffer.from(key).toString('hex'), 'e7cf3ef4f17c3999a94f2c6f612e8a888e5b1026878e4e19398b23bd38ec221a');
+    assert.equal(Buffer.from(iv).toString('hex'), 'dc647eb65e6711e155375218212b3964');
+});
+
+test('known tokens of every version decrypt', () => {
+    for (const [version, token] of Object.entries(KNOWN_TOKENS)) {
+        assert.equal(decrypt(token, PASSWORD), 'known answer', `version ${version}`);
+        assert.equal(inspect(token).version, Number(version));
+    }
+});
+
+test('v3 envelope follows the documented layout', () => {
+    const associatedData = 'user:1001';
+    const token = encrypt('Hello World', PASSWORD, { cost: 10, associatedData });
+    const bytes = Buffer.from(base62Decode(token));
+
+    // magic | version | kdf | cost | options | salt (16) | iv (16) | check (2) | ciphertext | tag (16)
+    assert.deepEqual([...bytes.subarray(0, 5)], [0x75, 3, 1, 10, 0]);
+    const salt = bytes.subarray(5, 21);
+    const iv = bytes.subarray(21, 37);
+    const check = bytes.subarray(37, 39);
+    const ciphertext = bytes.subarray(39, bytes.length - 16);
+    const tag = bytes.subarray(bytes.length - 16);
+
+    // The same steps with node:crypto alone
+    const masterKey = nodeCrypto.pbkdf2Sync(PASSWORD, salt, 1 << 10, 32, 'sha256');
+    const hmac = (key, data) => nodeCrypto.createHmac('sha256', key).update(data).digest();
+    assert.deepEqual(check, hmac(masterKey, 'check').subarray(0, 2));
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(associatedData.length);
+    const authenticated = Buffer.concat([length, Buffer.from(associatedData), bytes.subarray(0, bytes.length - 16)]);
+    assert.deepEqual(tag, hmac(hmac(masterKey, 'mac'), authenticated).subarray(0, 16));
+
+    const decipher = nodeCrypto.createDecipheriv('aes-256-cbc', hmac(masterKey, 'enc'), iv);
+    assert.equal(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString(), 'Hello World');
+});
+
+test('failures carry an error code', () => {
+    const token = encrypt('Hello World', PASSWORD, { cost: 10, associatedData: 'a' });
+    const bytes = base62Decode(token);
+    const modified = (offset, value) => {
+        const copy = Uint8Array.from(bytes);
+        copy[offset] = value === undefined ? copy[offset] ^ 1 : value;
+        return base62Encode(copy);
+    };
+
+    assert.throws(() => decrypt(token, 'wrong', { associatedData: 'a' }), { name: 'WrongKeyError', code: 'WRONG_KEY' });
+    assert.throws(() => decrypt(token, PASSWORD, { associatedData: 'b' }), { code: 'TAMPERED' });
+    assert.throws(() => decrypt(token, PASSWORD), { code: 'TAMPERED' });
+    assert.throws(() => decrypt(modified(45), PASSWORD, { associatedData: 'a' }), TamperedError);
+    assert.throws(() => decrypt(modified(bytes.length - 1), PASSWORD, { associatedData: 'a' }), { code: 'TAMPERED' });
+    assert.throws(() => decrypt(modified(1, 9), PASSWORD), { code: 'UNSUPPORTED_VERSION', message: /Unsupported token version: 9/ });
+    assert.throws(() => decrypt('a2!x', PASSWORD), { code: 'MALFORMED', position: 2, character: '!' });
+
+    try {
+        decrypt(token, 'wrong');
+        assert.fail('decrypt should throw');
+    } catch (error) {
+        assert.ok(error instanceof CryptoError);
+        assert.deepEqual(JSON.parse(JSON.stringify(error)), { name: 'WrongKeyError', code: 'WRONG_KEY', message: error.message });
+    }
+});
+
+test('tokens with a character missing or repeated are MALFORMED', () => {
+    const token = encrypt('Hello World, a little longer text', PASSWORD, { cost: 10 });
+    for (let i = 0; i < token.length; i++) {
+        const deleted = token.slice(0, i) + token.slice(i + 1);
+        const repeated = token.slice(0, i) + token[i] + token.slice(i);
+        assert.throws(() => decrypt(deleted, PASSWORD), { code: 'MALFORMED' }, `deleted ${i}`);
+        assert.throws(() => decrypt(repeated, PASSWORD), { code: 'MALFORMED' }, `repeated ${i}`);
+    }
+    assert.throws(() => decrypt(token.slice(0, -11), PASSWORD), { code: 'MALFORMED' });
+    // No block encodes to 1 character
+    const truncated = token.slice(0, 11 * Math.floor(token.length / 11) - 10);
+    assert.throws(() => decrypt(truncated, PASSWORD), { code: 'MALFORMED', field: 'length' });
+    assert.throws(() => decrypt('zzzz', PASSWORD), { code: 'MALFORMED', field: 'length' });
+});
+
+test('every token gets a fresh salt and IV', () => {
+    const first = base62Decode(encrypt('same', PASSWORD, { cost: 10 }));
+    const second = base62Decode(encrypt('same', PASSWORD, { cost: 10 }));
+    assert.notDeepEqual(first.subarray(5, 21), second.subarray(5, 21));
+    assert.notDeepEqual(first.subarray(21, 37), second.subarray(21, 37));
+});
+
+test('KDF cost is recorded and checked', () => {
+    const token = encrypt('x', PASSWORD, { cost: 12 });
+    assert.equal(inspect(token).cost, 12);
+    assert.equal(inspect(token).kdf, 'pbkdf2');
+    assert.equal(decrypt(token, PASSWORD), 'x');
+    assert.throws(() => encrypt('x', PASSWORD, { cost: 9 }), /KDF cost must be an integer from 10 to 24/);
+    assert.throws(() => encrypt('x', PASSWORD, { cost: 25 }), /KDF cost/);
+    assert.throws(() => encrypt('x', PASSWORD, { kdf: 'scrypt' }), /Unsupported KDF: scrypt/);
+});
+
+test('a forged KDF cost is rejected before any key is derived', () => {
+    const bytes = base62Decode(encrypt('x', PASSWORD, { cost: 10 }));
+    bytes[3] = 24;
+    const started = Date.now();
+    assert.throws(() => decrypt(base62Encode(bytes), PASSWORD), { code: 'MALFORMED', field: 'cost' });
+    assert.ok(Date.now() - started < 100, 'no PBKDF2 at cost 24');
+
+    const costly = encrypt('x', PASSWORD, { cost: 17 });
+    assert.throws(() => decrypt(costly, PASSWORD), { code: 'MALFORMED', field: 'cost' });
+    assert.equal(decrypt(costly, PASSWORD, { maxCost: 17 }), 'x');
+    assert.throws(() => decrypt(costly, PASSWORD, { maxCost: 25 }), /maxCost must be an integer from 10 to 24/);
+});
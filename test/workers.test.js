@@ -0,0 +1,119 @@
+'use strict';
+
+// Worker pool: default in Node.js, queueing, aborts and pool size
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encrypt, decryptAsync, decryptBytesAsync, configureWorkers, terminateWorkers, setBackend } = require('../index.js');
+
+// Slow enough (a few hundred ms) that jobs overlap
+const slow = encrypt('slow job', 'pw', { cost: 20 });
+const maxCost = 20;
+const fast = encrypt('fast job', 'pw', { cost: 10 });
+
+test.after(() => terminateWorkers());
+
+function decryptLogged(token, name, events, options = {}) {
+    return decryptAsync(token, 'pw', Object.assign({
+        maxCost,
+        onProgress: ({ processed, total }) => events.push(`${name} ${processed === total ? 'end' : 'start'}`)
+    }, options));
+}
+
+test('decryption runs on the pool by default and leaves the event loop free', async () => {
+    configureWorkers({ size: 1 });
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 5);
+    try {
+        assert.equal(await decryptAsync(slow, 'pw', { maxCost }), 'slow job');
+    } finally {
+        clearInterval(timer);
+    }
+    assert.ok(ticks > 5, `event loop ticked ${ticks} times`);
+
+    // worker: false stays in this thread
+    ticks = 0;
+    const blocked = setInterval(() => ticks++, 5);
+    try {
+        assert.equal(await decryptAsync(slow, 'pw', { maxCost, worker: false }), 'slow job');
+    } finally {
+        clearInterval(blocked);
+    }
+    assert.ok(ticks <= 1, `event loop ticked ${ticks} times`);
+});
+
+test('token decryption reports progress at start and end, on the pool and off it', async () => {
+    for (const worker of [true, false]) {
+        const seen = [];
+        const bytes = await decryptBytesAsync(fast, 'pw', { worker, onProgress: (progress) => seen.push(progress) });
+        assert.equal(Buffer.from(bytes).toString(), 'fast job');
+        assert.deepEqual(seen, [{ processed: 0, total: fast.length }, { processed: fast.length, total: fast.length }]);
+    }
+});
+
+test('a job aborted while queued never starts, and the running job finishes', async () => {
+    configureWorkers({ size: 1 });
+    const events = [];
+    const controller = new AbortController();
+    const first = decryptLogged(slow, 'first', events);
+    const queued = decryptLogged(slow, 'queued', events, { signal: controller.signal });
+    const reason = new Error('no longer needed');
+    controller.abort(reason);
+
+    await assert.rejects(queued, (error) => error === reason);
+    assert.equal(await first, 'slow job');
+    assert.deepEqual(events, ['first start', 'first end']);
+});
+
+test('a job aborted while running rejects at once, and the pool goes on', async () => {
+    configureWorkers({ size: 1 });
+    const controller = new AbortController();
+    let abortedAt;
+    const running = decryptAsync(slow, 'pw', {
+        maxCost,
+        signal: controller.signal,
+        onProgress: ({ processed }) => {
+            if (processed === 0) {
+                abortedAt = Date.now();
+                controller.abort();
+            }
+        }
+    });
+
+    await assert.rejects(running, { name: 'AbortError' });
+    assert.ok(Date.now() - abortedAt < 150, 'rejected before the key derivation finished');
+    assert.equal(await decryptAsync(fast, 'pw'), 'fast job');
+});
+
+test('the pool size limits how many jobs run at once', async () => {
+    const order = {};
+    for (const size of [1, 2]) {
+        await terminateWorkers();
+        configureWorkers({ size });
+        const events = [];
+        await Promise.all([decryptLogged(slow, 'a', events), decryptLogged(slow, 'b', events)]);
+        order[size] = events;
+    }
+    assert.deepEqual(order[1], ['a start', 'a end', 'b start', 'b end']);
+    assert.deepEqual(order[2].slice(0, 2).sort(), ['a start', 'b start']);
+});
+
+test('jobs carry the backend of this thread, including the setBackend default', async (t) => {
+    const { Worker } = require('worker_threads');
+    const postMessage = Worker.prototype.postMessage;
+    const sent = [];
+    Worker.prototype.postMessage = function (message, ...rest) {
+        sent.push(message.options.backend);
+        return postMessage.call(this, message, ...rest);
+    };
+    t.after(() => {
+        Worker.prototype.postMessage = postMessage;
+        setBackend(null);
+    });
+
+    assert.equal(await decryptAsync(fast, 'pw'), 'fast job');
+    setBackend('cryptojs');
+    assert.equal(await decryptAsync(fast, 'pw'), 'fast job');
+    assert.equal(await decryptAsync(fast, 'pw', { backend: 'webcrypto' }), 'fast job');
+    assert.deepEqual(sent, ['node', 'cryptojs', 'webcrypto']);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+// Public-key tokens: X25519 through node:crypto and through the BigInt
+// fallback of the browser build
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ucc = require('../index.js');
+const { loadBrowserBuild } = require('./browser.js');
+
+// RFC 7748 section 6.1
+const ALICE = {
+    privateKey: '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a',
+    publicKey: '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a'
+};
+const BOB = {
+    privateKey: '5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb',
+    publicKey: 'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f'
+};
+
+const browser = loadBrowserBuild();
+
+function importPrivate(lib, hex) {
+    return lib.importKey(ucc.base62Encode(Buffer.from(hex, 'hex')), { type: 'private' });
+}
+
+function publicHex(lib, key) {
+    return Buffer.from(lib.exportKey(key.publicKey || key, 'jwk').x, 'base64url').toString('hex');
+}
+
+test('public keys match RFC 7748 with node:crypto and the fallback', () => {
+    for (const lib of [ucc, browser]) {
+        assert.equal(publicHex(lib, importPrivate(lib, ALICE.privateKey)), ALICE.publicKey);
+        assert.equal(publicHex(lib, importPrivate(lib, BOB.privateKey)), BOB.publicKey);
+    }
+});
+
+test('node:crypto and the fallback agree on the shared secret', async () => {
+    const bob = importPrivate(ucc, BOB.privateKey);
+    const bobInBrowser = importPrivate(browser, BOB.privateKey);
+
+    const fromBrowser = await browser.encryptAsync('to Bob from the fallback', bobInBrowser.publicKey);
+    assert.equal(ucc.decrypt(fromBrowser, bob), 'to Bob from the fallback');
+
+    const fromNode = ucc.encrypt('to Bob from node', bob.publicKey);
+    assert.equal(await browser.decryptAsync(fromNode, bobInBrowser), 'to Bob from node');
+});
+
+test('several recipients can each decrypt', async () => {
+    const alice = importPrivate(ucc, ALICE.privateKey);
+    const bob = importPrivate(ucc, BOB.privateKey);
+    const token = ucc.encrypt('for both', [alice.publicKey, bob.publicKey]);
+
+    assert.equal(ucc.inspect(token).recipients, 2);
+    assert.equal(ucc.decrypt(token, alice), 'for both');
+    assert.equal(ucc.decrypt(token, bob), 'for both');
+    assert.equal(await browser.decryptAsync(token, importPrivate(browser, ALICE.privateKey)), 'for both');
+});
+
+test('other keys and passwords are WRONG_KEY', () => {
+    const alice = importPrivate(ucc, ALICE.privateKey);
+    const bob = importPrivate(ucc, BOB.privateKey);
+    const single = ucc.encrypt('for Alice', alice.publicKey);
+    const multiple = ucc.encrypt('for Alice and Bob', [alice.publicKey, bob.publicKey]);
+
+    assert.throws(() => ucc.decrypt(single, bob), { code: 'WRONG_KEY' });
+    assert.throws(() => ucc.decrypt(multiple, ucc.generateKeyPair().privateKey),
+        { code: 'WRONG_KEY', message: /not encrypted to key/ });
+    assert.throws(() => ucc.decrypt(single, 'password'), { code: 'WRONG_KEY', message: /decrypt it with the private key/ });
+});